@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "lastFailedLoginAt" TIMESTAMP(3),
+ADD COLUMN "lockedUntil" TIMESTAMP(3);
@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "roleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "roles" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "permissions" TEXT[],
+    "isSystem" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "roles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "roles_tenantId_name_key" ON "roles"("tenantId", "name");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_roleId_fkey" FOREIGN KEY ("roleId") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "roles" ADD CONSTRAINT "roles_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed system roles for existing tenants (keep in sync with src/config/permissions.js)
+INSERT INTO "roles" ("id", "name", "description", "permissions", "isSystem", "updatedAt", "tenantId")
+SELECT md5(random()::text || clock_timestamp()::text || t."id" || r."name")::uuid::text, r."name", r."description", r."permissions", true, CURRENT_TIMESTAMP, t."id"
+FROM "tenants" t
+CROSS JOIN (
+    VALUES
+        ('ADMIN', 'Full access to the tenant', ARRAY[
+            'tenant:read', 'tenant:update',
+            'user:read', 'user:create', 'user:update', 'user:update:role', 'user:deactivate', 'user:logout', 'user:unlock', 'user:invite',
+            'project:read', 'project:create', 'project:update', 'project:update:own', 'project:delete',
+            'role:read', 'role:manage'
+        ]),
+        ('USER', 'Create projects and manage own projects', ARRAY['tenant:read', 'project:read', 'project:create', 'project:update:own']),
+        ('VIEWER', 'Read-only access', ARRAY['tenant:read', 'project:read'])
+) AS r("name", "description", "permissions");
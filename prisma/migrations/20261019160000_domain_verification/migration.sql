@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "DomainStatus" AS ENUM ('PENDING', 'VERIFIED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "domainStatus" "DomainStatus",
+ADD COLUMN "domainVerificationToken" TEXT,
+ADD COLUMN "domainVerifiedAt" TIMESTAMP(3),
+ADD COLUMN "domainLastCheckedAt" TIMESTAMP(3);
+
+-- Existing custom domains were never verified
+UPDATE "tenants"
+SET "domainStatus" = 'PENDING',
+    "domainVerificationToken" = md5(random()::text || clock_timestamp()::text || "id")
+WHERE "domain" IS NOT NULL;
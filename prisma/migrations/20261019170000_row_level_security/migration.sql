@@ -0,0 +1,33 @@
+-- Row-level security on tenant-owned tables
+-- Rows are visible only when app.current_tenant matches their tenant, or when
+-- app.bypass_rls is 'on' (seeding and platform jobs). With neither setting no
+-- rows match. FORCE applies the policies to the table owner as well; superusers
+-- and roles with BYPASSRLS are never subject to them.
+
+-- EnableRowLevelSecurity
+ALTER TABLE "users" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "users" FORCE ROW LEVEL SECURITY;
+
+ALTER TABLE "projects" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "projects" FORCE ROW LEVEL SECURITY;
+
+-- CreatePolicy
+CREATE POLICY "tenant_isolation" ON "users"
+    USING (
+        current_setting('app.bypass_rls', TRUE) = 'on'
+        OR "tenantId" = current_setting('app.current_tenant', TRUE)
+    )
+    WITH CHECK (
+        current_setting('app.bypass_rls', TRUE) = 'on'
+        OR "tenantId" = current_setting('app.current_tenant', TRUE)
+    );
+
+CREATE POLICY "tenant_isolation" ON "projects"
+    USING (
+        current_setting('app.bypass_rls', TRUE) = 'on'
+        OR "tenantId" = current_setting('app.current_tenant', TRUE)
+    )
+    WITH CHECK (
+        current_setting('app.bypass_rls', TRUE) = 'on'
+        OR "tenantId" = current_setting('app.current_tenant', TRUE)
+    );
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "ExportStatus" AS ENUM ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "tenant_exports" (
+    "id" TEXT NOT NULL,
+    "status" "ExportStatus" NOT NULL DEFAULT 'PENDING',
+    "fileName" TEXT,
+    "size" INTEGER,
+    "checksum" TEXT,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "tenantId" TEXT NOT NULL,
+    "requestedById" TEXT,
+
+    CONSTRAINT "tenant_exports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "tenant_exports_tenantId_createdAt_idx" ON "tenant_exports"("tenantId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "tenant_exports" ADD CONSTRAINT "tenant_exports_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "tenant_exports" ADD CONSTRAINT "tenant_exports_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Grant the new permission to ADMIN system roles (keep in sync with src/config/permissions.js)
+UPDATE "roles"
+SET "permissions" = array_append("permissions", 'tenant:export')
+WHERE "isSystem" = true AND "name" = 'ADMIN' AND NOT ('tenant:export' = ANY("permissions"));
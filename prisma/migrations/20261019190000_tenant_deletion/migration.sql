@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "deletionRequestedAt" TIMESTAMP(3),
+ADD COLUMN "deletionRequestedBy" TEXT,
+ADD COLUMN "deletionScheduledAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "tenants_deletionScheduledAt_idx" ON "tenants"("deletionScheduledAt");
+
+-- CreateTable
+CREATE TABLE "tenant_tombstones" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "subdomain" TEXT NOT NULL,
+    "deletionRequestedAt" TIMESTAMP(3),
+    "deletionRequestedBy" TEXT,
+    "removedCounts" JSONB NOT NULL,
+    "purgedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tenant_tombstones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tenant_tombstones_tenantId_key" ON "tenant_tombstones"("tenantId");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "erasedAt" TIMESTAMP(3);
+
+-- Grant the new permission to ADMIN system roles (keep in sync with src/config/permissions.js)
+UPDATE "roles"
+SET "permissions" = array_append("permissions", 'user:privacy')
+WHERE "isSystem" = true AND "name" = 'ADMIN' AND NOT ('user:privacy' = ANY("permissions"));
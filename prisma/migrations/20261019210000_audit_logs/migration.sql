@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "AuditActorType" AS ENUM ('USER', 'PLATFORM_ADMIN', 'ANONYMOUS');
+
+-- CreateTable
+CREATE TABLE "audit_logs" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT,
+    "actorType" "AuditActorType" NOT NULL,
+    "actorId" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "metadata" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_tenantId_createdAt_idx" ON "audit_logs"("tenantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_tenantId_actorId_idx" ON "audit_logs"("tenantId", "actorId");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_tenantId_entityType_entityId_idx" ON "audit_logs"("tenantId", "entityType", "entityId");
+
+-- AddForeignKey
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Grant the new permission to ADMIN system roles (keep in sync with src/config/permissions.js)
+UPDATE "roles"
+SET "permissions" = array_append("permissions", 'audit:read')
+WHERE "isSystem" = true AND "name" = 'ADMIN' AND NOT ('audit:read' = ANY("permissions"));
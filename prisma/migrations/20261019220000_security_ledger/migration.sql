@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "security_events" (
+    "id" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "actorType" "AuditActorType" NOT NULL,
+    "actorId" TEXT,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT,
+    "payload" JSONB NOT NULL,
+    "previousHash" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "security_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "security_events_tenantId_sequence_key" ON "security_events"("tenantId", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "security_events" ADD CONSTRAINT "security_events_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Append-only ledger
+-- Entries can never be updated. They can only be deleted when app.bypass_rls is
+-- 'on', which is how the tenant purge job removes a tenant and its ledger.
+CREATE FUNCTION "security_events_append_only"() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND current_setting('app.bypass_rls', TRUE) = 'on' THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'security_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "security_events_append_only"
+    BEFORE UPDATE OR DELETE ON "security_events"
+    FOR EACH ROW EXECUTE FUNCTION "security_events_append_only"();
@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "sso_connections" (
+    "id" TEXT NOT NULL,
+    "issuer" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "clientSecret" TEXT NOT NULL,
+    "allowedDomains" TEXT[],
+    "defaultRole" "UserRole" NOT NULL DEFAULT 'USER',
+    "isEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "sso_connections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "sso_login_requests" (
+    "id" TEXT NOT NULL,
+    "stateHash" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "sso_login_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sso_connections_tenantId_key" ON "sso_connections"("tenantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sso_login_requests_stateHash_key" ON "sso_login_requests"("stateHash");
+
+-- CreateIndex
+CREATE INDEX "sso_login_requests_tenantId_expiresAt_idx" ON "sso_login_requests"("tenantId", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "sso_connections" ADD CONSTRAINT "sso_connections_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sso_login_requests" ADD CONSTRAINT "sso_login_requests_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "externalId" TEXT;
+
+-- Grant the new permission to ADMIN system roles (keep in sync with src/config/permissions.js)
+UPDATE "roles"
+SET "permissions" = array_append("permissions", 'scim:provision')
+WHERE "isSystem" = true AND "name" = 'ADMIN' AND NOT ('scim:provision' = ANY("permissions"));
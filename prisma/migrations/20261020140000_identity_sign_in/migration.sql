@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "identities" ADD COLUMN "userId" TEXT;
+
+-- Linked identities sign in with their oldest account
+UPDATE "identities" SET "userId" = (
+    SELECT "userId" FROM "tenant_memberships"
+    WHERE "tenant_memberships"."identityId" = "identities"."id"
+    ORDER BY "tenant_memberships"."createdAt" ASC
+    LIMIT 1
+);
+
+DELETE FROM "identities" WHERE "userId" IS NULL;
+
+ALTER TABLE "identities" ALTER COLUMN "userId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "identities_userId_key" ON "identities"("userId");
+
+-- AddForeignKey
+ALTER TABLE "identities" ADD CONSTRAINT "identities_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- DropIndex
+DROP INDEX "tenants_domain_key";
+
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "verifiedDomain" TEXT;
+
+-- Only verified domains belong to a tenant; pending claims may now share a domain
+UPDATE "tenants" SET "verifiedDomain" = "domain" WHERE "domainStatus" = 'VERIFIED';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tenants_verifiedDomain_key" ON "tenants"("verifiedDomain");
+
+-- CreateIndex
+CREATE INDEX "tenants_domain_idx" ON "tenants"("domain");
@@ -1,5 +1,99 @@
 import { PrismaClient } from "@prisma/client"
 
+/**
+ * Models that carry a tenantId column and are isolated per tenant
+ */
+export const TENANT_MODELS = [
+  "User",
+  "Project",
+  "Session",
+  "PasswordResetToken",
+  "Invitation",
+  "Role",
+  "TenantExport",
+  "AuditLog",
+  "SecurityEvent",
+  "WebhookEndpoint",
+  "WebhookDelivery",
+  "ApiKey",
+  "SsoConnection",
+  "SsoLoginRequest",
+  "ProjectMember",
+]
+
+/**
+ * Error thrown when a tenant-scoped query tries to reach another tenant
+ */
+export class TenantScopeError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "TenantScopeError"
+    this.code = "TENANT_SCOPE_VIOLATION"
+    this.statusCode = 403
+  }
+}
+
+/**
+ * Add the tenant filter to a where clause
+ */
+const scopeWhere = (model, where = {}, tenantId) => {
+  if (where.tenantId !== undefined && where.tenantId !== tenantId) {
+    throw new TenantScopeError(`${model} query targets another tenant`)
+  }
+  return { ...where, tenantId }
+}
+
+/**
+ * Stamp the tenant on data being created
+ */
+const scopeCreateData = (model, data = {}, tenantId) => {
+  if (data.tenant !== undefined || (data.tenantId !== undefined && data.tenantId !== tenantId)) {
+    throw new TenantScopeError(`${model} cannot be created in another tenant`)
+  }
+  return { ...data, tenantId }
+}
+
+/**
+ * Reject updates that would move a row to another tenant
+ */
+const checkUpdateData = (model, data = {}, tenantId) => {
+  if (data.tenant !== undefined || (data.tenantId !== undefined && data.tenantId !== tenantId)) {
+    throw new TenantScopeError(`${model} cannot be moved to another tenant`)
+  }
+  return data
+}
+
+/**
+ * Rewrite query arguments so they stay inside a tenant
+ */
+const scopeArgs = (model, operation, args, tenantId) => {
+  const scoped = { ...args }
+
+  switch (operation) {
+    case "create":
+      scoped.data = scopeCreateData(model, args.data, tenantId)
+      break
+    case "createMany":
+    case "createManyAndReturn":
+      scoped.data = [].concat(args.data).map((data) => scopeCreateData(model, data, tenantId))
+      break
+    case "update":
+    case "updateMany":
+      scoped.where = scopeWhere(model, args.where, tenantId)
+      scoped.data = checkUpdateData(model, args.data, tenantId)
+      break
+    case "upsert":
+      scoped.where = scopeWhere(model, args.where, tenantId)
+      scoped.create = scopeCreateData(model, args.create, tenantId)
+      scoped.update = checkUpdateData(model, args.update, tenantId)
+      break
+    default:
+      scoped.where = scopeWhere(model, args.where, tenantId)
+  }
+
+  return scoped
+}
+
 /**
  * Database configuration and Prisma client setup
  * Implements connection pooling and error handling
@@ -44,6 +138,89 @@ class Database {
     return this.prisma
   }
 
+  /**
+   * Get a Prisma client scoped to a tenant
+   * Injects tenantId into every read, write, update and delete on tenant-owned
+   * models and throws TenantScopeError when a query tries to escape the scope.
+   * Each operation, raw queries included, also runs in a transaction with
+   * app.current_tenant set so the row-level security policies apply.
+   * Nested writes are not rewritten; use withTenant() for interactive transactions.
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Extended Prisma client
+   */
+  forTenant(tenantId) {
+    if (!tenantId) {
+      throw new TenantScopeError("Tenant ID is required for a tenant-scoped client")
+    }
+
+    const database = this
+    const client = this.prisma
+
+    return client.$extends({
+      name: "tenantScope",
+      query: {
+        async $allOperations({ model, operation, args, query }) {
+          const scoped = model && TENANT_MODELS.includes(model) ? scopeArgs(model, operation, args, tenantId) : args
+
+          const [, result] = await client.$transaction([database.setTenantContext(client, tenantId), query(scoped)])
+          return result
+        },
+      },
+    })
+  }
+
+  /**
+   * Set the tenant read by the row-level security policies
+   * The setting is transaction-local, so the client must be a transaction
+   * @param {Object} client - Prisma transaction client
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise} Raw query
+   */
+  setTenantContext(client, tenantId) {
+    return client.$executeRaw`SELECT set_config('app.current_tenant', ${tenantId}, TRUE)`
+  }
+
+  /**
+   * Let a transaction see and write rows of every tenant
+   * @param {Object} client - Prisma transaction client
+   * @returns {Promise} Raw query
+   */
+  setBypassContext(client) {
+    return client.$executeRaw`SELECT set_config('app.bypass_rls', 'on', TRUE)`
+  }
+
+  /**
+   * Run an interactive transaction with the row-level security context of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Function} callback - Receives the transaction client
+   * @param {Object} options - Prisma transaction options
+   * @returns {*} Callback result
+   */
+  async withTenant(tenantId, callback, options) {
+    if (!tenantId) {
+      throw new TenantScopeError("Tenant ID is required for a tenant-scoped transaction")
+    }
+
+    return this.prisma.$transaction(async (tx) => {
+      await this.setTenantContext(tx, tenantId)
+      return callback(tx)
+    }, options)
+  }
+
+  /**
+   * Run an interactive transaction that bypasses row-level security
+   * Reserved for seeding and platform-level jobs that work across tenants
+   * @param {Function} callback - Receives the transaction client
+   * @param {Object} options - Prisma transaction options
+   * @returns {*} Callback result
+   */
+  async withBypass(callback, options) {
+    return this.prisma.$transaction(async (tx) => {
+      await this.setBypassContext(tx)
+      return callback(tx)
+    }, options)
+  }
+
   /**
    * Health check for database
    */
@@ -0,0 +1,53 @@
+/**
+ * Permission catalog
+ * Every permission that can be granted to a role, with a short description
+ */
+export const PERMISSIONS = {
+  "tenant:read": "View tenant details",
+  "tenant:update": "Update tenant settings",
+  "tenant:export": "Export tenant data",
+
+  "user:read": "View other users in the tenant",
+  "user:create": "Create users",
+  "user:update": "Update other users' profiles",
+  "user:update:role": "Change user roles",
+  "user:deactivate": "Deactivate and reactivate users",
+  "user:logout": "Force logout of other users",
+  "user:unlock": "Unlock locked-out users",
+  "user:invite": "Invite users and manage pending invitations",
+  "user:privacy": "Export and erase other users' personal data",
+
+  "project:read": "View projects",
+  "project:create": "Create projects",
+  "project:update": "Update any project",
+  "project:update:own": "Update projects you own or edit",
+  "project:delete": "Delete projects",
+
+  "role:read": "View roles and permissions",
+  "role:manage": "Create, update and delete custom roles",
+
+  "audit:read": "View the tenant audit log",
+
+  "webhook:manage": "Manage webhook endpoints and their deliveries",
+
+  "apikey:manage": "Create and revoke tenant API keys",
+  "scim:provision": "Provision users and role groups through SCIM",
+}
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS)
+
+/**
+ * Default permission sets for the built-in roles
+ * Seeded as system roles for every tenant
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: ALL_PERMISSIONS,
+  USER: ["tenant:read", "project:read", "project:create", "project:update:own"],
+  VIEWER: ["tenant:read", "project:read"],
+}
+
+export const SYSTEM_ROLE_DESCRIPTIONS = {
+  ADMIN: "Full access to the tenant",
+  USER: "Create projects and manage own projects",
+  VIEWER: "Read-only access",
+}
@@ -1,75 +1,184 @@
 import jwt from "jsonwebtoken"
-import { prisma } from "../config/database.js"
+import database from "../config/database.js"
+import sessionService from "../services/sessionService.js"
+import roleService from "../services/roleService.js"
+import apiKeyService from "../services/apiKeyService.js"
+
+const API_KEY_ERRORS = {
+  API_KEY_INVALID: { status: 401, error: "Invalid API key" },
+  API_KEY_REVOKED: { status: 401, error: "API key has been revoked" },
+  API_KEY_EXPIRED: { status: 401, error: "API key expired" },
+  API_KEY_OWNER_INACTIVE: { status: 401, error: "API key owner not found or inactive" },
+}
 
 /**
- * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Authenticate a request with a tenant API key
+ * The key acts for the user who created it, limited to its scopes
  */
-export const authenticateToken = async (req, res, next) => {
+const authenticateApiKey = async (req, res, next, key) => {
+  let resolved
   try {
-    const authHeader = req.headers["authorization"]
-    const token = authHeader && authHeader.split(" ")[1] // Bearer TOKEN
-
-    if (!token) {
-      return res.status(401).json({
-        error: "Access token required",
-        code: "TOKEN_MISSING",
-      })
+    resolved = await apiKeyService.authenticate(key)
+  } catch (error) {
+    const mapped = API_KEY_ERRORS[error.message]
+    if (mapped) {
+      return res.status(mapped.status).json({ error: mapped.error, code: error.message })
     }
+    throw error
+  }
+
+  const { apiKey, user } = resolved
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-
-    // Verify user still exists and is active
-    const user = await prisma.user.findFirst({
-      where: {
-        id: decoded.userId,
-        isActive: true,
-      },
-      include: {
-        tenant: true,
-      },
+  if (req.hostTenant && req.hostTenant.id !== apiKey.tenantId) {
+    return res.status(403).json({
+      error: "API key does not belong to this tenant",
+      code: "TENANT_MISMATCH",
     })
+  }
 
-    if (!user) {
-      return res.status(401).json({
-        error: "Invalid token - user not found or inactive",
-        code: "USER_NOT_FOUND",
-      })
-    }
+  if (!user.tenant.isActive) {
+    return res.status(403).json({
+      error: "Tenant is inactive",
+      code: "TENANT_INACTIVE",
+    })
+  }
 
-    if (!user.tenant.isActive) {
-      return res.status(403).json({
-        error: "Tenant is inactive",
-        code: "TENANT_INACTIVE",
-      })
-    }
+  req.user = user
+  req.tenantId = user.tenantId
+  req.apiKey = apiKey
+  next()
+}
 
-    req.user = user
-    req.tenantId = user.tenantId
-    next()
-  } catch (error) {
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({
-        error: "Invalid token",
-        code: "TOKEN_INVALID",
+/**
+ * Build authentication middleware
+ * Verifies JWT token and its session, or an API key, and attaches user to request
+ * @param {Object} options - ({ allowPendingTwoFactor, allowApiKey })
+ *   allowPendingTwoFactor lets sessions that have not passed the second factor
+ *   through, for 2FA enrollment routes; allowApiKey accepts "ApiKey <key>" headers
+ */
+const authenticate = ({ allowPendingTwoFactor = false, allowApiKey = true } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers["authorization"]
+      const [scheme, token] = authHeader ? authHeader.split(" ") : [] // Bearer TOKEN or ApiKey KEY
+
+      if (scheme === "ApiKey" && token) {
+        if (!allowApiKey) {
+          return res.status(403).json({
+            error: "API keys cannot be used for this action",
+            code: "API_KEY_NOT_ALLOWED",
+          })
+        }
+        return await authenticateApiKey(req, res, next, token)
+      }
+
+      if (!token) {
+        return res.status(401).json({
+          error: "Access token required",
+          code: "TOKEN_MISSING",
+        })
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+      // Tokens are only valid on the host of their own tenant
+      if (req.hostTenant && req.hostTenant.id !== decoded.tenantId) {
+        return res.status(403).json({
+          error: "Token does not belong to this tenant",
+          code: "TENANT_MISMATCH",
+        })
+      }
+
+      // Verify the session behind the token has not been revoked
+      const session = decoded.sid ? await sessionService.findActive(decoded.sid) : null
+
+      if (!session || session.userId !== decoded.userId) {
+        return res.status(401).json({
+          error: "Session has been revoked",
+          code: "SESSION_REVOKED",
+        })
+      }
+
+      // Verify user still exists and is active
+      const user = await database.forTenant(session.tenantId).user.findFirst({
+        where: {
+          id: decoded.userId,
+          isActive: true,
+        },
+        include: {
+          tenant: true,
+        },
       })
-    }
 
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
-        error: "Token expired",
-        code: "TOKEN_EXPIRED",
+      if (!user) {
+        return res.status(401).json({
+          error: "Invalid token - user not found or inactive",
+          code: "USER_NOT_FOUND",
+        })
+      }
+
+      if (!user.tenant.isActive) {
+        return res.status(403).json({
+          error: "Tenant is inactive",
+          code: "TENANT_INACTIVE",
+        })
+      }
+
+      // Block full access until the second factor is satisfied
+      const twoFactorRequired = user.twoFactorEnabled || user.tenant.requireTwoFactor
+      if (twoFactorRequired && !session.twoFactorVerified && !allowPendingTwoFactor) {
+        return res.status(403).json({
+          error: user.twoFactorEnabled ? "Two-factor verification required" : "Two-factor enrollment required",
+          code: user.twoFactorEnabled ? "TWO_FACTOR_REQUIRED" : "TWO_FACTOR_SETUP_REQUIRED",
+        })
+      }
+
+      req.user = user
+      req.tenantId = user.tenantId
+      req.session = session
+      next()
+    } catch (error) {
+      if (error.name === "JsonWebTokenError") {
+        return res.status(401).json({
+          error: "Invalid token",
+          code: "TOKEN_INVALID",
+        })
+      }
+
+      if (error.name === "TokenExpiredError") {
+        return res.status(401).json({
+          error: "Token expired",
+          code: "TOKEN_EXPIRED",
+        })
+      }
+
+      console.error("Auth middleware error:", error)
+      res.status(500).json({
+        error: "Authentication failed",
+        code: "AUTH_ERROR",
       })
     }
-
-    console.error("Auth middleware error:", error)
-    res.status(500).json({
-      error: "Authentication failed",
-      code: "AUTH_ERROR",
-    })
   }
 }
 
+/**
+ * Authentication middleware
+ * Requires a fully authenticated session
+ */
+export const authenticateToken = authenticate()
+
+/**
+ * Authentication middleware for 2FA enrollment and logout
+ * Also accepts sessions still waiting for the second factor
+ */
+export const authenticateAllowingPendingTwoFactor = authenticate({ allowPendingTwoFactor: true, allowApiKey: false })
+
+/**
+ * Authentication middleware for actions that need a user session
+ * Rejects API keys, e.g. for changing the user's own second factor
+ */
+export const authenticateSession = authenticate({ allowApiKey: false })
+
 /**
  * Role-based authorization middleware
  */
@@ -97,6 +206,42 @@ export const requireRole = (roles) => {
   }
 }
 
+/**
+ * Permission-based authorization middleware
+ * Requires every listed permission from the permission catalog
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: "Authentication required",
+        code: "AUTH_REQUIRED",
+      })
+    }
+
+    try {
+      const granted = await roleService.getRequestPermissions(req)
+      const missing = permissions.filter((permission) => !granted.has(permission))
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: "Insufficient permissions",
+          code: "INSUFFICIENT_PERMISSIONS",
+          required: missing,
+        })
+      }
+
+      next()
+    } catch (error) {
+      console.error("Permission check error:", error)
+      res.status(500).json({
+        error: "Authorization failed",
+        code: "AUTH_ERROR",
+      })
+    }
+  }
+}
+
 /**
  * Admin only middleware
  */
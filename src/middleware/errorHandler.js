@@ -28,6 +28,14 @@ export const errorHandler = (error, req, res, next) => {
     })
   }
 
+  // Tenant scope violations
+  if (error.name === "TenantScopeError") {
+    return res.status(403).json({
+      error: "Access to another tenant's data is not allowed",
+      code: error.code,
+    })
+  }
+
   // JWT errors
   if (error.name === "JsonWebTokenError") {
     return res.status(401).json({
@@ -0,0 +1,60 @@
+import { prisma } from "../config/database.js"
+import platformService from "../services/platformService.js"
+
+/**
+ * Platform authentication middleware
+ * Verifies a platform operator token and attaches the operator to request
+ */
+export const authenticatePlatformAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers["authorization"]
+    const token = authHeader && authHeader.split(" ")[1] // Bearer TOKEN
+
+    if (!token) {
+      return res.status(401).json({
+        error: "Access token required",
+        code: "TOKEN_MISSING",
+      })
+    }
+
+    const decoded = platformService.verifyToken(token)
+
+    const admin = await prisma.platformAdmin.findFirst({
+      where: {
+        id: decoded.platformAdminId,
+        isActive: true,
+      },
+    })
+
+    if (!admin) {
+      return res.status(403).json({
+        error: "Platform operator access required",
+        code: "PLATFORM_ADMIN_REQUIRED",
+      })
+    }
+
+    req.platformAdmin = platformService.sanitizeAdmin(admin)
+    next()
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({
+        error: "Token expired",
+        code: "TOKEN_EXPIRED",
+      })
+    }
+
+    // Tenant user tokens fail the audience check
+    if (error.name === "JsonWebTokenError") {
+      return res.status(403).json({
+        error: "Platform operator access required",
+        code: "PLATFORM_ADMIN_REQUIRED",
+      })
+    }
+
+    console.error("Platform auth middleware error:", error)
+    res.status(500).json({
+      error: "Authentication failed",
+      code: "AUTH_ERROR",
+    })
+  }
+}
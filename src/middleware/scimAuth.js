@@ -0,0 +1,80 @@
+import database from "../config/database.js"
+import apiKeyService from "../services/apiKeyService.js"
+import roleService from "../services/roleService.js"
+import { SCIM_SCHEMAS } from "../services/scimService.js"
+
+const API_KEY_ERRORS = {
+  API_KEY_INVALID: "Invalid API key",
+  API_KEY_REVOKED: "API key has been revoked",
+  API_KEY_EXPIRED: "API key expired",
+  API_KEY_OWNER_INACTIVE: "API key owner not found or inactive",
+}
+
+/**
+ * Send a SCIM error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} detail - Error detail
+ * @param {string} [scimType] - SCIM error type
+ */
+export const sendScimError = (res, status, detail, scimType) => {
+  res
+    .status(status)
+    .type("application/scim+json")
+    .json({
+      schemas: [SCIM_SCHEMAS.ERROR],
+      status: String(status),
+      ...(scimType && { scimType }),
+      detail,
+    })
+}
+
+/**
+ * SCIM authentication middleware
+ * Identity providers present a tenant API key with the scim:provision scope
+ * as a bearer token; errors use the SCIM error format
+ */
+export const authenticateScim = async (req, res, next) => {
+  try {
+    const authHeader = req.headers["authorization"]
+    const [scheme, key] = authHeader ? authHeader.split(" ") : [] // Bearer KEY
+
+    if (!["Bearer", "ApiKey"].includes(scheme) || !key) {
+      return sendScimError(res, 401, "API key required")
+    }
+
+    let resolved
+    try {
+      resolved = await apiKeyService.authenticate(key)
+    } catch (error) {
+      if (API_KEY_ERRORS[error.message]) {
+        return sendScimError(res, 401, API_KEY_ERRORS[error.message])
+      }
+      throw error
+    }
+
+    const { apiKey, user } = resolved
+
+    if (req.hostTenant && req.hostTenant.id !== apiKey.tenantId) {
+      return sendScimError(res, 403, "API key does not belong to this tenant")
+    }
+
+    if (!user.tenant.isActive) {
+      return sendScimError(res, 403, "Tenant is inactive")
+    }
+
+    req.user = user
+    req.tenantId = user.tenantId
+    req.apiKey = apiKey
+    req.db = database.forTenant(req.tenantId)
+
+    if (!(await roleService.can(req, "scim:provision"))) {
+      return sendScimError(res, 403, "API key lacks the scim:provision scope")
+    }
+
+    next()
+  } catch (error) {
+    console.error("SCIM auth middleware error:", error)
+    sendScimError(res, 500, "Authentication failed")
+  }
+}
@@ -1,5 +1,35 @@
-import { prisma } from "../config/database.js"
+import database, { prisma } from "../config/database.js"
 import { authenticateToken } from "./auth.js"
+import domainService from "../services/domainService.js"
+
+/**
+ * Host resolution middleware
+ * Identifies the tenant from the request Host (tenant subdomain of
+ * APP_BASE_DOMAIN or custom domain) and attaches it as req.hostTenant
+ */
+export const resolveTenantFromHost = async (req, res, next) => {
+  try {
+    const parsed = domainService.parseHost(req.hostname)
+    const tenant = parsed ? await domainService.resolveTenant(req.hostname) : null
+
+    // An unknown tenant subdomain is an error; unknown custom hosts are not tenant-specific
+    if (parsed?.subdomain && !tenant) {
+      return res.status(404).json({
+        error: "Tenant not found",
+        code: "TENANT_NOT_FOUND",
+      })
+    }
+
+    req.hostTenant = tenant
+    next()
+  } catch (error) {
+    console.error("Host resolution error:", error)
+    res.status(500).json({
+      error: "Tenant resolution failed",
+      code: "TENANT_RESOLUTION_ERROR",
+    })
+  }
+}
 
 /**
  * Tenant middleware
@@ -8,19 +38,10 @@ import { authenticateToken } from "./auth.js"
 export const tenantMiddleware = async (req, res, next) => {
   // First authenticate the user
   await authenticateToken(req, res, () => {
-    // Add tenant context to all database queries
     req.tenantId = req.user.tenantId
 
-    // Add helper function to scope queries to tenant
-    req.scopeToTenant = (query) => {
-      return {
-        ...query,
-        where: {
-          ...query.where,
-          tenantId: req.tenantId,
-        },
-      }
-    }
+    // Tenant-scoped Prisma client: every query on tenant-owned models is filtered by tenantId
+    req.db = database.forTenant(req.tenantId)
 
     next()
   })
@@ -0,0 +1,139 @@
+import express from "express"
+import Joi from "joi"
+import { requirePermission } from "../middleware/auth.js"
+import { ALL_PERMISSIONS } from "../config/permissions.js"
+import apiKeyService from "../services/apiKeyService.js"
+import roleService from "../services/roleService.js"
+import auditService from "../services/auditService.js"
+
+const router = express.Router()
+
+// Validation schemas
+const createApiKeySchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...ALL_PERMISSIONS))
+    .min(1)
+    .unique()
+    .required(),
+  expiresAt: Joi.date().greater("now").optional(),
+})
+
+/**
+ * @route GET /api/api-keys
+ * @desc Get API keys of the tenant, revoked ones included
+ * @access Private (apikey:manage)
+ */
+router.get("/", requirePermission("apikey:manage"), async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.list(req.tenantId)
+
+    res.json({ apiKeys })
+  } catch (error) {
+    console.error("Get API keys error:", error)
+    res.status(500).json({
+      error: "Failed to fetch API keys",
+      code: "FETCH_API_KEYS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/api-keys
+ * @desc Create an API key; the key itself is only returned here
+ * @access Private (apikey:manage)
+ */
+router.post("/", requirePermission("apikey:manage"), async (req, res) => {
+  try {
+    // Keys cannot mint other keys, so a leaked key cannot keep itself alive
+    if (req.apiKey) {
+      return res.status(403).json({
+        error: "API keys cannot be used for this action",
+        code: "API_KEY_NOT_ALLOWED",
+      })
+    }
+
+    const { error, value } = createApiKeySchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const granted = await roleService.getRequestPermissions(req)
+    const { apiKey, key } = await apiKeyService.create(req.user, value, granted)
+
+    await auditService.log(req, {
+      action: "api_key.created",
+      entityType: "ApiKey",
+      entityId: apiKey.id,
+      after: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+    })
+
+    res.status(201).json({
+      message: "API key created successfully",
+      apiKey,
+      key,
+    })
+  } catch (error) {
+    if (error.message === "SCOPE_NOT_GRANTED") {
+      return res.status(403).json({
+        error: "You cannot grant scopes you do not hold",
+        code: "SCOPE_NOT_GRANTED",
+        scopes: error.scopes,
+      })
+    }
+
+    console.error("Create API key error:", error)
+    res.status(500).json({
+      error: "Failed to create API key",
+      code: "CREATE_API_KEY_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/api-keys/:id
+ * @desc Revoke an API key; it stops working immediately
+ * @access Private (apikey:manage)
+ */
+router.delete("/:id", requirePermission("apikey:manage"), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.tenantId, req.params.id)
+
+    await auditService.log(req, {
+      action: "api_key.revoked",
+      entityType: "ApiKey",
+      entityId: apiKey.id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix },
+    })
+
+    res.json({
+      message: "API key revoked successfully",
+      apiKey,
+    })
+  } catch (error) {
+    if (error.message === "API_KEY_NOT_FOUND") {
+      return res.status(404).json({
+        error: "API key not found",
+        code: "API_KEY_NOT_FOUND",
+      })
+    }
+
+    if (error.message === "API_KEY_REVOKED") {
+      return res.status(409).json({
+        error: "API key is already revoked",
+        code: "API_KEY_REVOKED",
+      })
+    }
+
+    console.error("Revoke API key error:", error)
+    res.status(500).json({
+      error: "Failed to revoke API key",
+      code: "REVOKE_API_KEY_ERROR",
+    })
+  }
+})
+
+export default router
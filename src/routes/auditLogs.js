@@ -0,0 +1,55 @@
+import express from "express"
+import Joi from "joi"
+import { requirePermission } from "../middleware/auth.js"
+import auditService from "../services/auditService.js"
+
+const router = express.Router()
+
+// Validation schemas
+const listAuditLogsSchema = Joi.object({
+  actorId: Joi.string().optional(),
+  entityType: Joi.string()
+    .valid("User", "Project", "Tenant", "ApiKey", "Role", "Invitation", "WebhookEndpoint", "WebhookDelivery")
+    .optional(),
+  entityId: Joi.string().optional(),
+  action: Joi.string().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  cursor: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+})
+
+/**
+ * @route GET /api/audit-logs
+ * @desc Get audit log entries of the tenant, newest first, with cursor pagination
+ * @access Private (audit:read)
+ */
+router.get("/", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const { error, value } = listAuditLogsSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const { entries, nextCursor } = await auditService.list(req.tenantId, value)
+
+    res.json({
+      auditLogs: entries,
+      pagination: {
+        limit: value.limit,
+        nextCursor,
+      },
+    })
+  } catch (error) {
+    console.error("Get audit logs error:", error)
+    res.status(500).json({
+      error: "Failed to fetch audit logs",
+      code: "FETCH_AUDIT_LOGS_ERROR",
+    })
+  }
+})
+
+export default router
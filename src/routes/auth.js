@@ -1,12 +1,94 @@
 import express from "express"
 import bcrypt from "bcryptjs"
-import jwt from "jsonwebtoken"
 import Joi from "joi"
-import { prisma } from "../config/database.js"
-import { authenticateToken } from "../middleware/auth.js"
+import database, { prisma } from "../config/database.js"
+import { authenticateAllowingPendingTwoFactor, authenticateSession, authenticateToken } from "../middleware/auth.js"
+import authService from "../services/authService.js"
+import lockoutService from "../services/lockoutService.js"
+import roleService from "../services/roleService.js"
+import sessionService from "../services/sessionService.js"
+import twoFactorService from "../services/twoFactorService.js"
+import ssoService from "../services/ssoService.js"
+import identityService from "../services/identityService.js"
+import auditService from "../services/auditService.js"
+import { getClientInfo, getCookie } from "../utils/request.js"
 
 const router = express.Router()
 
+const twoFactorErrors = {
+  INVALID_CHALLENGE: { status: 401, error: "Invalid or expired challenge token" },
+  INVALID_TWO_FACTOR_CODE: { status: 401, error: "Invalid two-factor code" },
+  TWO_FACTOR_ALREADY_ENABLED: { status: 409, error: "Two-factor authentication is already enabled" },
+  TWO_FACTOR_NOT_SETUP: { status: 400, error: "Two-factor setup has not been started" },
+  TWO_FACTOR_NOT_ENABLED: { status: 400, error: "Two-factor authentication is not enabled" },
+  TWO_FACTOR_ENFORCED: { status: 403, error: "Two-factor authentication is required by your organization" },
+}
+
+const ssoErrors = {
+  TENANT_INACTIVE: { status: 403, error: "Tenant is inactive" },
+  TENANT_MISMATCH: { status: 400, error: "SSO login does not belong to this tenant" },
+  SSO_NOT_CONFIGURED: { status: 404, error: "Single sign-on is not configured for this tenant" },
+  SSO_DISCOVERY_FAILED: { status: 502, error: "Identity provider could not be reached" },
+  SSO_ISSUER_FORBIDDEN: { status: 502, error: "Identity provider address is not allowed" },
+  SSO_INVALID_STATE: { status: 400, error: "Invalid or expired SSO login" },
+  SSO_TOKEN_EXCHANGE_FAILED: { status: 502, error: "Identity provider rejected the authorization code" },
+  SSO_INVALID_ID_TOKEN: { status: 401, error: "Invalid ID token" },
+  SSO_EMAIL_NOT_VERIFIED: { status: 403, error: "Identity provider did not return a verified email" },
+  SSO_DOMAIN_NOT_ALLOWED: { status: 403, error: "Email domain is not allowed for this tenant" },
+  SSO_USER_INACTIVE: { status: 403, error: "User account is inactive" },
+}
+
+// The cookie that ties an SSO login to the browser that started it
+const SSO_STATE_COOKIE = "sso_state"
+const ssoStateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/api/auth/sso",
+}
+
+const identityErrors = {
+  TENANT_INACTIVE: { status: 403, error: "Tenant is inactive" },
+  INVALID_INVITATION: { status: 400, error: "Invitation is invalid or has expired" },
+  INVITATION_EMAIL_MISMATCH: { status: 403, error: "Invitation was sent to another email" },
+  MEMBERSHIP_SAME_TENANT: { status: 400, error: "Invitation is for the current tenant" },
+  MEMBERSHIP_CONFLICT: { status: 409, error: "You already have an account in this tenant" },
+  MEMBERSHIP_NOT_FOUND: { status: 404, error: "You have no linked account in this tenant" },
+  MEMBERSHIP_SIGN_IN_ACCOUNT: { status: 409, error: "The account you sign in with cannot be unlinked" },
+}
+
+/**
+ * Send the response for a known two-factor error
+ * @returns {boolean} Whether the error was handled
+ */
+const handleTwoFactorError = (error, res) => {
+  const known = twoFactorErrors[error.message]
+  if (!known) {
+    return false
+  }
+
+  res.status(known.status).json({
+    error: known.error,
+    code: error.message,
+  })
+  return true
+}
+
+/**
+ * Audit a change to the credentials of the account the user signs in with
+ * The entry goes to the tenant of that account, which may not be the current one
+ */
+const auditSignInAccount = (req, account, action) =>
+  auditService.record({
+    tenantId: account.tenantId,
+    actorType: "USER",
+    actorId: account.id,
+    ...getClientInfo(req),
+    action,
+    entityType: "User",
+    entityId: account.id,
+  })
+
 // Validation schemas
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
@@ -23,9 +105,83 @@ const registerSchema = Joi.object({
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required(),
-  subdomain: Joi.string().required(),
+  subdomain: Joi.string().optional(),
+})
+
+const ssoAuthorizeSchema = Joi.object({
+  subdomain: Joi.string().optional(),
+})
+
+const ssoCallbackSchema = Joi.object({
+  code: Joi.string().required(),
+  state: Joi.string().required(),
+})
+
+const joinTenantSchema = Joi.object({
+  token: Joi.string().required(),
+})
+
+const switchTenantSchema = Joi.object({
+  tenantId: Joi.string().required(),
+})
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+})
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().optional(),
+  recoveryCode: Joi.string().optional(),
+}).xor("code", "recoveryCode")
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().required(),
+})
+
+const twoFactorDisableSchema = Joi.object({
+  code: Joi.string().optional(),
+  recoveryCode: Joi.string().optional(),
+}).xor("code", "recoveryCode")
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+  subdomain: Joi.string().optional(),
+})
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8).required(),
+  subdomain: Joi.string().optional(),
 })
 
+/**
+ * Work out the tenant subdomain of a public auth request
+ * Falls back to the tenant identified by the Host header
+ * @returns {string|null} Subdomain, or null after sending an error response
+ */
+const resolveSubdomain = (req, res, subdomain) => {
+  const hostSubdomain = req.hostTenant?.subdomain
+
+  if (subdomain && hostSubdomain && subdomain.toLowerCase() !== hostSubdomain) {
+    res.status(400).json({
+      error: "Subdomain does not match the requested host",
+      code: "TENANT_MISMATCH",
+    })
+    return null
+  }
+
+  if (!subdomain && !hostSubdomain) {
+    res.status(400).json({
+      error: "Validation failed",
+      details: [{ field: "subdomain", message: '"subdomain" is required' }],
+    })
+    return null
+  }
+
+  return subdomain || hostSubdomain
+}
+
 /**
  * @route POST /api/auth/register
  * @desc Register new user and create tenant
@@ -68,6 +224,12 @@ router.post("/register", async (req, res) => {
         },
       })
 
+      // Seed built-in roles
+      await roleService.createDefaultRoles(tx, tenant.id)
+
+      // Row-level security only admits users of the tenant set on the transaction
+      await database.setTenantContext(tx, tenant.id)
+
       // Create admin user
       const user = await tx.user.create({
         data: {
@@ -86,16 +248,8 @@ router.post("/register", async (req, res) => {
       return { tenant, user }
     })
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: result.user.id,
-        tenantId: result.tenant.id,
-        role: result.user.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
-    )
+    // Start session
+    const { token, refreshToken } = await authService.issueTokens(result.user, getClientInfo(req))
 
     res.status(201).json({
       message: "Registration successful",
@@ -112,6 +266,7 @@ router.post("/register", async (req, res) => {
         subdomain: result.tenant.subdomain,
       },
       token,
+      refreshToken,
     })
   } catch (error) {
     console.error("Registration error:", error)
@@ -137,7 +292,12 @@ router.post("/login", async (req, res) => {
       })
     }
 
-    const { email, password, subdomain } = value
+    const { email, password } = value
+
+    const subdomain = resolveSubdomain(req, res, value.subdomain)
+    if (!subdomain) {
+      return
+    }
 
     // Find tenant
     const tenant = await prisma.tenant.findUnique({
@@ -151,7 +311,11 @@ router.post("/login", async (req, res) => {
       })
     }
 
+    const attempt = { tenantId: tenant.id, email }
+    const context = getClientInfo(req)
+
     if (!tenant.isActive) {
+      await authService.auditLoginAttempt({ ...attempt, outcome: "TENANT_INACTIVE" }, context)
       return res.status(403).json({
         error: "Tenant is inactive",
         code: "TENANT_INACTIVE",
@@ -159,10 +323,9 @@ router.post("/login", async (req, res) => {
     }
 
     // Find user
-    const user = await prisma.user.findFirst({
+    const user = await database.forTenant(tenant.id).user.findFirst({
       where: {
         email: email.toLowerCase(),
-        tenantId: tenant.id,
         isActive: true,
       },
       include: {
@@ -170,7 +333,22 @@ router.post("/login", async (req, res) => {
       },
     })
 
-    if (!user) {
+    // Accounts that joined through an identity sign in with the identity's credentials
+    const account = user && (await identityService.signInAccount(user))
+
+    if (!account) {
+      await authService.auditLoginAttempt({ ...attempt, outcome: "INVALID_CREDENTIALS" }, context)
+      return res.status(401).json({
+        error: "Invalid credentials",
+        code: "INVALID_CREDENTIALS",
+      })
+    }
+
+    // Enforce lockout and progressive delays; answered like unknown emails so accounts cannot be enumerated
+    try {
+      lockoutService.assertCanAttempt(account)
+    } catch (error) {
+      await authService.auditLoginAttempt({ ...attempt, user, outcome: error.message }, context)
       return res.status(401).json({
         error: "Invalid credentials",
         code: "INVALID_CREDENTIALS",
@@ -178,30 +356,37 @@ router.post("/login", async (req, res) => {
     }
 
     // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password)
+    const isValidPassword = await bcrypt.compare(password, account.password)
     if (!isValidPassword) {
+      await lockoutService.recordFailure(account)
+      await authService.auditLoginAttempt({ ...attempt, user, outcome: "INVALID_CREDENTIALS" }, context)
       return res.status(401).json({
         error: "Invalid credentials",
         code: "INVALID_CREDENTIALS",
       })
     }
 
+    // Second factor required before issuing a session
+    if (account.twoFactorEnabled) {
+      await authService.auditLoginAttempt({ ...attempt, user, outcome: "challenged" }, context)
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: authService.generateChallengeToken(user),
+      })
+    }
+
     // Update last login
-    await prisma.user.update({
+    await lockoutService.recordSuccess(account)
+    await database.forTenant(user.tenantId).user.update({
       where: { id: user.id },
       data: { lastLoginAt: new Date() },
     })
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        tenantId: tenant.id,
-        role: user.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
-    )
+    // Start session
+    const { token, refreshToken } = await authService.issueTokens(user, context)
+
+    await authService.auditLoginAttempt({ ...attempt, user, outcome: "succeeded" }, context)
 
     res.json({
       message: "Login successful",
@@ -219,6 +404,8 @@ router.post("/login", async (req, res) => {
         subdomain: tenant.subdomain,
       },
       token,
+      refreshToken,
+      ...(tenant.requireTwoFactor && { twoFactorSetupRequired: true }),
     })
   } catch (error) {
     console.error("Login error:", error)
@@ -229,51 +416,393 @@ router.post("/login", async (req, res) => {
   }
 })
 
+/**
+ * @route GET /api/auth/sso/authorize
+ * @desc Start an SSO login and redirect to the tenant identity provider; the login state is kept in a cookie
+ * @access Public
+ */
+router.get("/sso/authorize", async (req, res) => {
+  try {
+    const { error, value } = ssoAuthorizeSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const subdomain = resolveSubdomain(req, res, value.subdomain)
+    if (!subdomain) {
+      return
+    }
+
+    const tenant = await prisma.tenant.findUnique({
+      where: { subdomain: subdomain.toLowerCase() },
+    })
+
+    if (!tenant) {
+      return res.status(404).json({
+        error: "Tenant not found",
+        code: "TENANT_NOT_FOUND",
+      })
+    }
+
+    if (!tenant.isActive) {
+      return res.status(403).json({
+        error: "Tenant is inactive",
+        code: "TENANT_INACTIVE",
+      })
+    }
+
+    const { url, state } = await ssoService.authorize(tenant)
+
+    res.cookie(SSO_STATE_COOKIE, state, { ...ssoStateCookieOptions, maxAge: ssoService.loginRequestTtl })
+    res.redirect(302, url)
+  } catch (error) {
+    if (ssoErrors[error.message]) {
+      return res.status(ssoErrors[error.message].status).json({
+        error: ssoErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("SSO authorize error:", error)
+    res.status(500).json({
+      error: "Failed to start SSO login",
+      code: "SSO_AUTHORIZE_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/sso/callback
+ * @desc Complete an SSO login with the code and state sent to the redirect URI, from the browser that started it
+ * @access Public
+ */
+router.post("/sso/callback", async (req, res) => {
+  try {
+    const { error, value } = ssoCallbackSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const context = getClientInfo(req)
+    const browserState = getCookie(req, SSO_STATE_COOKIE)
+    // The state is single use, whatever the outcome
+    res.clearCookie(SSO_STATE_COOKIE, ssoStateCookieOptions)
+
+    const { tenant, user, email, created } = await ssoService.callback(
+      { ...value, browserState },
+      context,
+      req.hostTenant,
+    )
+    const attempt = { tenantId: tenant.id, email, user, method: "sso" }
+
+    // The second factor of the account the user signs in with still applies on top of the identity provider
+    const account = await identityService.signInAccount(user)
+    if (account?.twoFactorEnabled) {
+      await authService.auditLoginAttempt({ ...attempt, outcome: "challenged" }, context)
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: authService.generateChallengeToken(user),
+      })
+    }
+
+    await database.forTenant(user.tenantId).user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() },
+    })
+
+    const { token, refreshToken } = await authService.issueTokens(user, context)
+
+    await authService.auditLoginAttempt({ ...attempt, outcome: "succeeded" }, context)
+
+    res.json({
+      message: "Login successful",
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        lastLoginAt: user.lastLoginAt,
+      },
+      tenant: {
+        id: tenant.id,
+        name: tenant.name,
+        subdomain: tenant.subdomain,
+      },
+      token,
+      refreshToken,
+      provisioned: created,
+      ...(tenant.requireTwoFactor && { twoFactorSetupRequired: true }),
+    })
+  } catch (error) {
+    if (ssoErrors[error.message]) {
+      return res.status(ssoErrors[error.message].status).json({
+        error: ssoErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("SSO callback error:", error)
+    res.status(500).json({
+      error: "SSO login failed",
+      code: "SSO_CALLBACK_ERROR",
+    })
+  }
+})
+
 /**
  * @route GET /api/auth/me
  * @desc Get current user info
  * @access Private
  */
 router.get("/me", authenticateToken, async (req, res) => {
-  res.json({
-    user: {
-      id: req.user.id,
-      email: req.user.email,
-      firstName: req.user.firstName,
-      lastName: req.user.lastName,
-      role: req.user.role,
-      lastLoginAt: req.user.lastLoginAt,
-    },
-    tenant: {
-      id: req.user.tenant.id,
-      name: req.user.tenant.name,
-      subdomain: req.user.tenant.subdomain,
-    },
-  })
+  try {
+    const permissions = await roleService.getRequestPermissions(req)
+
+    res.json({
+      user: {
+        id: req.user.id,
+        email: req.user.email,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        role: req.user.role,
+        lastLoginAt: req.user.lastLoginAt,
+        twoFactorEnabled: req.user.twoFactorEnabled,
+        roleId: req.user.roleId,
+        permissions: [...permissions],
+      },
+      tenant: {
+        id: req.user.tenant.id,
+        name: req.user.tenant.name,
+        subdomain: req.user.tenant.subdomain,
+      },
+    })
+  } catch (error) {
+    console.error("Get current user error:", error)
+    res.status(500).json({
+      error: "Failed to fetch current user",
+      code: "FETCH_ME_ERROR",
+    })
+  }
 })
 
 /**
- * @route POST /api/auth/refresh
- * @desc Refresh JWT token
- * @access Private
+ * @route GET /api/auth/tenants
+ * @desc Get the tenants of the current user's identity, with the role in each
+ * @access Private (session only)
  */
-router.post("/refresh", authenticateToken, async (req, res) => {
+router.get("/tenants", authenticateSession, async (req, res) => {
   try {
-    const token = jwt.sign(
-      {
-        userId: req.user.id,
-        tenantId: req.user.tenantId,
-        role: req.user.role,
+    const tenants = await identityService.listTenants(req.user)
+
+    res.json({ tenants })
+  } catch (error) {
+    console.error("Get tenants error:", error)
+    res.status(500).json({
+      error: "Failed to fetch tenants",
+      code: "FETCH_TENANTS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/tenants/join
+ * @desc Accept an invitation to another tenant with the current user's identity, without a new password
+ * @access Private (session only)
+ */
+router.post("/tenants/join", authenticateSession, async (req, res) => {
+  try {
+    const { error, value } = joinTenantSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const account = await identityService.join(req.user, value.token, getClientInfo(req))
+
+    await auditService.log(req, {
+      action: "user.identity_linked",
+      entityType: "User",
+      entityId: req.user.id,
+      metadata: { tenantId: account.tenantId, userId: account.id },
+    })
+
+    res.status(201).json({
+      message: "Tenant joined successfully",
+      tenants: await identityService.listTenants(req.user),
+    })
+  } catch (error) {
+    if (identityErrors[error.message]) {
+      return res.status(identityErrors[error.message].status).json({
+        error: identityErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("Join tenant error:", error)
+    res.status(500).json({
+      error: "Failed to join tenant",
+      code: "JOIN_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/auth/tenants/:tenantId
+ * @desc Unlink the account of a tenant from the current user's identity; it keeps its role but needs a password reset
+ * @access Private (session only)
+ */
+router.delete("/tenants/:tenantId", authenticateSession, async (req, res) => {
+  try {
+    const membership = await identityService.unlink(req.user, req.params.tenantId)
+
+    await auditService.log(req, {
+      action: "user.identity_unlinked",
+      entityType: "User",
+      entityId: req.user.id,
+      metadata: { tenantId: membership.tenantId, userId: membership.userId },
+    })
+
+    res.json({
+      message: "Tenant unlinked successfully",
+      tenants: await identityService.listTenants(req.user),
+    })
+  } catch (error) {
+    if (identityErrors[error.message]) {
+      return res.status(identityErrors[error.message].status).json({
+        error: identityErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("Unlink tenant error:", error)
+    res.status(500).json({
+      error: "Failed to unlink tenant",
+      code: "UNLINK_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/switch-tenant
+ * @desc Start a session on the current user's account in another tenant
+ * @access Private (session only)
+ */
+router.post("/switch-tenant", authenticateSession, async (req, res) => {
+  try {
+    const { error, value } = switchTenantSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    if (value.tenantId === req.tenantId) {
+      return res.status(400).json({
+        error: "You are already signed in to this tenant",
+        code: "TENANT_ALREADY_ACTIVE",
+      })
+    }
+
+    const user = await identityService.findAccount(req.user, value.tenantId)
+    const { tenant } = user
+    const context = getClientInfo(req)
+    const attempt = { tenantId: tenant.id, email: user.email, user, method: "switch_tenant" }
+
+    await database.forTenant(user.tenantId).user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() },
+    })
+
+    // The identity's second factor carries over; the new token is only valid on the host of the target tenant
+    const { token, refreshToken } = await authService.issueTokens(user, context, {
+      twoFactorVerified: req.session.twoFactorVerified,
+    })
+
+    await authService.auditLoginAttempt({ ...attempt, outcome: "succeeded" }, context)
+
+    res.json({
+      message: "Tenant switched successfully",
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        lastLoginAt: user.lastLoginAt,
       },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
-    )
+      tenant: {
+        id: tenant.id,
+        name: tenant.name,
+        subdomain: tenant.subdomain,
+      },
+      token,
+      refreshToken,
+      ...(tenant.requireTwoFactor && { twoFactorSetupRequired: true }),
+    })
+  } catch (error) {
+    if (identityErrors[error.message]) {
+      return res.status(identityErrors[error.message].status).json({
+        error: identityErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("Switch tenant error:", error)
+    res.status(500).json({
+      error: "Failed to switch tenant",
+      code: "SWITCH_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Rotate refresh token and issue a new access token
+ * @access Public (requires refresh token)
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const { token, refreshToken } = await authService.refreshToken(value.refreshToken, getClientInfo(req))
 
     res.json({
       message: "Token refreshed successfully",
       token,
+      refreshToken,
     })
   } catch (error) {
+    const refreshErrors = {
+      INVALID_REFRESH_TOKEN: "Invalid refresh token",
+      REFRESH_TOKEN_EXPIRED: "Refresh token expired",
+      REFRESH_TOKEN_REUSED: "Refresh token reuse detected - session revoked",
+      SESSION_REVOKED: "Session has been revoked",
+    }
+
+    if (refreshErrors[error.message]) {
+      return res.status(401).json({
+        error: refreshErrors[error.message],
+        code: error.message,
+      })
+    }
+
     console.error("Token refresh error:", error)
     res.status(500).json({
       error: "Token refresh failed",
@@ -282,4 +811,323 @@ router.post("/refresh", authenticateToken, async (req, res) => {
   }
 })
 
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Complete login with a TOTP or recovery code
+ * @access Public (requires challenge token)
+ */
+router.post("/2fa/verify", async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const { challengeToken, ...credentials } = value
+    const result = await authService.verifyTwoFactorLogin(challengeToken, credentials, getClientInfo(req))
+
+    res.json({
+      message: "Login successful",
+      user: {
+        id: result.user.id,
+        email: result.user.email,
+        firstName: result.user.firstName,
+        lastName: result.user.lastName,
+        role: result.user.role,
+        lastLoginAt: result.user.lastLoginAt,
+      },
+      tenant: {
+        id: result.tenant.id,
+        name: result.tenant.name,
+        subdomain: result.tenant.subdomain,
+      },
+      token: result.token,
+      refreshToken: result.refreshToken,
+    })
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) {
+      return
+    }
+
+    console.error("2FA login error:", error)
+    res.status(500).json({
+      error: "Two-factor verification failed",
+      code: "TWO_FACTOR_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Start 2FA enrollment of the account the user signs in with and get the TOTP secret
+ * @access Private (pending 2FA allowed)
+ */
+router.post("/2fa/setup", authenticateAllowingPendingTwoFactor, async (req, res) => {
+  try {
+    const account = (await identityService.signInAccount(req.user)) ?? req.user
+    const { secret, otpauthUri } = await twoFactorService.setup(account)
+
+    res.json({
+      message: "Scan the QR code with your authenticator app and confirm with a code",
+      secret,
+      otpauthUri,
+    })
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) {
+      return
+    }
+
+    console.error("2FA setup error:", error)
+    res.status(500).json({
+      error: "Two-factor setup failed",
+      code: "TWO_FACTOR_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @desc Confirm enrollment with a TOTP code and get recovery codes
+ * @access Private (pending 2FA allowed)
+ */
+router.post("/2fa/enable", authenticateAllowingPendingTwoFactor, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const account = (await identityService.signInAccount(req.user)) ?? req.user
+    const recoveryCodes = await twoFactorService.enable(account, value.code)
+
+    // The current session has just proven the second factor
+    await sessionService.markTwoFactorVerified(req.session.familyId)
+
+    await auditSignInAccount(req, account, "user.two_factor_enabled")
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    })
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) {
+      return
+    }
+
+    console.error("2FA enable error:", error)
+    res.status(500).json({
+      error: "Failed to enable two-factor authentication",
+      code: "TWO_FACTOR_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Disable 2FA
+ * @access Private
+ */
+router.post("/2fa/disable", authenticateSession, async (req, res) => {
+  try {
+    const { error, value } = twoFactorDisableSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    // The current tenant may require the second factor even when the sign-in account's tenant does not
+    if (req.user.tenant.requireTwoFactor) {
+      throw new Error("TWO_FACTOR_ENFORCED")
+    }
+
+    const account = (await identityService.signInAccount(req.user)) ?? req.user
+    await twoFactorService.disable(account, value)
+
+    await auditSignInAccount(req, account, "user.two_factor_disabled")
+
+    res.json({
+      message: "Two-factor authentication disabled",
+    })
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) {
+      return
+    }
+
+    console.error("2FA disable error:", error)
+    res.status(500).json({
+      error: "Failed to disable two-factor authentication",
+      code: "TWO_FACTOR_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Regenerate recovery codes
+ * @access Private
+ */
+router.post("/2fa/recovery-codes", authenticateSession, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const account = (await identityService.signInAccount(req.user)) ?? req.user
+    if (!account.twoFactorEnabled) {
+      throw new Error("TWO_FACTOR_NOT_ENABLED")
+    }
+
+    await twoFactorService.verify(account, { code: value.code })
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(account.id)
+
+    await auditSignInAccount(req, account, "user.recovery_codes_regenerated")
+
+    res.json({
+      message: "Recovery codes regenerated",
+      recoveryCodes,
+    })
+  } catch (error) {
+    if (handleTwoFactorError(error, res)) {
+      return
+    }
+
+    console.error("2FA recovery codes error:", error)
+    res.status(500).json({
+      error: "Failed to regenerate recovery codes",
+      code: "TWO_FACTOR_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Send a password reset email
+ * @access Public
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const subdomain = resolveSubdomain(req, res, value.subdomain)
+    if (!subdomain) {
+      return
+    }
+
+    await authService.requestPasswordReset({ ...value, subdomain })
+
+    // Same response whether or not the account exists
+    res.json({
+      message: "If the account exists, a password reset email has been sent",
+    })
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({
+      error: "Password reset request failed",
+      code: "FORGOT_PASSWORD_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Reset password with a reset token
+ * @access Public
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const subdomain = resolveSubdomain(req, res, value.subdomain)
+    if (!subdomain) {
+      return
+    }
+
+    await authService.resetPassword({ ...value, subdomain }, getClientInfo(req))
+
+    res.json({
+      message: "Password reset successful",
+    })
+  } catch (error) {
+    if (error.message === "INVALID_RESET_TOKEN") {
+      return res.status(400).json({
+        error: "Invalid or expired reset token",
+        code: "INVALID_RESET_TOKEN",
+      })
+    }
+
+    console.error("Reset password error:", error)
+    res.status(500).json({
+      error: "Password reset failed",
+      code: "RESET_PASSWORD_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/logout
+ * @desc Logout current session
+ * @access Private
+ */
+router.post("/logout", authenticateAllowingPendingTwoFactor, async (req, res) => {
+  try {
+    await sessionService.revokeFamily(req.session.familyId, "LOGOUT")
+
+    res.json({
+      message: "Logout successful",
+    })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({
+      error: "Logout failed",
+      code: "LOGOUT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/auth/logout-all
+ * @desc Logout every session of the current user
+ * @access Private
+ */
+router.post("/logout-all", authenticateAllowingPendingTwoFactor, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(req.user.id, "LOGOUT_ALL")
+
+    res.json({
+      message: "Logged out from all sessions",
+      revoked,
+    })
+  } catch (error) {
+    console.error("Logout all error:", error)
+    res.status(500).json({
+      error: "Logout failed",
+      code: "LOGOUT_ERROR",
+    })
+  }
+})
+
 export default router
@@ -0,0 +1,248 @@
+import express from "express"
+import Joi from "joi"
+import { requirePermission } from "../middleware/auth.js"
+import { tenantMiddleware } from "../middleware/tenantMiddleware.js"
+import authService from "../services/authService.js"
+import invitationService from "../services/invitationService.js"
+import roleService from "../services/roleService.js"
+import auditService from "../services/auditService.js"
+import { getClientInfo } from "../utils/request.js"
+
+const router = express.Router()
+
+// Validation schemas
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid("ADMIN", "USER", "VIEWER").default("USER"),
+})
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8).required(),
+  firstName: Joi.string().min(2).required(),
+  lastName: Joi.string().min(2).required(),
+})
+
+/**
+ * @route POST /api/invitations/accept
+ * @desc Accept an invitation and create the user account
+ * @access Public (requires invitation token)
+ */
+router.post("/accept", async (req, res) => {
+  try {
+    const { error, value } = acceptInvitationSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const context = getClientInfo(req)
+    const user = await invitationService.accept(value, context)
+    const { token, refreshToken } = await authService.issueTokens(user, context)
+
+    res.status(201).json({
+      message: "Invitation accepted successfully",
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+      },
+      tenant: {
+        id: user.tenant.id,
+        name: user.tenant.name,
+        subdomain: user.tenant.subdomain,
+      },
+      token,
+      refreshToken,
+    })
+  } catch (error) {
+    if (error.message === "INVALID_INVITATION") {
+      return res.status(400).json({
+        error: "Invalid or expired invitation",
+        code: "INVALID_INVITATION",
+      })
+    }
+
+    if (error.message === "USER_EXISTS") {
+      return res.status(409).json({
+        error: "User already exists in this tenant",
+        code: "USER_EXISTS",
+      })
+    }
+
+    console.error("Accept invitation error:", error)
+    res.status(500).json({
+      error: "Failed to accept invitation",
+      code: "ACCEPT_INVITATION_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/invitations
+ * @desc Get invitations in tenant
+ * @access Private (user:invite)
+ */
+router.get("/", tenantMiddleware, requirePermission("user:invite"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query
+
+    const { invitations, total } = await invitationService.list(req.tenantId, {
+      status,
+      page: Number.parseInt(page),
+      limit: Number.parseInt(limit),
+    })
+
+    res.json({
+      invitations,
+      pagination: {
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        total,
+        pages: Math.ceil(total / Number.parseInt(limit)),
+      },
+    })
+  } catch (error) {
+    console.error("Get invitations error:", error)
+    res.status(500).json({
+      error: "Failed to fetch invitations",
+      code: "FETCH_INVITATIONS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/invitations
+ * @desc Invite a user to the tenant
+ * @access Private (user:invite)
+ */
+router.post("/", tenantMiddleware, requirePermission("user:invite"), async (req, res) => {
+  try {
+    const { error, value } = createInvitationSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    // Granting anything above the default role needs user:update:role
+    if (value.role !== "USER" && !(await roleService.can(req, "user:update:role"))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+        required: ["user:update:role"],
+      })
+    }
+
+    const invitation = await invitationService.create(value, req.user)
+
+    await auditService.log(req, {
+      action: "invitation.created",
+      entityType: "Invitation",
+      entityId: invitation.id,
+      after: invitation,
+    })
+
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      invitation,
+    })
+  } catch (error) {
+    if (error.message === "USER_EXISTS") {
+      return res.status(409).json({
+        error: "User already exists in this tenant",
+        code: "USER_EXISTS",
+      })
+    }
+
+    if (error.message === "INVITATION_PENDING") {
+      return res.status(409).json({
+        error: "A pending invitation already exists for this email",
+        code: "INVITATION_PENDING",
+      })
+    }
+
+    console.error("Create invitation error:", error)
+    res.status(500).json({
+      error: "Failed to create invitation",
+      code: "CREATE_INVITATION_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/invitations/:id/resend
+ * @desc Resend a pending invitation with a fresh token
+ * @access Private (user:invite)
+ */
+router.post("/:id/resend", tenantMiddleware, requirePermission("user:invite"), async (req, res) => {
+  try {
+    const invitation = await invitationService.resend(req.params.id, req.tenantId)
+
+    await auditService.log(req, {
+      action: "invitation.resent",
+      entityType: "Invitation",
+      entityId: invitation.id,
+      metadata: { expiresAt: invitation.expiresAt },
+    })
+
+    res.json({
+      message: "Invitation resent successfully",
+      invitation,
+    })
+  } catch (error) {
+    if (error.message === "INVITATION_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Invitation not found",
+        code: "INVITATION_NOT_FOUND",
+      })
+    }
+
+    console.error("Resend invitation error:", error)
+    res.status(500).json({
+      error: "Failed to resend invitation",
+      code: "RESEND_INVITATION_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/invitations/:id
+ * @desc Revoke a pending invitation
+ * @access Private (user:invite)
+ */
+router.delete("/:id", tenantMiddleware, requirePermission("user:invite"), async (req, res) => {
+  try {
+    await invitationService.revoke(req.params.id, req.tenantId)
+
+    await auditService.log(req, {
+      action: "invitation.revoked",
+      entityType: "Invitation",
+      entityId: req.params.id,
+    })
+
+    res.json({
+      message: "Invitation revoked successfully",
+    })
+  } catch (error) {
+    if (error.message === "INVITATION_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Invitation not found",
+        code: "INVITATION_NOT_FOUND",
+      })
+    }
+
+    console.error("Revoke invitation error:", error)
+    res.status(500).json({
+      error: "Failed to revoke invitation",
+      code: "REVOKE_INVITATION_ERROR",
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,378 @@
+import express from "express"
+import Joi from "joi"
+import { authenticatePlatformAdmin } from "../middleware/platformAuth.js"
+import platformService from "../services/platformService.js"
+import importService from "../services/importService.js"
+import tenantDeletionService from "../services/tenantDeletionService.js"
+import auditService from "../services/auditService.js"
+
+const router = express.Router()
+
+// Validation schemas
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required(),
+})
+
+const suspendTenantSchema = Joi.object({
+  reason: Joi.string().max(500).optional(),
+})
+
+const subdomainSchema = Joi.string()
+  .min(3)
+  .max(50)
+  .pattern(/^[a-z0-9-]+$/)
+
+const importTenantSchema = Joi.object({
+  subdomain: subdomainSchema,
+  name: Joi.string().min(2).max(100).optional(),
+  tenantId: Joi.string().uuid(),
+  dryRun: Joi.boolean().default(false),
+})
+  .xor("subdomain", "tenantId")
+  .oxor("tenantId", "name")
+
+const cloneTenantSchema = Joi.object({
+  subdomain: subdomainSchema.required(),
+  name: Joi.string().min(2).max(100).optional(),
+  dryRun: Joi.boolean().default(false),
+})
+
+// Bundles are uploaded as the raw archive body
+const bundleBody = express.raw({
+  type: ["application/gzip", "application/x-gzip", "application/x-tar", "application/octet-stream"],
+  limit: process.env.IMPORT_MAX_SIZE || "50mb",
+})
+
+/**
+ * Send an import report: 200 for dry runs, 409 with conflicts, 201 once imported
+ */
+const sendImportReport = (res, report, message) => {
+  if (report.dryRun) {
+    return res.json({ report })
+  }
+
+  if (!report.imported) {
+    return res.status(409).json({
+      error: "Import has conflicts",
+      code: "IMPORT_CONFLICTS",
+      report,
+    })
+  }
+
+  res.status(201).json({ message, report })
+}
+
+/**
+ * @route POST /api/platform/auth/login
+ * @desc Login platform operator
+ * @access Public
+ */
+router.post("/auth/login", async (req, res) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const { admin, token } = await platformService.login(value)
+
+    res.json({
+      message: "Login successful",
+      admin,
+      token,
+    })
+  } catch (error) {
+    if (error.message === "INVALID_CREDENTIALS") {
+      return res.status(401).json({
+        error: "Invalid credentials",
+        code: "INVALID_CREDENTIALS",
+      })
+    }
+
+    console.error("Platform login error:", error)
+    res.status(500).json({
+      error: "Login failed",
+      code: "LOGIN_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/platform/auth/me
+ * @desc Get current platform operator
+ * @access Private (Platform operator)
+ */
+router.get("/auth/me", authenticatePlatformAdmin, async (req, res) => {
+  res.json({ admin: req.platformAdmin })
+})
+
+/**
+ * @route GET /api/platform/tenants
+ * @desc Get all tenants
+ * @access Private (Platform operator)
+ */
+router.get("/tenants", authenticatePlatformAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, isActive } = req.query
+
+    const { tenants, total } = await platformService.listTenants({
+      page: Number.parseInt(page),
+      limit: Number.parseInt(limit),
+      search,
+      isActive: isActive === undefined ? undefined : isActive === "true",
+    })
+
+    res.json({
+      tenants,
+      pagination: {
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        total,
+        pages: Math.ceil(total / Number.parseInt(limit)),
+      },
+    })
+  } catch (error) {
+    console.error("Platform get tenants error:", error)
+    res.status(500).json({
+      error: "Failed to fetch tenants",
+      code: "FETCH_TENANTS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/platform/tenants/import
+ * @desc Import a tenant bundle (.tar.gz body) into a new or empty tenant
+ * @access Private (Platform operator)
+ */
+router.post("/tenants/import", authenticatePlatformAdmin, bundleBody, async (req, res) => {
+  try {
+    const { error, value } = importTenantSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: "Request body must be a bundle archive",
+        code: "INVALID_BUNDLE",
+      })
+    }
+
+    const { dryRun, ...target } = value
+    const files = await importService.readArchive(req.body)
+    const report = await importService.importFiles(files, target, { dryRun })
+
+    sendImportReport(res, report, "Tenant imported successfully")
+  } catch (error) {
+    if (error.message === "INVALID_BUNDLE") {
+      return res.status(400).json({
+        error: "Bundle archive could not be read",
+        code: "INVALID_BUNDLE",
+      })
+    }
+
+    if (error.message === "TENANT_NOT_EMPTY") {
+      return res.status(409).json({
+        error: "Tenant is not empty",
+        code: "TENANT_NOT_EMPTY",
+      })
+    }
+
+    console.error("Import tenant error:", error)
+    res.status(500).json({
+      error: "Failed to import tenant",
+      code: "IMPORT_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/platform/tenants/:id/clone
+ * @desc Clone tenant into a new subdomain
+ * @access Private (Platform operator)
+ */
+router.post("/tenants/:id/clone", authenticatePlatformAdmin, async (req, res) => {
+  try {
+    const { error, value } = cloneTenantSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const { dryRun, ...target } = value
+    const report = await importService.cloneTenant(req.params.id, target, { dryRun })
+
+    sendImportReport(res, report, "Tenant cloned successfully")
+  } catch (error) {
+    if (error.message === "TENANT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Tenant not found",
+        code: "TENANT_NOT_FOUND",
+      })
+    }
+
+    console.error("Clone tenant error:", error)
+    res.status(500).json({
+      error: "Failed to clone tenant",
+      code: "CLONE_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/platform/tenants/:id
+ * @desc Inspect tenant with usage and administrators
+ * @access Private (Platform operator)
+ */
+router.get("/tenants/:id", authenticatePlatformAdmin, async (req, res) => {
+  try {
+    const tenant = await platformService.getTenant(req.params.id)
+
+    if (!tenant) {
+      return res.status(404).json({
+        error: "Tenant not found",
+        code: "TENANT_NOT_FOUND",
+      })
+    }
+
+    res.json({ tenant })
+  } catch (error) {
+    console.error("Platform get tenant error:", error)
+    res.status(500).json({
+      error: "Failed to fetch tenant",
+      code: "FETCH_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/platform/tenants/:id/suspend
+ * @desc Suspend tenant and revoke its sessions
+ * @access Private (Platform operator)
+ */
+router.post("/tenants/:id/suspend", authenticatePlatformAdmin, async (req, res) => {
+  try {
+    const { error, value } = suspendTenantSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const tenant = await platformService.suspendTenant(req.params.id, value.reason)
+
+    await auditService.log(req, {
+      tenantId: tenant.id,
+      action: "tenant.suspended",
+      entityType: "Tenant",
+      entityId: tenant.id,
+      metadata: { reason: value.reason },
+    })
+
+    res.json({
+      message: "Tenant suspended successfully",
+      tenant,
+    })
+  } catch (error) {
+    if (error.message === "TENANT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Tenant not found",
+        code: "TENANT_NOT_FOUND",
+      })
+    }
+
+    console.error("Suspend tenant error:", error)
+    res.status(500).json({
+      error: "Failed to suspend tenant",
+      code: "SUSPEND_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/platform/tenants/:id/restore
+ * @desc Restore suspended tenant or cancel its scheduled deletion
+ * @access Private (Platform operator)
+ */
+router.post("/tenants/:id/restore", authenticatePlatformAdmin, async (req, res) => {
+  try {
+    const tenant = await platformService.restoreTenant(req.params.id)
+
+    await auditService.log(req, {
+      tenantId: tenant.id,
+      action: "tenant.restored",
+      entityType: "Tenant",
+      entityId: tenant.id,
+    })
+
+    res.json({
+      message: "Tenant restored successfully",
+      tenant,
+    })
+  } catch (error) {
+    if (error.message === "TENANT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Tenant not found",
+        code: "TENANT_NOT_FOUND",
+      })
+    }
+
+    if (error.message === "DELETION_GRACE_EXPIRED") {
+      return res.status(409).json({
+        error: "Deletion grace period has expired",
+        code: "DELETION_GRACE_EXPIRED",
+      })
+    }
+
+    console.error("Restore tenant error:", error)
+    res.status(500).json({
+      error: "Failed to restore tenant",
+      code: "RESTORE_TENANT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/platform/tombstones
+ * @desc Get tombstones of permanently deleted tenants
+ * @access Private (Platform operator)
+ */
+router.get("/tombstones", authenticatePlatformAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query
+
+    const { tombstones, total } = await tenantDeletionService.listTombstones({
+      page: Number.parseInt(page),
+      limit: Number.parseInt(limit),
+    })
+
+    res.json({
+      tombstones,
+      pagination: {
+        page: Number.parseInt(page),
+        limit: Number.parseInt(limit),
+        total,
+        pages: Math.ceil(total / Number.parseInt(limit)),
+      },
+    })
+  } catch (error) {
+    console.error("Get tombstones error:", error)
+    res.status(500).json({
+      error: "Failed to fetch tombstones",
+      code: "FETCH_TOMBSTONES_ERROR",
+    })
+  }
+})
+
+export default router
@@ -1,7 +1,9 @@
 import express from "express"
 import Joi from "joi"
-import { prisma } from "../config/database.js"
-import { requireRole } from "../middleware/auth.js"
+import database from "../config/database.js"
+import { requirePermission } from "../middleware/auth.js"
+import roleService from "../services/roleService.js"
+import auditService from "../services/auditService.js"
 
 const router = express.Router()
 
@@ -17,18 +19,73 @@ const updateProjectSchema = Joi.object({
   isActive: Joi.boolean().optional(),
 })
 
+// Owners are changed by transferring ownership, never through membership
+const addMemberSchema = Joi.object({
+  userId: Joi.string().required(),
+  role: Joi.string().valid("EDITOR", "VIEWER").default("VIEWER"),
+})
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid("EDITOR", "VIEWER").required(),
+})
+
+const transferOwnershipSchema = Joi.object({
+  userId: Joi.string().required(),
+})
+
+const userSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+}
+
+/**
+ * Work out the caller's role in a project
+ * @returns {string|null} "OWNER", "EDITOR", "VIEWER", or null for non-members
+ */
+const getProjectRole = async (req, project) => {
+  if (project.userId === req.user.id) {
+    return "OWNER"
+  }
+
+  const member = await req.db.projectMember.findFirst({
+    where: { projectId: project.id, userId: req.user.id },
+  })
+
+  return member?.role ?? null
+}
+
+/**
+ * Filter for the projects the caller can see
+ * project:read covers every project of the tenant, without it only the projects the caller
+ * owns or is a member of; any other project is answered as not found
+ * @returns {Object} Prisma where clause
+ */
+const visibleProjectsWhere = async (req) =>
+  (await roleService.can(req, "project:read"))
+    ? {}
+    : { OR: [{ userId: req.user.id }, { members: { some: { userId: req.user.id } } }] }
+
+/**
+ * Whether the caller can manage the members and ownership of a project
+ * project:update covers every project, owners need project:update:own
+ */
+const canManageProject = async (req, project) =>
+  (await roleService.can(req, "project:update")) ||
+  (project.userId === req.user.id && (await roleService.can(req, "project:update:own")))
+
 /**
  * @route GET /api/projects
- * @desc Get all projects for tenant
- * @access Private
+ * @desc Get all projects for tenant, or with member=me only the caller's projects
+ * @access Private (project:read)
  */
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("project:read"), async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, isActive } = req.query
+    const { page = 1, limit = 10, search, isActive, member } = req.query
     const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
 
     const where = {
-      tenantId: req.tenantId,
       ...(search && {
         OR: [
           { name: { contains: search, mode: "insensitive" } },
@@ -36,10 +93,14 @@ router.get("/", async (req, res) => {
         ],
       }),
       ...(isActive !== undefined && { isActive: isActive === "true" }),
+      // member=me: projects the caller owns or is a member of
+      ...(member === "me" && {
+        AND: [{ OR: [{ userId: req.user.id }, { members: { some: { userId: req.user.id } } }] }],
+      }),
     }
 
     const [projects, total] = await Promise.all([
-      prisma.project.findMany({
+      req.db.project.findMany({
         where,
         include: {
           user: {
@@ -55,7 +116,7 @@ router.get("/", async (req, res) => {
         take: Number.parseInt(limit),
         orderBy: { createdAt: "desc" },
       }),
-      prisma.project.count({ where }),
+      req.db.project.count({ where }),
     ])
 
     res.json({
@@ -79,9 +140,9 @@ router.get("/", async (req, res) => {
 /**
  * @route POST /api/projects
  * @desc Create new project
- * @access Private
+ * @access Private (project:create)
  */
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("project:create"), async (req, res) => {
   try {
     const { error, value } = createProjectSchema.validate(req.body)
     if (error) {
@@ -91,10 +152,9 @@ router.post("/", async (req, res) => {
       })
     }
 
-    const project = await prisma.project.create({
+    const project = await req.db.project.create({
       data: {
         ...value,
-        tenantId: req.tenantId,
         userId: req.user.id,
       },
       include: {
@@ -109,6 +169,13 @@ router.post("/", async (req, res) => {
       },
     })
 
+    await auditService.log(req, {
+      action: "project.created",
+      entityType: "Project",
+      entityId: project.id,
+      after: project,
+    })
+
     res.status(201).json({
       message: "Project created successfully",
       project,
@@ -125,17 +192,14 @@ router.post("/", async (req, res) => {
 /**
  * @route GET /api/projects/:id
  * @desc Get project by ID
- * @access Private
+ * @access Private (project:read)
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("project:read"), async (req, res) => {
   try {
     const { id } = req.params
 
-    const project = await prisma.project.findFirst({
-      where: {
-        id,
-        tenantId: req.tenantId,
-      },
+    const project = await req.db.project.findFirst({
+      where: { id, ...(await visibleProjectsWhere(req)) },
       include: {
         user: {
           select: {
@@ -168,7 +232,7 @@ router.get("/:id", async (req, res) => {
 /**
  * @route PUT /api/projects/:id
  * @desc Update project
- * @access Private (Owner or Admin)
+ * @access Private (project:update, or project:update:own for the owner and editors)
  */
 router.put("/:id", async (req, res) => {
   try {
@@ -183,11 +247,8 @@ router.put("/:id", async (req, res) => {
     }
 
     // Check if project exists and user has permission
-    const existingProject = await prisma.project.findFirst({
-      where: {
-        id,
-        tenantId: req.tenantId,
-      },
+    const existingProject = await req.db.project.findFirst({
+      where: { id, ...(await visibleProjectsWhere(req)) },
     })
 
     if (!existingProject) {
@@ -197,15 +258,20 @@ router.put("/:id", async (req, res) => {
       })
     }
 
-    // Check permissions (owner or admin)
-    if (existingProject.userId !== req.user.id && req.user.role !== "ADMIN") {
+    // Check permissions (any project, or a project the user owns or edits)
+    const canUpdate =
+      (await roleService.can(req, "project:update")) ||
+      (["OWNER", "EDITOR"].includes(await getProjectRole(req, existingProject)) &&
+        (await roleService.can(req, "project:update:own")))
+
+    if (!canUpdate) {
       return res.status(403).json({
         error: "Insufficient permissions",
         code: "INSUFFICIENT_PERMISSIONS",
       })
     }
 
-    const project = await prisma.project.update({
+    const project = await req.db.project.update({
       where: { id },
       data: value,
       include: {
@@ -220,6 +286,14 @@ router.put("/:id", async (req, res) => {
       },
     })
 
+    await auditService.log(req, {
+      action: "project.updated",
+      entityType: "Project",
+      entityId: id,
+      before: existingProject,
+      after: project,
+    })
+
     res.json({
       message: "Project updated successfully",
       project,
@@ -236,17 +310,14 @@ router.put("/:id", async (req, res) => {
 /**
  * @route DELETE /api/projects/:id
  * @desc Delete project
- * @access Private (Owner or Admin)
+ * @access Private (project:delete)
  */
-router.delete("/:id", requireRole(["ADMIN"]), async (req, res) => {
+router.delete("/:id", requirePermission("project:delete"), async (req, res) => {
   try {
     const { id } = req.params
 
-    const existingProject = await prisma.project.findFirst({
-      where: {
-        id,
-        tenantId: req.tenantId,
-      },
+    const existingProject = await req.db.project.findFirst({
+      where: { id, ...(await visibleProjectsWhere(req)) },
     })
 
     if (!existingProject) {
@@ -256,10 +327,17 @@ router.delete("/:id", requireRole(["ADMIN"]), async (req, res) => {
       })
     }
 
-    await prisma.project.delete({
+    await req.db.project.delete({
       where: { id },
     })
 
+    await auditService.log(req, {
+      action: "project.deleted",
+      entityType: "Project",
+      entityId: id,
+      before: existingProject,
+    })
+
     res.json({
       message: "Project deleted successfully",
     })
@@ -272,4 +350,370 @@ router.delete("/:id", requireRole(["ADMIN"]), async (req, res) => {
   }
 })
 
+/**
+ * @route GET /api/projects/:id/members
+ * @desc Get project members, the owner first
+ * @access Private (project:read)
+ */
+router.get("/:id/members", requirePermission("project:read"), async (req, res) => {
+  try {
+    const project = await req.db.project.findFirst({
+      where: { id: req.params.id, ...(await visibleProjectsWhere(req)) },
+      include: {
+        user: { select: userSelect },
+        members: {
+          include: { user: { select: userSelect } },
+          orderBy: { createdAt: "asc" },
+        },
+      },
+    })
+
+    if (!project) {
+      return res.status(404).json({
+        error: "Project not found",
+        code: "PROJECT_NOT_FOUND",
+      })
+    }
+
+    res.json({
+      members: [
+        { user: project.user, role: "OWNER", createdAt: project.createdAt },
+        ...project.members.map(({ user, role, createdAt }) => ({ user, role, createdAt })),
+      ],
+    })
+  } catch (error) {
+    console.error("Get project members error:", error)
+    res.status(500).json({
+      error: "Failed to fetch project members",
+      code: "FETCH_PROJECT_MEMBERS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/projects/:id/members
+ * @desc Add a project member as editor or viewer
+ * @access Private (project:update, or project:update:own for the owner)
+ */
+router.post("/:id/members", async (req, res) => {
+  try {
+    const { id } = req.params
+    const { error, value } = addMemberSchema.validate(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const project = await req.db.project.findFirst({
+      where: { id, ...(await visibleProjectsWhere(req)) },
+    })
+
+    if (!project) {
+      return res.status(404).json({
+        error: "Project not found",
+        code: "PROJECT_NOT_FOUND",
+      })
+    }
+
+    if (!(await canManageProject(req, project))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const user = await req.db.user.findFirst({
+      where: { id: value.userId, isActive: true },
+    })
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+        code: "USER_NOT_FOUND",
+      })
+    }
+
+    const existingMember =
+      project.userId === user.id ||
+      (await req.db.projectMember.findFirst({
+        where: { projectId: id, userId: user.id },
+      }))
+
+    if (existingMember) {
+      return res.status(409).json({
+        error: "User is already a member of this project",
+        code: "MEMBER_EXISTS",
+      })
+    }
+
+    const member = await req.db.projectMember.create({
+      data: {
+        projectId: id,
+        userId: user.id,
+        role: value.role,
+      },
+      include: { user: { select: userSelect } },
+    })
+
+    await auditService.log(req, {
+      action: "project.member_added",
+      entityType: "Project",
+      entityId: id,
+      after: member,
+    })
+
+    res.status(201).json({
+      message: "Member added successfully",
+      member,
+    })
+  } catch (error) {
+    console.error("Add project member error:", error)
+    res.status(500).json({
+      error: "Failed to add project member",
+      code: "ADD_PROJECT_MEMBER_ERROR",
+    })
+  }
+})
+
+/**
+ * @route PUT /api/projects/:id/members/:userId
+ * @desc Change the role of a project member
+ * @access Private (project:update, or project:update:own for the owner)
+ */
+router.put("/:id/members/:userId", async (req, res) => {
+  try {
+    const { id, userId } = req.params
+    const { error, value } = updateMemberSchema.validate(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const project = await req.db.project.findFirst({
+      where: { id, ...(await visibleProjectsWhere(req)) },
+    })
+
+    if (!project) {
+      return res.status(404).json({
+        error: "Project not found",
+        code: "PROJECT_NOT_FOUND",
+      })
+    }
+
+    if (!(await canManageProject(req, project))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    if (project.userId === userId) {
+      return res.status(400).json({
+        error: "Transfer ownership to change the project owner",
+        code: "PROJECT_OWNER",
+      })
+    }
+
+    const existingMember = await req.db.projectMember.findFirst({
+      where: { projectId: id, userId },
+    })
+
+    if (!existingMember) {
+      return res.status(404).json({
+        error: "Member not found",
+        code: "MEMBER_NOT_FOUND",
+      })
+    }
+
+    const member = await req.db.projectMember.update({
+      where: { id: existingMember.id },
+      data: { role: value.role },
+      include: { user: { select: userSelect } },
+    })
+
+    await auditService.log(req, {
+      action: "project.member_updated",
+      entityType: "Project",
+      entityId: id,
+      before: existingMember,
+      after: member,
+    })
+
+    res.json({
+      message: "Member updated successfully",
+      member,
+    })
+  } catch (error) {
+    console.error("Update project member error:", error)
+    res.status(500).json({
+      error: "Failed to update project member",
+      code: "UPDATE_PROJECT_MEMBER_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/projects/:id/members/:userId
+ * @desc Remove a project member; members can also remove themselves
+ * @access Private (project:update, project:update:own for the owner, or self)
+ */
+router.delete("/:id/members/:userId", async (req, res) => {
+  try {
+    const { id, userId } = req.params
+
+    const project = await req.db.project.findFirst({
+      where: { id, ...(await visibleProjectsWhere(req)) },
+    })
+
+    if (!project) {
+      return res.status(404).json({
+        error: "Project not found",
+        code: "PROJECT_NOT_FOUND",
+      })
+    }
+
+    if (userId !== req.user.id && !(await canManageProject(req, project))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    if (project.userId === userId) {
+      return res.status(400).json({
+        error: "Transfer ownership before removing the project owner",
+        code: "PROJECT_OWNER",
+      })
+    }
+
+    const existingMember = await req.db.projectMember.findFirst({
+      where: { projectId: id, userId },
+    })
+
+    if (!existingMember) {
+      return res.status(404).json({
+        error: "Member not found",
+        code: "MEMBER_NOT_FOUND",
+      })
+    }
+
+    await req.db.projectMember.delete({
+      where: { id: existingMember.id },
+    })
+
+    await auditService.log(req, {
+      action: "project.member_removed",
+      entityType: "Project",
+      entityId: id,
+      before: existingMember,
+    })
+
+    res.json({
+      message: "Member removed successfully",
+    })
+  } catch (error) {
+    console.error("Remove project member error:", error)
+    res.status(500).json({
+      error: "Failed to remove project member",
+      code: "REMOVE_PROJECT_MEMBER_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/projects/:id/transfer-ownership
+ * @desc Make another user the project owner; the previous owner stays on as editor
+ * @access Private (project:update, or project:update:own for the owner)
+ */
+router.post("/:id/transfer-ownership", async (req, res) => {
+  try {
+    const { id } = req.params
+    const { error, value } = transferOwnershipSchema.validate(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const existingProject = await req.db.project.findFirst({
+      where: { id, ...(await visibleProjectsWhere(req)) },
+    })
+
+    if (!existingProject) {
+      return res.status(404).json({
+        error: "Project not found",
+        code: "PROJECT_NOT_FOUND",
+      })
+    }
+
+    if (!(await canManageProject(req, existingProject))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    if (existingProject.userId === value.userId) {
+      return res.status(400).json({
+        error: "User already owns this project",
+        code: "ALREADY_OWNER",
+      })
+    }
+
+    const newOwner = await req.db.user.findFirst({
+      where: { id: value.userId, isActive: true },
+    })
+
+    if (!newOwner) {
+      return res.status(404).json({
+        error: "User not found",
+        code: "USER_NOT_FOUND",
+      })
+    }
+
+    const project = await database.withTenant(req.tenantId, async (tx) => {
+      // The owner is never listed as a member as well
+      await tx.projectMember.deleteMany({
+        where: { projectId: id, userId: newOwner.id, tenantId: req.tenantId },
+      })
+      await tx.projectMember.create({
+        data: { projectId: id, userId: existingProject.userId, role: "EDITOR", tenantId: req.tenantId },
+      })
+
+      return tx.project.update({
+        where: { id },
+        data: { userId: newOwner.id },
+        include: { user: { select: userSelect } },
+      })
+    })
+
+    await auditService.log(req, {
+      action: "project.ownership_transferred",
+      entityType: "Project",
+      entityId: id,
+      before: existingProject,
+      after: project,
+    })
+
+    res.json({
+      message: "Project ownership transferred successfully",
+      project,
+    })
+  } catch (error) {
+    console.error("Transfer project ownership error:", error)
+    res.status(500).json({
+      error: "Failed to transfer project ownership",
+      code: "TRANSFER_PROJECT_OWNERSHIP_ERROR",
+    })
+  }
+})
+
 export default router
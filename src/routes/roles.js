@@ -0,0 +1,200 @@
+import express from "express"
+import Joi from "joi"
+import { requirePermission } from "../middleware/auth.js"
+import { ALL_PERMISSIONS, PERMISSIONS } from "../config/permissions.js"
+import roleService from "../services/roleService.js"
+import auditService from "../services/auditService.js"
+
+const router = express.Router()
+
+// Validation schemas
+const createRoleSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(50)
+    .pattern(/^[A-Za-z0-9_ -]+$/)
+    .required(),
+  description: Joi.string().max(200).optional(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...ALL_PERMISSIONS))
+    .unique()
+    .required(),
+})
+
+const updateRoleSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(50)
+    .pattern(/^[A-Za-z0-9_ -]+$/)
+    .optional(),
+  description: Joi.string().max(200).optional(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...ALL_PERMISSIONS))
+    .unique()
+    .optional(),
+})
+
+const roleErrors = {
+  ROLE_NOT_FOUND: { status: 404, error: "Role not found" },
+  ROLE_EXISTS: { status: 409, error: "A role with this name already exists" },
+  SYSTEM_ROLE_IMMUTABLE: { status: 400, error: "Built-in roles cannot be renamed, deleted, or (for ADMIN) modified" },
+}
+
+/**
+ * @route GET /api/roles/permissions
+ * @desc Get the permission catalog
+ * @access Private (role:read)
+ */
+router.get("/permissions", requirePermission("role:read"), async (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+  })
+})
+
+/**
+ * @route GET /api/roles
+ * @desc Get roles in tenant
+ * @access Private (role:read)
+ */
+router.get("/", requirePermission("role:read"), async (req, res) => {
+  try {
+    const roles = await roleService.list(req.tenantId)
+
+    res.json({ roles })
+  } catch (error) {
+    console.error("Get roles error:", error)
+    res.status(500).json({
+      error: "Failed to fetch roles",
+      code: "FETCH_ROLES_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/roles
+ * @desc Create custom role
+ * @access Private (role:manage)
+ */
+router.post("/", requirePermission("role:manage"), async (req, res) => {
+  try {
+    const { error, value } = createRoleSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const role = await roleService.create(req.db, value)
+
+    await auditService.log(req, {
+      action: "role.created",
+      entityType: "Role",
+      entityId: role.id,
+      after: role,
+    })
+
+    res.status(201).json({
+      message: "Role created successfully",
+      role,
+    })
+  } catch (error) {
+    if (roleErrors[error.message]) {
+      return res.status(roleErrors[error.message].status).json({
+        error: roleErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("Create role error:", error)
+    res.status(500).json({
+      error: "Failed to create role",
+      code: "CREATE_ROLE_ERROR",
+    })
+  }
+})
+
+/**
+ * @route PUT /api/roles/:id
+ * @desc Update role
+ * @access Private (role:manage)
+ */
+router.put("/:id", requirePermission("role:manage"), async (req, res) => {
+  try {
+    const { error, value } = updateRoleSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const existingRole = await req.db.role.findFirst({
+      where: { id: req.params.id },
+    })
+    const role = await roleService.update(req.db, req.params.id, value)
+
+    await auditService.log(req, {
+      action: "role.updated",
+      entityType: "Role",
+      entityId: role.id,
+      before: existingRole,
+      after: role,
+    })
+
+    res.json({
+      message: "Role updated successfully",
+      role,
+    })
+  } catch (error) {
+    if (roleErrors[error.message]) {
+      return res.status(roleErrors[error.message].status).json({
+        error: roleErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("Update role error:", error)
+    res.status(500).json({
+      error: "Failed to update role",
+      code: "UPDATE_ROLE_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/roles/:id
+ * @desc Delete custom role (its users fall back to their built-in role)
+ * @access Private (role:manage)
+ */
+router.delete("/:id", requirePermission("role:manage"), async (req, res) => {
+  try {
+    const role = await roleService.delete(req.db, req.params.id)
+
+    await auditService.log(req, {
+      action: "role.deleted",
+      entityType: "Role",
+      entityId: role.id,
+      before: role,
+    })
+
+    res.json({
+      message: "Role deleted successfully",
+    })
+  } catch (error) {
+    if (roleErrors[error.message]) {
+      return res.status(roleErrors[error.message].status).json({
+        error: roleErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("Delete role error:", error)
+    res.status(500).json({
+      error: "Failed to delete role",
+      code: "DELETE_ROLE_ERROR",
+    })
+  }
+})
+
+export default router
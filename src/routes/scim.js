@@ -0,0 +1,556 @@
+import express from "express"
+import Joi from "joi"
+import bcrypt from "bcryptjs"
+import { authenticateScim, sendScimError } from "../middleware/scimAuth.js"
+import scimService, {
+  SCIM_FALLBACK_ROLE,
+  SCIM_GROUP_ROLES,
+  SCIM_MAX_RESULTS,
+  SCIM_SCHEMAS,
+} from "../services/scimService.js"
+import database from "../config/database.js"
+import auditService from "../services/auditService.js"
+import { generateOpaqueToken } from "../utils/tokens.js"
+
+const router = express.Router()
+
+// Identity providers send application/scim+json bodies
+router.use(express.json({ type: ["application/json", "application/scim+json"], limit: "1mb" }))
+router.use(authenticateScim)
+
+const SCIM_ERRORS = {
+  SCIM_INVALID_FILTER: { status: 400, scimType: "invalidFilter" },
+  SCIM_INVALID_VALUE: { status: 400, scimType: "invalidValue" },
+  SCIM_INVALID_SYNTAX: { status: 400, scimType: "invalidSyntax" },
+  SCIM_INVALID_PATH: { status: 400, scimType: "invalidPath" },
+  SCIM_MUTABILITY: { status: 400, scimType: "mutability" },
+  SCIM_LAST_ADMIN: { status: 409 },
+}
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  filter: Joi.string().max(1000).optional(),
+  startIndex: Joi.number().integer().default(1),
+  count: Joi.number().integer().min(0).default(100),
+  excludedAttributes: Joi.string().allow("").optional(),
+}).unknown()
+
+/**
+ * Send a SCIM resource
+ */
+const sendScim = (res, status, body) => res.status(status).type("application/scim+json").json(body)
+
+/**
+ * Map a scimService error to its SCIM response
+ * @returns {boolean} Whether the error was handled
+ */
+const handleScimError = (res, error) => {
+  const mapped = SCIM_ERRORS[error.message]
+  if (!mapped) {
+    return false
+  }
+  sendScimError(res, mapped.status, error.detail, mapped.scimType)
+  return true
+}
+
+const baseUrl = (req) => `${req.protocol}://${req.get("host")}${req.baseUrl}`
+
+/**
+ * Validate list query parameters (1-based startIndex, count capped at SCIM_MAX_RESULTS)
+ */
+const parseListQuery = (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query)
+  if (error) {
+    sendScimError(res, 400, error.details.map((d) => d.message).join("; "), "invalidValue")
+    return null
+  }
+
+  return {
+    ...value,
+    startIndex: Math.max(value.startIndex, 1),
+    count: Math.min(value.count, SCIM_MAX_RESULTS),
+  }
+}
+
+/**
+ * Built-in roles of the tenant keyed by name, the groups SCIM can see
+ */
+const getGroupRoles = async (req) => {
+  const roles = await req.db.role.findMany({
+    where: { isSystem: true, name: { in: SCIM_GROUP_ROLES } },
+  })
+  return Object.fromEntries(roles.map((role) => [role.name, role]))
+}
+
+// Users with a custom role are not members of any built-in group
+const groupMembersWhere = (role) => ({ role: role.name, roleId: null, erasedAt: null })
+
+const listResponse = (totalResults, startIndex, resources) => ({
+  schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources,
+})
+
+/**
+ * Find a provisionable user, erased users are gone for SCIM
+ */
+const findUser = (req, id) => req.db.user.findFirst({ where: { id, erasedAt: null } })
+
+/**
+ * Apply user data from SCIM to an existing user, enforcing email uniqueness
+ * @returns {Object|null} Updated user, null when a response was already sent
+ */
+const updateUser = async (req, res, existingUser, data) => {
+  if (data.email && data.email !== existingUser.email) {
+    const emailExists = await req.db.user.findFirst({
+      where: { email: data.email, id: { not: existingUser.id } },
+    })
+
+    if (emailExists) {
+      sendScimError(res, 409, "A user with this userName already exists", "uniqueness")
+      return null
+    }
+  }
+
+  const { password, ...changes } = data
+  const user = await req.db.user.update({
+    where: { id: existingUser.id },
+    data: {
+      ...changes,
+      ...(password && { password: await bcrypt.hash(password, 12) }),
+    },
+  })
+
+  await auditService.log(req, {
+    action: existingUser.isActive && !user.isActive ? "user.deactivated" : "user.updated",
+    entityType: "User",
+    entityId: user.id,
+    before: existingUser,
+    after: user,
+    metadata: { provisionedBy: "scim" },
+  })
+
+  return user
+}
+
+/**
+ * Move users in or out of a built-in group
+ * Users leaving a group fall back to SCIM_FALLBACK_ROLE. All moves happen in one
+ * transaction, and none of them if the tenant would be left without an administrator
+ */
+const setGroupMembers = async (req, role, currentIds, memberIds) => {
+  const joining = memberIds.filter((id) => !currentIds.includes(id))
+  const leaving = currentIds.filter((id) => !memberIds.includes(id))
+
+  if (joining.length > 0) {
+    const found = await req.db.user.findMany({
+      where: { id: { in: joining }, erasedAt: null },
+      select: { id: true },
+    })
+    if (found.length !== joining.length) {
+      const error = new Error("SCIM_INVALID_VALUE")
+      error.detail = "Members must be existing users"
+      throw error
+    }
+  }
+
+  const changes = [
+    ...joining.map((id) => ({ id, role: role.name })),
+    ...(role.name === SCIM_FALLBACK_ROLE ? [] : leaving.map((id) => ({ id, role: SCIM_FALLBACK_ROLE }))),
+  ]
+
+  const updates = await database.withTenant(req.tenantId, async (tx) => {
+    const results = []
+    for (const change of changes) {
+      const existingUser = await tx.user.findFirst({ where: { id: change.id, tenantId: req.tenantId } })
+      const user = await tx.user.update({
+        where: { id: change.id },
+        data: { role: change.role, roleId: null },
+      })
+      results.push({ existingUser, user })
+    }
+
+    // Only a demotion can leave the tenant without an administrator
+    const demotesAdmin = results.some(({ existingUser }) => existingUser.role === "ADMIN" && !existingUser.roleId)
+    const adminWhere = { tenantId: req.tenantId, role: "ADMIN", roleId: null, isActive: true, erasedAt: null }
+    if (demotesAdmin && (await tx.user.count({ where: adminWhere })) === 0) {
+      const error = new Error("SCIM_LAST_ADMIN")
+      error.detail = "The tenant must keep at least one administrator"
+      throw error
+    }
+
+    return results
+  })
+
+  for (const { existingUser, user } of updates) {
+    await auditService.log(req, {
+      action: "user.updated",
+      entityType: "User",
+      entityId: user.id,
+      before: existingUser,
+      after: user,
+      metadata: { provisionedBy: "scim", group: role.name },
+    })
+  }
+}
+
+/**
+ * @route GET /scim/v2/ServiceProviderConfig
+ * @desc Describe the SCIM features supported
+ * @access Private (scim:provision API key)
+ */
+router.get("/ServiceProviderConfig", (req, res) => {
+  sendScim(res, 200, {
+    schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: SCIM_MAX_RESULTS },
+    changePassword: { supported: true },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: "oauthbearertoken",
+        name: "API key",
+        description: "Tenant API key with the scim:provision scope, sent as a bearer token",
+      },
+    ],
+    meta: { resourceType: "ServiceProviderConfig", location: `${baseUrl(req)}/ServiceProviderConfig` },
+  })
+})
+
+/**
+ * @route GET /scim/v2/Users
+ * @desc List users, with SCIM filter and startIndex/count pagination
+ * @access Private (scim:provision API key)
+ */
+router.get("/Users", async (req, res) => {
+  try {
+    const query = parseListQuery(req, res)
+    if (!query) return
+
+    const where = {
+      AND: [{ erasedAt: null }, query.filter ? scimService.parseFilter(query.filter, "User") : {}],
+    }
+
+    const [users, totalResults, groups] = await Promise.all([
+      query.count > 0
+        ? req.db.user.findMany({
+            where,
+            orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+            skip: query.startIndex - 1,
+            take: query.count,
+          })
+        : [],
+      req.db.user.count({ where }),
+      getGroupRoles(req),
+    ])
+
+    sendScim(
+      res,
+      200,
+      listResponse(
+        totalResults,
+        query.startIndex,
+        users.map((user) => scimService.toUserResource(user, user.roleId ? {} : groups, baseUrl(req))),
+      ),
+    )
+  } catch (error) {
+    if (handleScimError(res, error)) return
+
+    console.error("SCIM list users error:", error)
+    sendScimError(res, 500, "Failed to fetch users")
+  }
+})
+
+/**
+ * @route GET /scim/v2/Users/:id
+ * @desc Get user by ID
+ * @access Private (scim:provision API key)
+ */
+router.get("/Users/:id", async (req, res) => {
+  try {
+    const user = await findUser(req, req.params.id)
+    if (!user) {
+      return sendScimError(res, 404, "User not found")
+    }
+
+    const groups = user.roleId ? {} : await getGroupRoles(req)
+    sendScim(res, 200, scimService.toUserResource(user, groups, baseUrl(req)))
+  } catch (error) {
+    console.error("SCIM get user error:", error)
+    sendScimError(res, 500, "Failed to fetch user")
+  }
+})
+
+/**
+ * @route POST /scim/v2/Users
+ * @desc Provision a user with the USER role; without a password the user signs in through SSO
+ * @access Private (scim:provision API key)
+ */
+router.post("/Users", async (req, res) => {
+  try {
+    const { password, ...data } = scimService.parseUserResource(req.body)
+
+    const existingUser = await req.db.user.findFirst({
+      where: { email: data.email },
+    })
+
+    if (existingUser) {
+      return sendScimError(res, 409, "A user with this userName already exists", "uniqueness")
+    }
+
+    const user = await req.db.user.create({
+      data: {
+        ...data,
+        password: await bcrypt.hash(password || generateOpaqueToken(), 12),
+        role: "USER",
+        tenantId: req.tenantId,
+      },
+    })
+
+    await auditService.log(req, {
+      action: "user.created",
+      entityType: "User",
+      entityId: user.id,
+      after: user,
+      metadata: { provisionedBy: "scim" },
+    })
+
+    const resource = scimService.toUserResource(user, await getGroupRoles(req), baseUrl(req))
+    res.set("Location", resource.meta.location)
+    sendScim(res, 201, resource)
+  } catch (error) {
+    if (handleScimError(res, error)) return
+
+    console.error("SCIM create user error:", error)
+    sendScimError(res, 500, "Failed to create user")
+  }
+})
+
+/**
+ * @route PUT /scim/v2/Users/:id
+ * @desc Replace a user's attributes
+ * @access Private (scim:provision API key)
+ */
+router.put("/Users/:id", async (req, res) => {
+  try {
+    const data = scimService.parseUserResource(req.body)
+
+    const existingUser = await findUser(req, req.params.id)
+    if (!existingUser) {
+      return sendScimError(res, 404, "User not found")
+    }
+
+    const user = await updateUser(req, res, existingUser, data)
+    if (!user) return
+
+    const groups = user.roleId ? {} : await getGroupRoles(req)
+    sendScim(res, 200, scimService.toUserResource(user, groups, baseUrl(req)))
+  } catch (error) {
+    if (handleScimError(res, error)) return
+
+    console.error("SCIM replace user error:", error)
+    sendScimError(res, 500, "Failed to update user")
+  }
+})
+
+/**
+ * @route PATCH /scim/v2/Users/:id
+ * @desc Update a user with PatchOp operations, e.g. active false to deactivate
+ * @access Private (scim:provision API key)
+ */
+router.patch("/Users/:id", async (req, res) => {
+  try {
+    const data = scimService.patchUser(scimService.parsePatchRequest(req.body))
+
+    const existingUser = await findUser(req, req.params.id)
+    if (!existingUser) {
+      return sendScimError(res, 404, "User not found")
+    }
+
+    const user = await updateUser(req, res, existingUser, data)
+    if (!user) return
+
+    const groups = user.roleId ? {} : await getGroupRoles(req)
+    sendScim(res, 200, scimService.toUserResource(user, groups, baseUrl(req)))
+  } catch (error) {
+    if (handleScimError(res, error)) return
+
+    console.error("SCIM patch user error:", error)
+    sendScimError(res, 500, "Failed to update user")
+  }
+})
+
+/**
+ * @route DELETE /scim/v2/Users/:id
+ * @desc Deprovision a user (soft delete, the user is deactivated)
+ * @access Private (scim:provision API key)
+ */
+router.delete("/Users/:id", async (req, res) => {
+  try {
+    const existingUser = await findUser(req, req.params.id)
+    if (!existingUser) {
+      return sendScimError(res, 404, "User not found")
+    }
+
+    if (existingUser.isActive) {
+      const user = await req.db.user.update({
+        where: { id: existingUser.id },
+        data: { isActive: false },
+      })
+
+      await auditService.log(req, {
+        action: "user.deactivated",
+        entityType: "User",
+        entityId: user.id,
+        before: existingUser,
+        after: user,
+        metadata: { provisionedBy: "scim" },
+      })
+    }
+
+    res.status(204).end()
+  } catch (error) {
+    console.error("SCIM delete user error:", error)
+    sendScimError(res, 500, "Failed to delete user")
+  }
+})
+
+/**
+ * @route GET /scim/v2/Groups
+ * @desc List the built-in roles as groups, with SCIM filter and pagination
+ * @access Private (scim:provision API key)
+ */
+router.get("/Groups", async (req, res) => {
+  try {
+    const query = parseListQuery(req, res)
+    if (!query) return
+
+    const where = {
+      AND: [
+        { isSystem: true, name: { in: SCIM_GROUP_ROLES } },
+        query.filter ? scimService.parseFilter(query.filter, "Group") : {},
+      ],
+    }
+
+    const [roles, totalResults] = await Promise.all([
+      query.count > 0
+        ? req.db.role.findMany({
+            where,
+            orderBy: { name: "asc" },
+            skip: query.startIndex - 1,
+            take: query.count,
+          })
+        : [],
+      req.db.role.count({ where }),
+    ])
+
+    const withMembers = !/(^|,)\s*members\s*(,|$)/i.test(query.excludedAttributes || "")
+    const resources = await Promise.all(
+      roles.map(async (role) => {
+        const members = withMembers
+          ? await req.db.user.findMany({ where: groupMembersWhere(role), orderBy: { createdAt: "asc" } })
+          : null
+        return scimService.toGroupResource(role, members, baseUrl(req))
+      }),
+    )
+
+    sendScim(res, 200, listResponse(totalResults, query.startIndex, resources))
+  } catch (error) {
+    if (handleScimError(res, error)) return
+
+    console.error("SCIM list groups error:", error)
+    sendScimError(res, 500, "Failed to fetch groups")
+  }
+})
+
+/**
+ * Find a built-in role exposed as a group
+ */
+const findGroupRole = (req, id) =>
+  req.db.role.findFirst({ where: { id, isSystem: true, name: { in: SCIM_GROUP_ROLES } } })
+
+/**
+ * @route GET /scim/v2/Groups/:id
+ * @desc Get group by ID with its members
+ * @access Private (scim:provision API key)
+ */
+router.get("/Groups/:id", async (req, res) => {
+  try {
+    const role = await findGroupRole(req, req.params.id)
+    if (!role) {
+      return sendScimError(res, 404, "Group not found")
+    }
+
+    const members = await req.db.user.findMany({ where: groupMembersWhere(role), orderBy: { createdAt: "asc" } })
+    sendScim(res, 200, scimService.toGroupResource(role, members, baseUrl(req)))
+  } catch (error) {
+    console.error("SCIM get group error:", error)
+    sendScimError(res, 500, "Failed to fetch group")
+  }
+})
+
+/**
+ * @route PUT /scim/v2/Groups/:id
+ * @desc Replace the members of a group; groups cannot be renamed
+ * @access Private (scim:provision API key)
+ */
+router.put("/Groups/:id", async (req, res) => {
+  try {
+    const role = await findGroupRole(req, req.params.id)
+    if (!role) {
+      return sendScimError(res, 404, "Group not found")
+    }
+
+    const current = await req.db.user.findMany({ where: groupMembersWhere(role), select: { id: true } })
+    const currentIds = current.map((member) => member.id)
+    const memberIds = scimService.patchGroupMembers(role, currentIds, [
+      { op: "replace", value: { displayName: req.body?.displayName, members: req.body?.members ?? [] } },
+    ])
+
+    await setGroupMembers(req, role, currentIds, memberIds)
+
+    const members = await req.db.user.findMany({ where: groupMembersWhere(role), orderBy: { createdAt: "asc" } })
+    sendScim(res, 200, scimService.toGroupResource(role, members, baseUrl(req)))
+  } catch (error) {
+    if (handleScimError(res, error)) return
+
+    console.error("SCIM replace group error:", error)
+    sendScimError(res, 500, "Failed to update group")
+  }
+})
+
+/**
+ * @route PATCH /scim/v2/Groups/:id
+ * @desc Add or remove group members; joining a group assigns its role
+ * @access Private (scim:provision API key)
+ */
+router.patch("/Groups/:id", async (req, res) => {
+  try {
+    const operations = scimService.parsePatchRequest(req.body)
+
+    const role = await findGroupRole(req, req.params.id)
+    if (!role) {
+      return sendScimError(res, 404, "Group not found")
+    }
+
+    const current = await req.db.user.findMany({ where: groupMembersWhere(role), select: { id: true } })
+    const currentIds = current.map((member) => member.id)
+    const memberIds = scimService.patchGroupMembers(role, currentIds, operations)
+
+    await setGroupMembers(req, role, currentIds, memberIds)
+
+    const members = await req.db.user.findMany({ where: groupMembersWhere(role), orderBy: { createdAt: "asc" } })
+    sendScim(res, 200, scimService.toGroupResource(role, members, baseUrl(req)))
+  } catch (error) {
+    if (handleScimError(res, error)) return
+
+    console.error("SCIM patch group error:", error)
+    sendScimError(res, 500, "Failed to update group")
+  }
+})
+
+export default router
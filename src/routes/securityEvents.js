@@ -0,0 +1,66 @@
+import express from "express"
+import Joi from "joi"
+import { requirePermission } from "../middleware/auth.js"
+import securityLedgerService from "../services/securityLedgerService.js"
+
+const router = express.Router()
+
+// Validation schemas
+const listSecurityEventsSchema = Joi.object({
+  before: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+})
+
+/**
+ * @route GET /api/security-events
+ * @desc Get security ledger entries of the tenant, newest first, with cursor pagination
+ * @access Private (audit:read)
+ */
+router.get("/", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const { error, value } = listSecurityEventsSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const { events, nextCursor } = await securityLedgerService.list(req.tenantId, value)
+
+    res.json({
+      securityEvents: events,
+      pagination: {
+        limit: value.limit,
+        nextCursor,
+      },
+    })
+  } catch (error) {
+    console.error("Get security events error:", error)
+    res.status(500).json({
+      error: "Failed to fetch security events",
+      code: "FETCH_SECURITY_EVENTS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/security-events/verify
+ * @desc Walk the hash chain of the tenant ledger and report the first broken link
+ * @access Private (audit:read)
+ */
+router.get("/verify", requirePermission("audit:read"), async (req, res) => {
+  try {
+    const verification = await securityLedgerService.verify(req.tenantId)
+
+    res.json({ verification })
+  } catch (error) {
+    console.error("Verify security ledger error:", error)
+    res.status(500).json({
+      error: "Failed to verify security ledger",
+      code: "VERIFY_LEDGER_ERROR",
+    })
+  }
+})
+
+export default router
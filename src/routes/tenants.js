@@ -1,7 +1,15 @@
 import express from "express"
 import Joi from "joi"
-import { prisma } from "../config/database.js"
-import { authenticateToken, requireRole } from "../middleware/auth.js"
+import database, { prisma } from "../config/database.js"
+import { authenticateToken, requirePermission } from "../middleware/auth.js"
+import { authenticatePlatformAdmin } from "../middleware/platformAuth.js"
+import platformService from "../services/platformService.js"
+import domainService from "../services/domainService.js"
+import roleService from "../services/roleService.js"
+import exportService from "../services/exportService.js"
+import tenantDeletionService from "../services/tenantDeletionService.js"
+import auditService from "../services/auditService.js"
+import ssoService from "../services/ssoService.js"
 
 const router = express.Router()
 
@@ -18,55 +26,36 @@ const createTenantSchema = Joi.object({
 
 const updateTenantSchema = Joi.object({
   name: Joi.string().min(2).max(100).optional(),
-  domain: Joi.string().domain().optional(),
-  isActive: Joi.boolean().optional(),
+  domain: Joi.string().domain().allow(null).optional(),
+  requireTwoFactor: Joi.boolean().optional(),
+})
+
+const ssoConnectionSchema = Joi.object({
+  // http is only reachable for hosts in SSO_ALLOWED_HOSTS, checked when the issuer is discovered
+  issuer: Joi.string().uri({ scheme: ["https", "http"] }),
+  clientId: Joi.string().max(255),
+  clientSecret: Joi.string().max(1024),
+  allowedDomains: Joi.array().items(Joi.string().domain()).min(1).unique(),
+  // Provisioned users never start as admins; promote them afterwards
+  defaultRole: Joi.string().valid("USER", "VIEWER"),
+  isEnabled: Joi.boolean(),
 })
 
 /**
  * @route GET /api/tenants
- * @desc Get all tenants (Super Admin only)
- * @access Private (Super Admin)
+ * @desc Get all tenants
+ * @access Private (Platform operator)
  */
-router.get("/", authenticateToken, async (req, res) => {
+router.get("/", authenticatePlatformAdmin, async (req, res) => {
   try {
-    // This would typically require a super admin role
-    // For now, we'll allow any authenticated user to see basic tenant info
     const { page = 1, limit = 10, search, isActive } = req.query
-    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
-
-    const where = {
-      ...(search && {
-        OR: [
-          { name: { contains: search, mode: "insensitive" } },
-          { subdomain: { contains: search, mode: "insensitive" } },
-        ],
-      }),
-      ...(isActive !== undefined && { isActive: isActive === "true" }),
-    }
-
-    const [tenants, total] = await Promise.all([
-      prisma.tenant.findMany({
-        where,
-        select: {
-          id: true,
-          name: true,
-          subdomain: true,
-          domain: true,
-          isActive: true,
-          createdAt: true,
-          _count: {
-            select: {
-              users: true,
-              projects: true,
-            },
-          },
-        },
-        skip,
-        take: Number.parseInt(limit),
-        orderBy: { createdAt: "desc" },
-      }),
-      prisma.tenant.count({ where }),
-    ])
+
+    const { tenants, total } = await platformService.listTenants({
+      page: Number.parseInt(page),
+      limit: Number.parseInt(limit),
+      search,
+      isActive: isActive === undefined ? undefined : isActive === "true",
+    })
 
     res.json({
       tenants,
@@ -115,26 +104,35 @@ router.post("/", async (req, res) => {
       })
     }
 
-    // Check if domain already exists (if provided)
-    if (domain) {
-      const existingDomain = await prisma.tenant.findUnique({
-        where: { domain: domain.toLowerCase() },
+    // Check if another tenant has verified the domain (if provided)
+    if (domain && (await domainService.isTaken(domain))) {
+      return res.status(409).json({
+        error: "Domain already exists",
+        code: "DOMAIN_EXISTS",
       })
-
-      if (existingDomain) {
-        return res.status(409).json({
-          error: "Domain already exists",
-          code: "DOMAIN_EXISTS",
-        })
-      }
     }
 
-    const tenant = await prisma.tenant.create({
-      data: {
-        name,
-        subdomain: subdomain.toLowerCase(),
-        domain: domain?.toLowerCase(),
-      },
+    const tenant = await prisma.$transaction(async (tx) => {
+      const created = await tx.tenant.create({
+        data: {
+          name,
+          subdomain: subdomain.toLowerCase(),
+          ...domainService.pendingVerificationData(domain?.toLowerCase() || null),
+        },
+      })
+
+      // Seed built-in roles
+      await roleService.createDefaultRoles(tx, created.id)
+
+      return created
+    })
+
+    await auditService.log(req, {
+      tenantId: tenant.id,
+      action: "tenant.created",
+      entityType: "Tenant",
+      entityId: tenant.id,
+      after: tenant,
     })
 
     res.status(201).json({
@@ -159,13 +157,13 @@ router.post("/", async (req, res) => {
 /**
  * @route GET /api/tenants/:id
  * @desc Get tenant by ID
- * @access Private
+ * @access Private (tenant:read)
  */
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission("tenant:read"), async (req, res) => {
   try {
     const { id } = req.params
 
-    // Users can only view their own tenant unless they're super admin
+    // Users can only view their own tenant (platform operators use /api/platform)
     if (req.user.tenantId !== id) {
       return res.status(403).json({
         error: "Insufficient permissions",
@@ -173,7 +171,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
       })
     }
 
-    const tenant = await prisma.tenant.findUnique({
+    const tenant = await database.forTenant(id).tenant.findUnique({
       where: { id },
       include: {
         _count: {
@@ -205,9 +203,9 @@ router.get("/:id", authenticateToken, async (req, res) => {
 /**
  * @route PUT /api/tenants/:id
  * @desc Update tenant
- * @access Private (Admin only)
+ * @access Private (tenant:update)
  */
-router.put("/:id", authenticateToken, requireRole(["ADMIN"]), async (req, res) => {
+router.put("/:id", authenticateToken, requirePermission("tenant:update"), async (req, res) => {
   try {
     const { id } = req.params
     const { error, value } = updateTenantSchema.validate(req.body)
@@ -238,28 +236,37 @@ router.put("/:id", authenticateToken, requireRole(["ADMIN"]), async (req, res) =
       })
     }
 
-    // Check domain uniqueness if domain is being updated
-    if (value.domain && value.domain !== existingTenant.domain) {
-      const domainExists = await prisma.tenant.findUnique({
-        where: { domain: value.domain.toLowerCase() },
-      })
+    // null removes the custom domain
+    const domain = value.domain && value.domain.toLowerCase()
 
-      if (domainExists) {
-        return res.status(409).json({
-          error: "Domain already exists",
-          code: "DOMAIN_EXISTS",
-        })
-      }
+    // Check domain uniqueness if domain is being updated; only verified domains are taken
+    if (domain && domain !== existingTenant.domain && (await domainService.isTaken(domain, id))) {
+      return res.status(409).json({
+        error: "Domain already exists",
+        code: "DOMAIN_EXISTS",
+      })
     }
 
     const tenant = await prisma.tenant.update({
       where: { id },
       data: {
         ...value,
-        ...(value.domain && { domain: value.domain.toLowerCase() }),
+        ...(domain !== undefined && { domain }),
+        // A new domain has to be verified again before it is used for routing, a removed one stops routing
+        ...(domain !== undefined &&
+          domain !== existingTenant.domain &&
+          domainService.pendingVerificationData(domain)),
       },
     })
 
+    await auditService.log(req, {
+      action: "tenant.updated",
+      entityType: "Tenant",
+      entityId: id,
+      before: existingTenant,
+      after: tenant,
+    })
+
     res.json({
       message: "Tenant updated successfully",
       tenant,
@@ -274,44 +281,456 @@ router.put("/:id", authenticateToken, requireRole(["ADMIN"]), async (req, res) =
 })
 
 /**
- * @route DELETE /api/tenants/:id
- * @desc Delete tenant (soft delete)
- * @access Private (Super Admin only)
+ * @route GET /api/tenants/:id/domain
+ * @desc Get custom domain verification status and the TXT record to publish
+ * @access Private (tenant:update)
  */
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.get("/:id/domain", authenticateToken, requirePermission("tenant:update"), async (req, res) => {
   try {
     const { id } = req.params
 
-    // This would typically require super admin permissions
-    // For now, prevent deletion of own tenant
-    if (req.user.tenantId === id) {
+    // Users can only manage their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    res.json({ domain: domainService.describe(req.user.tenant) })
+  } catch (error) {
+    console.error("Get domain status error:", error)
+    res.status(500).json({
+      error: "Failed to fetch domain status",
+      code: "FETCH_DOMAIN_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/tenants/:id/domain/verify
+ * @desc Check the DNS TXT record and verify the custom domain
+ * @access Private (tenant:update)
+ */
+router.post("/:id/domain/verify", authenticateToken, requirePermission("tenant:update"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    // Users can only manage their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const tenant = await domainService.verify(req.user.tenant)
+    const domain = domainService.describe(tenant)
+
+    await auditService.log(req, {
+      action: domain.status === "VERIFIED" ? "tenant.domain_verified" : "tenant.domain_verification_failed",
+      entityType: "Tenant",
+      entityId: id,
+      before: req.user.tenant,
+      after: tenant,
+    })
+
+    res.status(domain.status === "VERIFIED" ? 200 : 422).json({
+      message: domain.status === "VERIFIED" ? "Domain verified successfully" : "Verification record not found",
+      domain,
+    })
+  } catch (error) {
+    if (error.message === "DOMAIN_NOT_SET") {
       return res.status(400).json({
-        error: "Cannot delete your own tenant",
-        code: "CANNOT_DELETE_OWN_TENANT",
+        error: "Tenant has no custom domain",
+        code: "DOMAIN_NOT_SET",
       })
     }
 
-    const existingTenant = await prisma.tenant.findUnique({
-      where: { id },
+    if (error.message === "DOMAIN_EXISTS") {
+      return res.status(409).json({
+        error: "Domain has been verified by another tenant",
+        code: "DOMAIN_EXISTS",
+      })
+    }
+
+    console.error("Verify domain error:", error)
+    res.status(500).json({
+      error: "Failed to verify domain",
+      code: "VERIFY_DOMAIN_ERROR",
     })
+  }
+})
 
-    if (!existingTenant) {
+/**
+ * @route GET /api/tenants/:id/sso
+ * @desc Get the single sign-on connection of the tenant, without its client secret
+ * @access Private (tenant:update)
+ */
+router.get("/:id/sso", authenticateToken, requirePermission("tenant:update"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    // Users can only manage their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const connection = await ssoService.getConnection(id)
+
+    if (!connection) {
       return res.status(404).json({
-        error: "Tenant not found",
-        code: "TENANT_NOT_FOUND",
+        error: "Single sign-on is not configured for this tenant",
+        code: "SSO_NOT_CONFIGURED",
       })
     }
 
-    // Soft delete by setting isActive to false
-    await prisma.tenant.update({
-      where: { id },
-      data: { isActive: false },
+    res.json({
+      sso: ssoService.sanitizeConnection(connection),
+      redirectUri: ssoService.redirectUri,
+    })
+  } catch (error) {
+    console.error("Get SSO connection error:", error)
+    res.status(500).json({
+      error: "Failed to fetch SSO connection",
+      code: "FETCH_SSO_ERROR",
+    })
+  }
+})
+
+/**
+ * @route PUT /api/tenants/:id/sso
+ * @desc Create or update the single sign-on connection of the tenant
+ * @access Private (tenant:update)
+ */
+router.put("/:id/sso", authenticateToken, requirePermission("tenant:update"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    // Users can only manage their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const existing = await ssoService.getConnection(id)
+
+    // Every field is needed to create the connection, any subset to update it
+    const { error, value } = ssoConnectionSchema
+      .fork(existing ? [] : ["issuer", "clientId", "clientSecret", "allowedDomains"], (field) => field.required())
+      .validate(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const { before, after } = await ssoService.saveConnection(id, value)
+
+    await auditService.log(req, {
+      action: "tenant.sso_updated",
+      entityType: "Tenant",
+      entityId: id,
+      before,
+      after,
+    })
+
+    res.status(before ? 200 : 201).json({
+      message: "SSO connection saved successfully",
+      sso: ssoService.sanitizeConnection(after),
+      redirectUri: ssoService.redirectUri,
+    })
+  } catch (error) {
+    if (error.message === "SSO_DISCOVERY_FAILED") {
+      return res.status(422).json({
+        error: "Issuer discovery document could not be fetched or does not match the issuer",
+        code: "SSO_DISCOVERY_FAILED",
+      })
+    }
+
+    if (error.message === "SSO_ISSUER_FORBIDDEN") {
+      return res.status(422).json({
+        error: "Issuer must be an https URL of a public host",
+        code: "SSO_ISSUER_FORBIDDEN",
+      })
+    }
+
+    console.error("Update SSO connection error:", error)
+    res.status(500).json({
+      error: "Failed to save SSO connection",
+      code: "UPDATE_SSO_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/tenants/:id/sso
+ * @desc Remove the single sign-on connection of the tenant
+ * @access Private (tenant:update)
+ */
+router.delete("/:id/sso", authenticateToken, requirePermission("tenant:update"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    // Users can only manage their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const connection = await ssoService.removeConnection(id)
+
+    await auditService.log(req, {
+      action: "tenant.sso_removed",
+      entityType: "Tenant",
+      entityId: id,
+      before: connection,
     })
 
     res.json({
-      message: "Tenant deleted successfully",
+      message: "SSO connection removed successfully",
+    })
+  } catch (error) {
+    if (error.message === "SSO_NOT_CONFIGURED") {
+      return res.status(404).json({
+        error: "Single sign-on is not configured for this tenant",
+        code: "SSO_NOT_CONFIGURED",
+      })
+    }
+
+    console.error("Remove SSO connection error:", error)
+    res.status(500).json({
+      error: "Failed to remove SSO connection",
+      code: "REMOVE_SSO_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/tenants/:id/exports
+ * @desc Start an export of all tenant data
+ * @access Private (tenant:export)
+ */
+router.post("/:id/exports", authenticateToken, requirePermission("tenant:export"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    // Users can only export their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const tenantExport = await exportService.request(id, req.user)
+
+    await auditService.log(req, {
+      action: "tenant.export_requested",
+      entityType: "Tenant",
+      entityId: id,
+      metadata: { exportId: tenantExport.id },
+    })
+
+    res.status(202).json({
+      message: "Export started",
+      export: tenantExport,
     })
   } catch (error) {
+    if (error.message === "EXPORT_IN_PROGRESS") {
+      return res.status(409).json({
+        error: "An export is already in progress",
+        code: "EXPORT_IN_PROGRESS",
+      })
+    }
+
+    console.error("Create export error:", error)
+    res.status(500).json({
+      error: "Failed to start export",
+      code: "CREATE_EXPORT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/tenants/:id/exports
+ * @desc Get the latest exports of the tenant
+ * @access Private (tenant:export)
+ */
+router.get("/:id/exports", authenticateToken, requirePermission("tenant:export"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    // Users can only export their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const exports = await exportService.list(id)
+
+    res.json({ exports })
+  } catch (error) {
+    console.error("Get exports error:", error)
+    res.status(500).json({
+      error: "Failed to fetch exports",
+      code: "FETCH_EXPORTS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/tenants/:id/exports/:exportId
+ * @desc Get export status
+ * @access Private (tenant:export)
+ */
+router.get("/:id/exports/:exportId", authenticateToken, requirePermission("tenant:export"), async (req, res) => {
+  try {
+    const { id, exportId } = req.params
+
+    // Users can only export their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const tenantExport = await exportService.get(id, exportId)
+
+    if (!tenantExport) {
+      return res.status(404).json({
+        error: "Export not found",
+        code: "EXPORT_NOT_FOUND",
+      })
+    }
+
+    res.json({ export: tenantExport })
+  } catch (error) {
+    console.error("Get export error:", error)
+    res.status(500).json({
+      error: "Failed to fetch export",
+      code: "FETCH_EXPORT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/tenants/:id/exports/:exportId/download
+ * @desc Download a completed export archive (tar.gz)
+ * @access Private (tenant:export)
+ */
+router.get("/:id/exports/:exportId/download", authenticateToken, requirePermission("tenant:export"), async (req, res) => {
+  try {
+    const { id, exportId } = req.params
+
+    // Users can only export their own tenant
+    if (req.user.tenantId !== id) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const tenantExport = await exportService.get(id, exportId)
+
+    if (!tenantExport) {
+      return res.status(404).json({
+        error: "Export not found",
+        code: "EXPORT_NOT_FOUND",
+      })
+    }
+
+    if (tenantExport.status !== "COMPLETED") {
+      return res.status(409).json({
+        error: "Export is not ready",
+        code: "EXPORT_NOT_READY",
+        status: tenantExport.status,
+      })
+    }
+
+    const archive = await exportService.openArchive(id, tenantExport)
+
+    res.set({
+      "Content-Type": "application/gzip",
+      "Content-Length": tenantExport.size,
+      "Content-Disposition": `attachment; filename="${tenantExport.fileName}"`,
+      "X-Checksum-SHA256": tenantExport.checksum,
+    })
+
+    // Headers are already sent once streaming starts, so a read error can only abort the response
+    archive.on("error", (error) => {
+      console.error("Download export error:", error)
+      res.destroy(error)
+    })
+    archive.pipe(res)
+  } catch (error) {
+    if (error.message === "EXPORT_FILE_MISSING") {
+      return res.status(410).json({
+        error: "Export archive is no longer available",
+        code: "EXPORT_FILE_MISSING",
+      })
+    }
+
+    console.error("Download export error:", error)
+    res.status(500).json({
+      error: "Failed to download export",
+      code: "DOWNLOAD_EXPORT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/tenants/:id
+ * @desc Schedule tenant deletion: suspend it now, purge it after the grace period
+ * @access Private (Platform operator)
+ */
+router.delete("/:id", authenticatePlatformAdmin, async (req, res) => {
+  try {
+    const tenant = await tenantDeletionService.schedule(req.params.id, req.platformAdmin)
+
+    await auditService.log(req, {
+      tenantId: tenant.id,
+      action: "tenant.deletion_scheduled",
+      entityType: "Tenant",
+      entityId: tenant.id,
+      metadata: { deletionScheduledAt: tenant.deletionScheduledAt },
+    })
+
+    res.status(202).json({
+      message: "Tenant scheduled for deletion",
+      tenant: {
+        id: tenant.id,
+        deletionRequestedAt: tenant.deletionRequestedAt,
+        deletionScheduledAt: tenant.deletionScheduledAt,
+      },
+    })
+  } catch (error) {
+    if (error.message === "TENANT_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Tenant not found",
+        code: "TENANT_NOT_FOUND",
+      })
+    }
+
+    if (error.message === "DELETION_ALREADY_SCHEDULED") {
+      return res.status(409).json({
+        error: "Tenant deletion is already scheduled",
+        code: "DELETION_ALREADY_SCHEDULED",
+      })
+    }
+
     console.error("Delete tenant error:", error)
     res.status(500).json({
       error: "Failed to delete tenant",
@@ -1,8 +1,14 @@
 import express from "express"
 import bcrypt from "bcryptjs"
 import Joi from "joi"
-import { prisma } from "../config/database.js"
-import { requireRole } from "../middleware/auth.js"
+import { requirePermission } from "../middleware/auth.js"
+import roleService from "../services/roleService.js"
+import sessionService from "../services/sessionService.js"
+import lockoutService from "../services/lockoutService.js"
+import privacyService from "../services/privacyService.js"
+import identityService from "../services/identityService.js"
+import auditService from "../services/auditService.js"
+import { isOwnAccount } from "../utils/request.js"
 
 const router = express.Router()
 
@@ -20,21 +26,33 @@ const updateUserSchema = Joi.object({
   firstName: Joi.string().min(2).optional(),
   lastName: Joi.string().min(2).optional(),
   role: Joi.string().valid("ADMIN", "USER", "VIEWER").optional(),
+  roleId: Joi.string().uuid().allow(null).optional(),
   isActive: Joi.boolean().optional(),
 })
 
+const eraseUserSchema = Joi.object({
+  projects: Joi.string().valid("reassign", "delete").required(),
+  reassignTo: Joi.string().uuid().when("projects", { is: "reassign", then: Joi.required(), otherwise: Joi.forbidden() }),
+  password: Joi.string().optional(),
+})
+
+const eraseErrors = {
+  USER_ALREADY_ERASED: { status: 409, error: "User has already been erased" },
+  LAST_ADMIN: { status: 409, error: "Cannot erase the last administrator of the tenant" },
+  REASSIGN_USER_NOT_FOUND: { status: 404, error: "User to reassign projects to not found" },
+}
+
 /**
  * @route GET /api/users
  * @desc Get all users in tenant
- * @access Private (Admin only)
+ * @access Private (user:read)
  */
-router.get("/", requireRole(["ADMIN"]), async (req, res) => {
+router.get("/", requirePermission("user:read"), async (req, res) => {
   try {
     const { page = 1, limit = 10, search, role, isActive } = req.query
     const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
 
     const where = {
-      tenantId: req.tenantId,
       ...(search && {
         OR: [
           { firstName: { contains: search, mode: "insensitive" } },
@@ -47,7 +65,7 @@ router.get("/", requireRole(["ADMIN"]), async (req, res) => {
     }
 
     const [users, total] = await Promise.all([
-      prisma.user.findMany({
+      req.db.user.findMany({
         where,
         select: {
           id: true,
@@ -55,8 +73,11 @@ router.get("/", requireRole(["ADMIN"]), async (req, res) => {
           firstName: true,
           lastName: true,
           role: true,
+          roleId: true,
           isActive: true,
           lastLoginAt: true,
+          failedLoginAttempts: true,
+          lockedUntil: true,
           createdAt: true,
           updatedAt: true,
         },
@@ -64,7 +85,7 @@ router.get("/", requireRole(["ADMIN"]), async (req, res) => {
         take: Number.parseInt(limit),
         orderBy: { createdAt: "desc" },
       }),
-      prisma.user.count({ where }),
+      req.db.user.count({ where }),
     ])
 
     res.json({
@@ -88,9 +109,9 @@ router.get("/", requireRole(["ADMIN"]), async (req, res) => {
 /**
  * @route POST /api/users
  * @desc Create new user in tenant
- * @access Private (Admin only)
+ * @access Private (user:create)
  */
-router.post("/", requireRole(["ADMIN"]), async (req, res) => {
+router.post("/", requirePermission("user:create"), async (req, res) => {
   try {
     const { error, value } = createUserSchema.validate(req.body)
     if (error) {
@@ -102,12 +123,18 @@ router.post("/", requireRole(["ADMIN"]), async (req, res) => {
 
     const { email, password, firstName, lastName, role } = value
 
+    // Granting anything above the default role needs user:update:role
+    if (role !== "USER" && !(await roleService.can(req, "user:update:role"))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+        required: ["user:update:role"],
+      })
+    }
+
     // Check if user already exists in tenant
-    const existingUser = await prisma.user.findFirst({
-      where: {
-        email: email.toLowerCase(),
-        tenantId: req.tenantId,
-      },
+    const existingUser = await req.db.user.findFirst({
+      where: { email: email.toLowerCase() },
     })
 
     if (existingUser) {
@@ -120,14 +147,13 @@ router.post("/", requireRole(["ADMIN"]), async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12)
 
-    const user = await prisma.user.create({
+    const user = await req.db.user.create({
       data: {
         email: email.toLowerCase(),
         password: hashedPassword,
         firstName,
         lastName,
         role,
-        tenantId: req.tenantId,
       },
       select: {
         id: true,
@@ -135,11 +161,19 @@ router.post("/", requireRole(["ADMIN"]), async (req, res) => {
         firstName: true,
         lastName: true,
         role: true,
+        roleId: true,
         isActive: true,
         createdAt: true,
       },
     })
 
+    await auditService.log(req, {
+      action: "user.created",
+      entityType: "User",
+      entityId: user.id,
+      after: user,
+    })
+
     res.status(201).json({
       message: "User created successfully",
       user,
@@ -156,31 +190,29 @@ router.post("/", requireRole(["ADMIN"]), async (req, res) => {
 /**
  * @route GET /api/users/:id
  * @desc Get user by ID
- * @access Private
+ * @access Private (Self or user:read)
  */
 router.get("/:id", async (req, res) => {
   try {
     const { id } = req.params
 
-    // Users can only view their own profile unless they're admin
-    if (req.user.id !== id && req.user.role !== "ADMIN") {
+    // Users can only view their own profile without user:read
+    if (!isOwnAccount(req, id) && !(await roleService.can(req, "user:read"))) {
       return res.status(403).json({
         error: "Insufficient permissions",
         code: "INSUFFICIENT_PERMISSIONS",
       })
     }
 
-    const user = await prisma.user.findFirst({
-      where: {
-        id,
-        tenantId: req.tenantId,
-      },
+    const user = await req.db.user.findFirst({
+      where: { id },
       select: {
         id: true,
         email: true,
         firstName: true,
         lastName: true,
         role: true,
+        roleId: true,
         isActive: true,
         lastLoginAt: true,
         createdAt: true,
@@ -208,7 +240,7 @@ router.get("/:id", async (req, res) => {
 /**
  * @route PUT /api/users/:id
  * @desc Update user
- * @access Private (Self or Admin)
+ * @access Private (Self or user:update)
  */
 router.put("/:id", async (req, res) => {
   try {
@@ -222,25 +254,26 @@ router.put("/:id", async (req, res) => {
       })
     }
 
-    // Users can only update their own profile unless they're admin
-    if (req.user.id !== id && req.user.role !== "ADMIN") {
+    // Users can only update their own profile without user:update
+    if (!isOwnAccount(req, id) && !(await roleService.can(req, "user:update"))) {
       return res.status(403).json({
         error: "Insufficient permissions",
         code: "INSUFFICIENT_PERMISSIONS",
       })
     }
 
-    // Non-admin users cannot change role or isActive
-    if (req.user.role !== "ADMIN") {
+    // Role and status changes need their own permissions
+    if (!(await roleService.can(req, "user:update:role"))) {
       delete value.role
+      delete value.roleId
+    }
+
+    if (!(await roleService.can(req, "user:deactivate"))) {
       delete value.isActive
     }
 
-    const existingUser = await prisma.user.findFirst({
-      where: {
-        id,
-        tenantId: req.tenantId,
-      },
+    const existingUser = await req.db.user.findFirst({
+      where: { id },
     })
 
     if (!existingUser) {
@@ -250,12 +283,32 @@ router.put("/:id", async (req, res) => {
       })
     }
 
+    // Resolve custom role assignment; system roles map back to the built-in role
+    if (value.roleId) {
+      const assignedRole = await req.db.role.findFirst({
+        where: { id: value.roleId },
+      })
+
+      if (!assignedRole) {
+        return res.status(404).json({
+          error: "Role not found",
+          code: "ROLE_NOT_FOUND",
+        })
+      }
+
+      if (assignedRole.isSystem) {
+        value.role = assignedRole.name
+        value.roleId = null
+      }
+    } else if (value.role) {
+      value.roleId = null
+    }
+
     // Check email uniqueness if email is being updated
     if (value.email && value.email !== existingUser.email) {
-      const emailExists = await prisma.user.findFirst({
+      const emailExists = await req.db.user.findFirst({
         where: {
           email: value.email.toLowerCase(),
-          tenantId: req.tenantId,
           id: { not: id },
         },
       })
@@ -268,7 +321,7 @@ router.put("/:id", async (req, res) => {
       }
     }
 
-    const user = await prisma.user.update({
+    const user = await req.db.user.update({
       where: { id },
       data: {
         ...value,
@@ -280,12 +333,21 @@ router.put("/:id", async (req, res) => {
         firstName: true,
         lastName: true,
         role: true,
+        roleId: true,
         isActive: true,
         lastLoginAt: true,
         updatedAt: true,
       },
     })
 
+    await auditService.log(req, {
+      action: existingUser.isActive && !user.isActive ? "user.deactivated" : "user.updated",
+      entityType: "User",
+      entityId: id,
+      before: existingUser,
+      after: user,
+    })
+
     res.json({
       message: "User updated successfully",
       user,
@@ -302,9 +364,9 @@ router.put("/:id", async (req, res) => {
 /**
  * @route DELETE /api/users/:id
  * @desc Delete user (soft delete)
- * @access Private (Admin only)
+ * @access Private (user:deactivate)
  */
-router.delete("/:id", requireRole(["ADMIN"]), async (req, res) => {
+router.delete("/:id", requirePermission("user:deactivate"), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -316,11 +378,8 @@ router.delete("/:id", requireRole(["ADMIN"]), async (req, res) => {
       })
     }
 
-    const existingUser = await prisma.user.findFirst({
-      where: {
-        id,
-        tenantId: req.tenantId,
-      },
+    const existingUser = await req.db.user.findFirst({
+      where: { id },
     })
 
     if (!existingUser) {
@@ -331,11 +390,19 @@ router.delete("/:id", requireRole(["ADMIN"]), async (req, res) => {
     }
 
     // Soft delete by setting isActive to false
-    await prisma.user.update({
+    const user = await req.db.user.update({
       where: { id },
       data: { isActive: false },
     })
 
+    await auditService.log(req, {
+      action: "user.deactivated",
+      entityType: "User",
+      entityId: id,
+      before: existingUser,
+      after: user,
+    })
+
     res.json({
       message: "User deleted successfully",
     })
@@ -348,4 +415,202 @@ router.delete("/:id", requireRole(["ADMIN"]), async (req, res) => {
   }
 })
 
+/**
+ * @route POST /api/users/:id/logout
+ * @desc Force logout of every session of a user
+ * @access Private (user:logout)
+ */
+router.post("/:id/logout", requirePermission("user:logout"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const existingUser = await req.db.user.findFirst({
+      where: { id },
+    })
+
+    if (!existingUser) {
+      return res.status(404).json({
+        error: "User not found",
+        code: "USER_NOT_FOUND",
+      })
+    }
+
+    const revoked = await sessionService.revokeAllForUser(id, "ADMIN_FORCE_LOGOUT")
+
+    await auditService.log(req, {
+      action: "user.logged_out",
+      entityType: "User",
+      entityId: id,
+      metadata: { revoked },
+    })
+
+    res.json({
+      message: "User logged out from all sessions",
+      revoked,
+    })
+  } catch (error) {
+    console.error("Force logout error:", error)
+    res.status(500).json({
+      error: "Failed to logout user",
+      code: "FORCE_LOGOUT_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/users/:id/unlock
+ * @desc Clear failed login attempts and lockout of a user
+ * @access Private (user:unlock)
+ */
+router.post("/:id/unlock", requirePermission("user:unlock"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const existingUser = await req.db.user.findFirst({
+      where: { id },
+    })
+
+    if (!existingUser) {
+      return res.status(404).json({
+        error: "User not found",
+        code: "USER_NOT_FOUND",
+      })
+    }
+
+    const user = await lockoutService.unlock(existingUser)
+
+    await auditService.log(req, {
+      action: "user.unlocked",
+      entityType: "User",
+      entityId: id,
+      before: existingUser,
+      after: user,
+    })
+
+    res.json({
+      message: "User unlocked successfully",
+    })
+  } catch (error) {
+    console.error("Unlock user error:", error)
+    res.status(500).json({
+      error: "Failed to unlock user",
+      code: "UNLOCK_USER_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/users/:id/personal-data
+ * @desc Download all personal data held about a user (GDPR access request)
+ * @access Private (Self or user:privacy)
+ */
+router.get("/:id/personal-data", async (req, res) => {
+  try {
+    const { id } = req.params
+
+    // Users can only export their own data without user:privacy
+    if (!isOwnAccount(req, id) && !(await roleService.can(req, "user:privacy"))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const data = await privacyService.exportUser(req.tenantId, id)
+
+    if (!data) {
+      return res.status(404).json({
+        error: "User not found",
+        code: "USER_NOT_FOUND",
+      })
+    }
+
+    res.set("Content-Disposition", `attachment; filename="personal-data-${id}.json"`)
+    res.json(data)
+  } catch (error) {
+    console.error("Export personal data error:", error)
+    res.status(500).json({
+      error: "Failed to export personal data",
+      code: "EXPORT_PERSONAL_DATA_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/users/:id/erase
+ * @desc Erase a user (GDPR right to erasure): anonymize, reassign or delete projects, drop sessions
+ * @access Private (Self with password or user:privacy)
+ */
+router.post("/:id/erase", async (req, res) => {
+  try {
+    const { id } = req.params
+    const { error, value } = eraseUserSchema.validate(req.body)
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const isSelf = isOwnAccount(req, id)
+
+    // Users can only erase themselves without user:privacy
+    if (!isSelf && !(await roleService.can(req, "user:privacy"))) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        code: "INSUFFICIENT_PERMISSIONS",
+      })
+    }
+
+    const existingUser = await req.db.user.findFirst({
+      where: { id },
+    })
+
+    if (!existingUser) {
+      return res.status(404).json({
+        error: "User not found",
+        code: "USER_NOT_FOUND",
+      })
+    }
+
+    // Erasing your own account cannot be undone, so it needs the password the user signs in with
+    const signInAccount = isSelf && value.password ? await identityService.signInAccount(existingUser) : null
+    if (isSelf && !(signInAccount && (await bcrypt.compare(value.password, signInAccount.password)))) {
+      return res.status(401).json({
+        error: "Current password is required to erase your account",
+        code: "INVALID_PASSWORD",
+      })
+    }
+
+    const result = await privacyService.eraseUser(existingUser, value)
+
+    // The erased profile is not copied into the log, only what happened to it
+    await auditService.log(req, {
+      action: "user.erased",
+      entityType: "User",
+      entityId: id,
+      metadata: result,
+    })
+
+    res.json({
+      message: "User erased successfully",
+      ...result,
+    })
+  } catch (error) {
+    if (eraseErrors[error.message]) {
+      return res.status(eraseErrors[error.message].status).json({
+        error: eraseErrors[error.message].error,
+        code: error.message,
+      })
+    }
+
+    console.error("Erase user error:", error)
+    res.status(500).json({
+      error: "Failed to erase user",
+      code: "ERASE_USER_ERROR",
+    })
+  }
+})
+
 export default router
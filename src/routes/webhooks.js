@@ -0,0 +1,420 @@
+import express from "express"
+import Joi from "joi"
+import { requirePermission } from "../middleware/auth.js"
+import webhookService, { WEBHOOK_EVENTS } from "../services/webhookService.js"
+import auditService from "../services/auditService.js"
+
+const router = express.Router()
+
+// Validation schemas
+// Plain HTTP is only accepted outside production
+const webhookUrl = Joi.string().uri({ scheme: process.env.NODE_ENV === "production" ? ["https"] : ["http", "https"] })
+
+const webhookEvents = Joi.array()
+  .items(Joi.string().valid(...Object.keys(WEBHOOK_EVENTS)))
+  .min(1)
+  .unique()
+
+const createEndpointSchema = Joi.object({
+  url: webhookUrl.required(),
+  description: Joi.string().max(200).optional(),
+  events: webhookEvents.required(),
+})
+
+const updateEndpointSchema = Joi.object({
+  url: webhookUrl.optional(),
+  description: Joi.string().max(200).allow(null).optional(),
+  events: webhookEvents.optional(),
+  isActive: Joi.boolean().optional(),
+})
+
+const listDeliveriesSchema = Joi.object({
+  status: Joi.string().valid("PENDING", "DELIVERED", "FAILED").optional(),
+  event: Joi.string()
+    .valid(...Object.keys(WEBHOOK_EVENTS))
+    .optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+})
+
+// Endpoint URLs that pass validation but cannot be used
+const urlErrors = {
+  WEBHOOK_URL_UNRESOLVABLE: "Webhook URL host could not be resolved",
+  WEBHOOK_URL_FORBIDDEN: "Webhook URL must point to a public address",
+}
+
+/**
+ * Find an endpoint of the tenant or send a 404
+ * @returns {Object|null} Endpoint, or null after sending an error response
+ */
+const findEndpoint = async (req, res) => {
+  const endpoint = await req.db.webhookEndpoint.findFirst({
+    where: { id: req.params.id },
+  })
+
+  if (!endpoint) {
+    res.status(404).json({
+      error: "Webhook endpoint not found",
+      code: "WEBHOOK_NOT_FOUND",
+    })
+    return null
+  }
+
+  return endpoint
+}
+
+/**
+ * @route GET /api/webhooks/events
+ * @desc Get the events endpoints can subscribe to
+ * @access Private (webhook:manage)
+ */
+router.get("/events", requirePermission("webhook:manage"), async (req, res) => {
+  res.json({
+    events: Object.entries(WEBHOOK_EVENTS).map(([key, description]) => ({ key, description })),
+  })
+})
+
+/**
+ * @route GET /api/webhooks
+ * @desc Get webhook endpoints of the tenant
+ * @access Private (webhook:manage)
+ */
+router.get("/", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const endpoints = await req.db.webhookEndpoint.findMany({
+      orderBy: { createdAt: "desc" },
+    })
+
+    res.json({ webhooks: endpoints.map((endpoint) => webhookService.sanitizeEndpoint(endpoint)) })
+  } catch (error) {
+    console.error("Get webhooks error:", error)
+    res.status(500).json({
+      error: "Failed to fetch webhooks",
+      code: "FETCH_WEBHOOKS_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/webhooks
+ * @desc Register a webhook endpoint; the signing secret is only returned here and on rotation
+ * @access Private (webhook:manage)
+ */
+router.post("/", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { error, value } = createEndpointSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    await webhookService.resolveUrl(value.url)
+
+    const endpoint = await req.db.webhookEndpoint.create({
+      data: {
+        ...value,
+        secret: webhookService.generateSecret(),
+      },
+    })
+
+    await auditService.log(req, {
+      action: "webhook.created",
+      entityType: "WebhookEndpoint",
+      entityId: endpoint.id,
+      after: webhookService.sanitizeEndpoint(endpoint),
+    })
+
+    res.status(201).json({
+      message: "Webhook created successfully",
+      webhook: endpoint,
+    })
+  } catch (error) {
+    if (urlErrors[error.message]) {
+      return res.status(400).json({ error: urlErrors[error.message], code: error.message })
+    }
+
+    console.error("Create webhook error:", error)
+    res.status(500).json({
+      error: "Failed to create webhook",
+      code: "CREATE_WEBHOOK_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/webhooks/:id
+ * @desc Get webhook endpoint by ID
+ * @access Private (webhook:manage)
+ */
+router.get("/:id", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res)
+    if (!endpoint) {
+      return
+    }
+
+    res.json({ webhook: webhookService.sanitizeEndpoint(endpoint) })
+  } catch (error) {
+    console.error("Get webhook error:", error)
+    res.status(500).json({
+      error: "Failed to fetch webhook",
+      code: "FETCH_WEBHOOK_ERROR",
+    })
+  }
+})
+
+/**
+ * @route PUT /api/webhooks/:id
+ * @desc Update webhook endpoint URL, events or status
+ * @access Private (webhook:manage)
+ */
+router.put("/:id", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { error, value } = updateEndpointSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const existingEndpoint = await findEndpoint(req, res)
+    if (!existingEndpoint) {
+      return
+    }
+
+    if (value.url) {
+      await webhookService.resolveUrl(value.url)
+    }
+
+    const endpoint = await req.db.webhookEndpoint.update({
+      where: { id: existingEndpoint.id },
+      data: value,
+    })
+
+    await auditService.log(req, {
+      action: "webhook.updated",
+      entityType: "WebhookEndpoint",
+      entityId: endpoint.id,
+      before: webhookService.sanitizeEndpoint(existingEndpoint),
+      after: webhookService.sanitizeEndpoint(endpoint),
+    })
+
+    res.json({
+      message: "Webhook updated successfully",
+      webhook: webhookService.sanitizeEndpoint(endpoint),
+    })
+  } catch (error) {
+    if (urlErrors[error.message]) {
+      return res.status(400).json({ error: urlErrors[error.message], code: error.message })
+    }
+
+    console.error("Update webhook error:", error)
+    res.status(500).json({
+      error: "Failed to update webhook",
+      code: "UPDATE_WEBHOOK_ERROR",
+    })
+  }
+})
+
+/**
+ * @route DELETE /api/webhooks/:id
+ * @desc Delete webhook endpoint and its delivery history
+ * @access Private (webhook:manage)
+ */
+router.delete("/:id", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const existingEndpoint = await findEndpoint(req, res)
+    if (!existingEndpoint) {
+      return
+    }
+
+    await req.db.webhookEndpoint.delete({
+      where: { id: existingEndpoint.id },
+    })
+
+    await auditService.log(req, {
+      action: "webhook.deleted",
+      entityType: "WebhookEndpoint",
+      entityId: existingEndpoint.id,
+      before: webhookService.sanitizeEndpoint(existingEndpoint),
+    })
+
+    res.json({
+      message: "Webhook deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete webhook error:", error)
+    res.status(500).json({
+      error: "Failed to delete webhook",
+      code: "DELETE_WEBHOOK_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/webhooks/:id/rotate-secret
+ * @desc Replace the signing secret of a webhook endpoint
+ * @access Private (webhook:manage)
+ */
+router.post("/:id/rotate-secret", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const existingEndpoint = await findEndpoint(req, res)
+    if (!existingEndpoint) {
+      return
+    }
+
+    const endpoint = await req.db.webhookEndpoint.update({
+      where: { id: existingEndpoint.id },
+      data: { secret: webhookService.generateSecret() },
+    })
+
+    await auditService.log(req, {
+      action: "webhook.secret_rotated",
+      entityType: "WebhookEndpoint",
+      entityId: endpoint.id,
+    })
+
+    res.json({
+      message: "Webhook secret rotated successfully",
+      secret: endpoint.secret,
+    })
+  } catch (error) {
+    console.error("Rotate webhook secret error:", error)
+    res.status(500).json({
+      error: "Failed to rotate webhook secret",
+      code: "ROTATE_WEBHOOK_SECRET_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/webhooks/:id/deliveries
+ * @desc Get deliveries of a webhook endpoint, newest first
+ * @access Private (webhook:manage)
+ */
+router.get("/:id/deliveries", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { error, value } = listDeliveriesSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.details.map((d) => ({ field: d.path[0], message: d.message })),
+      })
+    }
+
+    const endpoint = await findEndpoint(req, res)
+    if (!endpoint) {
+      return
+    }
+
+    const { page, limit, status, event } = value
+    const where = {
+      endpointId: endpoint.id,
+      ...(status && { status }),
+      ...(event && { event }),
+    }
+
+    const [deliveries, total] = await Promise.all([
+      req.db.webhookDelivery.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { createdAt: "desc" },
+      }),
+      req.db.webhookDelivery.count({ where }),
+    ])
+
+    res.json({
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (error) {
+    console.error("Get webhook deliveries error:", error)
+    res.status(500).json({
+      error: "Failed to fetch webhook deliveries",
+      code: "FETCH_WEBHOOK_DELIVERIES_ERROR",
+    })
+  }
+})
+
+/**
+ * @route GET /api/webhooks/:id/deliveries/:deliveryId
+ * @desc Get a delivery with every attempt made
+ * @access Private (webhook:manage)
+ */
+router.get("/:id/deliveries/:deliveryId", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const delivery = await req.db.webhookDelivery.findFirst({
+      where: { id: req.params.deliveryId, endpointId: req.params.id },
+      include: { history: { orderBy: { createdAt: "asc" } } },
+    })
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: "Delivery not found",
+        code: "DELIVERY_NOT_FOUND",
+      })
+    }
+
+    res.json({ delivery })
+  } catch (error) {
+    console.error("Get webhook delivery error:", error)
+    res.status(500).json({
+      error: "Failed to fetch webhook delivery",
+      code: "FETCH_WEBHOOK_DELIVERY_ERROR",
+    })
+  }
+})
+
+/**
+ * @route POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * @desc Send a delivered or failed delivery again
+ * @access Private (webhook:manage)
+ */
+router.post("/:id/deliveries/:deliveryId/replay", requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const delivery = await webhookService.replay(req.tenantId, req.params.id, req.params.deliveryId)
+
+    await auditService.log(req, {
+      action: "webhook.delivery_replayed",
+      entityType: "WebhookDelivery",
+      entityId: delivery.id,
+      metadata: { endpointId: req.params.id },
+    })
+
+    res.status(202).json({
+      message: "Delivery queued for replay",
+      delivery,
+    })
+  } catch (error) {
+    if (error.message === "DELIVERY_NOT_FOUND") {
+      return res.status(404).json({
+        error: "Delivery not found",
+        code: "DELIVERY_NOT_FOUND",
+      })
+    }
+
+    if (error.message === "DELIVERY_PENDING") {
+      return res.status(409).json({
+        error: "Delivery is still pending",
+        code: "DELIVERY_PENDING",
+      })
+    }
+
+    console.error("Replay webhook delivery error:", error)
+    res.status(500).json({
+      error: "Failed to replay webhook delivery",
+      code: "REPLAY_WEBHOOK_DELIVERY_ERROR",
+    })
+  }
+})
+
+export default router
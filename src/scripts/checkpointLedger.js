@@ -0,0 +1,27 @@
+import dotenv from "dotenv"
+import database from "../config/database.js"
+import securityLedgerService from "../services/securityLedgerService.js"
+
+dotenv.config()
+
+/**
+ * Write signed checkpoints of every tenant ledger
+ * Usage: npm run ledger:checkpoint (for cron, with LEDGER_CHECKPOINT_INTERVAL_MINUTES=0 on the app)
+ */
+async function main() {
+  const checkpoints = await securityLedgerService.checkpointAll()
+
+  for (const checkpoint of checkpoints) {
+    console.log(`🔏 ${checkpoint.tenantId}: entry ${checkpoint.sequence} ${checkpoint.hash}`)
+  }
+  console.log(`✅ Wrote ${checkpoints.length} checkpoints to ${securityLedgerService.checkpointDir}`)
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Ledger checkpoint failed:", e.message)
+    process.exit(1)
+  })
+  .finally(async () => {
+    await database.disconnect()
+  })
@@ -0,0 +1,30 @@
+import dotenv from "dotenv"
+import database from "../config/database.js"
+import platformService from "../services/platformService.js"
+
+dotenv.config()
+
+/**
+ * Create a platform operator
+ * Usage: npm run platform:create-admin -- <email> <password> [firstName] [lastName]
+ */
+async function main() {
+  const [email, password, firstName = "Platform", lastName = "Operator"] = process.argv.slice(2)
+
+  if (!email || !password || password.length < 12) {
+    console.error("Usage: npm run platform:create-admin -- <email> <password (min 12 chars)> [firstName] [lastName]")
+    process.exit(1)
+  }
+
+  const admin = await platformService.createAdmin({ email, password, firstName, lastName })
+  console.log("✅ Created platform operator:", admin.email)
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Failed to create platform operator:", e.message)
+    process.exit(1)
+  })
+  .finally(async () => {
+    await database.disconnect()
+  })
@@ -0,0 +1,78 @@
+import { parseArgs } from "util"
+import dotenv from "dotenv"
+import database, { prisma } from "../config/database.js"
+import importService from "../services/importService.js"
+
+dotenv.config()
+
+const USAGE = `Usage:
+  npm run tenant:import -- <bundle.tar.gz|directory> --subdomain <subdomain> [--name <name>] [--dry-run]
+  npm run tenant:import -- <bundle.tar.gz|directory> --tenant <tenantId> [--dry-run]
+  npm run tenant:import -- --clone <subdomain> --subdomain <subdomain> [--name <name>] [--dry-run]`
+
+/**
+ * Import a tenant bundle or clone a tenant
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      subdomain: { type: "string" },
+      name: { type: "string" },
+      tenant: { type: "string" },
+      clone: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  })
+
+  const [bundlePath] = positionals
+  const dryRun = values["dry-run"]
+  const target = values.tenant ? { tenantId: values.tenant } : { subdomain: values.subdomain, name: values.name }
+
+  const invalid =
+    !values.tenant === !values.subdomain ||
+    !values.clone === !bundlePath ||
+    (values.clone && values.tenant) ||
+    (values.subdomain && !/^[a-z0-9-]{3,50}$/.test(values.subdomain))
+
+  if (invalid) {
+    console.error(USAGE)
+    process.exit(1)
+  }
+
+  let report
+  if (values.clone) {
+    const source = await prisma.tenant.findUnique({ where: { subdomain: values.clone.toLowerCase() } })
+    if (!source) {
+      throw new Error(`Tenant ${values.clone} not found`)
+    }
+    report = await importService.cloneTenant(source.id, target, { dryRun })
+  } else {
+    const files = await importService.readPath(bundlePath)
+    report = await importService.importFiles(files, target, { dryRun })
+  }
+
+  for (const conflict of report.conflicts) {
+    const location = conflict.file ? ` (${conflict.file}${conflict.line ? `:${conflict.line}` : ""})` : ""
+    console.log(`⚠️  ${conflict.code}: ${conflict.message}${location}`)
+  }
+
+  const { roles, users, projects } = report.counts
+  if (report.imported) {
+    console.log(`✅ Imported ${users} users, ${projects} projects and ${roles} roles into ${report.tenant.subdomain}`)
+  } else if (report.conflicts.length > 0) {
+    console.log(`❌ ${report.conflicts.length} conflicts, nothing was written`)
+    process.exitCode = 1
+  } else {
+    console.log(`✅ Dry run OK: ${users} users, ${projects} projects and ${roles} roles can be imported`)
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Import failed:", e.message)
+    process.exit(1)
+  })
+  .finally(async () => {
+    await database.disconnect()
+  })
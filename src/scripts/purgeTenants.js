@@ -0,0 +1,27 @@
+import dotenv from "dotenv"
+import database from "../config/database.js"
+import tenantDeletionService from "../services/tenantDeletionService.js"
+
+dotenv.config()
+
+/**
+ * Purge tenants whose deletion grace period is over
+ * Usage: npm run tenants:purge (for cron, with TENANT_PURGE_INTERVAL_MINUTES=0 on the app)
+ */
+async function main() {
+  const tombstones = await tenantDeletionService.purgeDue()
+
+  for (const tombstone of tombstones) {
+    console.log(`🗑️  Purged ${tombstone.subdomain} (${tombstone.tenantId}):`, tombstone.removedCounts)
+  }
+  console.log(`✅ Purged ${tombstones.length} tenants`)
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Tenant purge failed:", e.message)
+    process.exit(1)
+  })
+  .finally(async () => {
+    await database.disconnect()
+  })
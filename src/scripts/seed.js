@@ -1,9 +1,13 @@
-import { PrismaClient } from "@prisma/client"
 import bcrypt from "bcryptjs"
-
-const prisma = new PrismaClient()
+import database from "../config/database.js"
+import { DEFAULT_ROLE_PERMISSIONS, SYSTEM_ROLE_DESCRIPTIONS } from "../config/permissions.js"
 
 async function main() {
+  // Seeding writes rows for tenants outside any request, so row-level security is bypassed
+  await database.withBypass(seed, { timeout: 60000 })
+}
+
+async function seed(prisma) {
   console.log("🌱 Starting database seeding...")
 
   try {
@@ -13,11 +17,27 @@ async function main() {
         name: "Demo Company",
         subdomain: "demo",
         domain: "demo.example.com",
+        domainStatus: "VERIFIED",
+        verifiedDomain: "demo.example.com",
+        domainVerifiedAt: new Date(),
       },
     })
 
     console.log("✅ Created demo tenant:", tenant.subdomain)
 
+    // Create built-in roles
+    await prisma.role.createMany({
+      data: Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+        name,
+        description: SYSTEM_ROLE_DESCRIPTIONS[name],
+        permissions,
+        isSystem: true,
+        tenantId: tenant.id,
+      })),
+    })
+
+    console.log("✅ Created built-in roles:", Object.keys(DEFAULT_ROLE_PERMISSIONS).join(", "))
+
     // Create admin user
     const hashedPassword = await bcrypt.hash("admin123456", 12)
 
@@ -80,11 +100,24 @@ async function main() {
 
     console.log("✅ Created demo projects:", projects.length)
 
+    // Create platform operator
+    const platformAdmin = await prisma.platformAdmin.create({
+      data: {
+        email: "ops@platform.local",
+        password: await bcrypt.hash("platform123456", 12),
+        firstName: "Platform",
+        lastName: "Operator",
+      },
+    })
+
+    console.log("✅ Created platform operator:", platformAdmin.email)
+
     console.log("\n🎉 Database seeding completed successfully!")
     console.log("\n📋 Demo Credentials:")
     console.log("Tenant: demo")
     console.log("Admin: admin@demo.com / admin123456")
     console.log("User: user@demo.com / user123456")
+    console.log("Platform operator: ops@platform.local / platform123456")
   } catch (error) {
     console.error("❌ Seeding failed:", error)
     throw error
@@ -97,5 +130,5 @@ main()
     process.exit(1)
   })
   .finally(async () => {
-    await prisma.$disconnect()
+    await database.disconnect()
   })
@@ -0,0 +1,50 @@
+import dotenv from "dotenv"
+import database, { prisma } from "../config/database.js"
+import securityLedgerService from "../services/securityLedgerService.js"
+
+dotenv.config()
+
+/**
+ * Verify the security ledger of one or every tenant
+ * Usage: npm run ledger:verify [-- <subdomain>...]
+ */
+async function main() {
+  const subdomains = process.argv.slice(2).map((subdomain) => subdomain.toLowerCase())
+
+  const tenants = await prisma.tenant.findMany({
+    where: subdomains.length > 0 ? { subdomain: { in: subdomains } } : {},
+    select: { id: true, subdomain: true },
+    orderBy: { subdomain: "asc" },
+  })
+
+  const missing = subdomains.filter((subdomain) => !tenants.some((tenant) => tenant.subdomain === subdomain))
+  if (missing.length > 0) {
+    throw new Error(`Tenant ${missing.join(", ")} not found`)
+  }
+
+  let broken = 0
+  for (const tenant of tenants) {
+    const { valid, checked, checkpoints, brokenLink } = await securityLedgerService.verify(tenant.id)
+
+    if (valid) {
+      console.log(`✅ ${tenant.subdomain}: ${checked} entries, ${checkpoints} checkpoints`)
+    } else {
+      broken += 1
+      console.log(`❌ ${tenant.subdomain}: ${brokenLink.reason} at entry ${brokenLink.sequence}`, brokenLink)
+    }
+  }
+
+  if (broken > 0) {
+    console.log(`❌ ${broken} of ${tenants.length} ledgers are broken`)
+    process.exitCode = 1
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Ledger verification failed:", e.message)
+    process.exit(1)
+  })
+  .finally(async () => {
+    await database.disconnect()
+  })
@@ -9,10 +9,23 @@ import authRoutes from "./routes/auth.js"
 import tenantRoutes from "./routes/tenants.js"
 import userRoutes from "./routes/users.js"
 import projectRoutes from "./routes/projects.js"
+import invitationRoutes from "./routes/invitations.js"
+import roleRoutes from "./routes/roles.js"
+import platformRoutes from "./routes/platform.js"
+import auditLogRoutes from "./routes/auditLogs.js"
+import securityEventRoutes from "./routes/securityEvents.js"
+import webhookRoutes from "./routes/webhooks.js"
+import apiKeyRoutes from "./routes/apiKeys.js"
+import scimRoutes from "./routes/scim.js"
 
 // Middleware
 import { errorHandler } from "./middleware/errorHandler.js"
-import { tenantMiddleware } from "./middleware/tenantMiddleware.js"
+import { resolveTenantFromHost, tenantMiddleware } from "./middleware/tenantMiddleware.js"
+
+// Background jobs
+import tenantDeletionService from "./services/tenantDeletionService.js"
+import securityLedgerService from "./services/securityLedgerService.js"
+import webhookService from "./services/webhookService.js"
 
 dotenv.config()
 
@@ -64,38 +77,143 @@ app.get("/api/docs", (req, res) => {
       auth: {
         "POST /api/auth/register": "Register new user",
         "POST /api/auth/login": "Login user",
-        "POST /api/auth/refresh": "Refresh JWT token",
-        "POST /api/auth/logout": "Logout user",
+        "GET /api/auth/sso/authorize": "Start single sign-on login (redirects to the identity provider)",
+        "POST /api/auth/sso/callback": "Complete single sign-on login",
+        "GET /api/auth/tenants": "Get the tenants linked to the current user",
+        "POST /api/auth/tenants/join": "Join another tenant with an invitation, keeping the current identity",
+        "DELETE /api/auth/tenants/:tenantId": "Unlink a tenant account",
+        "POST /api/auth/switch-tenant": "Start a session in another linked tenant",
+        "POST /api/auth/refresh": "Rotate refresh token and issue new access token",
+        "POST /api/auth/logout": "Logout current session",
+        "POST /api/auth/logout-all": "Logout all sessions of current user",
+        "POST /api/auth/2fa/verify": "Complete two-step login with TOTP or recovery code",
+        "POST /api/auth/2fa/setup": "Start TOTP enrollment",
+        "POST /api/auth/2fa/enable": "Confirm TOTP enrollment and get recovery codes",
+        "POST /api/auth/2fa/disable": "Disable two-factor authentication",
+        "POST /api/auth/2fa/recovery-codes": "Regenerate recovery codes",
+        "POST /api/auth/forgot-password": "Request password reset email",
+        "POST /api/auth/reset-password": "Reset password with reset token",
       },
       tenants: {
-        "GET /api/tenants": "Get all tenants (admin only)",
+        "GET /api/tenants": "Get all tenants (platform operator only)",
         "POST /api/tenants": "Create new tenant",
         "GET /api/tenants/:id": "Get tenant by ID",
         "PUT /api/tenants/:id": "Update tenant",
-        "DELETE /api/tenants/:id": "Delete tenant",
+        "GET /api/tenants/:id/domain": "Get custom domain verification status",
+        "POST /api/tenants/:id/domain/verify": "Verify custom domain via DNS TXT record",
+        "GET /api/tenants/:id/sso": "Get single sign-on connection",
+        "PUT /api/tenants/:id/sso": "Create or update single sign-on connection",
+        "DELETE /api/tenants/:id/sso": "Remove single sign-on connection",
+        "POST /api/tenants/:id/exports": "Start tenant data export",
+        "GET /api/tenants/:id/exports": "Get tenant exports",
+        "GET /api/tenants/:id/exports/:exportId": "Get export status",
+        "GET /api/tenants/:id/exports/:exportId/download": "Download export archive",
+        "DELETE /api/tenants/:id": "Schedule tenant deletion after the grace period (platform operator only)",
+      },
+      platform: {
+        "POST /api/platform/auth/login": "Login platform operator",
+        "GET /api/platform/auth/me": "Get current platform operator",
+        "GET /api/platform/tenants": "List all tenants",
+        "POST /api/platform/tenants/import": "Import tenant bundle into a new or empty tenant",
+        "POST /api/platform/tenants/:id/clone": "Clone tenant into a new subdomain",
+        "GET /api/platform/tenants/:id": "Inspect tenant",
+        "POST /api/platform/tenants/:id/suspend": "Suspend tenant",
+        "POST /api/platform/tenants/:id/restore": "Restore suspended tenant or cancel scheduled deletion",
+        "GET /api/platform/tombstones": "List tombstones of purged tenants",
       },
       users: {
         "GET /api/users": "Get users in tenant",
         "GET /api/users/:id": "Get user by ID",
         "PUT /api/users/:id": "Update user",
         "DELETE /api/users/:id": "Delete user",
+        "POST /api/users/:id/logout": "Force logout of a user",
+        "POST /api/users/:id/unlock": "Unlock a locked-out user",
+        "GET /api/users/:id/personal-data": "Download a user's personal data (GDPR)",
+        "POST /api/users/:id/erase": "Erase a user's personal data (GDPR)",
+      },
+      invitations: {
+        "GET /api/invitations": "Get invitations in tenant",
+        "POST /api/invitations": "Invite user by email",
+        "POST /api/invitations/:id/resend": "Resend pending invitation",
+        "DELETE /api/invitations/:id": "Revoke pending invitation",
+        "POST /api/invitations/accept": "Accept invitation and set password",
+      },
+      roles: {
+        "GET /api/roles/permissions": "Get permission catalog",
+        "GET /api/roles": "Get roles in tenant",
+        "POST /api/roles": "Create custom role",
+        "PUT /api/roles/:id": "Update role",
+        "DELETE /api/roles/:id": "Delete custom role",
       },
       projects: {
-        "GET /api/projects": "Get projects in tenant",
+        "GET /api/projects": "Get projects in tenant (member=me for the caller's projects)",
         "POST /api/projects": "Create new project",
         "GET /api/projects/:id": "Get project by ID",
         "PUT /api/projects/:id": "Update project",
         "DELETE /api/projects/:id": "Delete project",
+        "GET /api/projects/:id/members": "Get project owner and members",
+        "POST /api/projects/:id/members": "Add a project member as editor or viewer",
+        "PUT /api/projects/:id/members/:userId": "Change the role of a project member",
+        "DELETE /api/projects/:id/members/:userId": "Remove a project member",
+        "POST /api/projects/:id/transfer-ownership": "Transfer a project to a new owner",
+      },
+      auditLogs: {
+        "GET /api/audit-logs": "Get tenant audit log (filter by actor, entity, action and date range)",
+      },
+      securityEvents: {
+        "GET /api/security-events": "Get tenant security ledger entries",
+        "GET /api/security-events/verify": "Verify the hash chain and checkpoints of the tenant security ledger",
+      },
+      webhooks: {
+        "GET /api/webhooks/events": "Get subscribable webhook events",
+        "GET /api/webhooks": "Get webhook endpoints",
+        "POST /api/webhooks": "Register webhook endpoint",
+        "GET /api/webhooks/:id": "Get webhook endpoint by ID",
+        "PUT /api/webhooks/:id": "Update webhook endpoint",
+        "DELETE /api/webhooks/:id": "Delete webhook endpoint",
+        "POST /api/webhooks/:id/rotate-secret": "Rotate webhook signing secret",
+        "GET /api/webhooks/:id/deliveries": "Get webhook deliveries",
+        "GET /api/webhooks/:id/deliveries/:deliveryId": "Get webhook delivery with its attempts",
+        "POST /api/webhooks/:id/deliveries/:deliveryId/replay": "Replay webhook delivery",
+      },
+      apiKeys: {
+        "GET /api/api-keys": "Get tenant API keys",
+        "POST /api/api-keys": "Create API key (returned once)",
+        "DELETE /api/api-keys/:id": "Revoke API key",
+      },
+      scim: {
+        "GET /scim/v2/ServiceProviderConfig": "Get supported SCIM features",
+        "GET /scim/v2/Users": "List users (SCIM filter, startIndex and count)",
+        "POST /scim/v2/Users": "Provision user",
+        "GET /scim/v2/Users/:id": "Get user",
+        "PUT /scim/v2/Users/:id": "Replace user",
+        "PATCH /scim/v2/Users/:id": "Update user with PatchOp operations",
+        "DELETE /scim/v2/Users/:id": "Deactivate user",
+        "GET /scim/v2/Groups": "List role groups (ADMIN, USER, VIEWER)",
+        "GET /scim/v2/Groups/:id": "Get role group with its members",
+        "PUT /scim/v2/Groups/:id": "Replace role group members",
+        "PATCH /scim/v2/Groups/:id": "Add or remove role group members",
       },
     },
   })
 })
 
+// Tenant resolution from Host header
+app.use("/api", resolveTenantFromHost)
+
 // Routes
 app.use("/api/auth", authRoutes)
 app.use("/api/tenants", tenantRoutes)
 app.use("/api/users", tenantMiddleware, userRoutes)
 app.use("/api/projects", tenantMiddleware, projectRoutes)
+app.use("/api/invitations", invitationRoutes)
+app.use("/api/roles", tenantMiddleware, roleRoutes)
+app.use("/api/platform", platformRoutes)
+app.use("/api/audit-logs", tenantMiddleware, auditLogRoutes)
+app.use("/api/security-events", tenantMiddleware, securityEventRoutes)
+app.use("/api/webhooks", tenantMiddleware, webhookRoutes)
+app.use("/api/api-keys", tenantMiddleware, apiKeyRoutes)
+app.use("/scim/v2", resolveTenantFromHost, scimRoutes)
 
 // Error handling
 app.use(errorHandler)
@@ -108,10 +226,17 @@ app.use("*", (req, res) => {
   })
 })
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`)
-  console.log(`📚 API Documentation: http://localhost:${PORT}/api/docs`)
-  console.log(`🏥 Health Check: http://localhost:${PORT}/health`)
-})
+// Tests import the app and listen on a port of their own
+if (process.env.NODE_ENV !== "test") {
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`)
+    console.log(`📚 API Documentation: http://localhost:${PORT}/api/docs`)
+    console.log(`🏥 Health Check: http://localhost:${PORT}/health`)
+  })
+
+  tenantDeletionService.start()
+  securityLedgerService.start()
+  webhookService.start()
+}
 
 export default app
@@ -0,0 +1,148 @@
+import crypto from "crypto"
+import database, { prisma } from "../config/database.js"
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js"
+
+/**
+ * Fields of an API key that are safe to return
+ */
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  createdBy: { select: { id: true, email: true, firstName: true, lastName: true } },
+}
+
+/**
+ * How stale lastUsedAt may get before it is written again
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+
+/**
+ * API Key Service
+ * Tenant API keys for machine-to-machine access. A key acts for the admin who
+ * created it, limited to its scopes; only the SHA-256 of its secret is stored
+ */
+class ApiKeyService {
+  /**
+   * Create an API key
+   * @param {Object} creator - User creating the key
+   * @param {Object} data - Key data ({ name, scopes, expiresAt })
+   * @param {Set} grantable - Permissions the creator holds
+   * @returns {Object} Created key and its plain value, shown only once
+   */
+  async create(creator, { name, scopes, expiresAt }, grantable) {
+    // A key can never do more than the admin who created it
+    const notGranted = scopes.filter((scope) => !grantable.has(scope))
+    if (notGranted.length > 0) {
+      const error = new Error("SCOPE_NOT_GRANTED")
+      error.scopes = notGranted
+      throw error
+    }
+
+    const prefix = `sk_${crypto.randomBytes(6).toString("hex")}`
+    const secret = generateOpaqueToken()
+
+    const apiKey = await database.forTenant(creator.tenantId).apiKey.create({
+      data: {
+        name,
+        prefix,
+        secretHash: hashToken(secret),
+        scopes,
+        expiresAt: expiresAt || null,
+        createdById: creator.id,
+      },
+      select: apiKeySelect,
+    })
+
+    return { apiKey, key: `${prefix}.${secret}` }
+  }
+
+  /**
+   * List API keys of a tenant, revoked ones included
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object[]} API keys
+   */
+  async list(tenantId) {
+    return database.forTenant(tenantId).apiKey.findMany({
+      select: apiKeySelect,
+      orderBy: { createdAt: "desc" },
+    })
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} tenantId - Tenant ID
+   * @param {string} id - API key ID
+   * @returns {Object} Revoked key
+   */
+  async revoke(tenantId, id) {
+    const db = database.forTenant(tenantId)
+    const apiKey = await db.apiKey.findFirst({ where: { id } })
+
+    if (!apiKey) {
+      throw new Error("API_KEY_NOT_FOUND")
+    }
+
+    if (apiKey.revokedAt) {
+      throw new Error("API_KEY_REVOKED")
+    }
+
+    return db.apiKey.update({
+      where: { id },
+      data: { revokedAt: new Date() },
+      select: apiKeySelect,
+    })
+  }
+
+  /**
+   * Resolve the key sent in an Authorization header
+   * @param {string} value - Plain key (<prefix>.<secret>)
+   * @returns {Object} Active API key with its creator and tenant
+   */
+  async authenticate(value) {
+    const [prefix, secret] = value.split(".")
+    if (!prefix || !secret) {
+      throw new Error("API_KEY_INVALID")
+    }
+
+    // Prefixes are unique across tenants, so the key is found before its tenant is known
+    const apiKey = await prisma.apiKey.findUnique({ where: { prefix } })
+
+    const expected = Buffer.from(apiKey?.secretHash || "")
+    const actual = Buffer.from(hashToken(secret))
+    if (!apiKey || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error("API_KEY_INVALID")
+    }
+
+    if (apiKey.revokedAt) {
+      throw new Error("API_KEY_REVOKED")
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      throw new Error("API_KEY_EXPIRED")
+    }
+
+    const db = database.forTenant(apiKey.tenantId)
+    const creator = await db.user.findFirst({
+      where: { id: apiKey.createdById, isActive: true },
+      include: { tenant: true },
+    })
+
+    if (!creator) {
+      throw new Error("API_KEY_OWNER_INACTIVE")
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      await db.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date() } })
+    }
+
+    return { apiKey, user: creator }
+  }
+}
+
+export default new ApiKeyService()
@@ -0,0 +1,174 @@
+import database from "../config/database.js"
+import { getClientInfo } from "../utils/request.js"
+import securityLedgerService from "./securityLedgerService.js"
+import webhookService from "./webhookService.js"
+
+/**
+ * Fields whose values never reach the audit log
+ */
+const SENSITIVE_FIELD = /password|secret|token/i
+
+/**
+ * Fields that change on every write and would only add noise to a diff
+ */
+const IGNORED_FIELDS = ["updatedAt"]
+
+/**
+ * Audit Service
+ * Records who changed what in a tenant, and every login attempt
+ */
+class AuditService {
+  /**
+   * Reduce a record to its scalar fields with credentials redacted
+   * Nested relations are dropped; they have their own audit entries
+   * @param {Object|null} record - Database record
+   * @returns {Object|null} Snapshot safe to store
+   */
+  snapshot(record) {
+    if (!record) {
+      return null
+    }
+
+    const snapshot = {}
+    for (const [field, value] of Object.entries(record)) {
+      if (value !== null && typeof value === "object" && !(value instanceof Date) && !Array.isArray(value)) {
+        continue
+      }
+      snapshot[field] = SENSITIVE_FIELD.test(field) && value !== null ? "[REDACTED]" : value
+    }
+
+    return JSON.parse(JSON.stringify(snapshot))
+  }
+
+  /**
+   * Diff two versions of a record
+   * Creations and deletions keep the whole record, updates only the changed fields.
+   * Only fields present in the new version are compared, so it can be a partial select
+   * @param {Object|null} before - Record before the change
+   * @param {Object|null} after - Record after the change
+   * @returns {Object} Changed values ({ before, after })
+   */
+  diff(before, after) {
+    const previous = this.snapshot(before)
+    const next = this.snapshot(after)
+
+    if (!previous || !next) {
+      return { before: previous, after: next }
+    }
+
+    const changes = { before: {}, after: {} }
+    for (const field of Object.keys(next)) {
+      // Compare the raw values so a changed password still shows up, redacted on both sides
+      if (IGNORED_FIELDS.includes(field) || JSON.stringify(before[field]) === JSON.stringify(after[field])) {
+        continue
+      }
+      changes.before[field] = previous[field] ?? null
+      changes.after[field] = next[field] ?? null
+    }
+
+    return changes
+  }
+
+  /**
+   * Work out who is behind a request
+   * @param {Object} req - Express request
+   * @returns {Object} Actor ({ actorType, actorId })
+   */
+  actor(req) {
+    if (req.platformAdmin) {
+      return { actorType: "PLATFORM_ADMIN", actorId: req.platformAdmin.id }
+    }
+
+    // API keys act for their creator, but the key is what made the change
+    if (req.apiKey) {
+      return { actorType: "API_KEY", actorId: req.apiKey.id }
+    }
+
+    if (req.user) {
+      return { actorType: "USER", actorId: req.user.id }
+    }
+
+    return { actorType: "ANONYMOUS", actorId: null }
+  }
+
+  /**
+   * Write an audit entry, append it to the security ledger when it is a security event
+   * and queue it for the webhook endpoints subscribed to it
+   * Failures are logged and swallowed so auditing never breaks the audited request
+   * @param {Object} entry - Entry fields; before and after are full records, diffed and redacted here
+   * @returns {Object|null} Created entry
+   */
+  async record({ tenantId, before = null, after = null, ...entry }) {
+    try {
+      const changes = this.diff(before, after)
+
+      const auditLog = await database.forTenant(tenantId).auditLog.create({
+        data: {
+          ...entry,
+          before: changes.before ?? undefined,
+          after: changes.after ?? undefined,
+        },
+      })
+
+      if (securityLedgerService.tracks(auditLog)) {
+        await securityLedgerService.append(auditLog)
+      }
+
+      await webhookService.enqueue(auditLog, this.snapshot(after ?? before))
+
+      return auditLog
+    } catch (error) {
+      console.error("Audit log error:", error)
+      return null
+    }
+  }
+
+  /**
+   * Write an audit entry for the actor and client of a request
+   * @param {Object} req - Express request
+   * @param {Object} entry - ({ action, entityType, entityId, before, after, metadata, tenantId })
+   * @returns {Object|null} Created entry
+   */
+  async log(req, entry) {
+    return this.record({
+      tenantId: req.tenantId,
+      ...this.actor(req),
+      ...getClientInfo(req),
+      ...entry,
+    })
+  }
+
+  /**
+   * List audit entries of a tenant, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} query - Filters and pagination ({ actorId, entityType, entityId, action, from, to, cursor, limit })
+   * @returns {Object} Entries and the cursor of the next page
+   */
+  async list(tenantId, { actorId, entityType, entityId, action, from, to, cursor, limit }) {
+    const entries = await database.forTenant(tenantId).auditLog.findMany({
+      where: {
+        ...(actorId && { actorId }),
+        ...(entityType && { entityType }),
+        ...(entityId && { entityId }),
+        ...(action && { action }),
+        ...((from || to) && {
+          createdAt: {
+            ...(from && { gte: from }),
+            ...(to && { lte: to }),
+          },
+        }),
+      },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      // One extra row tells whether there is a next page
+      take: limit + 1,
+    })
+
+    const hasMore = entries.length > limit
+    const page = hasMore ? entries.slice(0, limit) : entries
+
+    return { entries: page, nextCursor: hasMore ? page[page.length - 1].id : null }
+  }
+}
+
+export default new AuditService()
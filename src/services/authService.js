@@ -1,6 +1,14 @@
 import bcrypt from "bcryptjs"
 import jwt from "jsonwebtoken"
-import { prisma } from "../config/database.js"
+import database, { prisma } from "../config/database.js"
+import sessionService from "./sessionService.js"
+import twoFactorService from "./twoFactorService.js"
+import lockoutService from "./lockoutService.js"
+import roleService from "./roleService.js"
+import mailService from "./mailService.js"
+import auditService from "./auditService.js"
+import identityService from "./identityService.js"
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js"
 
 /**
  * Authentication Service
@@ -10,9 +18,10 @@ class AuthService {
   /**
    * Register new user and create tenant
    * @param {Object} userData - User registration data
-   * @returns {Object} Created user and tenant with token
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} Created user and tenant with tokens
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     const { email, password, firstName, lastName, tenantName, subdomain } = userData
 
     // Check if subdomain exists
@@ -36,6 +45,11 @@ class AuthService {
         },
       })
 
+      await roleService.createDefaultRoles(tx, tenant.id)
+
+      // Row-level security only admits users of the tenant set on the transaction
+      await database.setTenantContext(tx, tenant.id)
+
       const user = await tx.user.create({
         data: {
           email: email.toLowerCase(),
@@ -51,22 +65,24 @@ class AuthService {
       return { tenant, user }
     })
 
-    // Generate token
-    const token = this.generateToken(result.user)
+    // Start session
+    const tokens = await this.issueTokens(result.user, context)
 
     return {
       user: this.sanitizeUser(result.user),
       tenant: result.tenant,
-      token,
+      ...tokens,
     }
   }
 
   /**
    * Authenticate user login
+   * Returns a challenge token instead when the user has 2FA enabled
    * @param {Object} loginData - Login credentials
-   * @returns {Object} User data with token
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} User data with tokens, or a 2FA challenge
    */
-  async login(loginData) {
+  async login(loginData, context = {}) {
     const { email, password, subdomain } = loginData
 
     // Find tenant
@@ -79,55 +95,351 @@ class AuthService {
     }
 
     // Find user
-    const user = await prisma.user.findFirst({
+    const user = await database.forTenant(tenant.id).user.findFirst({
       where: {
         email: email.toLowerCase(),
-        tenantId: tenant.id,
         isActive: true,
       },
       include: { tenant: true },
     })
 
-    if (!user) {
+    // Accounts that joined through an identity sign in with the identity's credentials
+    const account = user && (await identityService.signInAccount(user))
+
+    if (!account) {
+      await this.auditLoginAttempt({ tenantId: tenant.id, email, outcome: "INVALID_CREDENTIALS" }, context)
+      throw new Error("INVALID_CREDENTIALS")
+    }
+
+    // Enforce lockout and progressive delays; answered like unknown emails so accounts cannot be enumerated
+    try {
+      lockoutService.assertCanAttempt(account)
+    } catch (error) {
+      await this.auditLoginAttempt({ tenantId: tenant.id, email, user, outcome: error.message }, context)
       throw new Error("INVALID_CREDENTIALS")
     }
 
     // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password)
+    const isValidPassword = await bcrypt.compare(password, account.password)
     if (!isValidPassword) {
+      await lockoutService.recordFailure(account)
+      await this.auditLoginAttempt({ tenantId: tenant.id, email, user, outcome: "INVALID_CREDENTIALS" }, context)
       throw new Error("INVALID_CREDENTIALS")
     }
 
+    // Second factor required before issuing a session
+    if (account.twoFactorEnabled) {
+      await this.auditLoginAttempt({ tenantId: tenant.id, email, user, outcome: "challenged" }, context)
+      return {
+        twoFactorRequired: true,
+        challengeToken: this.generateChallengeToken(user),
+      }
+    }
+
     // Update last login
-    await prisma.user.update({
+    await lockoutService.recordSuccess(account)
+    await database.forTenant(user.tenantId).user.update({
       where: { id: user.id },
       data: { lastLoginAt: new Date() },
     })
 
-    // Generate token
-    const token = this.generateToken(user)
+    // Start session
+    const tokens = await this.issueTokens(user, context)
+
+    await this.auditLoginAttempt({ tenantId: tenant.id, email, user, outcome: "succeeded" }, context)
 
     return {
       user: this.sanitizeUser(user),
       tenant,
-      token,
+      ...tokens,
+      ...(tenant.requireTwoFactor && { twoFactorSetupRequired: true }),
+    }
+  }
+
+  /**
+   * Record a login attempt in the tenant audit log and security ledger
+   * @param {Object} attempt - ({ tenantId, email, user, outcome, method }), outcome is the action suffix or a
+   *   failure code, method is set for logins other than with a password (e.g. "sso")
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object|null} Audit entry
+   */
+  async auditLoginAttempt({ tenantId, email, user, outcome, method }, context = {}) {
+    const succeeded = outcome === "succeeded" || outcome === "challenged"
+
+    return auditService.record({
+      tenantId,
+      action: succeeded ? `auth.login_${outcome}` : "auth.login_failed",
+      entityType: "User",
+      entityId: user?.id ?? null,
+      // Whoever is logging in only becomes the actor once the password checks out
+      actorType: succeeded ? "USER" : "ANONYMOUS",
+      actorId: succeeded ? user.id : null,
+      metadata: {
+        // SSO logins can fail before the identity provider has said who is logging in
+        email: email ? email.toLowerCase() : null,
+        ...(method && { method }),
+        ...(!succeeded && { reason: outcome }),
+      },
+      ...context,
+    })
+  }
+
+  /**
+   * Complete a two-step login with a TOTP or recovery code
+   * @param {string} challengeToken - Challenge token returned by login
+   * @param {Object} credentials - ({ code, recoveryCode })
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} User data with tokens
+   */
+  async verifyTwoFactorLogin(challengeToken, credentials, context = {}) {
+    let decoded
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+    } catch {
+      throw new Error("INVALID_CHALLENGE")
+    }
+
+    if (decoded.purpose !== "2fa_challenge") {
+      throw new Error("INVALID_CHALLENGE")
+    }
+
+    const user = await database.forTenant(decoded.tenantId).user.findFirst({
+      where: {
+        id: decoded.userId,
+        isActive: true,
+      },
+      include: { tenant: true },
+    })
+
+    // The second factor is the one of the account the user signs in with
+    const account = user && (await identityService.signInAccount(user))
+
+    if (!account?.twoFactorEnabled || !user.tenant.isActive) {
+      throw new Error("INVALID_CHALLENGE")
+    }
+
+    const attempt = {
+      tenantId: user.tenantId,
+      entityType: "User",
+      entityId: user.id,
+      ...context,
+    }
+
+    try {
+      lockoutService.assertCanAttempt(account)
+      await twoFactorService.verify(account, credentials)
+    } catch (error) {
+      if (error.message === "INVALID_TWO_FACTOR_CODE") {
+        await lockoutService.recordFailure(account)
+      }
+      await auditService.record({
+        ...attempt,
+        action: "auth.login_failed",
+        actorType: "ANONYMOUS",
+        metadata: { email: user.email, reason: error.message, twoFactor: true },
+      })
+      // A locked account gets the same answer as a wrong code, as it does at the password step
+      if (error.message === "ACCOUNT_LOCKED" || error.message === "LOGIN_THROTTLED") {
+        throw new Error("INVALID_TWO_FACTOR_CODE")
+      }
+      throw error
+    }
+
+    await lockoutService.recordSuccess(account)
+    await database.forTenant(user.tenantId).user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() },
+    })
+
+    const tokens = await this.issueTokens(user, context, { twoFactorVerified: true })
+
+    await auditService.record({
+      ...attempt,
+      action: "auth.login_succeeded",
+      actorType: "USER",
+      actorId: user.id,
+      metadata: { email: user.email, twoFactor: true },
+    })
+
+    return {
+      user: this.sanitizeUser(user),
+      tenant: user.tenant,
+      ...tokens,
     }
   }
 
   /**
-   * Generate JWT token
+   * Generate a short-lived token proving the password step succeeded
    * @param {Object} user - User object
+   * @returns {string} JWT challenge token
+   */
+  generateChallengeToken(user) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        tenantId: user.tenantId,
+        purpose: "2fa_challenge",
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m" },
+    )
+  }
+
+  /**
+   * Create a password reset token and email it to the user
+   * Accounts that joined through an identity reset the password of the identity's sign-in account.
+   * Silently does nothing when the tenant or user does not exist
+   * @param {Object} data - Reset request ({ email, subdomain })
+   */
+  async requestPasswordReset({ email, subdomain }) {
+    const tenant = await prisma.tenant.findUnique({
+      where: { subdomain: subdomain.toLowerCase() },
+    })
+
+    if (!tenant || !tenant.isActive) {
+      return
+    }
+
+    const member = await database.forTenant(tenant.id).user.findFirst({
+      where: {
+        email: email.toLowerCase(),
+        isActive: true,
+      },
+      include: { tenant: true },
+    })
+
+    const user = member && (await identityService.signInAccount(member))
+
+    if (!user) {
+      return
+    }
+
+    const token = generateOpaqueToken()
+    const ttlMinutes = Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+
+    await prisma.passwordResetToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        userId: user.id,
+        tenantId: user.tenantId,
+      },
+    })
+
+    const appUrl = process.env.APP_URL || "http://localhost:3000"
+    const resetUrl = `${appUrl}/reset-password?token=${token}&subdomain=${user.tenant.subdomain}`
+
+    await mailService.send({
+      to: user.email,
+      subject: `Reset your ${user.tenant.name} password`,
+      text: `Hi ${user.firstName},\n\nUse the following link to reset your password. It expires in ${ttlMinutes} minutes.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    })
+  }
+
+  /**
+   * Reset a password with a single-use reset token
+   * Revokes every existing session of the user
+   * @param {Object} data - Reset data ({ token, password, subdomain })
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   */
+  async resetPassword({ token, password, subdomain }, context = {}) {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { tenant: true },
+    })
+
+    if (
+      !resetToken ||
+      resetToken.usedAt ||
+      resetToken.expiresAt < new Date() ||
+      resetToken.tenant.subdomain !== subdomain.toLowerCase()
+    ) {
+      throw new Error("INVALID_RESET_TOKEN")
+    }
+
+    const user = await database.forTenant(resetToken.tenantId).user.findUnique({
+      where: { id: resetToken.userId },
+    })
+
+    if (!user || !user.isActive) {
+      throw new Error("INVALID_RESET_TOKEN")
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12)
+
+    await database.withTenant(resetToken.tenantId, async (tx) => {
+      // Consume the token atomically so it can only be used once
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      })
+
+      if (count === 0) {
+        throw new Error("INVALID_RESET_TOKEN")
+      }
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: {
+          password: hashedPassword,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+        },
+      })
+
+      // Invalidate any other outstanding reset tokens
+      await tx.passwordResetToken.updateMany({
+        where: { userId: resetToken.userId, usedAt: null },
+        data: { usedAt: new Date() },
+      })
+    })
+
+    await sessionService.revokeAllForUser(resetToken.userId, "PASSWORD_RESET")
+
+    await auditService.record({
+      tenantId: resetToken.tenantId,
+      action: "auth.password_reset",
+      entityType: "User",
+      entityId: user.id,
+      actorType: "USER",
+      actorId: user.id,
+      ...context,
+    })
+  }
+
+  /**
+   * Start a new session and issue its access and refresh tokens
+   * @param {Object} user - User object
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @param {Object} options - ({ twoFactorVerified })
+   * @returns {Object} Access token and refresh token
+   */
+  async issueTokens(user, context = {}, options = {}) {
+    const { session, refreshToken } = await sessionService.createSession(user, context, options)
+
+    return {
+      token: this.generateToken(user, session.id),
+      refreshToken,
+    }
+  }
+
+  /**
+   * Generate short-lived JWT access token bound to a session
+   * @param {Object} user - User object
+   * @param {string} sessionId - Session ID
    * @returns {string} JWT token
    */
-  generateToken(user) {
+  generateToken(user, sessionId) {
     return jwt.sign(
       {
         userId: user.id,
         tenantId: user.tenantId,
         role: user.role,
+        sid: sessionId,
       },
       process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" },
+      { expiresIn: process.env.JWT_EXPIRES_IN || "15m" },
     )
   }
 
@@ -146,17 +458,31 @@ class AuthService {
    * @returns {Object} Sanitized user object
    */
   sanitizeUser(user) {
-    const { password, ...sanitizedUser } = user
+    const {
+      password,
+      twoFactorSecret,
+      twoFactorLastUsedStep,
+      failedLoginAttempts,
+      lastFailedLoginAt,
+      lockedUntil,
+      ...sanitizedUser
+    } = user
     return sanitizedUser
   }
 
   /**
-   * Refresh JWT token
-   * @param {Object} user - User object
-   * @returns {string} New JWT token
+   * Exchange a refresh token for a new access and refresh token pair
+   * @param {string} refreshToken - Opaque refresh token
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} New access token and refresh token
    */
-  refreshToken(user) {
-    return this.generateToken(user)
+  async refreshToken(refreshToken, context = {}) {
+    const result = await sessionService.rotate(refreshToken, context)
+
+    return {
+      token: this.generateToken(result.user, result.session.id),
+      refreshToken: result.refreshToken,
+    }
   }
 }
 
@@ -0,0 +1,250 @@
+import dns from "dns/promises"
+import { prisma } from "../config/database.js"
+import { generateOpaqueToken } from "../utils/tokens.js"
+
+/**
+ * DNS resolver backed by the system resolver
+ */
+const systemResolver = {
+  async resolveTxt(name) {
+    try {
+      const records = await dns.resolveTxt(name)
+      return records.map((chunks) => chunks.join(""))
+    } catch (error) {
+      if (error.code === "ENOTFOUND" || error.code === "ENODATA") {
+        return []
+      }
+      throw error
+    }
+  },
+}
+
+/**
+ * Create an in-memory DNS resolver for offline use and tests
+ * @param {Object} records - Map of record name to TXT values
+ * @returns {Object} Resolver with resolveTxt(name) and setRecords(name, values)
+ */
+export const createStubResolver = (records = {}) => {
+  const store = new Map(Object.entries(records).map(([name, values]) => [name.toLowerCase(), [].concat(values)]))
+
+  return {
+    async resolveTxt(name) {
+      return store.get(name.toLowerCase()) || []
+    },
+    setRecords(name, values) {
+      store.set(name.toLowerCase(), [].concat(values))
+    },
+  }
+}
+
+/**
+ * Domain Service
+ * Resolves tenants from request hosts (subdomains of the base domain or verified
+ * custom domains) and verifies custom domain ownership through DNS TXT records
+ */
+class DomainService {
+  constructor() {
+    this.resolver = null
+  }
+
+  /**
+   * Base domain tenants are served under, e.g. "app.example.com"
+   * @returns {string}
+   */
+  get baseDomain() {
+    return (process.env.APP_BASE_DOMAIN || "localhost").toLowerCase()
+  }
+
+  /**
+   * Subdomains of the base domain that never identify a tenant
+   * @returns {string[]}
+   */
+  get reservedSubdomains() {
+    return (process.env.APP_RESERVED_SUBDOMAINS || "www,api,app")
+      .split(",")
+      .map((subdomain) => subdomain.trim().toLowerCase())
+      .filter(Boolean)
+  }
+
+  /**
+   * Work out what a hostname points at
+   * @param {string} hostname - Request hostname without port
+   * @returns {Object|null} ({ subdomain }) or ({ domain }), null for the base domain itself
+   */
+  parseHost(hostname) {
+    if (!hostname) {
+      return null
+    }
+
+    const host = hostname.toLowerCase().replace(/\.$/, "")
+    const base = this.baseDomain
+
+    if (host === base) {
+      return null
+    }
+
+    if (host.endsWith(`.${base}`)) {
+      const subdomain = host.slice(0, -(base.length + 1))
+
+      // Only a single label directly under the base domain identifies a tenant
+      if (subdomain.includes(".") || this.reservedSubdomains.includes(subdomain)) {
+        return null
+      }
+
+      return { subdomain }
+    }
+
+    return { domain: host }
+  }
+
+  /**
+   * Find the tenant a hostname belongs to
+   * @param {string} hostname - Request hostname without port
+   * @returns {Object|null} Tenant, or null when the host does not identify one
+   */
+  async resolveTenant(hostname) {
+    const parsed = this.parseHost(hostname)
+
+    if (!parsed) {
+      return null
+    }
+
+    if (parsed.subdomain) {
+      return prisma.tenant.findUnique({ where: { subdomain: parsed.subdomain } })
+    }
+
+    // Custom domains only route once ownership has been verified
+    return prisma.tenant.findUnique({ where: { verifiedDomain: parsed.domain } })
+  }
+
+  /**
+   * Replace the DNS resolver
+   * @param {Object} resolver - Object with an async resolveTxt(name) method returning strings
+   */
+  setResolver(resolver) {
+    this.resolver = resolver
+  }
+
+  /**
+   * Get the configured DNS resolver (DNS_RESOLVER=system|stub)
+   * The stub resolver is seeded from the DNS_STUB_RECORDS JSON map
+   * @returns {Object} Resolver
+   */
+  getResolver() {
+    if (!this.resolver) {
+      this.resolver =
+        process.env.DNS_RESOLVER === "stub"
+          ? createStubResolver(JSON.parse(process.env.DNS_STUB_RECORDS || "{}"))
+          : systemResolver
+    }
+    return this.resolver
+  }
+
+  /**
+   * Fields that reset verification for a newly assigned domain
+   * @param {string|null} domain - New custom domain, null to remove it
+   * @returns {Object} Tenant update data
+   */
+  pendingVerificationData(domain) {
+    return {
+      domain,
+      domainStatus: domain ? "PENDING" : null,
+      domainVerificationToken: domain ? generateOpaqueToken(24) : null,
+      verifiedDomain: null,
+      domainVerifiedAt: null,
+      domainLastCheckedAt: null,
+    }
+  }
+
+  /**
+   * Check whether another tenant has verified a domain
+   * Pending claims do not count, so nobody can hold a domain without proving they own it
+   * @param {string} domain - Custom domain
+   * @param {string} tenantId - Tenant asking, if any
+   * @returns {boolean}
+   */
+  async isTaken(domain, tenantId = null) {
+    const owner = await prisma.tenant.findUnique({ where: { verifiedDomain: domain.toLowerCase() } })
+    return Boolean(owner) && owner.id !== tenantId
+  }
+
+  /**
+   * DNS TXT record the tenant must publish
+   * @param {Object} tenant - Tenant with domain and verification token
+   * @returns {Object} Record name and value
+   */
+  verificationRecord(tenant) {
+    const prefix = process.env.DOMAIN_VERIFICATION_PREFIX || "_saas-verification"
+
+    return {
+      type: "TXT",
+      name: `${prefix}.${tenant.domain}`,
+      value: `saas-verification=${tenant.domainVerificationToken}`,
+    }
+  }
+
+  /**
+   * Describe the verification state of a tenant's domain
+   * @param {Object} tenant - Tenant
+   * @returns {Object} Domain status and the record to publish
+   */
+  describe(tenant) {
+    return {
+      domain: tenant.domain,
+      status: tenant.domainStatus,
+      verifiedAt: tenant.domainVerifiedAt,
+      lastCheckedAt: tenant.domainLastCheckedAt,
+      ...(tenant.domain && tenant.domainStatus !== "VERIFIED" && { record: this.verificationRecord(tenant) }),
+    }
+  }
+
+  /**
+   * Check the TXT record of a tenant's domain and store the result
+   * @param {Object} tenant - Tenant
+   * @returns {Object} Updated tenant
+   */
+  async verify(tenant) {
+    if (!tenant.domain) {
+      throw new Error("DOMAIN_NOT_SET")
+    }
+
+    if (tenant.domainStatus === "VERIFIED") {
+      return tenant
+    }
+
+    if (await this.isTaken(tenant.domain, tenant.id)) {
+      throw new Error("DOMAIN_EXISTS")
+    }
+
+    const record = this.verificationRecord(tenant)
+    let values = []
+
+    try {
+      values = await this.getResolver().resolveTxt(record.name)
+    } catch (error) {
+      console.error("DNS lookup error:", error)
+    }
+
+    const verified = values.includes(record.value)
+    const now = new Date()
+
+    try {
+      return await prisma.tenant.update({
+        where: { id: tenant.id },
+        data: {
+          domainStatus: verified ? "VERIFIED" : "FAILED",
+          domainLastCheckedAt: now,
+          ...(verified && { verifiedDomain: tenant.domain, domainVerifiedAt: now }),
+        },
+      })
+    } catch (error) {
+      // Another tenant verified the same domain in the meantime
+      if (error.code === "P2002") {
+        throw new Error("DOMAIN_EXISTS")
+      }
+      throw error
+    }
+  }
+}
+
+export default new DomainService()
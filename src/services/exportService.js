@@ -0,0 +1,338 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import zlib from "zlib"
+import { Readable } from "stream"
+import { pipeline } from "stream/promises"
+import database from "../config/database.js"
+import { tarStream } from "../utils/tar.js"
+
+/**
+ * Version of the archive layout, bumped whenever a file or field changes
+ */
+export const EXPORT_SCHEMA_VERSION = 1
+
+const BATCH_SIZE = 500
+
+const tenantSelect = {
+  id: true,
+  name: true,
+  subdomain: true,
+  domain: true,
+  domainStatus: true,
+  domainVerifiedAt: true,
+  isActive: true,
+  requireTwoFactor: true,
+  createdAt: true,
+  updatedAt: true,
+}
+
+const roleSelect = {
+  id: true,
+  name: true,
+  description: true,
+  permissions: true,
+  isSystem: true,
+  createdAt: true,
+  updatedAt: true,
+}
+
+// Password hashes and 2FA secrets never leave the database
+const userSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  roleId: true,
+  isActive: true,
+  lastLoginAt: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+  updatedAt: true,
+}
+
+const projectSelect = {
+  id: true,
+  name: true,
+  description: true,
+  isActive: true,
+  userId: true,
+  createdAt: true,
+  updatedAt: true,
+}
+
+const exportSelect = {
+  id: true,
+  status: true,
+  fileName: true,
+  size: true,
+  checksum: true,
+  error: true,
+  startedAt: true,
+  completedAt: true,
+  createdAt: true,
+  requestedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+    },
+  },
+}
+
+/**
+ * Export Service
+ * Builds portable tenant archives (tar.gz with one JSON-lines file per model and
+ * a manifest) in the background, reading and writing in batches so memory use
+ * stays flat however large the tenant is
+ */
+class ExportService {
+  /**
+   * Directory archives are stored in
+   * @returns {string}
+   */
+  get exportDir() {
+    return path.resolve(process.env.EXPORT_DIR || "storage/exports")
+  }
+
+  /**
+   * Time after which an unfinished export no longer blocks a new one
+   * @returns {number} Milliseconds
+   */
+  get staleAfter() {
+    const minutes = Number.parseInt(process.env.EXPORT_TIMEOUT_MINUTES) || 60
+    return minutes * 60 * 1000
+  }
+
+  /**
+   * Queue an export of a tenant and start it in the background
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} requestedBy - User requesting the export
+   * @returns {Object} Export record
+   */
+  async request(tenantId, requestedBy) {
+    const db = database.forTenant(tenantId)
+
+    const running = await db.tenantExport.findFirst({
+      where: {
+        status: { in: ["PENDING", "RUNNING"] },
+        createdAt: { gt: new Date(Date.now() - this.staleAfter) },
+      },
+    })
+
+    if (running) {
+      throw new Error("EXPORT_IN_PROGRESS")
+    }
+
+    const record = await db.tenantExport.create({
+      data: { requestedById: requestedBy.id },
+      select: exportSelect,
+    })
+
+    // Not awaited: the client polls the export until it is COMPLETED
+    this.run(tenantId, record.id)
+
+    return record
+  }
+
+  /**
+   * Build the archive for an export record
+   * Failures are stored on the record instead of being thrown
+   * @param {string} tenantId - Tenant ID
+   * @param {string} exportId - Export ID
+   */
+  async run(tenantId, exportId) {
+    const db = database.forTenant(tenantId)
+    const workDir = path.join(this.exportDir, tenantId, exportId)
+
+    try {
+      await db.tenantExport.update({
+        where: { id: exportId },
+        data: { status: "RUNNING", startedAt: new Date() },
+      })
+
+      await fs.promises.mkdir(workDir, { recursive: true })
+
+      const tenant = await db.tenant.findUnique({ where: { id: tenantId }, select: tenantSelect })
+
+      const files = [
+        await this.writeJsonLines(workDir, "tenant.jsonl", [tenant]),
+        await this.writeJsonLines(workDir, "roles.jsonl", this.readAll(db.role, roleSelect)),
+        await this.writeJsonLines(workDir, "users.jsonl", this.readAll(db.user, userSelect)),
+        await this.writeJsonLines(workDir, "projects.jsonl", this.readAll(db.project, projectSelect)),
+      ]
+
+      const manifest = {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportId,
+        tenant: { id: tenant.id, subdomain: tenant.subdomain },
+        createdAt: new Date().toISOString(),
+        files: files.map(({ name, records, size, sha256 }) => ({ name, records, size, sha256 })),
+      }
+
+      const manifestPath = path.join(workDir, "manifest.json")
+      await fs.promises.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`)
+
+      const fileName = `${tenant.subdomain}-${exportId}.tar.gz`
+      const archive = await this.writeArchive(path.join(this.exportDir, tenantId, fileName), [
+        { name: "manifest.json", path: manifestPath },
+        ...files,
+      ])
+
+      await db.tenantExport.update({
+        where: { id: exportId },
+        data: {
+          status: "COMPLETED",
+          fileName,
+          size: archive.size,
+          checksum: archive.sha256,
+          completedAt: new Date(),
+        },
+      })
+    } catch (error) {
+      console.error("Tenant export error:", error)
+      await db.tenantExport
+        .update({
+          where: { id: exportId },
+          data: { status: "FAILED", error: error.message, completedAt: new Date() },
+        })
+        .catch((updateError) => console.error("Tenant export status error:", updateError))
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true })
+    }
+  }
+
+  /**
+   * Read every row of a tenant-scoped model in batches
+   * @param {Object} delegate - Tenant-scoped Prisma model delegate
+   * @param {Object} select - Fields to read
+   * @yields {Object} Rows ordered by ID
+   */
+  async *readAll(delegate, select) {
+    let cursor
+
+    while (true) {
+      const batch = await delegate.findMany({
+        select,
+        orderBy: { id: "asc" },
+        take: BATCH_SIZE,
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      })
+
+      yield* batch
+
+      if (batch.length < BATCH_SIZE) {
+        return
+      }
+      cursor = batch[batch.length - 1].id
+    }
+  }
+
+  /**
+   * Write rows to a JSON-lines file
+   * @param {string} dir - Directory
+   * @param {string} name - File name
+   * @param {Iterable|AsyncIterable} rows - Rows to write
+   * @returns {Object} File entry ({ name, path, records, size, sha256 })
+   */
+  async writeJsonLines(dir, name, rows) {
+    const entry = { name, path: path.join(dir, name), records: 0 }
+
+    await pipeline(
+      Readable.from(rows),
+      async function* (source) {
+        for await (const row of source) {
+          entry.records += 1
+          yield `${JSON.stringify(row)}\n`
+        }
+      },
+      this.measure(entry),
+      fs.createWriteStream(entry.path),
+    )
+
+    return entry
+  }
+
+  /**
+   * Write files into a gzipped tar archive
+   * @param {string} file - Archive path
+   * @param {Object[]} entries - Files to add ({ name, path })
+   * @returns {Object} Archive size and SHA-256 checksum
+   */
+  async writeArchive(file, entries) {
+    const archive = {}
+
+    await pipeline(Readable.from(tarStream(entries)), zlib.createGzip(), this.measure(archive), fs.createWriteStream(file))
+
+    return archive
+  }
+
+  /**
+   * Pipeline step that records the size and SHA-256 of the data flowing through it
+   * @param {Object} target - Object that receives size and sha256 once the stream ends
+   * @returns {Function} Pipeline step
+   */
+  measure(target) {
+    return async function* (source) {
+      const hash = crypto.createHash("sha256")
+      target.size = 0
+
+      for await (const chunk of source) {
+        const buffer = Buffer.from(chunk)
+        hash.update(buffer)
+        target.size += buffer.length
+        yield buffer
+      }
+
+      target.sha256 = hash.digest("hex")
+    }
+  }
+
+  /**
+   * List the latest exports of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object[]} Export records
+   */
+  async list(tenantId) {
+    return database.forTenant(tenantId).tenantExport.findMany({
+      select: exportSelect,
+      orderBy: { createdAt: "desc" },
+      take: 20,
+    })
+  }
+
+  /**
+   * Get an export of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string} exportId - Export ID
+   * @returns {Object|null} Export record
+   */
+  async get(tenantId, exportId) {
+    return database.forTenant(tenantId).tenantExport.findFirst({
+      where: { id: exportId },
+      select: exportSelect,
+    })
+  }
+
+  /**
+   * Open a completed archive for download
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} record - Completed export record
+   * @returns {ReadStream} Archive stream
+   */
+  async openArchive(tenantId, record) {
+    const file = path.join(this.exportDir, tenantId, record.fileName)
+
+    try {
+      await fs.promises.access(file)
+    } catch {
+      throw new Error("EXPORT_FILE_MISSING")
+    }
+
+    return fs.createReadStream(file)
+  }
+}
+
+export default new ExportService()
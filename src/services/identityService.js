@@ -0,0 +1,269 @@
+import bcrypt from "bcryptjs"
+import database, { prisma } from "../config/database.js"
+import auditService from "./auditService.js"
+import invitationService from "./invitationService.js"
+import lockoutService from "./lockoutService.js"
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js"
+
+/**
+ * Identity Service
+ * One identity per person, with an account in every tenant they belong to. Each
+ * account keeps its own role and status, while the password, second factor and
+ * lockout of the identity's sign-in account apply in all of them. Joining another
+ * tenant only takes an invitation sent to the identity's email.
+ */
+class IdentityService {
+  /**
+   * Find the account whose credentials sign the user in
+   * That is the sign-in account of the user's identity, or the user when they have none
+   * @param {Object} user - User of any tenant
+   * @returns {Object|null} Sign-in account, with tenant included when it is not the user; null when it is inactive
+   */
+  async signInAccount(user) {
+    const own = await prisma.tenantMembership.findUnique({
+      where: { userId: user.id },
+      include: { identity: true },
+    })
+
+    if (!own || own.identity.userId === user.id) {
+      return user
+    }
+
+    const home = await prisma.tenantMembership.findUnique({ where: { userId: own.identity.userId } })
+
+    return database.forTenant(home.tenantId).user.findFirst({
+      where: { id: home.userId, isActive: true },
+      include: { tenant: true },
+    })
+  }
+
+  /**
+   * Join another tenant with an invitation sent to the user's email
+   * The new account gets the invited role and has no password of its own
+   * @param {Object} user - Authenticated user
+   * @param {string} token - Invitation token
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} Created user, with tenant included
+   */
+  async join(user, token, context = {}) {
+    const invitation = await prisma.invitation.findFirst({
+      where: { tokenHash: hashToken(token), ...invitationService.pendingWhere() },
+      include: { tenant: true },
+    })
+
+    if (!invitation || !invitation.tenant.isActive) {
+      throw new Error("INVALID_INVITATION")
+    }
+
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw new Error("INVITATION_EMAIL_MISMATCH")
+    }
+
+    if (invitation.tenantId === user.tenantId) {
+      throw new Error("MEMBERSHIP_SAME_TENANT")
+    }
+
+    // Signing in always goes through the identity, so nobody knows this password
+    const unusablePassword = await bcrypt.hash(generateOpaqueToken(), 12)
+
+    const account = await database.withTenant(invitation.tenantId, async (tx) => {
+      const { count } = await tx.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() },
+      })
+
+      if (count === 0) {
+        throw new Error("INVALID_INVITATION")
+      }
+
+      const own = await tx.tenantMembership.findUnique({ where: { userId: user.id } })
+      const [existingUser, existingMembership] = await Promise.all([
+        tx.user.findFirst({ where: { email: invitation.email, tenantId: invitation.tenantId } }),
+        own &&
+          tx.tenantMembership.findUnique({
+            where: { identityId_tenantId: { identityId: own.identityId, tenantId: invitation.tenantId } },
+          }),
+      ])
+
+      if (existingUser || existingMembership) {
+        throw new Error("MEMBERSHIP_CONFLICT")
+      }
+
+      // A user without an identity starts one and becomes its sign-in account
+      const identityId = own?.identityId ?? (await tx.identity.create({ data: { userId: user.id } })).id
+
+      if (!own) {
+        await tx.tenantMembership.create({
+          data: { identityId, tenantId: user.tenantId, userId: user.id },
+        })
+      }
+
+      const created = await tx.user.create({
+        data: {
+          email: invitation.email,
+          password: unusablePassword,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: invitation.role,
+          tenantId: invitation.tenantId,
+        },
+        include: { tenant: true },
+      })
+
+      await tx.tenantMembership.create({
+        data: { identityId, tenantId: invitation.tenantId, userId: created.id },
+      })
+
+      return created
+    })
+
+    await auditService.record({
+      tenantId: invitation.tenantId,
+      action: "user.created",
+      entityType: "User",
+      entityId: account.id,
+      actorType: "USER",
+      actorId: account.id,
+      after: account,
+      metadata: {
+        provisionedBy: "invitation",
+        invitationId: invitation.id,
+        invitedById: invitation.invitedById,
+        identity: true,
+      },
+      ...context,
+    })
+
+    return account
+  }
+
+  /**
+   * Remove a tenant account from the user's identity
+   * The account is left on its own and needs a password reset to sign in again.
+   * The sign-in account cannot leave, and the identity is dropped once it is alone
+   * @param {Object} user - Authenticated user
+   * @param {string} tenantId - Tenant of the account to unlink, the user's own included
+   * @returns {Object} Removed membership
+   */
+  async unlink(user, tenantId) {
+    const own = await prisma.tenantMembership.findUnique({
+      where: { userId: user.id },
+      include: { identity: true },
+    })
+    const membership = own
+      ? await prisma.tenantMembership.findUnique({
+          where: { identityId_tenantId: { identityId: own.identityId, tenantId } },
+        })
+      : null
+
+    if (!membership) {
+      throw new Error("MEMBERSHIP_NOT_FOUND")
+    }
+
+    if (membership.userId === own.identity.userId) {
+      throw new Error("MEMBERSHIP_SIGN_IN_ACCOUNT")
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.tenantMembership.delete({ where: { id: membership.id } })
+
+      const remaining = await tx.tenantMembership.count({ where: { identityId: own.identityId } })
+      if (remaining < 2) {
+        await tx.identity.delete({ where: { id: own.identityId } })
+      }
+    })
+
+    return membership
+  }
+
+  /**
+   * List the tenants the user can switch to, the current one first
+   * Inactive accounts and tenants are left out
+   * @param {Object} user - Authenticated user, with tenant included
+   * @returns {Object[]} Tenants ({ id, name, subdomain, userId, role, roleId, current, signIn })
+   */
+  async listTenants(user) {
+    const own = await prisma.tenantMembership.findUnique({
+      where: { userId: user.id },
+      include: { identity: true },
+    })
+    const memberships = own
+      ? await prisma.tenantMembership.findMany({
+          where: { identityId: own.identityId, tenantId: { not: user.tenantId } },
+          include: { tenant: true },
+          orderBy: { createdAt: "asc" },
+        })
+      : []
+
+    const accounts = await Promise.all(
+      memberships
+        .filter((membership) => membership.tenant.isActive)
+        .map(async (membership) => {
+          const account = await database.forTenant(membership.tenantId).user.findFirst({
+            where: { id: membership.userId, isActive: true },
+          })
+          return account && { ...account, tenant: membership.tenant }
+        }),
+    )
+
+    return [user, ...accounts.filter(Boolean)].map((account) => ({
+      id: account.tenant.id,
+      name: account.tenant.name,
+      subdomain: account.tenant.subdomain,
+      userId: account.id,
+      role: account.role,
+      roleId: account.roleId,
+      current: account.id === user.id,
+      signIn: own ? account.id === own.identity.userId : true,
+    }))
+  }
+
+  /**
+   * Find the user's account in another tenant of their identity
+   * Refused while a login to that tenant would be, i.e. while the account or the
+   * identity's sign-in account is locked out, without telling the lockout apart
+   * @param {Object} user - Authenticated user
+   * @param {string} tenantId - Target tenant ID
+   * @returns {Object} User of the target tenant, with tenant included
+   */
+  async findAccount(user, tenantId) {
+    const own = await prisma.tenantMembership.findUnique({ where: { userId: user.id } })
+    const membership = own
+      ? await prisma.tenantMembership.findUnique({
+          where: { identityId_tenantId: { identityId: own.identityId, tenantId } },
+        })
+      : null
+
+    const account = membership
+      ? await database.forTenant(tenantId).user.findFirst({
+          where: { id: membership.userId, isActive: true },
+          include: { tenant: true },
+        })
+      : null
+
+    if (!account) {
+      throw new Error("MEMBERSHIP_NOT_FOUND")
+    }
+
+    if (!account.tenant.isActive) {
+      throw new Error("TENANT_INACTIVE")
+    }
+
+    const signInAccount = await this.signInAccount(account)
+    if (!signInAccount) {
+      throw new Error("MEMBERSHIP_NOT_FOUND")
+    }
+
+    // Answered like an account that is not linked, as a login answers a locked account like an unknown email
+    try {
+      lockoutService.assertCanAttempt(account)
+      lockoutService.assertCanAttempt(signInAccount)
+    } catch {
+      throw new Error("MEMBERSHIP_NOT_FOUND")
+    }
+
+    return account
+  }
+}
+
+export default new IdentityService()
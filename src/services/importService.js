@@ -0,0 +1,501 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import zlib from "zlib"
+import { promisify } from "util"
+import bcrypt from "bcryptjs"
+import Joi from "joi"
+import database, { prisma } from "../config/database.js"
+import { ALL_PERMISSIONS } from "../config/permissions.js"
+import roleService from "./roleService.js"
+import exportService, { EXPORT_SCHEMA_VERSION } from "./exportService.js"
+import { extractTar } from "../utils/tar.js"
+import { generateOpaqueToken } from "../utils/tokens.js"
+
+const gunzip = promisify(zlib.gunzip)
+
+const BATCH_SIZE = 500
+
+// One schema per JSON-lines file; fields the import does not use are ignored
+const lineSchemas = {
+  "tenant.jsonl": Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    requireTwoFactor: Joi.boolean().default(false),
+  }).unknown(true),
+  "roles.jsonl": Joi.object({
+    id: Joi.string().required(),
+    name: Joi.string().min(2).max(50).required(),
+    description: Joi.string().max(255).allow(null, "").optional(),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...ALL_PERMISSIONS))
+      .default([]),
+  }).unknown(true),
+  "users.jsonl": Joi.object({
+    id: Joi.string().required(),
+    email: Joi.string().email({ tlds: { allow: false } }).required(),
+    firstName: Joi.string().min(1).max(50).required(),
+    lastName: Joi.string().min(1).max(50).required(),
+    role: Joi.string().valid("ADMIN", "USER", "VIEWER").default("USER"),
+    roleId: Joi.string().allow(null).optional(),
+    isActive: Joi.boolean().default(true),
+    passwordHash: Joi.string()
+      .pattern(/^\$2[aby]\$\d{2}\$.{53}$/)
+      .optional(),
+    createdAt: Joi.date().optional(),
+  }).unknown(true),
+  "projects.jsonl": Joi.object({
+    id: Joi.string().required(),
+    name: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(500).allow(null, "").optional(),
+    isActive: Joi.boolean().default(true),
+    userId: Joi.string().required(),
+    createdAt: Joi.date().optional(),
+  }).unknown(true),
+}
+
+const REQUIRED_FILES = ["tenant.jsonl", "users.jsonl", "projects.jsonl"]
+
+/**
+ * Build a conflict entry for the import report
+ */
+const conflict = (code, message, location = {}) => ({ code, message, ...location })
+
+/**
+ * Import Service
+ * Loads tenant bundles (the JSON-lines layout produced by exports) into a new or
+ * empty tenant, and clones tenants, giving every row a new ID
+ */
+class ImportService {
+  /**
+   * Maximum time an import transaction may run
+   * @returns {number} Milliseconds
+   */
+  get transactionTimeout() {
+    const minutes = Number.parseInt(process.env.IMPORT_TIMEOUT_MINUTES) || 5
+    return minutes * 60 * 1000
+  }
+
+  /**
+   * Read a bundle archive (.tar.gz or .tar)
+   * @param {Buffer} buffer - Archive contents
+   * @returns {Map<string, Buffer>} Bundle files
+   */
+  async readArchive(buffer) {
+    try {
+      const tar = buffer[0] === 0x1f && buffer[1] === 0x8b ? await gunzip(buffer) : buffer
+      return extractTar(tar)
+    } catch {
+      throw new Error("INVALID_BUNDLE")
+    }
+  }
+
+  /**
+   * Read a bundle from a directory or an archive on disk
+   * @param {string} location - Directory or archive path
+   * @returns {Map<string, Buffer>} Bundle files
+   */
+  async readPath(location) {
+    const stat = await fs.promises.stat(location)
+
+    if (!stat.isDirectory()) {
+      return this.readArchive(await fs.promises.readFile(location))
+    }
+
+    const files = new Map()
+    for (const name of ["manifest.json", "roles.jsonl", ...REQUIRED_FILES]) {
+      try {
+        files.set(name, await fs.promises.readFile(path.join(location, name)))
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error
+        }
+      }
+    }
+    return files
+  }
+
+  /**
+   * Parse and validate bundle files
+   * @param {Map<string, Buffer>} files - Bundle files
+   * @returns {Object} Bundle ({ tenant, roles, users, projects }) and the problems found
+   */
+  parse(files) {
+    const conflicts = []
+    const bundle = { tenant: null, roles: [], users: [], projects: [] }
+
+    if (files.has("manifest.json")) {
+      conflicts.push(...this.checkManifest(files))
+    }
+
+    for (const name of REQUIRED_FILES) {
+      if (!files.has(name)) {
+        conflicts.push(conflict("MISSING_FILE", `Bundle has no ${name}`, { file: name }))
+      }
+    }
+
+    const records = {}
+    for (const [name, schema] of Object.entries(lineSchemas)) {
+      records[name] = []
+      const lines = files.has(name) ? files.get(name).toString("utf8").split("\n") : []
+
+      lines.forEach((text, index) => {
+        if (!text.trim()) {
+          return
+        }
+
+        const location = { file: name, line: index + 1 }
+        let record
+        try {
+          record = JSON.parse(text)
+        } catch {
+          conflicts.push(conflict("INVALID_JSON", "Line is not valid JSON", location))
+          return
+        }
+
+        const { error, value } = schema.validate(record)
+        if (error) {
+          conflicts.push(conflict("INVALID_RECORD", error.details[0].message, location))
+          return
+        }
+
+        records[name].push({ ...value, line: index + 1 })
+      })
+    }
+
+    if (files.has("tenant.jsonl") && records["tenant.jsonl"].length !== 1) {
+      conflicts.push(conflict("INVALID_RECORD", "tenant.jsonl must hold exactly one tenant", { file: "tenant.jsonl" }))
+    }
+
+    bundle.tenant = records["tenant.jsonl"][0] || null
+    bundle.roles = records["roles.jsonl"]
+    bundle.users = records["users.jsonl"]
+    bundle.projects = records["projects.jsonl"]
+
+    return { bundle, conflicts }
+  }
+
+  /**
+   * Compare the manifest with the bundle files
+   * @param {Map<string, Buffer>} files - Bundle files
+   * @returns {Object[]} Conflicts
+   */
+  checkManifest(files) {
+    let manifest
+    try {
+      manifest = JSON.parse(files.get("manifest.json").toString("utf8"))
+    } catch {
+      return [conflict("INVALID_JSON", "manifest.json is not valid JSON", { file: "manifest.json" })]
+    }
+
+    if (manifest.schemaVersion !== EXPORT_SCHEMA_VERSION) {
+      return [
+        conflict("UNSUPPORTED_SCHEMA_VERSION", `Bundle schema version ${manifest.schemaVersion} is not supported`, {
+          file: "manifest.json",
+        }),
+      ]
+    }
+
+    return (manifest.files || [])
+      .filter(({ name }) => files.has(name))
+      .filter(({ name, sha256 }) => crypto.createHash("sha256").update(files.get(name)).digest("hex") !== sha256)
+      .map(({ name }) => conflict("CHECKSUM_MISMATCH", `${name} does not match the manifest checksum`, { file: name }))
+  }
+
+  /**
+   * Read a tenant into a bundle, password hashes included
+   * @param {string} tenantId - Source tenant ID
+   * @returns {Object} Bundle
+   */
+  async readTenant(tenantId) {
+    const db = database.forTenant(tenantId)
+
+    const tenant = await db.tenant.findUnique({ where: { id: tenantId } })
+    if (!tenant) {
+      throw new Error("TENANT_NOT_FOUND")
+    }
+
+    const collect = async (rows) => {
+      const result = []
+      for await (const row of rows) {
+        result.push(row)
+      }
+      return result
+    }
+
+    const users = await collect(
+      exportService.readAll(db.user, {
+        id: true,
+        email: true,
+        password: true,
+        firstName: true,
+        lastName: true,
+        role: true,
+        roleId: true,
+        isActive: true,
+        createdAt: true,
+      }),
+    )
+
+    return {
+      tenant: { name: tenant.name, requireTwoFactor: tenant.requireTwoFactor },
+      roles: await collect(exportService.readAll(db.role, { id: true, name: true, description: true, permissions: true })),
+      users: users.map(({ password, ...user }) => ({ ...user, passwordHash: password })),
+      projects: await collect(
+        exportService.readAll(db.project, {
+          id: true,
+          name: true,
+          description: true,
+          isActive: true,
+          userId: true,
+          createdAt: true,
+        }),
+      ),
+    }
+  }
+
+  /**
+   * Find everything that would make an import fail
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} target - ({ subdomain, name }) for a new tenant or ({ tenantId }) for an empty one
+   * @returns {Object[]} Conflicts
+   */
+  async findConflicts(bundle, target) {
+    const conflicts = []
+
+    const duplicates = (code, label, file, rows, key) => {
+      const seen = new Set()
+      for (const row of rows) {
+        const value = key(row)
+        if (seen.has(value)) {
+          conflicts.push(conflict(code, `Duplicate ${label} ${value}`, { file, line: row.line }))
+        }
+        seen.add(value)
+      }
+    }
+
+    duplicates("DUPLICATE_ID", "role ID", "roles.jsonl", bundle.roles, (role) => role.id)
+    duplicates("DUPLICATE_ROLE", "role name", "roles.jsonl", bundle.roles, (role) => role.name)
+    duplicates("DUPLICATE_ID", "user ID", "users.jsonl", bundle.users, (user) => user.id)
+    duplicates("DUPLICATE_EMAIL", "email", "users.jsonl", bundle.users, (user) => user.email.toLowerCase())
+    duplicates("DUPLICATE_ID", "project ID", "projects.jsonl", bundle.projects, (project) => project.id)
+
+    const roleIds = new Set(bundle.roles.map((role) => role.id))
+    for (const user of bundle.users) {
+      if (user.roleId && !roleIds.has(user.roleId)) {
+        conflicts.push(
+          conflict("UNKNOWN_ROLE", `User ${user.email} references unknown role ${user.roleId}`, {
+            file: "users.jsonl",
+            line: user.line,
+          }),
+        )
+      }
+    }
+
+    const userIds = new Set(bundle.users.map((user) => user.id))
+    for (const project of bundle.projects) {
+      if (!userIds.has(project.userId)) {
+        conflicts.push(
+          conflict("UNKNOWN_OWNER", `Project ${project.name} references unknown user ${project.userId}`, {
+            file: "projects.jsonl",
+            line: project.line,
+          }),
+        )
+      }
+    }
+
+    if (target.tenantId) {
+      conflicts.push(...(await this.checkEmptyTenant(target.tenantId)))
+    } else {
+      const taken = await prisma.tenant.findUnique({ where: { subdomain: target.subdomain.toLowerCase() } })
+      if (taken) {
+        conflicts.push(conflict("SUBDOMAIN_TAKEN", `Subdomain ${target.subdomain} is already taken`))
+      }
+    }
+
+    return conflicts
+  }
+
+  /**
+   * Check that an existing tenant can receive an import
+   * @param {string} tenantId - Target tenant ID
+   * @returns {Object[]} Conflicts
+   */
+  async checkEmptyTenant(tenantId) {
+    const db = database.forTenant(tenantId)
+
+    const tenant = await db.tenant.findUnique({ where: { id: tenantId } })
+    if (!tenant) {
+      return [conflict("TENANT_NOT_FOUND", `Tenant ${tenantId} does not exist`)]
+    }
+
+    const [users, projects] = await Promise.all([db.user.count(), db.project.count()])
+    if (users > 0 || projects > 0) {
+      return [conflict("TENANT_NOT_EMPTY", `Tenant ${tenant.subdomain} already has ${users} users and ${projects} projects`)]
+    }
+
+    return []
+  }
+
+  /**
+   * Import bundle files
+   * @param {Map<string, Buffer>} files - Bundle files
+   * @param {Object} target - ({ subdomain, name }) or ({ tenantId })
+   * @param {Object} options - ({ dryRun })
+   * @returns {Object} Import report
+   */
+  async importFiles(files, target, { dryRun = false } = {}) {
+    const { bundle, conflicts } = this.parse(files)
+    return this.importBundle(bundle, target, { dryRun, conflicts })
+  }
+
+  /**
+   * Clone a tenant into a new subdomain
+   * @param {string} sourceTenantId - Tenant to copy
+   * @param {Object} target - ({ subdomain, name })
+   * @param {Object} options - ({ dryRun })
+   * @returns {Object} Import report
+   */
+  async cloneTenant(sourceTenantId, target, { dryRun = false } = {}) {
+    const bundle = await this.readTenant(sourceTenantId)
+    return this.importBundle(bundle, target, { dryRun })
+  }
+
+  /**
+   * Check a bundle and, unless it is a dry run or has conflicts, write it
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} target - ({ subdomain, name }) or ({ tenantId })
+   * @param {Object} options - ({ dryRun, conflicts }) with conflicts found while parsing
+   * @returns {Object} Import report ({ dryRun, imported, tenant, counts, conflicts })
+   */
+  async importBundle(bundle, target, { dryRun = false, conflicts = [] } = {}) {
+    const found = [...conflicts, ...(await this.findConflicts(bundle, target))]
+
+    const report = {
+      dryRun,
+      imported: false,
+      tenant: target.tenantId
+        ? { id: target.tenantId }
+        : { id: null, name: target.name || bundle.tenant?.name || null, subdomain: target.subdomain.toLowerCase() },
+      counts: {
+        roles: bundle.roles.length,
+        users: bundle.users.length,
+        projects: bundle.projects.length,
+      },
+      conflicts: found,
+    }
+
+    if (dryRun || found.length > 0) {
+      return report
+    }
+
+    report.tenant = await this.write(bundle, target)
+    report.imported = true
+    return report
+  }
+
+  /**
+   * Write a checked bundle in a single transaction with new IDs
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} target - ({ subdomain, name }) or ({ tenantId })
+   * @returns {Object} Target tenant ({ id, name, subdomain })
+   */
+  async write(bundle, target) {
+    // Users without a bcrypt hash in the bundle get one nobody knows and set theirs via password reset
+    const unusablePassword = await bcrypt.hash(generateOpaqueToken(), 12)
+
+    return prisma.$transaction(
+      async (tx) => {
+        let tenant
+        if (target.tenantId) {
+          tenant = await tx.tenant.findUnique({ where: { id: target.tenantId } })
+          await database.setTenantContext(tx, tenant.id)
+
+          const [users, projects] = await Promise.all([
+            tx.user.count({ where: { tenantId: tenant.id } }),
+            tx.project.count({ where: { tenantId: tenant.id } }),
+          ])
+          if (users > 0 || projects > 0) {
+            throw new Error("TENANT_NOT_EMPTY")
+          }
+        } else {
+          tenant = await tx.tenant.create({
+            data: {
+              name: target.name || bundle.tenant.name,
+              subdomain: target.subdomain.toLowerCase(),
+              requireTwoFactor: bundle.tenant.requireTwoFactor,
+            },
+          })
+          await database.setTenantContext(tx, tenant.id)
+        }
+
+        await roleService.createDefaultRoles(tx, tenant.id)
+
+        // Roles are matched by name, so built-in roles map onto the target's own
+        const existingRoles = await tx.role.findMany({ where: { tenantId: tenant.id } })
+        const roleIds = new Map()
+        const newRoles = []
+        for (const role of bundle.roles) {
+          const existing = existingRoles.find((candidate) => candidate.name === role.name)
+          const id = existing ? existing.id : crypto.randomUUID()
+          roleIds.set(role.id, id)
+          if (!existing) {
+            newRoles.push({
+              id,
+              name: role.name,
+              description: role.description || null,
+              permissions: role.permissions,
+              tenantId: tenant.id,
+            })
+          }
+        }
+        await this.createInBatches(tx.role, newRoles)
+
+        const userIds = new Map(bundle.users.map((user) => [user.id, crypto.randomUUID()]))
+        await this.createInBatches(
+          tx.user,
+          bundle.users.map((user) => ({
+            id: userIds.get(user.id),
+            email: user.email.toLowerCase(),
+            password: user.passwordHash || unusablePassword,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            roleId: user.roleId ? roleIds.get(user.roleId) : null,
+            isActive: user.isActive,
+            ...(user.createdAt && { createdAt: user.createdAt }),
+            tenantId: tenant.id,
+          })),
+        )
+
+        await this.createInBatches(
+          tx.project,
+          bundle.projects.map((project) => ({
+            id: crypto.randomUUID(),
+            name: project.name,
+            description: project.description || null,
+            isActive: project.isActive,
+            userId: userIds.get(project.userId),
+            ...(project.createdAt && { createdAt: project.createdAt }),
+            tenantId: tenant.id,
+          })),
+        )
+
+        return { id: tenant.id, name: tenant.name, subdomain: tenant.subdomain }
+      },
+      { timeout: this.transactionTimeout },
+    )
+  }
+
+  /**
+   * Insert rows with createMany in fixed-size batches
+   * @param {Object} delegate - Prisma model delegate
+   * @param {Object[]} rows - Rows to insert
+   */
+  async createInBatches(delegate, rows) {
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      await delegate.createMany({ data: rows.slice(i, i + BATCH_SIZE) })
+    }
+  }
+}
+
+export default new ImportService()
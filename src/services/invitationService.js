@@ -0,0 +1,267 @@
+import bcrypt from "bcryptjs"
+import database, { prisma } from "../config/database.js"
+import mailService from "./mailService.js"
+import auditService from "./auditService.js"
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js"
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  lastSentAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+    },
+  },
+}
+
+/**
+ * Invitation Service
+ * Handles tenant user invitations and their acceptance
+ */
+class InvitationService {
+  /**
+   * Invitation lifetime in milliseconds
+   * @returns {number}
+   */
+  get invitationTtl() {
+    const days = Number.parseInt(process.env.INVITATION_TTL_DAYS) || 7
+    return days * 24 * 60 * 60 * 1000
+  }
+
+  /**
+   * Filter for invitations that can still be accepted
+   * @returns {Object} Prisma where clause
+   */
+  pendingWhere() {
+    return {
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    }
+  }
+
+  /**
+   * Create an invitation and email it
+   * @param {Object} data - Invitation data ({ email, role })
+   * @param {Object} inviter - Admin user sending the invitation
+   * @returns {Object} Created invitation
+   */
+  async create({ email, role }, inviter) {
+    const normalizedEmail = email.toLowerCase()
+    const db = database.forTenant(inviter.tenantId)
+
+    const existingUser = await db.user.findFirst({
+      where: { email: normalizedEmail, tenantId: inviter.tenantId },
+    })
+
+    if (existingUser) {
+      throw new Error("USER_EXISTS")
+    }
+
+    const pendingInvitation = await db.invitation.findFirst({
+      where: { email: normalizedEmail, ...this.pendingWhere() },
+    })
+
+    if (pendingInvitation) {
+      throw new Error("INVITATION_PENDING")
+    }
+
+    const token = generateOpaqueToken()
+
+    const invitation = await db.invitation.create({
+      data: {
+        email: normalizedEmail,
+        role,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + this.invitationTtl),
+        tenantId: inviter.tenantId,
+        invitedById: inviter.id,
+      },
+      select: { ...invitationSelect, tenant: true },
+    })
+
+    await this.sendEmail(invitation, token)
+
+    const { tenant, ...result } = invitation
+    return result
+  }
+
+  /**
+   * List invitations in a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} query - Filters ({ status, page, limit })
+   * @returns {Object} Invitations and total count
+   */
+  async list(tenantId, { status, page = 1, limit = 10 } = {}) {
+    const now = new Date()
+    const statusFilters = {
+      pending: this.pendingWhere(),
+      accepted: { acceptedAt: { not: null } },
+      revoked: { revokedAt: { not: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { lte: now } },
+    }
+
+    const where = {
+      tenantId,
+      ...(status && statusFilters[status]),
+    }
+
+    const db = database.forTenant(tenantId)
+
+    const [invitations, total] = await Promise.all([
+      db.invitation.findMany({
+        where,
+        select: invitationSelect,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { createdAt: "desc" },
+      }),
+      db.invitation.count({ where }),
+    ])
+
+    return { invitations, total }
+  }
+
+  /**
+   * Issue a new token for a pending invitation and send it again
+   * @param {string} id - Invitation ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Updated invitation
+   */
+  async resend(id, tenantId) {
+    const db = database.forTenant(tenantId)
+    const existing = await db.invitation.findFirst({
+      where: { id, acceptedAt: null, revokedAt: null },
+    })
+
+    if (!existing) {
+      throw new Error("INVITATION_NOT_FOUND")
+    }
+
+    const token = generateOpaqueToken()
+
+    const invitation = await db.invitation.update({
+      where: { id },
+      data: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + this.invitationTtl),
+        lastSentAt: new Date(),
+      },
+      select: { ...invitationSelect, tenant: true },
+    })
+
+    await this.sendEmail(invitation, token)
+
+    const { tenant, ...result } = invitation
+    return result
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} id - Invitation ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async revoke(id, tenantId) {
+    const { count } = await database.forTenant(tenantId).invitation.updateMany({
+      where: { id, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() },
+    })
+
+    if (count === 0) {
+      throw new Error("INVITATION_NOT_FOUND")
+    }
+  }
+
+  /**
+   * Accept an invitation and create the user account
+   * @param {Object} data - Acceptance data ({ token, password, firstName, lastName })
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} Created user with tenant
+   */
+  async accept({ token, password, firstName, lastName }, context = {}) {
+    // The token is all that identifies the tenant, so this lookup cannot be scoped
+    const invitation = await prisma.invitation.findFirst({
+      where: { tokenHash: hashToken(token), ...this.pendingWhere() },
+      include: { tenant: true },
+    })
+
+    if (!invitation || !invitation.tenant.isActive) {
+      throw new Error("INVALID_INVITATION")
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12)
+
+    const user = await database.withTenant(invitation.tenantId, async (tx) => {
+      const { count } = await tx.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() },
+      })
+
+      if (count === 0) {
+        throw new Error("INVALID_INVITATION")
+      }
+
+      const existingUser = await tx.user.findFirst({
+        where: { email: invitation.email, tenantId: invitation.tenantId },
+      })
+
+      if (existingUser) {
+        throw new Error("USER_EXISTS")
+      }
+
+      return tx.user.create({
+        data: {
+          email: invitation.email,
+          password: hashedPassword,
+          firstName,
+          lastName,
+          role: invitation.role,
+          tenantId: invitation.tenantId,
+        },
+        include: { tenant: true },
+      })
+    })
+
+    await auditService.record({
+      tenantId: invitation.tenantId,
+      action: "user.created",
+      entityType: "User",
+      entityId: user.id,
+      actorType: "USER",
+      actorId: user.id,
+      after: user,
+      metadata: { provisionedBy: "invitation", invitationId: invitation.id, invitedById: invitation.invitedById },
+      ...context,
+    })
+
+    return user
+  }
+
+  /**
+   * Email the invitation link
+   * @param {Object} invitation - Invitation with tenant
+   * @param {string} token - Plain invitation token
+   */
+  async sendEmail(invitation, token) {
+    const appUrl = process.env.APP_URL || "http://localhost:3000"
+    const acceptUrl = `${appUrl}/accept-invitation?token=${token}`
+    const inviter = `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName}`
+
+    await mailService.send({
+      to: invitation.email,
+      subject: `You have been invited to ${invitation.tenant.name}`,
+      text: `${inviter} invited you to join ${invitation.tenant.name} as ${invitation.role}.\n\nAccept the invitation and choose your password here:\n\n${acceptUrl}\n\nThis invitation expires on ${invitation.expiresAt.toISOString()}.`,
+    })
+  }
+}
+
+export default new InvitationService()
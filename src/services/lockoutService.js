@@ -0,0 +1,117 @@
+import database from "../config/database.js"
+
+/**
+ * Lockout Service
+ * Tracks failed logins per user (tenant + email) with progressive delays
+ * and temporary lockout. State lives on the User row so it survives restarts.
+ */
+class LockoutService {
+  /**
+   * Lockout configuration
+   * @returns {Object} Max attempts, attempts before delays start and lockout duration
+   */
+  get config() {
+    return {
+      maxAttempts: Number.parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+      delayAfter: Number.parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+      lockoutMs: (Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    }
+  }
+
+  /**
+   * Seconds a user must wait after the latest failure before trying again
+   * @param {number} attempts - Consecutive failed attempts
+   * @returns {number} Delay in seconds
+   */
+  delayFor(attempts) {
+    const { delayAfter } = this.config
+    if (attempts < delayAfter) {
+      return 0
+    }
+    return Math.min(2 ** (attempts - delayAfter), 60)
+  }
+
+  /**
+   * Ensure the user is allowed to attempt a login right now
+   * Throws ACCOUNT_LOCKED or LOGIN_THROTTLED with a retryAfter (seconds) property
+   * @param {Object} user - User object
+   */
+  assertCanAttempt(user) {
+    const now = Date.now()
+
+    if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+      const error = new Error("ACCOUNT_LOCKED")
+      error.retryAfter = Math.ceil((user.lockedUntil.getTime() - now) / 1000)
+      throw error
+    }
+
+    if (user.lastFailedLoginAt) {
+      const readyAt = user.lastFailedLoginAt.getTime() + this.delayFor(user.failedLoginAttempts) * 1000
+      if (readyAt > now) {
+        const error = new Error("LOGIN_THROTTLED")
+        error.retryAfter = Math.ceil((readyAt - now) / 1000)
+        throw error
+      }
+    }
+  }
+
+  /**
+   * Record a failed attempt and lock the account once the limit is reached
+   * @param {Object} user - User object
+   * @returns {Object} Updated lockout state
+   */
+  async recordFailure(user) {
+    const { maxAttempts, lockoutMs } = this.config
+
+    const db = database.forTenant(user.tenantId)
+
+    // Once a lock has run out the count starts over, or the next failure would lock again at once
+    const lockExpired = Boolean(user.lockedUntil) && user.lockedUntil.getTime() <= Date.now()
+
+    const updated = await db.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: lockExpired ? 1 : { increment: 1 },
+        lastFailedLoginAt: new Date(),
+        ...(lockExpired && { lockedUntil: null }),
+      },
+      select: { failedLoginAttempts: true, lockedUntil: true },
+    })
+
+    if (updated.failedLoginAttempts >= maxAttempts) {
+      return db.user.update({
+        where: { id: user.id },
+        data: { lockedUntil: new Date(Date.now() + lockoutMs) },
+        select: { failedLoginAttempts: true, lockedUntil: true },
+      })
+    }
+
+    return updated
+  }
+
+  /**
+   * Reset failed attempt tracking after a successful login
+   * @param {Object} user - User object
+   */
+  async recordSuccess(user) {
+    if (user.failedLoginAttempts === 0 && !user.lockedUntil) {
+      return
+    }
+
+    await this.unlock(user)
+  }
+
+  /**
+   * Clear lockout state for a user
+   * @param {Object} user - User object
+   * @returns {Object} Updated user
+   */
+  async unlock(user) {
+    return database.forTenant(user.tenantId).user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null },
+    })
+  }
+}
+
+export default new LockoutService()
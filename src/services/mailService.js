@@ -0,0 +1,82 @@
+import fs from "fs/promises"
+import path from "path"
+import crypto from "crypto"
+
+/**
+ * Outbox transport
+ * Writes every message as a JSON file to a local directory
+ */
+const outboxTransport = {
+  async send(message) {
+    const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || "storage/outbox")
+    await fs.mkdir(dir, { recursive: true })
+
+    const id = crypto.randomUUID()
+    const file = path.join(dir, `${Date.now()}-${id}.json`)
+    await fs.writeFile(file, JSON.stringify({ id, ...message, sentAt: new Date().toISOString() }, null, 2))
+
+    return { id, file }
+  },
+}
+
+/**
+ * Console transport
+ * Logs messages instead of delivering them
+ */
+const consoleTransport = {
+  async send(message) {
+    console.log("📧 Mail:", message)
+    return { id: crypto.randomUUID() }
+  },
+}
+
+/**
+ * Mail Service
+ * Sends email through a pluggable transport selected by MAIL_DRIVER
+ */
+class MailService {
+  constructor() {
+    this.transports = {
+      outbox: outboxTransport,
+      console: consoleTransport,
+    }
+  }
+
+  /**
+   * Register a transport
+   * @param {string} name - Driver name used in MAIL_DRIVER
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  registerTransport(name, transport) {
+    this.transports[name] = transport
+  }
+
+  /**
+   * Get the configured transport
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    const driver = process.env.MAIL_DRIVER || "outbox"
+    const transport = this.transports[driver]
+
+    if (!transport) {
+      throw new Error(`Unknown mail driver: ${driver}`)
+    }
+
+    return transport
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - Message ({ to, subject, text })
+   * @returns {Object} Transport result
+   */
+  async send(message) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || "no-reply@localhost",
+      ...message,
+    })
+  }
+}
+
+export default new MailService()
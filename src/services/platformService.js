@@ -0,0 +1,243 @@
+import bcrypt from "bcryptjs"
+import jwt from "jsonwebtoken"
+import database, { prisma } from "../config/database.js"
+import sessionService from "./sessionService.js"
+
+const PLATFORM_AUDIENCE = "platform"
+
+/**
+ * Platform Service
+ * Control-plane operations for platform operators, outside any tenant
+ */
+class PlatformService {
+  /**
+   * Secret used to sign platform operator tokens
+   * @returns {string}
+   */
+  get secret() {
+    return process.env.PLATFORM_JWT_SECRET || process.env.JWT_SECRET
+  }
+
+  /**
+   * Authenticate a platform operator
+   * @param {Object} credentials - ({ email, password })
+   * @returns {Object} Operator and token
+   */
+  async login({ email, password }) {
+    const admin = await prisma.platformAdmin.findUnique({
+      where: { email: email.toLowerCase() },
+    })
+
+    if (!admin || !admin.isActive) {
+      throw new Error("INVALID_CREDENTIALS")
+    }
+
+    const isValidPassword = await bcrypt.compare(password, admin.password)
+    if (!isValidPassword) {
+      throw new Error("INVALID_CREDENTIALS")
+    }
+
+    const updated = await prisma.platformAdmin.update({
+      where: { id: admin.id },
+      data: { lastLoginAt: new Date() },
+    })
+
+    return {
+      admin: this.sanitizeAdmin(updated),
+      token: this.generateToken(admin),
+    }
+  }
+
+  /**
+   * Generate a platform operator JWT
+   * @param {Object} admin - Platform admin
+   * @returns {string} JWT token
+   */
+  generateToken(admin) {
+    return jwt.sign({ platformAdminId: admin.id }, this.secret, {
+      audience: PLATFORM_AUDIENCE,
+      expiresIn: process.env.PLATFORM_JWT_EXPIRES_IN || "1h",
+    })
+  }
+
+  /**
+   * Verify a platform operator JWT
+   * Tenant user tokens are rejected because they lack the platform audience
+   * @param {string} token - JWT token
+   * @returns {Object} Decoded token data
+   */
+  verifyToken(token) {
+    return jwt.verify(token, this.secret, { audience: PLATFORM_AUDIENCE })
+  }
+
+  /**
+   * Create a platform operator
+   * @param {Object} data - ({ email, password, firstName, lastName })
+   * @returns {Object} Created operator
+   */
+  async createAdmin({ email, password, firstName, lastName }) {
+    const admin = await prisma.platformAdmin.create({
+      data: {
+        email: email.toLowerCase(),
+        password: await bcrypt.hash(password, 12),
+        firstName,
+        lastName,
+      },
+    })
+
+    return this.sanitizeAdmin(admin)
+  }
+
+  /**
+   * List tenants across the platform
+   * @param {Object} query - Filters ({ page, limit, search, isActive })
+   * @returns {Object} Tenants and total count
+   */
+  async listTenants({ page = 1, limit = 10, search, isActive }) {
+    const where = {
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: "insensitive" } },
+          { subdomain: { contains: search, mode: "insensitive" } },
+        ],
+      }),
+      ...(isActive !== undefined && { isActive }),
+    }
+
+    // Usage counts span every tenant, so row-level security is bypassed
+    const [tenants, total] = await database.withBypass((tx) =>
+      Promise.all([
+        tx.tenant.findMany({
+          where,
+          select: {
+            id: true,
+            name: true,
+            subdomain: true,
+            domain: true,
+            isActive: true,
+            suspendedAt: true,
+            createdAt: true,
+            _count: {
+              select: {
+                users: true,
+                projects: true,
+              },
+            },
+          },
+          skip: (page - 1) * limit,
+          take: limit,
+          orderBy: { createdAt: "desc" },
+        }),
+        tx.tenant.count({ where }),
+      ]),
+    )
+
+    return { tenants, total }
+  }
+
+  /**
+   * Inspect a tenant with usage details and its administrators
+   * @param {string} id - Tenant ID
+   * @returns {Object|null} Tenant details
+   */
+  async getTenant(id) {
+    const tenant = await database.forTenant(id).tenant.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: {
+            users: true,
+            projects: true,
+            roles: true,
+          },
+        },
+        users: {
+          where: { role: "ADMIN" },
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            isActive: true,
+            lastLoginAt: true,
+          },
+        },
+      },
+    })
+
+    if (!tenant) {
+      return null
+    }
+
+    const activeSessions = await prisma.session.count({
+      where: { tenantId: id, revokedAt: null, rotatedAt: null, expiresAt: { gt: new Date() } },
+    })
+
+    const { users, ...details } = tenant
+    return { ...details, admins: users, activeSessions }
+  }
+
+  /**
+   * Suspend a tenant and revoke every session in it
+   * @param {string} id - Tenant ID
+   * @param {string} reason - Suspension reason
+   * @returns {Object} Updated tenant
+   */
+  async suspendTenant(id, reason) {
+    const tenant = await prisma.tenant.findUnique({ where: { id } })
+
+    if (!tenant) {
+      throw new Error("TENANT_NOT_FOUND")
+    }
+
+    const updated = await prisma.tenant.update({
+      where: { id },
+      data: { isActive: false, suspendedAt: new Date(), suspendedReason: reason || null },
+    })
+
+    await sessionService.revokeAllForTenant(id, "TENANT_SUSPENDED")
+
+    return updated
+  }
+
+  /**
+   * Restore a suspended tenant, cancelling a scheduled deletion still in its grace period
+   * @param {string} id - Tenant ID
+   * @returns {Object} Updated tenant
+   */
+  async restoreTenant(id) {
+    const tenant = await prisma.tenant.findUnique({ where: { id } })
+
+    if (!tenant) {
+      throw new Error("TENANT_NOT_FOUND")
+    }
+
+    if (tenant.deletionScheduledAt && tenant.deletionScheduledAt <= new Date()) {
+      throw new Error("DELETION_GRACE_EXPIRED")
+    }
+
+    return prisma.tenant.update({
+      where: { id },
+      data: {
+        isActive: true,
+        suspendedAt: null,
+        suspendedReason: null,
+        deletionRequestedAt: null,
+        deletionRequestedBy: null,
+        deletionScheduledAt: null,
+      },
+    })
+  }
+
+  /**
+   * Remove sensitive data from operator object
+   * @param {Object} admin - Platform admin
+   * @returns {Object} Sanitized operator
+   */
+  sanitizeAdmin(admin) {
+    const { password, ...sanitizedAdmin } = admin
+    return sanitizedAdmin
+  }
+}
+
+export default new PlatformService()
@@ -0,0 +1,176 @@
+import bcrypt from "bcryptjs"
+import database from "../config/database.js"
+import { generateOpaqueToken } from "../utils/tokens.js"
+
+/**
+ * Privacy Service
+ * Per-user personal data export and right-to-erasure
+ */
+class PrivacyService {
+  /**
+   * Collect every piece of personal data held about a user
+   * Password hashes, token hashes and 2FA secrets are credentials, not personal data, and are left out
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Personal data, null if the user does not exist
+   */
+  async exportUser(tenantId, userId) {
+    return database.withTenant(tenantId, async (tx) => {
+      const user = await tx.user.findFirst({
+        where: { id: userId, tenantId },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          role: true,
+          isActive: true,
+          lastLoginAt: true,
+          failedLoginAttempts: true,
+          lastFailedLoginAt: true,
+          lockedUntil: true,
+          twoFactorEnabled: true,
+          erasedAt: true,
+          createdAt: true,
+          updatedAt: true,
+          customRole: { select: { id: true, name: true, permissions: true } },
+          tenant: { select: { id: true, name: true, subdomain: true } },
+          projects: {
+            select: { id: true, name: true, description: true, isActive: true, createdAt: true, updatedAt: true },
+            orderBy: { createdAt: "asc" },
+          },
+          projectMemberships: {
+            select: { projectId: true, role: true, createdAt: true },
+            orderBy: { createdAt: "asc" },
+          },
+          sessions: {
+            select: {
+              id: true,
+              userAgent: true,
+              ipAddress: true,
+              createdAt: true,
+              expiresAt: true,
+              rotatedAt: true,
+              revokedAt: true,
+              revokedReason: true,
+            },
+            orderBy: { createdAt: "asc" },
+          },
+          passwordResetTokens: {
+            select: { id: true, createdAt: true, expiresAt: true, usedAt: true },
+            orderBy: { createdAt: "asc" },
+          },
+          recoveryCodes: {
+            select: { id: true, createdAt: true, usedAt: true },
+            orderBy: { createdAt: "asc" },
+          },
+          sentInvitations: {
+            select: { id: true, email: true, role: true, createdAt: true, acceptedAt: true, revokedAt: true },
+            orderBy: { createdAt: "asc" },
+          },
+          requestedExports: {
+            select: { id: true, status: true, createdAt: true, completedAt: true },
+            orderBy: { createdAt: "asc" },
+          },
+        },
+      })
+
+      if (!user) {
+        return null
+      }
+
+      const { tenant, ...profile } = user
+      return { exportedAt: new Date().toISOString(), tenant, user: profile }
+    })
+  }
+
+  /**
+   * Erase a user: anonymize the row, handle their projects and drop their sessions
+   * The row itself is kept so invitations, exports and other references stay valid
+   * @param {Object} user - User to erase
+   * @param {Object} options - ({ projects: "reassign" | "delete", reassignTo })
+   * @returns {Object} Outcome ({ projects: { reassigned } | { deleted } })
+   */
+  async eraseUser(user, { projects, reassignTo }) {
+    if (user.erasedAt) {
+      throw new Error("USER_ALREADY_ERASED")
+    }
+
+    const unusablePassword = await bcrypt.hash(generateOpaqueToken(), 12)
+
+    return database.withTenant(user.tenantId, async (tx) => {
+      if (user.role === "ADMIN" && !user.roleId) {
+        const otherAdmins = await tx.user.count({
+          where: { tenantId: user.tenantId, role: "ADMIN", roleId: null, isActive: true, id: { not: user.id } },
+        })
+        if (otherAdmins === 0) {
+          throw new Error("LAST_ADMIN")
+        }
+      }
+
+      let outcome
+      if (projects === "reassign") {
+        const assignee =
+          reassignTo !== user.id &&
+          (await tx.user.findFirst({
+            where: { id: reassignTo, tenantId: user.tenantId, isActive: true },
+          }))
+        if (!assignee) {
+          throw new Error("REASSIGN_USER_NOT_FOUND")
+        }
+
+        // The assignee owns the projects now, so drop any membership they had in them
+        await tx.projectMember.deleteMany({
+          where: { userId: assignee.id, tenantId: user.tenantId, project: { userId: user.id } },
+        })
+
+        const { count } = await tx.project.updateMany({
+          where: { userId: user.id, tenantId: user.tenantId },
+          data: { userId: assignee.id },
+        })
+        outcome = { reassigned: count, reassignedTo: assignee.id }
+      } else {
+        const { count } = await tx.project.deleteMany({
+          where: { userId: user.id, tenantId: user.tenantId },
+        })
+        outcome = { deleted: count }
+      }
+
+      const where = { userId: user.id }
+      const [sessions] = await Promise.all([
+        tx.session.deleteMany({ where }),
+        tx.passwordResetToken.deleteMany({ where }),
+        tx.recoveryCode.deleteMany({ where }),
+        tx.projectMember.deleteMany({ where }),
+        // Erased accounts drop out of the identity they were linked to, and take it along if they signed it in
+        tx.tenantMembership.deleteMany({ where }),
+        tx.identity.deleteMany({ where }),
+      ])
+
+      await tx.user.update({
+        where: { id: user.id },
+        data: {
+          // Unique per tenant and never deliverable
+          email: `erased-${user.id}@erased.invalid`,
+          firstName: "Erased",
+          lastName: "User",
+          password: unusablePassword,
+          isActive: false,
+          lastLoginAt: null,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null,
+          externalId: null,
+          erasedAt: new Date(),
+        },
+      })
+
+      return { projects: outcome, sessionsRevoked: sessions.count }
+    })
+  }
+}
+
+export default new PrivacyService()
@@ -0,0 +1,156 @@
+import database from "../config/database.js"
+import { ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, SYSTEM_ROLE_DESCRIPTIONS } from "../config/permissions.js"
+
+/**
+ * Role Service
+ * Manages per-tenant roles and resolves the permissions of a user
+ */
+class RoleService {
+  /**
+   * Seed the built-in ADMIN, USER and VIEWER roles for a tenant
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} tenantId - Tenant ID
+   */
+  async createDefaultRoles(client, tenantId) {
+    await client.role.createMany({
+      data: Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+        name,
+        description: SYSTEM_ROLE_DESCRIPTIONS[name],
+        permissions,
+        isSystem: true,
+        tenantId,
+      })),
+      skipDuplicates: true,
+    })
+  }
+
+  /**
+   * Resolve the permissions granted to a user
+   * A custom role takes precedence over the built-in role
+   * @param {Object} user - User object
+   * @returns {Set<string>} Granted permissions
+   */
+  async getPermissions(user) {
+    // ADMIN always keeps every permission so a tenant cannot lock itself out
+    if (!user.roleId && user.role === "ADMIN") {
+      return new Set(ALL_PERMISSIONS)
+    }
+
+    const db = database.forTenant(user.tenantId)
+    const role = user.roleId
+      ? await db.role.findFirst({ where: { id: user.roleId } })
+      : await db.role.findFirst({ where: { name: user.role } })
+
+    return new Set(role ? role.permissions : DEFAULT_ROLE_PERMISSIONS[user.role] || [])
+  }
+
+  /**
+   * Get (and cache on the request) the permissions of the authenticated user
+   * Requests made with an API key only get the key scopes its creator still holds
+   * @param {Object} req - Express request
+   * @returns {Set<string>} Granted permissions
+   */
+  async getRequestPermissions(req) {
+    if (!req.permissions) {
+      const permissions = await this.getPermissions(req.user)
+      req.permissions = req.apiKey
+        ? new Set(req.apiKey.scopes.filter((scope) => permissions.has(scope)))
+        : permissions
+    }
+    return req.permissions
+  }
+
+  /**
+   * Check whether the authenticated user holds a permission
+   * @param {Object} req - Express request
+   * @param {string} permission - Permission key
+   * @returns {boolean}
+   */
+  async can(req, permission) {
+    const permissions = await this.getRequestPermissions(req)
+    return permissions.has(permission)
+  }
+
+  /**
+   * List roles in a tenant with their user counts
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object[]} Roles
+   */
+  async list(tenantId) {
+    return database.forTenant(tenantId).role.findMany({
+      where: { tenantId },
+      include: { _count: { select: { users: true } } },
+      orderBy: [{ isSystem: "desc" }, { name: "asc" }],
+    })
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} db - Tenant-scoped Prisma client
+   * @param {Object} data - Role data ({ name, description, permissions })
+   * @returns {Object} Created role
+   */
+  async create(db, { name, description, permissions }) {
+    const existing = await db.role.findFirst({ where: { name } })
+
+    if (existing) {
+      throw new Error("ROLE_EXISTS")
+    }
+
+    return db.role.create({
+      data: { name, description, permissions },
+    })
+  }
+
+  /**
+   * Update a role
+   * System roles keep their name and ADMIN cannot be changed at all
+   * @param {Object} db - Tenant-scoped Prisma client
+   * @param {string} id - Role ID
+   * @param {Object} data - Role data ({ name, description, permissions })
+   * @returns {Object} Updated role
+   */
+  async update(db, id, data) {
+    const role = await db.role.findFirst({ where: { id } })
+
+    if (!role) {
+      throw new Error("ROLE_NOT_FOUND")
+    }
+
+    if (role.isSystem && (role.name === "ADMIN" || (data.name && data.name !== role.name))) {
+      throw new Error("SYSTEM_ROLE_IMMUTABLE")
+    }
+
+    if (data.name && data.name !== role.name) {
+      const existing = await db.role.findFirst({ where: { name: data.name } })
+
+      if (existing) {
+        throw new Error("ROLE_EXISTS")
+      }
+    }
+
+    return db.role.update({ where: { id }, data })
+  }
+
+  /**
+   * Delete a custom role; its users fall back to their built-in role
+   * @param {Object} db - Tenant-scoped Prisma client
+   * @param {string} id - Role ID
+   * @returns {Object} Deleted role
+   */
+  async delete(db, id) {
+    const role = await db.role.findFirst({ where: { id } })
+
+    if (!role) {
+      throw new Error("ROLE_NOT_FOUND")
+    }
+
+    if (role.isSystem) {
+      throw new Error("SYSTEM_ROLE_IMMUTABLE")
+    }
+
+    return db.role.delete({ where: { id } })
+  }
+}
+
+export default new RoleService()
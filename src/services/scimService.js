@@ -0,0 +1,564 @@
+import Joi from "joi"
+
+/**
+ * SCIM 2.0 schema and message URNs
+ */
+export const SCIM_SCHEMAS = {
+  USER: "urn:ietf:params:scim:schemas:core:2.0:User",
+  GROUP: "urn:ietf:params:scim:schemas:core:2.0:Group",
+  LIST_RESPONSE: "urn:ietf:params:scim:api:messages:2.0:ListResponse",
+  PATCH_OP: "urn:ietf:params:scim:api:messages:2.0:PatchOp",
+  ERROR: "urn:ietf:params:scim:api:messages:2.0:Error",
+  SERVICE_PROVIDER_CONFIG: "urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig",
+}
+
+/**
+ * Built-in roles exposed as SCIM groups
+ */
+export const SCIM_GROUP_ROLES = ["ADMIN", "USER", "VIEWER"]
+
+/**
+ * Role of users removed from their group, read-only until a group says otherwise
+ */
+export const SCIM_FALLBACK_ROLE = "VIEWER"
+
+export const SCIM_MAX_RESULTS = 200
+
+/**
+ * Filterable attributes, keyed by lowercase SCIM path
+ */
+const USER_ATTRIBUTES = {
+  id: { field: "id", type: "string", caseExact: true },
+  username: { field: "email", type: "string" },
+  emails: { field: "email", type: "string" },
+  "emails.value": { field: "email", type: "string" },
+  externalid: { field: "externalId", type: "string", caseExact: true, nullable: true },
+  "name.givenname": { field: "firstName", type: "string" },
+  "name.familyname": { field: "lastName", type: "string" },
+  active: { field: "isActive", type: "boolean" },
+  "meta.created": { field: "createdAt", type: "date" },
+  "meta.lastmodified": { field: "updatedAt", type: "date" },
+}
+
+const GROUP_ATTRIBUTES = {
+  id: { field: "id", type: "string", caseExact: true },
+  displayname: { field: "name", type: "string" },
+  "meta.created": { field: "createdAt", type: "date" },
+  "meta.lastmodified": { field: "updatedAt", type: "date" },
+}
+
+const STRING_OPERATORS = {
+  eq: "equals",
+  co: "contains",
+  sw: "startsWith",
+  ew: "endsWith",
+  gt: "gt",
+  ge: "gte",
+  lt: "lt",
+  le: "lte",
+}
+
+const DATE_OPERATORS = { gt: "gt", ge: "gte", lt: "lt", le: "lte" }
+
+// Validation schemas
+const userResourceSchema = Joi.object({
+  // Users sign in with their email, so that is what the identity provider's userName must be
+  userName: Joi.string().email().required(),
+  externalId: Joi.string().max(255).allow(null).optional(),
+  name: Joi.object({
+    givenName: Joi.string().allow("").optional(),
+    familyName: Joi.string().allow("").optional(),
+  })
+    .unknown()
+    .optional(),
+  displayName: Joi.string().allow("").optional(),
+  active: Joi.boolean().default(true),
+  password: Joi.string().min(8).optional(),
+}).unknown()
+
+const patchRequestSchema = Joi.object({
+  Operations: Joi.array()
+    .items(
+      Joi.object({
+        op: Joi.string().valid("add", "replace", "remove").insensitive().required(),
+        path: Joi.string().optional(),
+        value: Joi.any().optional(),
+      }).unknown(),
+    )
+    .min(1)
+    .required(),
+}).unknown()
+
+/**
+ * Build a SCIM error carrying a detail message
+ * @param {string} code - Error code
+ * @param {string} detail - Human readable detail
+ * @returns {Error}
+ */
+const scimError = (code, detail) => {
+  const error = new Error(code)
+  error.detail = detail
+  return error
+}
+
+/**
+ * Lowercase an attribute path and drop the core schema URN prefix
+ * @param {string} path - SCIM attribute path
+ * @returns {string}
+ */
+const normalizePath = (path) =>
+  path
+    .trim()
+    .toLowerCase()
+    .replace(/^urn:ietf:params:scim:schemas:core:2\.0:(user|group):/, "")
+
+/**
+ * Accept the string booleans some identity providers send ("True", "False")
+ * @param {*} value - Boolean or boolean string
+ * @returns {boolean}
+ */
+const toBoolean = (value) => {
+  if (typeof value === "boolean") {
+    return value
+  }
+  if (typeof value === "string" && ["true", "false"].includes(value.toLowerCase())) {
+    return value.toLowerCase() === "true"
+  }
+  throw scimError("SCIM_INVALID_VALUE", `"${value}" is not a boolean`)
+}
+
+/**
+ * Validate an email value
+ * @param {*} value - Candidate email
+ * @returns {string} Lowercased email
+ */
+const toEmail = (value) => {
+  const { error } = Joi.string().email().required().validate(value)
+  if (error) {
+    throw scimError("SCIM_INVALID_VALUE", `"${value}" is not a valid email`)
+  }
+  return value.toLowerCase()
+}
+
+/**
+ * Split a SCIM filter into tokens
+ * @param {string} filter - Filter expression
+ * @returns {Object[]} Tokens ({ type, value })
+ */
+const tokenize = (filter) => {
+  const pattern = /\s*(?:(\()|(\))|("(?:[^"\\]|\\.)*")|([^\s()"]+))\s*/y
+  const tokens = []
+
+  while (pattern.lastIndex < filter.length) {
+    const match = pattern.exec(filter)
+    if (!match) {
+      throw scimError("SCIM_INVALID_FILTER", `Unexpected character at position ${pattern.lastIndex + 1}`)
+    }
+
+    if (match[1] || match[2]) {
+      tokens.push({ type: match[1] || match[2] })
+    } else if (match[3]) {
+      let value
+      try {
+        value = JSON.parse(match[3])
+      } catch {
+        throw scimError("SCIM_INVALID_FILTER", `Invalid string ${match[3]}`)
+      }
+      tokens.push({ type: "string", value })
+    } else {
+      tokens.push({ type: "word", value: match[4] })
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Turn a literal token into a value
+ * @param {Object} token - String or word token
+ * @returns {*} String, boolean, number or null
+ */
+const literal = (token) => {
+  if (token.type === "string") {
+    return token.value
+  }
+
+  const word = token.value.toLowerCase()
+  if (word === "true" || word === "false") {
+    return word === "true"
+  }
+  if (word === "null") {
+    return null
+  }
+  if (!Number.isNaN(Number(token.value))) {
+    return Number(token.value)
+  }
+
+  throw scimError("SCIM_INVALID_FILTER", `Invalid value ${token.value}`)
+}
+
+/**
+ * Build the where clause of one attribute comparison
+ * @param {Object} attribute - Attribute mapping
+ * @param {string} operator - SCIM comparison operator
+ * @param {*} value - Compared value
+ * @returns {Object} Prisma where clause
+ */
+const compare = (attribute, operator, value) => {
+  const { field, type } = attribute
+  const invalid = () => scimError("SCIM_INVALID_FILTER", `Operator ${operator} is not supported on this attribute`)
+
+  if (type === "boolean") {
+    if (typeof value !== "boolean" || !["eq", "ne"].includes(operator)) {
+      throw invalid()
+    }
+    return { [field]: operator === "eq" ? value : { not: value } }
+  }
+
+  if (type === "date") {
+    const date = new Date(value)
+    if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+      throw scimError("SCIM_INVALID_FILTER", `"${value}" is not a valid date`)
+    }
+    if (operator === "eq" || operator === "ne") {
+      return operator === "eq" ? { [field]: date } : { NOT: { [field]: date } }
+    }
+    if (!DATE_OPERATORS[operator]) {
+      throw invalid()
+    }
+    return { [field]: { [DATE_OPERATORS[operator]]: date } }
+  }
+
+  if (typeof value !== "string") {
+    throw scimError("SCIM_INVALID_FILTER", `Attribute value must be a string`)
+  }
+
+  const mode = attribute.caseExact ? {} : { mode: "insensitive" }
+
+  if (operator === "ne") {
+    return { NOT: { [field]: { equals: value, ...mode } } }
+  }
+  if (!STRING_OPERATORS[operator]) {
+    throw invalid()
+  }
+  return { [field]: { [STRING_OPERATORS[operator]]: value, ...mode } }
+}
+
+/**
+ * SCIM Service
+ * Translates between SCIM 2.0 resources and the User and Role models:
+ * filters to Prisma queries, resources to model data and PATCH operations
+ * to changes
+ */
+class ScimService {
+  /**
+   * Translate a SCIM filter into a Prisma where clause
+   * Supports every comparison operator, and, or, not and grouping
+   * @param {string} filter - Filter expression, e.g. userName eq "ada@example.com"
+   * @param {string} resourceType - "User" or "Group"
+   * @returns {Object} Prisma where clause
+   */
+  parseFilter(filter, resourceType) {
+    const attributes = resourceType === "Group" ? GROUP_ATTRIBUTES : USER_ATTRIBUTES
+    const tokens = tokenize(filter)
+    let position = 0
+
+    const peekWord = () => (tokens[position]?.type === "word" ? tokens[position].value.toLowerCase() : null)
+
+    const expect = (type) => {
+      if (tokens[position]?.type !== type) {
+        throw scimError("SCIM_INVALID_FILTER", `Expected "${type}"`)
+      }
+      position += 1
+    }
+
+    const parseComparison = () => {
+      const path = tokens[position]
+      const operator = tokens[position + 1]?.type === "word" ? tokens[position + 1].value.toLowerCase() : null
+      if (path?.type !== "word" || !operator) {
+        throw scimError("SCIM_INVALID_FILTER", "Expected an attribute comparison")
+      }
+      position += 2
+
+      const attribute = attributes[normalizePath(path.value)]
+      if (!attribute) {
+        throw scimError("SCIM_INVALID_FILTER", `Filtering on ${path.value} is not supported`)
+      }
+
+      if (operator === "pr") {
+        return attribute.nullable ? { [attribute.field]: { not: null } } : {}
+      }
+
+      const token = tokens[position]
+      if (token?.type !== "string" && token?.type !== "word") {
+        throw scimError("SCIM_INVALID_FILTER", `Expected a value after ${operator}`)
+      }
+      position += 1
+
+      return compare(attribute, operator, literal(token))
+    }
+
+    const parseFactor = () => {
+      if (peekWord() === "not") {
+        position += 1
+        expect("(")
+        const inner = parseOr()
+        expect(")")
+        return { NOT: inner }
+      }
+
+      if (tokens[position]?.type === "(") {
+        position += 1
+        const inner = parseOr()
+        expect(")")
+        return inner
+      }
+
+      return parseComparison()
+    }
+
+    const parseAnd = () => {
+      const factors = [parseFactor()]
+      while (peekWord() === "and") {
+        position += 1
+        factors.push(parseFactor())
+      }
+      return factors.length === 1 ? factors[0] : { AND: factors }
+    }
+
+    const parseOr = () => {
+      const terms = [parseAnd()]
+      while (peekWord() === "or") {
+        position += 1
+        terms.push(parseAnd())
+      }
+      return terms.length === 1 ? terms[0] : { OR: terms }
+    }
+
+    const where = parseOr()
+    if (position !== tokens.length) {
+      throw scimError("SCIM_INVALID_FILTER", "Unexpected input after the filter expression")
+    }
+
+    return where
+  }
+
+  /**
+   * Represent a user as a SCIM User resource
+   * @param {Object} user - User
+   * @param {Object} groups - System roles keyed by name
+   * @param {string} baseUrl - SCIM base URL
+   * @returns {Object} SCIM User
+   */
+  toUserResource(user, groups, baseUrl) {
+    const displayName = `${user.firstName} ${user.lastName}`.trim()
+    const group = groups[user.role]
+
+    return {
+      schemas: [SCIM_SCHEMAS.USER],
+      id: user.id,
+      ...(user.externalId && { externalId: user.externalId }),
+      userName: user.email,
+      name: {
+        givenName: user.firstName,
+        familyName: user.lastName,
+        formatted: displayName,
+      },
+      displayName,
+      emails: [{ value: user.email, type: "work", primary: true }],
+      active: user.isActive,
+      groups: group ? [{ value: group.id, display: group.name, $ref: `${baseUrl}/Groups/${group.id}` }] : [],
+      meta: {
+        resourceType: "User",
+        created: user.createdAt,
+        lastModified: user.updatedAt,
+        location: `${baseUrl}/Users/${user.id}`,
+      },
+    }
+  }
+
+  /**
+   * Represent a system role as a SCIM Group resource
+   * @param {Object} role - System role
+   * @param {Object[]|null} members - Users holding the role, null to leave members out
+   * @param {string} baseUrl - SCIM base URL
+   * @returns {Object} SCIM Group
+   */
+  toGroupResource(role, members, baseUrl) {
+    return {
+      schemas: [SCIM_SCHEMAS.GROUP],
+      id: role.id,
+      displayName: role.name,
+      ...(members && {
+        members: members.map((member) => ({
+          value: member.id,
+          display: member.email,
+          $ref: `${baseUrl}/Users/${member.id}`,
+        })),
+      }),
+      meta: {
+        resourceType: "Group",
+        created: role.createdAt,
+        lastModified: role.updatedAt,
+        location: `${baseUrl}/Groups/${role.id}`,
+      },
+    }
+  }
+
+  /**
+   * Read user data from a full SCIM User resource, as sent to create or replace a user
+   * @param {Object} resource - SCIM User
+   * @returns {Object} User data ({ email, firstName, lastName, externalId, isActive, password })
+   */
+  parseUserResource(resource) {
+    const { error, value } = userResourceSchema.validate(resource)
+    if (error) {
+      throw scimError("SCIM_INVALID_VALUE", error.details.map((d) => d.message).join("; "))
+    }
+
+    const email = value.userName.toLowerCase()
+    const [displayFirstName, ...displayLastNames] = (value.displayName || "").split(" ")
+
+    return {
+      email,
+      firstName: value.name?.givenName || displayFirstName || email.split("@")[0],
+      lastName: value.name?.familyName ?? displayLastNames.join(" "),
+      externalId: value.externalId ?? null,
+      isActive: value.active,
+      ...(value.password && { password: value.password }),
+    }
+  }
+
+  /**
+   * Validate a PatchOp request
+   * @param {Object} body - Request body
+   * @returns {Object[]} Operations with lowercase op names
+   */
+  parsePatchRequest(body) {
+    const { error, value } = patchRequestSchema.validate(body)
+    if (error) {
+      throw scimError("SCIM_INVALID_SYNTAX", error.details.map((d) => d.message).join("; "))
+    }
+
+    return value.Operations.map((operation) => ({ ...operation, op: operation.op.toLowerCase() }))
+  }
+
+  /**
+   * Turn PATCH operations on a User into user data
+   * Attributes the User model does not keep are ignored
+   * @param {Object[]} operations - Parsed operations
+   * @returns {Object} Changed user data
+   */
+  patchUser(operations) {
+    const data = {}
+
+    const set = (path, value) => {
+      const attribute = normalizePath(path).replace(/\s+/g, " ")
+
+      if (attribute === "username" || attribute === "emails.value" || /^emails\[.*\]\.value$/.test(attribute)) {
+        data.email = toEmail(value)
+      } else if (attribute === "emails") {
+        const primary = [].concat(value).find((email) => email?.primary) || [].concat(value)[0]
+        data.email = toEmail(primary?.value)
+      } else if (attribute === "externalid") {
+        data.externalId = value === null ? null : String(value)
+      } else if (attribute === "active") {
+        data.isActive = toBoolean(value)
+      } else if (attribute === "name.givenname") {
+        data.firstName = String(value)
+      } else if (attribute === "name.familyname") {
+        data.lastName = String(value)
+      } else if (attribute === "name" && value && typeof value === "object") {
+        Object.entries(value).forEach(([key, nested]) => set(`name.${key}`, nested))
+      } else if (attribute === "password") {
+        if (typeof value !== "string" || value.length < 8) {
+          throw scimError("SCIM_INVALID_VALUE", "Password must be at least 8 characters long")
+        }
+        data.password = value
+      }
+    }
+
+    for (const { op, path, value } of operations) {
+      if (op === "remove") {
+        if (!path || normalizePath(path) !== "externalid") {
+          throw scimError("SCIM_MUTABILITY", `${path || "The resource"} cannot be removed`)
+        }
+        data.externalId = null
+        continue
+      }
+
+      if (path) {
+        set(path, value)
+      } else if (value && typeof value === "object" && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, nested]) => set(key, nested))
+      } else {
+        throw scimError("SCIM_INVALID_VALUE", "Operations without a path need an object value")
+      }
+    }
+
+    return data
+  }
+
+  /**
+   * Work out the members of a group after PATCH operations
+   * @param {Object} role - System role behind the group
+   * @param {string[]} memberIds - Current member user IDs
+   * @param {Object[]} operations - Parsed operations
+   * @returns {string[]} Member user IDs after the operations
+   */
+  patchGroupMembers(role, memberIds, operations) {
+    const members = new Set(memberIds)
+
+    const ids = (value) =>
+      [].concat(value ?? []).map((member) => {
+        if (typeof member?.value !== "string") {
+          throw scimError("SCIM_INVALID_VALUE", "Members need a value")
+        }
+        return member.value
+      })
+
+    const checkDisplayName = (displayName) => {
+      if (displayName !== undefined && displayName !== role.name) {
+        throw scimError("SCIM_MUTABILITY", "Groups mirror the built-in roles and cannot be renamed")
+      }
+    }
+
+    for (const { op, path, value } of operations) {
+      const attribute = path ? normalizePath(path) : null
+      const filtered = attribute?.match(/^members\[\s*value\s+eq\s+"([^"]+)"\s*\]$/)
+
+      if (!attribute) {
+        if (!value || typeof value !== "object") {
+          throw scimError("SCIM_INVALID_VALUE", "Operations without a path need an object value")
+        }
+        checkDisplayName(value.displayName)
+        if (value.members !== undefined) {
+          if (op === "replace") {
+            members.clear()
+          }
+          ids(value.members).forEach((id) => members.add(id))
+        }
+      } else if (attribute === "displayname") {
+        checkDisplayName(op === "remove" ? null : value)
+      } else if (filtered && op === "remove") {
+        members.delete(filtered[1])
+      } else if (attribute === "members") {
+        if (op === "remove") {
+          const removed = value === undefined ? [...members] : ids(value)
+          removed.forEach((id) => members.delete(id))
+        } else {
+          if (op === "replace") {
+            members.clear()
+          }
+          ids(value).forEach((id) => members.add(id))
+        }
+      } else {
+        throw scimError("SCIM_INVALID_PATH", `${path} is not a supported group attribute`)
+      }
+    }
+
+    return [...members]
+  }
+}
+
+export default new ScimService()
@@ -0,0 +1,434 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { prisma } from "../config/database.js"
+
+/**
+ * Previous hash of the first entry of every chain
+ */
+export const GENESIS_HASH = "0".repeat(64)
+
+const BATCH_SIZE = 500
+
+/**
+ * User fields whose changes are security events
+ */
+const SECURITY_USER_FIELDS = ["role", "roleId", "isActive"]
+
+/**
+ * Action prefixes that are always security events
+ */
+const SECURITY_ACTION_PREFIXES = [
+  "auth.login_",
+  "auth.password_",
+  "user.two_factor_",
+  "user.recovery_codes_",
+  "tenant.",
+  "role.",
+  "invitation.",
+  "webhook.",
+  "api_key.",
+]
+
+/**
+ * Serialize a value with object keys sorted at every level
+ * Postgres JSONB does not keep key order, so hashes must not depend on it
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`
+  }
+
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`
+  }
+
+  return JSON.stringify(value)
+}
+
+/**
+ * Security Ledger Service
+ * Append-only, per-tenant chain of security events where every entry embeds the
+ * hash of the previous one, plus signed checkpoints of the chain head written to
+ * files outside the database
+ */
+class SecurityLedgerService {
+  constructor() {
+    this.timer = null
+  }
+
+  /**
+   * Secret used to sign checkpoints
+   * @returns {string|undefined} Secret
+   */
+  get signingSecret() {
+    return process.env.LEDGER_SIGNING_SECRET
+  }
+
+  /**
+   * Directory holding one checkpoint file per tenant
+   * @returns {string} Directory path
+   */
+  get checkpointDir() {
+    return process.env.LEDGER_CHECKPOINT_DIR || path.join("storage", "ledger-checkpoints")
+  }
+
+  /**
+   * How often checkpoints are written, 0 to disable the job
+   * @returns {number} Milliseconds
+   */
+  get checkpointInterval() {
+    const minutes = Number.parseInt(process.env.LEDGER_CHECKPOINT_INTERVAL_MINUTES ?? "60")
+    return Number.isNaN(minutes) ? 60 * 60 * 1000 : minutes * 60 * 1000
+  }
+
+  /**
+   * Whether an audit entry is a security event
+   * Login attempts, password resets, 2FA changes, tenant, role, invitation, webhook and API key
+   * changes, and user role or status changes are
+   * @param {Object} entry - Audit log entry
+   * @returns {boolean} Whether it belongs in the ledger
+   */
+  tracks(entry) {
+    if (SECURITY_ACTION_PREFIXES.some((prefix) => entry.action.startsWith(prefix))) {
+      return true
+    }
+
+    if (entry.action === "user.deactivated") {
+      return true
+    }
+
+    return entry.action === "user.updated" && SECURITY_USER_FIELDS.some((field) => field in (entry.after || {}))
+  }
+
+  /**
+   * Compute the hash of a ledger entry
+   * @param {Object} event - Ledger entry
+   * @returns {string} SHA-256 hex digest
+   */
+  hash(event) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        canonicalJson({
+          tenantId: event.tenantId,
+          sequence: event.sequence,
+          type: event.type,
+          actorType: event.actorType,
+          actorId: event.actorId,
+          entityType: event.entityType,
+          entityId: event.entityId,
+          payload: event.payload,
+          previousHash: event.previousHash,
+          createdAt: new Date(event.createdAt).toISOString(),
+        }),
+      )
+      .digest("hex")
+  }
+
+  /**
+   * Compute the digest of an audit entry
+   * The ledger chains this instead of the entry's content, so emails, client info and
+   * record snapshots stay in audit_logs, where erasure can still reach them
+   * @param {Object} entry - Audit log entry
+   * @returns {string} SHA-256 hex digest
+   */
+  digest(entry) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        canonicalJson({
+          id: entry.id,
+          tenantId: entry.tenantId,
+          action: entry.action,
+          actorType: entry.actorType,
+          actorId: entry.actorId ?? null,
+          entityType: entry.entityType,
+          entityId: entry.entityId ?? null,
+          before: entry.before ?? null,
+          after: entry.after ?? null,
+          metadata: entry.metadata ?? null,
+          ipAddress: entry.ipAddress ?? null,
+          userAgent: entry.userAgent ?? null,
+          createdAt: new Date(entry.createdAt).toISOString(),
+        }),
+      )
+      .digest("hex")
+  }
+
+  /**
+   * Append an audit entry to the ledger of its tenant
+   * Only IDs and the digest of the entry are kept, never personal data
+   * @param {Object} entry - Audit log entry
+   * @returns {Object} Ledger entry
+   */
+  async append(entry) {
+    return prisma.$transaction(async (tx) => {
+      // Lock the tenant row so concurrent appends queue up behind each other
+      await tx.$queryRaw`SELECT "id" FROM "tenants" WHERE "id" = ${entry.tenantId} FOR UPDATE`
+
+      const head = await tx.securityEvent.findFirst({
+        where: { tenantId: entry.tenantId },
+        orderBy: { sequence: "desc" },
+        select: { sequence: true, hash: true },
+      })
+
+      const event = {
+        tenantId: entry.tenantId,
+        sequence: (head?.sequence ?? 0) + 1,
+        type: entry.action,
+        actorType: entry.actorType,
+        actorId: entry.actorId ?? null,
+        entityType: entry.entityType,
+        entityId: entry.entityId ?? null,
+        payload: {
+          auditLogId: entry.id,
+          digest: this.digest(entry),
+        },
+        previousHash: head?.hash ?? GENESIS_HASH,
+        createdAt: new Date(),
+      }
+
+      return tx.securityEvent.create({ data: { ...event, hash: this.hash(event) } })
+    })
+  }
+
+  /**
+   * List ledger entries of a tenant, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} query - Pagination ({ before, limit }), before is a sequence number
+   * @returns {Object} Entries and the cursor of the next page
+   */
+  async list(tenantId, { before, limit }) {
+    const events = await prisma.securityEvent.findMany({
+      where: { tenantId, ...(before && { sequence: { lt: before } }) },
+      orderBy: { sequence: "desc" },
+      take: limit + 1,
+    })
+
+    const hasMore = events.length > limit
+    const page = hasMore ? events.slice(0, limit) : events
+
+    return { events: page, nextCursor: hasMore ? page[page.length - 1].sequence : null }
+  }
+
+  /**
+   * Walk the chain of a tenant and check it against its checkpoints
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Report ({ valid, checked, head, checkpoints, brokenLink })
+   */
+  async verify(tenantId) {
+    // Checkpoints can only be trusted when their signature can be checked
+    const checkpoints = this.signingSecret ? await this.readCheckpoints(tenantId) : []
+    const bySequence = new Map(checkpoints.map((checkpoint) => [checkpoint.sequence, checkpoint]))
+
+    const report = (head, checked, brokenLink = null) => ({
+      valid: !brokenLink,
+      checked,
+      head,
+      checkpoints: checkpoints.length,
+      brokenLink,
+    })
+
+    for (const checkpoint of checkpoints) {
+      if (checkpoint.signature !== this.sign(checkpoint)) {
+        return report(null, 0, {
+          sequence: checkpoint.sequence,
+          reason: "CHECKPOINT_SIGNATURE_INVALID",
+          checkpointCreatedAt: checkpoint.createdAt,
+        })
+      }
+    }
+
+    let previous = { sequence: 0, hash: GENESIS_HASH }
+    let checked = 0
+
+    for await (const event of this.readChain(tenantId)) {
+      const broken = (reason, extra = {}) =>
+        report(previous.sequence ? previous : null, checked, { sequence: event.sequence, id: event.id, reason, ...extra })
+
+      if (event.sequence !== previous.sequence + 1) {
+        return broken("SEQUENCE_GAP", { expectedSequence: previous.sequence + 1 })
+      }
+
+      if (event.previousHash !== previous.hash) {
+        return broken("PREVIOUS_HASH_MISMATCH")
+      }
+
+      if (this.hash(event) !== event.hash) {
+        return broken("HASH_MISMATCH")
+      }
+
+      const checkpoint = bySequence.get(event.sequence)
+      if (checkpoint && checkpoint.hash !== event.hash) {
+        return broken("CHECKPOINT_MISMATCH", { checkpointCreatedAt: checkpoint.createdAt })
+      }
+
+      previous = { sequence: event.sequence, hash: event.hash }
+      checked += 1
+    }
+
+    const head = previous.sequence ? previous : null
+
+    // Entries covered by a checkpoint have disappeared from the end of the chain
+    const truncated = checkpoints.find((checkpoint) => checkpoint.sequence > previous.sequence)
+    if (truncated) {
+      return report(head, checked, {
+        sequence: truncated.sequence,
+        reason: "CHAIN_TRUNCATED",
+        checkpointCreatedAt: truncated.createdAt,
+      })
+    }
+
+    return report(head, checked)
+  }
+
+  /**
+   * Read the chain of a tenant in sequence order, in batches
+   * @param {string} tenantId - Tenant ID
+   */
+  async *readChain(tenantId) {
+    let after = 0
+
+    while (true) {
+      const batch = await prisma.securityEvent.findMany({
+        where: { tenantId, sequence: { gt: after } },
+        orderBy: { sequence: "asc" },
+        take: BATCH_SIZE,
+      })
+
+      yield* batch
+
+      if (batch.length < BATCH_SIZE) {
+        return
+      }
+      after = batch[batch.length - 1].sequence
+    }
+  }
+
+  /**
+   * Sign a checkpoint
+   * @param {Object} checkpoint - ({ tenantId, sequence, hash, createdAt })
+   * @returns {string} HMAC-SHA256 hex digest
+   */
+  sign({ tenantId, sequence, hash, createdAt }) {
+    return crypto
+      .createHmac("sha256", this.signingSecret)
+      .update(canonicalJson({ tenantId, sequence, hash, createdAt }))
+      .digest("hex")
+  }
+
+  /**
+   * Path of the checkpoint file of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {string} File path
+   */
+  checkpointPath(tenantId) {
+    return path.join(this.checkpointDir, `${tenantId}.jsonl`)
+  }
+
+  /**
+   * Read the checkpoints written for a tenant, oldest first
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object[]} Checkpoints
+   */
+  async readCheckpoints(tenantId) {
+    let content
+    try {
+      content = await fs.promises.readFile(this.checkpointPath(tenantId), "utf8")
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return []
+      }
+      throw error
+    }
+
+    return content
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+  }
+
+  /**
+   * Write a signed checkpoint of the chain head of a tenant
+   * Nothing is written when the head has not moved since the last checkpoint
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object|null} Checkpoint written
+   */
+  async checkpoint(tenantId) {
+    if (!this.signingSecret) {
+      throw new Error("LEDGER_SIGNING_SECRET_MISSING")
+    }
+
+    const head = await prisma.securityEvent.findFirst({
+      where: { tenantId },
+      orderBy: { sequence: "desc" },
+      select: { sequence: true, hash: true },
+    })
+
+    const last = (await this.readCheckpoints(tenantId)).at(-1)
+    if (!head || last?.sequence === head.sequence) {
+      return null
+    }
+
+    const checkpoint = { tenantId, sequence: head.sequence, hash: head.hash, createdAt: new Date().toISOString() }
+    checkpoint.signature = this.sign(checkpoint)
+
+    await fs.promises.mkdir(this.checkpointDir, { recursive: true })
+    await fs.promises.appendFile(this.checkpointPath(tenantId), `${JSON.stringify(checkpoint)}\n`)
+
+    return checkpoint
+  }
+
+  /**
+   * Write checkpoints for every tenant with ledger entries
+   * @returns {Object[]} Checkpoints written
+   */
+  async checkpointAll() {
+    const tenants = await prisma.securityEvent.groupBy({ by: ["tenantId"] })
+
+    const checkpoints = []
+    for (const { tenantId } of tenants) {
+      const checkpoint = await this.checkpoint(tenantId)
+      if (checkpoint) {
+        checkpoints.push(checkpoint)
+      }
+    }
+
+    return checkpoints
+  }
+
+  /**
+   * Start the background checkpoint job
+   */
+  start() {
+    if (this.timer || this.checkpointInterval <= 0) {
+      return
+    }
+
+    if (!this.signingSecret) {
+      console.log("⚠️  LEDGER_SIGNING_SECRET is not set, ledger checkpoints are disabled")
+      return
+    }
+
+    this.timer = setInterval(() => {
+      this.checkpointAll().catch((error) => console.error("Ledger checkpoint job error:", error))
+    }, this.checkpointInterval)
+    this.timer.unref()
+  }
+
+  /**
+   * Stop the background checkpoint job
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+}
+
+export default new SecurityLedgerService()
@@ -0,0 +1,193 @@
+import crypto from "crypto"
+import database, { prisma } from "../config/database.js"
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js"
+
+/**
+ * Session Service
+ * Manages refresh-token backed sessions, rotation and revocation
+ */
+class SessionService {
+  /**
+   * Refresh token lifetime in milliseconds
+   * @returns {number}
+   */
+  get refreshTokenTtl() {
+    const days = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+    return days * 24 * 60 * 60 * 1000
+  }
+
+  /**
+   * Start a new session family for a user
+   * @param {Object} user - User object
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @param {Object} options - ({ twoFactorVerified })
+   * @returns {Object} Created session and its refresh token
+   */
+  async createSession(user, context = {}, { twoFactorVerified = false } = {}) {
+    return this.issue(prisma, {
+      familyId: crypto.randomUUID(),
+      userId: user.id,
+      tenantId: user.tenantId,
+      twoFactorVerified,
+      context,
+    })
+  }
+
+  /**
+   * Rotate a refresh token, detecting reuse of already rotated tokens
+   * @param {string} refreshToken - Opaque refresh token presented by the client
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} New session, its refresh token and the session user
+   */
+  async rotate(refreshToken, context = {}) {
+    const current = await prisma.session.findUnique({
+      where: { refreshTokenHash: hashToken(refreshToken) },
+    })
+
+    if (!current) {
+      throw new Error("INVALID_REFRESH_TOKEN")
+    }
+
+    if (current.revokedAt) {
+      throw new Error("SESSION_REVOKED")
+    }
+
+    if (current.rotatedAt) {
+      // A rotated token is being replayed: assume it was stolen
+      await this.revokeFamily(current.familyId, "REUSE_DETECTED")
+      throw new Error("REFRESH_TOKEN_REUSED")
+    }
+
+    if (current.expiresAt < new Date()) {
+      throw new Error("REFRESH_TOKEN_EXPIRED")
+    }
+
+    const user = await database.forTenant(current.tenantId).user.findUnique({
+      where: { id: current.userId },
+      include: { tenant: true },
+    })
+
+    if (!user || !user.isActive || !user.tenant.isActive) {
+      await this.revokeFamily(current.familyId, "ACCOUNT_INACTIVE")
+      throw new Error("SESSION_REVOKED")
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Guard against two concurrent refreshes with the same token
+      const { count } = await tx.session.updateMany({
+        where: { id: current.id, rotatedAt: null, revokedAt: null },
+        data: { rotatedAt: new Date() },
+      })
+
+      if (count === 0) {
+        return null
+      }
+
+      return this.issue(tx, {
+        familyId: current.familyId,
+        userId: current.userId,
+        tenantId: current.tenantId,
+        twoFactorVerified: current.twoFactorVerified,
+        context,
+      })
+    })
+
+    if (!result) {
+      await this.revokeFamily(current.familyId, "REUSE_DETECTED")
+      throw new Error("REFRESH_TOKEN_REUSED")
+    }
+
+    return { ...result, user }
+  }
+
+  /**
+   * Find an active session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Session or null when missing or revoked
+   */
+  async findActive(sessionId) {
+    return prisma.session.findFirst({
+      where: { id: sessionId, revokedAt: null },
+    })
+  }
+
+  /**
+   * Revoke every session in a family
+   * @param {string} familyId - Session family ID
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of revoked sessions
+   */
+  async revokeFamily(familyId, reason) {
+    const { count } = await prisma.session.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    })
+    return count
+  }
+
+  /**
+   * Mark every session in a family as having passed the second factor
+   * @param {string} familyId - Session family ID
+   */
+  async markTwoFactorVerified(familyId) {
+    await prisma.session.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { twoFactorVerified: true },
+    })
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of revoked sessions
+   */
+  async revokeAllForUser(userId, reason) {
+    const { count } = await prisma.session.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    })
+    return count
+  }
+
+  /**
+   * Revoke every active session in a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of revoked sessions
+   */
+  async revokeAllForTenant(tenantId, reason) {
+    const { count } = await prisma.session.updateMany({
+      where: { tenantId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    })
+    return count
+  }
+
+  /**
+   * Persist a session row and return the plain refresh token
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} data - Session data
+   * @returns {Object} Session and refresh token
+   */
+  async issue(client, { familyId, userId, tenantId, twoFactorVerified = false, context }) {
+    const refreshToken = generateOpaqueToken(48)
+
+    const session = await client.session.create({
+      data: {
+        familyId,
+        userId,
+        tenantId,
+        twoFactorVerified,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress,
+        expiresAt: new Date(Date.now() + this.refreshTokenTtl),
+      },
+    })
+
+    return { session, refreshToken }
+  }
+}
+
+export default new SessionService()
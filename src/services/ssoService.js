@@ -0,0 +1,490 @@
+import crypto from "crypto"
+import bcrypt from "bcryptjs"
+import jwt from "jsonwebtoken"
+import database, { prisma } from "../config/database.js"
+import auditService from "./auditService.js"
+import authService from "./authService.js"
+import { pinnedLookup, resolvePublicUrl, sendRequest } from "../utils/network.js"
+import { generateOpaqueToken, hashToken } from "../utils/tokens.js"
+
+/**
+ * Signature algorithms accepted on ID tokens
+ */
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"]
+
+/**
+ * How long discovery documents and signing keys are cached
+ */
+const METADATA_TTL_MS = 60 * 60 * 1000
+
+const HTTP_TIMEOUT_MS = 10000
+
+// Discovery documents and key sets are small; anything longer is cut and fails to parse
+const RESPONSE_SIZE_LIMIT = 1024 * 1024
+
+/**
+ * Reasons an SSO login is refused once its tenant is known, recorded as failed login attempts
+ */
+const SSO_LOGIN_FAILURES = [
+  "TENANT_INACTIVE",
+  "SSO_NOT_CONFIGURED",
+  "SSO_TOKEN_EXCHANGE_FAILED",
+  "SSO_INVALID_ID_TOKEN",
+  "SSO_EMAIL_NOT_VERIFIED",
+  "SSO_DOMAIN_NOT_ALLOWED",
+  "SSO_USER_INACTIVE",
+]
+
+/**
+ * SSO Service
+ * Per-tenant OpenID Connect single sign-on: the authorization code flow with
+ * PKCE against the tenant identity provider, and just-in-time provisioning of
+ * the users it vouches for
+ */
+class SsoService {
+  constructor() {
+    this.discoveryCache = new Map()
+    this.jwksCache = new Map()
+  }
+
+  /**
+   * Where identity providers send users back to, registered with every provider
+   * @returns {string} Redirect URI
+   */
+  get redirectUri() {
+    return process.env.SSO_REDIRECT_URI || `${process.env.APP_URL || "http://localhost:3000"}/sso/callback`
+  }
+
+  /**
+   * Hosts exempt from the https and public address checks (SSO_ALLOWED_HOSTS), e.g. a provider on the same network
+   * @returns {string[]} Lowercase hostnames or IP addresses
+   */
+  get allowedHosts() {
+    return (process.env.SSO_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean)
+  }
+
+  /**
+   * How long a started login can be completed
+   * @returns {number} Milliseconds
+   */
+  get loginRequestTtl() {
+    return (Number.parseInt(process.env.SSO_LOGIN_TTL_MINUTES) || 10) * 60 * 1000
+  }
+
+  /**
+   * Hide the client secret of a connection
+   * @param {Object} connection - SSO connection
+   * @returns {Object} Connection without its client secret
+   */
+  sanitizeConnection(connection) {
+    const { clientSecret: _clientSecret, ...rest } = connection
+    return rest
+  }
+
+  /**
+   * Get the SSO connection of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object|null} Connection
+   */
+  async getConnection(tenantId) {
+    return database.forTenant(tenantId).ssoConnection.findUnique({ where: { tenantId } })
+  }
+
+  /**
+   * Create or update the SSO connection of a tenant
+   * The issuer is checked through its discovery document before anything is saved
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - ({ issuer, clientId, clientSecret, allowedDomains, defaultRole, isEnabled }),
+   *   complete when the connection is created and any subset when it is updated
+   * @returns {Object} Connection before and after the change
+   */
+  async saveConnection(tenantId, data) {
+    const db = database.forTenant(tenantId)
+    const existing = await db.ssoConnection.findUnique({ where: { tenantId } })
+
+    const issuer = data.issuer || existing.issuer
+    await this.discover(issuer)
+
+    const values = {
+      ...data,
+      issuer,
+      ...(data.allowedDomains && { allowedDomains: data.allowedDomains.map((domain) => domain.toLowerCase()) }),
+    }
+
+    const connection = await db.ssoConnection.upsert({
+      where: { tenantId },
+      create: values,
+      update: values,
+    })
+
+    return { before: existing, after: connection }
+  }
+
+  /**
+   * Remove the SSO connection of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Removed connection
+   */
+  async removeConnection(tenantId) {
+    const db = database.forTenant(tenantId)
+    const existing = await db.ssoConnection.findUnique({ where: { tenantId } })
+
+    if (!existing) {
+      throw new Error("SSO_NOT_CONFIGURED")
+    }
+
+    await db.ssoConnection.delete({ where: { tenantId } })
+
+    return existing
+  }
+
+  /**
+   * Fetch a JSON document from an identity provider
+   * Only https URLs of public hosts are fetched, and the request goes to the address that
+   * was checked, so an issuer cannot point the server at an internal service
+   * Throws URL_FORBIDDEN or URL_UNRESOLVABLE
+   * @param {string} url - Document URL
+   * @param {Object} options - ({ method, headers, body })
+   * @returns {Object} Parsed body and status ({ ok, status, body })
+   */
+  async fetchJson(url, { method, headers, body } = {}) {
+    const resolved = await resolvePublicUrl(url, { allowedHosts: this.allowedHosts, httpsOnly: true })
+    const response = await sendRequest(url, {
+      method,
+      headers: { Accept: "application/json", ...headers },
+      body,
+      lookup: pinnedLookup(resolved),
+      timeout: HTTP_TIMEOUT_MS,
+      limit: RESPONSE_SIZE_LIMIT,
+    })
+
+    let parsed = null
+    try {
+      parsed = JSON.parse(response.body)
+    } catch {
+      // Not JSON, answered like a missing document
+    }
+
+    return { ok: response.status >= 200 && response.status < 300, status: response.status, body: parsed }
+  }
+
+  /**
+   * Get the discovery document of an issuer
+   * @param {string} issuer - Issuer URL
+   * @returns {Object} Provider metadata
+   */
+  async discover(issuer) {
+    const cached = this.discoveryCache.get(issuer)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.metadata
+    }
+
+    let result
+    try {
+      result = await this.fetchJson(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`)
+    } catch (error) {
+      throw new Error(error.message === "URL_FORBIDDEN" ? "SSO_ISSUER_FORBIDDEN" : "SSO_DISCOVERY_FAILED")
+    }
+
+    const metadata = result.body
+    // The document must describe the issuer it was fetched for
+    if (
+      !result.ok ||
+      metadata?.issuer !== issuer ||
+      !metadata.authorization_endpoint ||
+      !metadata.token_endpoint ||
+      !metadata.jwks_uri
+    ) {
+      throw new Error("SSO_DISCOVERY_FAILED")
+    }
+
+    this.discoveryCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_TTL_MS })
+    return metadata
+  }
+
+  /**
+   * Get the public key an ID token was signed with
+   * The key set is fetched again once when the key ID is unknown, to follow key rotation
+   * @param {Object} metadata - Provider metadata
+   * @param {string} kid - Key ID from the token header
+   * @returns {KeyObject} Public key
+   */
+  async getSigningKey(metadata, kid) {
+    for (const refresh of [false, true]) {
+      let cached = this.jwksCache.get(metadata.jwks_uri)
+
+      if (refresh || !cached || cached.expiresAt <= Date.now()) {
+        const result = await this.fetchJson(metadata.jwks_uri).catch(() => ({ ok: false }))
+        if (!result.ok || !Array.isArray(result.body?.keys)) {
+          throw new Error("SSO_INVALID_ID_TOKEN")
+        }
+        cached = { keys: result.body.keys, expiresAt: Date.now() + METADATA_TTL_MS }
+        this.jwksCache.set(metadata.jwks_uri, cached)
+      }
+
+      const jwk = cached.keys.find((key) => (kid ? key.kid === kid : key.use !== "enc"))
+      if (jwk) {
+        return crypto.createPublicKey({ key: jwk, format: "jwk" })
+      }
+    }
+
+    throw new Error("SSO_INVALID_ID_TOKEN")
+  }
+
+  /**
+   * Start an SSO login for a tenant
+   * The state has to come back from the same browser, so the caller keeps it in a cookie
+   * @param {Object} tenant - Tenant
+   * @returns {Object} ({ url, state }) authorization URL of the identity provider and login state
+   */
+  async authorize(tenant) {
+    const connection = await this.getConnection(tenant.id)
+    if (!connection || !connection.isEnabled) {
+      throw new Error("SSO_NOT_CONFIGURED")
+    }
+
+    const metadata = await this.discover(connection.issuer)
+
+    const state = generateOpaqueToken()
+    const nonce = generateOpaqueToken()
+    const codeVerifier = generateOpaqueToken()
+
+    const db = database.forTenant(tenant.id)
+    await db.ssoLoginRequest.deleteMany({ where: { expiresAt: { lt: new Date() } } })
+    await db.ssoLoginRequest.create({
+      data: {
+        stateHash: hashToken(state),
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + this.loginRequestTtl),
+      },
+    })
+
+    const url = new URL(metadata.authorization_endpoint)
+    url.search = new URLSearchParams({
+      ...Object.fromEntries(url.searchParams),
+      response_type: "code",
+      client_id: connection.clientId,
+      redirect_uri: this.redirectUri,
+      scope: "openid email profile",
+      state,
+      nonce,
+      code_challenge: crypto.createHash("sha256").update(codeVerifier).digest("base64url"),
+      code_challenge_method: "S256",
+    }).toString()
+
+    return { url: url.toString(), state }
+  }
+
+  /**
+   * Complete an SSO login
+   * Exchanges the code, validates the ID token and provisions the user on first login
+   * @param {Object} data - ({ code, state }) as returned to the redirect URI, and browserState, the
+   *   state kept by the browser that started the login
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @param {Object|null} hostTenant - Tenant identified by the request host, if any
+   * @returns {Object} ({ tenant, user, email, created })
+   */
+  async callback({ code, state, browserState }, context = {}, hostTenant = null) {
+    // Without this, an attacker could send someone the redirect of a login they started
+    // themselves and have that browser signed into the attacker's account
+    const expected = Buffer.from(hashToken(state))
+    if (!browserState || !crypto.timingSafeEqual(Buffer.from(hashToken(browserState)), expected)) {
+      throw new Error("SSO_INVALID_STATE")
+    }
+
+    const loginRequest = await prisma.ssoLoginRequest.findUnique({
+      where: { stateHash: hashToken(state) },
+      include: { tenant: true },
+    })
+
+    if (!loginRequest || loginRequest.usedAt || loginRequest.expiresAt < new Date()) {
+      throw new Error("SSO_INVALID_STATE")
+    }
+
+    // Logins are only completed on the host of the tenant that started them
+    if (hostTenant && hostTenant.id !== loginRequest.tenantId) {
+      throw new Error("TENANT_MISMATCH")
+    }
+
+    const { tenant } = loginRequest
+    const db = database.forTenant(tenant.id)
+
+    // Consume the state atomically so a code can only be redeemed once
+    const { count } = await db.ssoLoginRequest.updateMany({
+      where: { id: loginRequest.id, usedAt: null },
+      data: { usedAt: new Date() },
+    })
+
+    if (count === 0) {
+      throw new Error("SSO_INVALID_STATE")
+    }
+
+    let email = null
+    try {
+      if (!tenant.isActive) {
+        throw new Error("TENANT_INACTIVE")
+      }
+
+      const connection = await this.getConnection(tenant.id)
+      if (!connection || !connection.isEnabled) {
+        throw new Error("SSO_NOT_CONFIGURED")
+      }
+
+      const claims = await this.redeemCode(connection, code, loginRequest)
+      email = this.assertAllowedEmail(connection, claims)
+
+      const { user, created } = await this.provisionUser(tenant, connection, claims, email, context)
+
+      return { tenant, user, email, created }
+    } catch (error) {
+      if (SSO_LOGIN_FAILURES.includes(error.message)) {
+        const attempt = { tenantId: tenant.id, email, outcome: error.message, method: "sso" }
+        await authService.auditLoginAttempt(attempt, context)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Exchange an authorization code and validate the ID token that comes back
+   * @param {Object} connection - SSO connection
+   * @param {string} code - Authorization code
+   * @param {Object} loginRequest - Login request holding the nonce and code verifier
+   * @returns {Object} ID token claims
+   */
+  async redeemCode(connection, code, loginRequest) {
+    const metadata = await this.discover(connection.issuer)
+
+    let result
+    try {
+      result = await this.fetchJson(metadata.token_endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Authorization: `Basic ${Buffer.from(
+            `${encodeURIComponent(connection.clientId)}:${encodeURIComponent(connection.clientSecret)}`,
+          ).toString("base64")}`,
+        },
+        body: new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: this.redirectUri,
+          code_verifier: loginRequest.codeVerifier,
+        }).toString(),
+      })
+    } catch {
+      throw new Error("SSO_TOKEN_EXCHANGE_FAILED")
+    }
+
+    if (!result.ok || typeof result.body?.id_token !== "string") {
+      throw new Error("SSO_TOKEN_EXCHANGE_FAILED")
+    }
+
+    const header = jwt.decode(result.body.id_token, { complete: true })?.header
+    if (!header) {
+      throw new Error("SSO_INVALID_ID_TOKEN")
+    }
+
+    const key = await this.getSigningKey(metadata, header.kid)
+
+    let claims
+    try {
+      claims = jwt.verify(result.body.id_token, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: connection.issuer,
+        audience: connection.clientId,
+      })
+    } catch {
+      throw new Error("SSO_INVALID_ID_TOKEN")
+    }
+
+    // The nonce ties the token to the login this browser started
+    if (claims.nonce !== loginRequest.nonce) {
+      throw new Error("SSO_INVALID_ID_TOKEN")
+    }
+
+    return claims
+  }
+
+  /**
+   * Check the email of an ID token against the domains the tenant allows
+   * The provider must state that it verified the email, since the email is what links
+   * the login to an existing account
+   * @param {Object} connection - SSO connection
+   * @param {Object} claims - ID token claims
+   * @returns {string} Normalized email
+   */
+  assertAllowedEmail(connection, claims) {
+    if (typeof claims.email !== "string" || claims.email_verified !== true) {
+      throw new Error("SSO_EMAIL_NOT_VERIFIED")
+    }
+
+    const email = claims.email.toLowerCase()
+    const domain = email.split("@").pop()
+
+    if (!connection.allowedDomains.includes(domain)) {
+      throw new Error("SSO_DOMAIN_NOT_ALLOWED")
+    }
+
+    return email
+  }
+
+  /**
+   * Find the tenant user behind an ID token, creating it on first login
+   * @param {Object} tenant - Tenant
+   * @param {Object} connection - SSO connection
+   * @param {Object} claims - ID token claims
+   * @param {string} email - Normalized email
+   * @param {Object} context - Client info ({ userAgent, ipAddress })
+   * @returns {Object} ({ user, created })
+   */
+  async provisionUser(tenant, connection, claims, email, context) {
+    const db = database.forTenant(tenant.id)
+
+    const existing = await db.user.findFirst({
+      where: { email },
+      include: { tenant: true },
+    })
+
+    if (existing) {
+      if (!existing.isActive) {
+        throw new Error("SSO_USER_INACTIVE")
+      }
+      return { user: existing, created: false }
+    }
+
+    const [givenName, ...familyNames] = (claims.name || "").split(" ")
+
+    const user = await db.user.create({
+      data: {
+        email,
+        // Provisioned users sign in through the identity provider only
+        password: await bcrypt.hash(generateOpaqueToken(), 12),
+        firstName: claims.given_name || givenName || email.split("@")[0],
+        lastName: claims.family_name || familyNames.join(" "),
+        role: connection.defaultRole,
+      },
+      include: { tenant: true },
+    })
+
+    await auditService.record({
+      tenantId: tenant.id,
+      action: "user.created",
+      entityType: "User",
+      entityId: user.id,
+      actorType: "USER",
+      actorId: user.id,
+      after: user,
+      metadata: { provisionedBy: "sso", issuer: connection.issuer, subject: claims.sub },
+      ...context,
+    })
+
+    return { user, created: true }
+  }
+}
+
+export default new SsoService()
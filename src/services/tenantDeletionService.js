@@ -0,0 +1,176 @@
+import fs from "fs"
+import path from "path"
+import database, { prisma } from "../config/database.js"
+import platformService from "./platformService.js"
+import exportService from "./exportService.js"
+
+/**
+ * Tenant Deletion Service
+ * Schedules tenants for deletion with a grace period and permanently purges them
+ * once it has passed, leaving a tombstone behind for compliance
+ */
+class TenantDeletionService {
+  constructor() {
+    this.timer = null
+  }
+
+  /**
+   * Time a tenant stays restorable after its deletion is requested
+   * @returns {number} Milliseconds
+   */
+  get gracePeriod() {
+    const days = Number.parseInt(process.env.TENANT_DELETION_GRACE_DAYS) || 30
+    return days * 24 * 60 * 60 * 1000
+  }
+
+  /**
+   * How often the purge job runs, 0 to disable it
+   * @returns {number} Milliseconds
+   */
+  get purgeInterval() {
+    const minutes = Number.parseInt(process.env.TENANT_PURGE_INTERVAL_MINUTES ?? "60")
+    return Number.isNaN(minutes) ? 60 * 60 * 1000 : minutes * 60 * 1000
+  }
+
+  /**
+   * Suspend a tenant and schedule it for permanent deletion
+   * @param {string} id - Tenant ID
+   * @param {Object} operator - Platform operator requesting the deletion
+   * @returns {Object} Updated tenant
+   */
+  async schedule(id, operator) {
+    const tenant = await prisma.tenant.findUnique({ where: { id } })
+
+    if (!tenant) {
+      throw new Error("TENANT_NOT_FOUND")
+    }
+
+    if (tenant.deletionScheduledAt) {
+      throw new Error("DELETION_ALREADY_SCHEDULED")
+    }
+
+    await platformService.suspendTenant(id, "Scheduled for deletion")
+
+    const requestedAt = new Date()
+    return prisma.tenant.update({
+      where: { id },
+      data: {
+        deletionRequestedAt: requestedAt,
+        deletionRequestedBy: operator.email,
+        deletionScheduledAt: new Date(requestedAt.getTime() + this.gracePeriod),
+      },
+    })
+  }
+
+  /**
+   * Purge every tenant whose grace period is over
+   * @param {Date} now - Reference time
+   * @returns {Object[]} Tombstones of the purged tenants
+   */
+  async purgeDue(now = new Date()) {
+    const due = await prisma.tenant.findMany({
+      where: { deletionScheduledAt: { lte: now } },
+      orderBy: { deletionScheduledAt: "asc" },
+    })
+
+    const tombstones = []
+    for (const tenant of due) {
+      try {
+        tombstones.push(await this.purge(tenant))
+      } catch (error) {
+        // Another instance may have purged or restored it in the meantime
+        console.error(`Purge tenant ${tenant.id} error:`, error)
+      }
+    }
+
+    return tombstones
+  }
+
+  /**
+   * Permanently delete a tenant and everything that cascades from it
+   * @param {Object} tenant - Tenant scheduled for deletion
+   * @returns {Object} Tombstone
+   */
+  async purge(tenant) {
+    const tombstone = await database.withBypass(async (tx) => {
+      // Re-read inside the transaction so a concurrent restore wins
+      const current = await tx.tenant.findUnique({ where: { id: tenant.id } })
+      if (!current || !current.deletionScheduledAt || current.deletionScheduledAt > new Date()) {
+        throw new Error("TENANT_NOT_DUE")
+      }
+
+      const where = { tenantId: tenant.id }
+      const [users, projects, roles, sessions, passwordResetTokens, invitations, recoveryCodes, exports] =
+        await Promise.all([
+          tx.user.count({ where }),
+          tx.project.count({ where }),
+          tx.role.count({ where }),
+          tx.session.count({ where }),
+          tx.passwordResetToken.count({ where }),
+          tx.invitation.count({ where }),
+          tx.recoveryCode.count({ where: { user: where } }),
+          tx.tenantExport.count({ where }),
+        ])
+
+      await tx.tenant.delete({ where: { id: tenant.id } })
+
+      return tx.tenantTombstone.create({
+        data: {
+          tenantId: current.id,
+          name: current.name,
+          subdomain: current.subdomain,
+          deletionRequestedAt: current.deletionRequestedAt,
+          deletionRequestedBy: current.deletionRequestedBy,
+          removedCounts: { users, projects, roles, sessions, passwordResetTokens, invitations, recoveryCodes, exports },
+        },
+      })
+    })
+
+    // Export archives live outside the database
+    await fs.promises.rm(path.join(exportService.exportDir, tenant.id), { recursive: true, force: true })
+
+    return tombstone
+  }
+
+  /**
+   * List tombstones of purged tenants
+   * @param {Object} query - Pagination ({ page, limit })
+   * @returns {Object} Tombstones and total count
+   */
+  async listTombstones({ page = 1, limit = 10 }) {
+    const [tombstones, total] = await Promise.all([
+      prisma.tenantTombstone.findMany({
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { purgedAt: "desc" },
+      }),
+      prisma.tenantTombstone.count(),
+    ])
+
+    return { tombstones, total }
+  }
+
+  /**
+   * Start the background purge job
+   */
+  start() {
+    if (this.timer || this.purgeInterval <= 0) {
+      return
+    }
+
+    this.timer = setInterval(() => {
+      this.purgeDue().catch((error) => console.error("Tenant purge job error:", error))
+    }, this.purgeInterval)
+    this.timer.unref()
+  }
+
+  /**
+   * Stop the background purge job
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+}
+
+export default new TenantDeletionService()
@@ -0,0 +1,171 @@
+import crypto from "crypto"
+import database, { prisma } from "../config/database.js"
+import { hashToken } from "../utils/tokens.js"
+import { buildOtpauthUri, generateSecret, verifyTotp } from "../utils/totp.js"
+
+const RECOVERY_CODE_COUNT = 10
+
+/**
+ * Two-Factor Service
+ * Handles TOTP enrollment, verification and recovery codes
+ */
+class TwoFactorService {
+  /**
+   * Start enrollment by generating a new pending secret
+   * @param {Object} user - User object with tenant
+   * @returns {Object} Secret and otpauth URI
+   */
+  async setup(user) {
+    if (user.twoFactorEnabled) {
+      throw new Error("TWO_FACTOR_ALREADY_ENABLED")
+    }
+
+    const secret = generateSecret()
+
+    await database.forTenant(user.tenantId).user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: secret, twoFactorLastUsedStep: null },
+    })
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TOTP_ISSUER || user.tenant.name,
+      }),
+    }
+  }
+
+  /**
+   * Confirm enrollment with a first code and enable 2FA
+   * @param {Object} user - User object
+   * @param {string} code - TOTP code
+   * @returns {string[]} Plain recovery codes (shown only once)
+   */
+  async enable(user, code) {
+    if (user.twoFactorEnabled) {
+      throw new Error("TWO_FACTOR_ALREADY_ENABLED")
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new Error("TWO_FACTOR_NOT_SETUP")
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code)
+    if (step === null) {
+      throw new Error("INVALID_TWO_FACTOR_CODE")
+    }
+
+    await database.forTenant(user.tenantId).user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabled: true, twoFactorLastUsedStep: step },
+    })
+
+    return this.regenerateRecoveryCodes(user.id)
+  }
+
+  /**
+   * Disable 2FA and delete recovery codes
+   * @param {Object} user - User object with tenant
+   * @param {Object} credentials - ({ code, recoveryCode })
+   */
+  async disable(user, credentials) {
+    if (!user.twoFactorEnabled) {
+      throw new Error("TWO_FACTOR_NOT_ENABLED")
+    }
+
+    if (user.tenant.requireTwoFactor) {
+      throw new Error("TWO_FACTOR_ENFORCED")
+    }
+
+    await this.verify(user, credentials)
+
+    await database.withTenant(user.tenantId, async (tx) => {
+      await tx.recoveryCode.deleteMany({ where: { userId: user.id } })
+      await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastUsedStep: null },
+      })
+    })
+  }
+
+  /**
+   * Verify a TOTP code or a one-time recovery code
+   * @param {Object} user - User object
+   * @param {Object} credentials - ({ code, recoveryCode })
+   */
+  async verify(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const { count } = await prisma.recoveryCode.updateMany({
+        where: { userId: user.id, codeHash: hashToken(this.normalizeRecoveryCode(recoveryCode)), usedAt: null },
+        data: { usedAt: new Date() },
+      })
+
+      if (count === 0) {
+        throw new Error("INVALID_TWO_FACTOR_CODE")
+      }
+      return
+    }
+
+    const step = code ? verifyTotp(user.twoFactorSecret, code) : null
+
+    if (step === null) {
+      throw new Error("INVALID_TWO_FACTOR_CODE")
+    }
+
+    // Reject codes from a time step that was already used (replay protection)
+    const { count } = await database.forTenant(user.tenantId).user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }],
+      },
+      data: { twoFactorLastUsedStep: step },
+    })
+
+    if (count === 0) {
+      throw new Error("INVALID_TWO_FACTOR_CODE")
+    }
+  }
+
+  /**
+   * Replace all recovery codes with a new set
+   * @param {string} userId - User ID
+   * @returns {string[]} Plain recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString("hex")
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`
+    })
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.createMany({
+        data: codes.map((code) => ({ userId, codeHash: hashToken(this.normalizeRecoveryCode(code)) })),
+      }),
+    ])
+
+    return codes
+  }
+
+  /**
+   * Count unused recovery codes
+   * @param {string} userId - User ID
+   * @returns {number}
+   */
+  async remainingRecoveryCodes(userId) {
+    return prisma.recoveryCode.count({ where: { userId, usedAt: null } })
+  }
+
+  /**
+   * Normalize a recovery code before hashing
+   * @param {string} code - Recovery code as typed by the user
+   * @returns {string}
+   */
+  normalizeRecoveryCode(code) {
+    return code.toLowerCase().replace(/[^a-z0-9]/g, "")
+  }
+}
+
+export default new TwoFactorService()
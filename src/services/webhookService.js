@@ -0,0 +1,334 @@
+import crypto from "crypto"
+import database, { prisma } from "../config/database.js"
+import { generateOpaqueToken } from "../utils/tokens.js"
+import { pinnedLookup, resolvePublicUrl, sendRequest } from "../utils/network.js"
+
+/**
+ * Events endpoints can subscribe to, with a short description
+ */
+export const WEBHOOK_EVENTS = {
+  "user.created": "A user was created",
+  "user.deactivated": "A user was deactivated",
+  "project.created": "A project was created",
+  "project.updated": "A project was updated",
+  "project.deleted": "A project was deleted",
+  "project.member_added": "A member was added to a project",
+  "project.member_updated": "The role of a project member changed",
+  "project.member_removed": "A member was removed from a project",
+  "project.ownership_transferred": "A project was transferred to a new owner",
+  "tenant.updated": "Tenant settings were updated",
+  "role.created": "A role was created",
+  "role.updated": "A role was updated",
+  "role.deleted": "A role was deleted",
+  "invitation.created": "A user was invited",
+  "invitation.revoked": "An invitation was revoked",
+}
+
+/**
+ * Longest response body kept for an attempt, enough for an error message from the receiver
+ */
+const RESPONSE_BODY_LIMIT = 256
+
+const BATCH_SIZE = 20
+
+/**
+ * Webhook Service
+ * Queues tenant events for the subscribed endpoints and delivers them with
+ * HMAC signatures, retrying failures with exponential backoff
+ */
+class WebhookService {
+  constructor() {
+    this.timer = null
+  }
+
+  /**
+   * Attempts before a delivery is given up on
+   * @returns {number} Attempts
+   */
+  get maxAttempts() {
+    return Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+  }
+
+  /**
+   * Delay before the first retry, doubled on every following one
+   * @returns {number} Milliseconds
+   */
+  get retryBaseDelay() {
+    return (Number.parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000
+  }
+
+  /**
+   * How long an endpoint has to answer
+   * @returns {number} Milliseconds
+   */
+  get timeout() {
+    return Number.parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+  }
+
+  /**
+   * How often the queue is polled, 0 to disable the worker
+   * @returns {number} Milliseconds
+   */
+  get pollInterval() {
+    const seconds = Number.parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS ?? "10")
+    return Number.isNaN(seconds) ? 10 * 1000 : seconds * 1000
+  }
+
+  /**
+   * Hosts exempt from the public address check (WEBHOOK_ALLOWED_HOSTS), e.g. a receiver on the same network
+   * @returns {string[]} Lowercase hostnames or IP addresses
+   */
+  get allowedHosts() {
+    return (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean)
+  }
+
+  /**
+   * Resolve the host of an endpoint URL and make sure every address it has is public
+   * @param {string} url - Endpoint URL
+   * @returns {Object} Address to connect to ({ address, family })
+   */
+  async resolveUrl(url) {
+    try {
+      return await resolvePublicUrl(url, { allowedHosts: this.allowedHosts })
+    } catch (error) {
+      throw new Error(`WEBHOOK_${error.message}`)
+    }
+  }
+
+  /**
+   * Generate an endpoint signing secret
+   * @returns {string} Secret
+   */
+  generateSecret() {
+    return `whsec_${generateOpaqueToken()}`
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} secret - Endpoint secret
+   * @param {number} timestamp - Unix time in seconds
+   * @param {string} body - Raw request body
+   * @returns {string} Signature header value
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+    return `t=${timestamp},v1=${digest}`
+  }
+
+  /**
+   * Hide the signing secret of an endpoint
+   * @param {Object} endpoint - Webhook endpoint
+   * @returns {Object} Endpoint without its secret
+   */
+  sanitizeEndpoint(endpoint) {
+    const { secret: _secret, ...rest } = endpoint
+    return rest
+  }
+
+  /**
+   * Queue an audited change for every active endpoint subscribed to it
+   * @param {Object} auditLog - Audit log entry of the change
+   * @param {Object|null} data - Snapshot of the entity after the change, or before a deletion
+   * @returns {number} Deliveries queued
+   */
+  async enqueue(auditLog, data) {
+    if (!WEBHOOK_EVENTS[auditLog.action]) {
+      return 0
+    }
+
+    const db = database.forTenant(auditLog.tenantId)
+    const endpoints = await db.webhookEndpoint.findMany({
+      where: { isActive: true, events: { has: auditLog.action } },
+      select: { id: true },
+    })
+
+    if (endpoints.length === 0) {
+      return 0
+    }
+
+    const payload = {
+      event: auditLog.action,
+      createdAt: auditLog.createdAt,
+      tenantId: auditLog.tenantId,
+      data,
+      ...(auditLog.action.endsWith(".updated") && { changes: { before: auditLog.before, after: auditLog.after } }),
+    }
+
+    await db.webhookDelivery.createMany({
+      data: endpoints.map((endpoint) => ({ event: auditLog.action, payload, endpointId: endpoint.id })),
+    })
+
+    // Deliver right away instead of waiting for the next poll
+    setImmediate(() => this.processDue().catch((error) => console.error("Webhook delivery error:", error)))
+
+    return endpoints.length
+  }
+
+  /**
+   * Deliver every queued delivery that is due
+   * @param {Date} now - Reference time
+   * @returns {number} Deliveries attempted
+   */
+  async processDue(now = new Date()) {
+    const due = await prisma.webhookDelivery.findMany({
+      where: { status: "PENDING", nextAttemptAt: { lte: now } },
+      orderBy: { nextAttemptAt: "asc" },
+      take: BATCH_SIZE,
+      select: { id: true, nextAttemptAt: true },
+    })
+
+    let attempted = 0
+    for (const delivery of due) {
+      if (await this.attempt(delivery)) {
+        attempted += 1
+      }
+    }
+
+    return attempted
+  }
+
+  /**
+   * Make one delivery attempt
+   * @param {Object} delivery - ({ id, nextAttemptAt }) as read from the queue
+   * @returns {boolean} Whether this worker made the attempt
+   */
+  async attempt({ id, nextAttemptAt }) {
+    // Claim the delivery by pushing it back, so no other worker sends it meanwhile
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { id, status: "PENDING", nextAttemptAt },
+      data: { nextAttemptAt: new Date(Date.now() + this.timeout + 60 * 1000) },
+    })
+    if (count === 0) {
+      return false
+    }
+
+    const delivery = await prisma.webhookDelivery.findUnique({ where: { id }, include: { endpoint: true } })
+
+    // Endpoints disabled after the event was queued get nothing more
+    const result = delivery.endpoint.isActive
+      ? await this.send(delivery)
+      : { responseStatus: null, responseBody: null, error: "Endpoint is disabled", durationMs: 0 }
+
+    const attempts = delivery.attempts + 1
+    const delivered = result.responseStatus >= 200 && result.responseStatus < 300
+    const exhausted = !delivered && (attempts >= this.maxAttempts || !delivery.endpoint.isActive)
+
+    await prisma.$transaction([
+      prisma.webhookAttempt.create({ data: { deliveryId: id, ...result } }),
+      prisma.webhookDelivery.update({
+        where: { id },
+        data: {
+          attempts,
+          status: delivered ? "DELIVERED" : exhausted ? "FAILED" : "PENDING",
+          deliveredAt: delivered ? new Date() : null,
+          nextAttemptAt:
+            delivered || exhausted ? null : new Date(Date.now() + this.retryBaseDelay * 2 ** (attempts - 1)),
+        },
+      }),
+    ])
+
+    return true
+  }
+
+  /**
+   * POST a delivery to its endpoint
+   * The host is resolved and checked again on every attempt, and the request goes to the
+   * checked address, so a DNS change cannot point an endpoint at an internal service
+   * @param {Object} delivery - Delivery with its endpoint
+   * @returns {Object} Attempt outcome ({ responseStatus, responseBody, error, durationMs })
+   */
+  async send(delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload })
+    const timestamp = Math.floor(Date.now() / 1000)
+    const startedAt = Date.now()
+
+    try {
+      const resolved = await this.resolveUrl(delivery.endpoint.url)
+      const response = await sendRequest(delivery.endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SaaS-Webhooks/1.0",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Signature": this.sign(delivery.endpoint.secret, timestamp, body),
+        },
+        body,
+        lookup: pinnedLookup(resolved),
+        timeout: this.timeout,
+        limit: RESPONSE_BODY_LIMIT,
+      })
+      const ok = response.status >= 200 && response.status < 300
+
+      return {
+        responseStatus: response.status,
+        responseBody: response.body || null,
+        error: ok ? null : `HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt,
+      }
+    } catch (error) {
+      return {
+        responseStatus: null,
+        responseBody: null,
+        error: error.name === "AbortError" ? "Timed out" : error.code || error.message,
+        durationMs: Date.now() - startedAt,
+      }
+    }
+  }
+
+  /**
+   * Queue a delivery again with a fresh retry budget
+   * @param {string} tenantId - Tenant ID
+   * @param {string} endpointId - Endpoint ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object} Updated delivery
+   */
+  async replay(tenantId, endpointId, deliveryId) {
+    const db = database.forTenant(tenantId)
+    const delivery = await db.webhookDelivery.findFirst({ where: { id: deliveryId, endpointId } })
+
+    if (!delivery) {
+      throw new Error("DELIVERY_NOT_FOUND")
+    }
+
+    if (delivery.status === "PENDING") {
+      throw new Error("DELIVERY_PENDING")
+    }
+
+    const replayed = await db.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date(), deliveredAt: null },
+    })
+
+    setImmediate(() => this.processDue().catch((error) => console.error("Webhook delivery error:", error)))
+
+    return replayed
+  }
+
+  /**
+   * Start the background delivery worker
+   */
+  start() {
+    if (this.timer || this.pollInterval <= 0) {
+      return
+    }
+
+    this.timer = setInterval(() => {
+      this.processDue().catch((error) => console.error("Webhook worker error:", error))
+    }, this.pollInterval)
+    this.timer.unref()
+  }
+
+  /**
+   * Stop the background delivery worker
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+}
+
+export default new WebhookService()
@@ -0,0 +1,128 @@
+import dns from "dns/promises"
+import http from "http"
+import https from "https"
+import net from "net"
+
+/**
+ * Address ranges that never belong to a public host: loopback, private, link-local,
+ * carrier-grade NAT, multicast and reserved ranges
+ * The IPv4 rules also match IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1
+ */
+const nonPublicAddresses = new net.BlockList()
+
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  nonPublicAddresses.addSubnet(network, prefix, "ipv4")
+}
+
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  nonPublicAddresses.addSubnet(network, prefix, "ipv6")
+}
+
+/**
+ * Whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+  const version = net.isIP(address)
+  if (!version) {
+    return false
+  }
+
+  return !nonPublicAddresses.check(address, version === 6 ? "ipv6" : "ipv4")
+}
+
+/**
+ * Resolve the host of a URL and make sure every address it has is public
+ * Throws URL_FORBIDDEN or URL_UNRESOLVABLE
+ * @param {string} url - URL about to be requested
+ * @param {Object} options - ({ allowedHosts, httpsOnly }), allowedHosts are lowercase hostnames or
+ *   IP addresses exempt from the checks, httpsOnly refuses other schemes for the remaining hosts
+ * @returns {Object} Address to connect to ({ address, family })
+ */
+export const resolvePublicUrl = async (url, { allowedHosts = [], httpsOnly = false } = {}) => {
+  const { protocol, hostname: host } = new URL(url)
+  const hostname = host.replace(/^\[|\]$/g, "").toLowerCase()
+  const allowed = allowedHosts.includes(hostname)
+
+  if (httpsOnly && protocol !== "https:" && !allowed) {
+    throw new Error("URL_FORBIDDEN")
+  }
+
+  let addresses
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true })
+  } catch {
+    throw new Error("URL_UNRESOLVABLE")
+  }
+
+  if (!allowed && !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error("URL_FORBIDDEN")
+  }
+
+  return addresses[0]
+}
+
+/**
+ * Build a DNS lookup for http.request that always answers with an address already checked,
+ * so a DNS change between the check and the connection cannot point it elsewhere
+ * @param {Object} resolved - Address returned by resolvePublicUrl ({ address, family })
+ * @returns {Function} Lookup function
+ */
+export const pinnedLookup =
+  ({ address, family }) =>
+  (_hostname, options, callback) =>
+    options.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+
+/**
+ * Send an HTTP request without following redirects
+ * @param {string} url - Request URL
+ * @param {Object} options - ({ method, headers, body, lookup, timeout, limit }), limit is the number of
+ *   response characters kept
+ * @returns {Object} Response ({ status, body })
+ */
+export const sendRequest = (url, { method = "GET", headers = {}, body, lookup, timeout, limit = Infinity }) => {
+  const client = new URL(url).protocol === "https:" ? https : http
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method,
+        headers: { ...headers, ...(body !== undefined && { "Content-Length": Buffer.byteLength(body) }) },
+        lookup,
+        signal: AbortSignal.timeout(timeout),
+      },
+      (response) => {
+        let text = ""
+        response.setEncoding("utf8")
+        response.on("data", (chunk) => {
+          text = (text + chunk).slice(0, limit)
+        })
+        response.on("end", () => resolve({ status: response.statusCode, body: text }))
+        response.on("error", reject)
+      },
+    )
+
+    request.on("error", reject)
+    request.end(body)
+  })
+}
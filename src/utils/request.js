@@ -0,0 +1,40 @@
+/**
+ * Extract client information from a request
+ * @param {Object} req - Express request
+ * @returns {Object} User agent and IP address
+ */
+export const getClientInfo = (req) => ({
+  userAgent: req.get("user-agent") || null,
+  ipAddress: req.ip || null,
+})
+
+/**
+ * Read a cookie sent with a request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value
+ */
+export const getCookie = (req, name) => {
+  for (const pair of (req.get("cookie") || "").split(";")) {
+    const index = pair.indexOf("=")
+    if (index > 0 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim())
+      } catch {
+        return null
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Whether a request is made by a user on their own account
+ * API keys act for their creator but never count as the creator themselves,
+ * so self-service access needs the matching scope instead
+ * @param {Object} req - Express request
+ * @param {string} userId - Target user ID
+ * @returns {boolean}
+ */
+export const isOwnAccount = (req, userId) => !req.apiKey && req.user.id === userId
@@ -0,0 +1,106 @@
+import fs from "fs"
+
+const BLOCK_SIZE = 512
+
+/**
+ * Write an octal number into a header field
+ */
+const writeOctal = (header, value, offset, length) => {
+  header.write(value.toString(8).padStart(length - 1, "0"), offset, length - 1, "ascii")
+}
+
+/**
+ * Build a ustar header block for a regular file
+ * @param {string} name - Path inside the archive (up to 100 bytes)
+ * @param {number} size - File size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer} 512-byte header
+ */
+export const tarHeader = (name, size, mtime = new Date()) => {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name too long: ${name}`)
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE)
+  header.write(name, 0, 100, "utf8")
+  writeOctal(header, 0o644, 100, 8)
+  writeOctal(header, 0, 108, 8)
+  writeOctal(header, 0, 116, 8)
+  writeOctal(header, size, 124, 12)
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12)
+  header.fill(" ", 148, 156)
+  header.write("0", 156, 1, "ascii")
+  header.write("ustar\u000000", 257, 8, "ascii")
+
+  let checksum = 0
+  for (const byte of header) {
+    checksum += byte
+  }
+  header.write(`${checksum.toString(8).padStart(6, "0")}\u0000 `, 148, 8, "ascii")
+
+  return header
+}
+
+/**
+ * Stream files on disk as a tar archive
+ * Entries are read one chunk at a time, so memory use does not grow with file size
+ * @param {Object[]} entries - Files to archive ({ name, path })
+ * @yields {Buffer} Archive chunks
+ */
+export async function* tarStream(entries) {
+  for (const entry of entries) {
+    const stat = await fs.promises.stat(entry.path)
+    yield tarHeader(entry.name, stat.size, stat.mtime)
+
+    for await (const chunk of fs.createReadStream(entry.path)) {
+      yield chunk
+    }
+
+    const padding = (BLOCK_SIZE - (stat.size % BLOCK_SIZE)) % BLOCK_SIZE
+    if (padding) {
+      yield Buffer.alloc(padding)
+    }
+  }
+
+  // End of archive: two empty blocks
+  yield Buffer.alloc(BLOCK_SIZE * 2)
+}
+
+/**
+ * Read the regular files of an uncompressed tar archive
+ * Directory components are dropped, so archives made from a folder ("./users.jsonl")
+ * and flat archives are read the same way
+ * @param {Buffer} buffer - Tar archive
+ * @returns {Map<string, Buffer>} File name to contents
+ */
+export const extractTar = (buffer) => {
+  const files = new Map()
+  let offset = 0
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE)
+    if (header.every((byte) => byte === 0)) {
+      break
+    }
+
+    const readString = (start, length) => header.toString("utf8", start, start + length).replace(/\0.*$/s, "")
+    const size = Number.parseInt(readString(124, 12).trim() || "0", 8)
+    const type = readString(156, 1) || "0"
+    // Only POSIX ustar headers carry a name prefix; GNU headers use that space for other fields
+    const prefix = header.toString("ascii", 257, 263) === "ustar\u0000" ? readString(345, 155) : ""
+    const name = prefix ? `${prefix}/${readString(0, 100)}` : readString(0, 100)
+
+    offset += BLOCK_SIZE
+    if (offset + size > buffer.length) {
+      throw new Error("Truncated tar archive")
+    }
+
+    if (type === "0") {
+      files.set(name.split("/").pop(), buffer.subarray(offset, offset + size))
+    }
+
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE
+  }
+
+  return files
+}
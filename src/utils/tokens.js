@@ -0,0 +1,15 @@
+import crypto from "crypto"
+
+/**
+ * Generate a random opaque token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} URL-safe token
+ */
+export const generateOpaqueToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url")
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
@@ -0,0 +1,145 @@
+import crypto from "crypto"
+
+/**
+ * TOTP helpers (RFC 6238 / RFC 4226)
+ * SHA-1, 6 digits and 30 second steps for authenticator app compatibility
+ */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const DIGITS = 6
+const STEP_SECONDS = 30
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (padding and case are ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 character")
+    }
+
+    value = (value << 5) | index
+    bits += 5
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} timestamp - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+export const timeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS)
+
+/**
+ * Generate an HOTP code for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @returns {string} Zero padded code
+ */
+export const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8)
+  buffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+
+  return binary.toString().padStart(DIGITS, "0")
+}
+
+/**
+ * Generate the TOTP code for a timestamp
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Unix time in milliseconds
+ * @returns {string} Zero padded code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, timeStep(timestamp))
+
+/**
+ * Verify a TOTP code allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - ({ window, timestamp })
+ * @returns {number|null} Matching time step or null when invalid
+ */
+export const verifyTotp = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null
+  }
+
+  const current = timeStep(timestamp)
+
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateHotp(secret, current + drift)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return current + drift
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {Object} params - ({ secret, accountName, issuer })
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+
+  return `otpauth://totp/${label}?${query.toString()}`
+}
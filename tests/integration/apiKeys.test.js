@@ -0,0 +1,183 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { PASSWORD, setupTwoTenants, skipReason, tenantHost } from "./helpers.js"
+
+describe("API keys", { skip: skipReason }, () => {
+  let ctx
+
+  const admin = () => ctx.tenantA.tokens.ADMIN
+
+  // A fresh user per test, so changing its role or status leaves the fixture users alone
+  const createMember = async (role) => {
+    const email = `key-${role.toLowerCase()}-${Date.now()}@example.com`
+    const created = await ctx.request("POST", "/api/users", {
+      token: admin(),
+      body: { email, password: PASSWORD, firstName: "Key", lastName: "Holder", role },
+    })
+    assert.equal(created.status, 201)
+
+    const login = await ctx.request("POST", "/api/auth/login", {
+      body: { email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+    })
+    assert.equal(login.status, 200)
+
+    return { user: created.body.user, token: login.body.token }
+  }
+
+  const createKey = async (token, scopes) => {
+    const res = await ctx.request("POST", "/api/api-keys", { token, body: { name: "Integration", scopes } })
+    assert.equal(res.status, 201)
+    return res.body
+  }
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  describe("scopes", () => {
+    it("limits a key to the scopes it was given", async () => {
+      const { key } = await createKey(admin(), ["project:read", "user:read"])
+
+      assert.equal((await ctx.request("GET", "/api/projects", { apiKey: key })).status, 200)
+      assert.equal((await ctx.request("GET", "/api/users", { apiKey: key })).status, 200)
+
+      const create = await ctx.request("POST", "/api/projects", { apiKey: key, body: { name: "Keyed project" } })
+      assert.equal(create.status, 403)
+      assert.equal((await ctx.request("GET", "/api/audit-logs", { apiKey: key })).status, 403)
+    })
+
+    it("refuses scopes its creator does not hold", async () => {
+      const role = await ctx.request("POST", "/api/roles", {
+        token: admin(),
+        body: { name: "Key managers", permissions: ["apikey:manage", "project:read"] },
+      })
+      assert.equal(role.status, 201)
+
+      const member = await createMember("USER")
+      const assigned = await ctx.request("PUT", `/api/users/${member.user.id}`, {
+        token: admin(),
+        body: { roleId: role.body.role.id },
+      })
+      assert.equal(assigned.status, 200)
+
+      const res = await ctx.request("POST", "/api/api-keys", {
+        token: member.token,
+        body: { name: "Too wide", scopes: ["project:read", "user:read"] },
+      })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "SCOPE_NOT_GRANTED")
+      assert.deepEqual(res.body.scopes, ["user:read"])
+
+      await createKey(member.token, ["project:read"])
+    })
+
+    it("drops scopes its creator loses later", async () => {
+      const member = await createMember("ADMIN")
+      const { key } = await createKey(member.token, ["project:read", "user:read"])
+      assert.equal((await ctx.request("GET", "/api/users", { apiKey: key })).status, 200)
+
+      const demoted = await ctx.request("PUT", `/api/users/${member.user.id}`, {
+        token: admin(),
+        body: { role: "USER" },
+      })
+      assert.equal(demoted.status, 200)
+
+      assert.equal((await ctx.request("GET", "/api/users", { apiKey: key })).status, 403)
+      assert.equal((await ctx.request("GET", "/api/projects", { apiKey: key })).status, 200)
+    })
+
+    it("cannot mint other keys", async () => {
+      const { key } = await createKey(admin(), ["apikey:manage", "project:read"])
+
+      const res = await ctx.request("POST", "/api/api-keys", {
+        apiKey: key,
+        body: { name: "Offspring", scopes: ["project:read"] },
+      })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "API_KEY_NOT_ALLOWED")
+    })
+  })
+
+  describe("revocation", () => {
+    it("stops a key working at once", async () => {
+      const { apiKey, key } = await createKey(admin(), ["project:read"])
+      assert.equal((await ctx.request("GET", "/api/projects", { apiKey: key })).status, 200)
+
+      const revoked = await ctx.request("DELETE", `/api/api-keys/${apiKey.id}`, { token: admin() })
+      assert.equal(revoked.status, 200)
+      assert.ok(revoked.body.apiKey.revokedAt)
+
+      const res = await ctx.request("GET", "/api/projects", { apiKey: key })
+      assert.equal(res.status, 401)
+      assert.equal(res.body.code, "API_KEY_REVOKED")
+
+      const again = await ctx.request("DELETE", `/api/api-keys/${apiKey.id}`, { token: admin() })
+      assert.equal(again.status, 409)
+      assert.equal(again.body.code, "API_KEY_REVOKED")
+
+      const audit = await ctx.request("GET", `/api/audit-logs?entityId=${apiKey.id}&action=api_key.revoked`, {
+        token: admin(),
+      })
+      assert.equal(audit.body.auditLogs.length, 1)
+    })
+
+    it("stops a key working when its creator is deactivated", async () => {
+      const member = await createMember("ADMIN")
+      const { key } = await createKey(member.token, ["project:read"])
+
+      const deactivated = await ctx.request("PUT", `/api/users/${member.user.id}`, {
+        token: admin(),
+        body: { isActive: false },
+      })
+      assert.equal(deactivated.status, 200)
+
+      const res = await ctx.request("GET", "/api/projects", { apiKey: key })
+      assert.equal(res.status, 401)
+      assert.equal(res.body.code, "API_KEY_OWNER_INACTIVE")
+    })
+
+    it("rejects keys that were never issued", async () => {
+      const res = await ctx.request("GET", "/api/projects", { apiKey: "sk_000000000000.not-a-secret" })
+
+      assert.equal(res.status, 401)
+      assert.equal(res.body.code, "API_KEY_INVALID")
+    })
+  })
+
+  describe("tenant isolation", () => {
+    it("keeps keys to their tenant", async () => {
+      const { apiKey, key } = await createKey(admin(), ["project:read"])
+
+      const foreignRevoke = await ctx.request("DELETE", `/api/api-keys/${apiKey.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(foreignRevoke.status, 404)
+
+      const foreignHost = await ctx.request("GET", "/api/projects", {
+        apiKey: key,
+        host: tenantHost(ctx.tenantB, ctx.port),
+      })
+      assert.equal(foreignHost.status, 403)
+      assert.equal(foreignHost.body.code, "TENANT_MISMATCH")
+
+      const list = await ctx.request("GET", "/api/api-keys", { token: ctx.tenantB.tokens.ADMIN })
+      assert.ok(!list.body.apiKeys.some((listed) => listed.id === apiKey.id))
+    })
+
+    it("requires apikey:manage", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("POST", "/api/api-keys", {
+          token: ctx.tenantA.tokens[role],
+          body: { name: "Nope", scopes: ["project:read"] },
+        })
+        assert.equal(res.status, 403, role)
+      }
+    })
+  })
+})
@@ -0,0 +1,199 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { PASSWORD, sentMail, setupTwoTenants, skipReason } from "./helpers.js"
+
+describe("audit log", { skip: skipReason }, () => {
+  let ctx
+  let role
+
+  const auditLogs = (query, token = ctx.tenantA.tokens.ADMIN) =>
+    ctx.request("GET", `/api/audit-logs?${new URLSearchParams(query)}`, { token })
+
+  const tokenFromMail = (email) => {
+    const mail = sentMail.findLast((message) => message.to === email)
+    assert.ok(mail, `email to ${email} was sent`)
+    return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token")
+  }
+
+  const invite = async (email) => {
+    const invited = await ctx.request("POST", "/api/invitations", {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { email, role: "VIEWER" },
+    })
+    assert.equal(invited.status, 201)
+
+    const accepted = await ctx.request("POST", "/api/invitations/accept", {
+      body: { token: tokenFromMail(email), password: PASSWORD, firstName: "Invited", lastName: "User" },
+    })
+    assert.equal(accepted.status, 201)
+
+    return { invitationId: invited.body.invitation.id, user: accepted.body.user }
+  }
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+
+    const created = await ctx.request("POST", "/api/roles", {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { name: "Auditors", permissions: ["audit:read"] },
+    })
+    assert.equal(created.status, 201)
+    role = created.body.role
+
+    const updated = await ctx.request("PUT", `/api/roles/${role.id}`, {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { description: "Read the audit log" },
+    })
+    assert.equal(updated.status, 200)
+
+    const deleted = await ctx.request("DELETE", `/api/roles/${role.id}`, { token: ctx.tenantA.tokens.ADMIN })
+    assert.equal(deleted.status, 200)
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  it("records role changes with the acting user and the changed fields", async () => {
+    const res = await auditLogs({ entityType: "Role", entityId: role.id })
+
+    assert.equal(res.status, 200)
+    const byAction = Object.fromEntries(res.body.auditLogs.map((entry) => [entry.action, entry]))
+    assert.deepEqual(Object.keys(byAction).sort(), ["role.created", "role.deleted", "role.updated"])
+
+    for (const entry of res.body.auditLogs) {
+      assert.equal(entry.actorType, "USER")
+      assert.equal(entry.actorId, ctx.tenantA.users.ADMIN.id)
+    }
+    assert.equal(byAction["role.created"].after.name, "Auditors")
+    assert.deepEqual(byAction["role.updated"].after, { description: "Read the audit log" })
+    assert.equal(byAction["role.deleted"].before.name, "Auditors")
+  })
+
+  it("copies role changes to the security ledger", async () => {
+    const res = await ctx.request("GET", "/api/security-events?limit=100", { token: ctx.tenantA.tokens.ADMIN })
+
+    assert.equal(res.status, 200)
+    const types = res.body.securityEvents.filter((event) => event.entityId === role.id).map((event) => event.type)
+    assert.deepEqual(types.sort(), ["role.created", "role.deleted", "role.updated"])
+  })
+
+  it("records invitations and the user created by accepting one", async () => {
+    const { invitationId, user } = await invite(`invited-${Date.now()}@example.com`)
+    const userId = user.id
+
+    const invitationLogs = await auditLogs({ entityType: "Invitation", entityId: invitationId })
+    assert.deepEqual(invitationLogs.body.auditLogs.map((entry) => entry.action), ["invitation.created"])
+
+    const userLogs = await auditLogs({ action: "user.created", entityId: userId })
+    assert.equal(userLogs.body.auditLogs.length, 1)
+    const [created] = userLogs.body.auditLogs
+    assert.equal(created.actorType, "USER")
+    assert.equal(created.actorId, userId)
+    assert.equal(created.after.password, "[REDACTED]")
+    assert.deepEqual(created.metadata, {
+      provisionedBy: "invitation",
+      invitationId,
+      invitedById: ctx.tenantA.users.ADMIN.id,
+    })
+  })
+
+  it("records revoked invitations", async () => {
+    const invited = await ctx.request("POST", "/api/invitations", {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { email: `revoked-${Date.now()}@example.com` },
+    })
+    const invitationId = invited.body.invitation.id
+
+    const revoked = await ctx.request("DELETE", `/api/invitations/${invitationId}`, {
+      token: ctx.tenantA.tokens.ADMIN,
+    })
+    assert.equal(revoked.status, 200)
+
+    const res = await auditLogs({ entityId: invitationId, action: "invitation.revoked" })
+    assert.equal(res.body.auditLogs.length, 1)
+  })
+
+  it("records password resets as the user whose password changed", async () => {
+    const { user } = await invite(`reset-${Date.now()}@example.com`)
+    await ctx.request("POST", "/api/auth/forgot-password", {
+      body: { email: user.email, subdomain: ctx.tenantA.tenant.subdomain },
+    })
+
+    const reset = await ctx.request("POST", "/api/auth/reset-password", {
+      body: { token: tokenFromMail(user.email), password: "Changed123456!", subdomain: ctx.tenantA.tenant.subdomain },
+    })
+    assert.equal(reset.status, 200)
+
+    const res = await auditLogs({ action: "auth.password_reset", entityId: user.id })
+    assert.equal(res.body.auditLogs.length, 1)
+    assert.equal(res.body.auditLogs[0].actorId, user.id)
+  })
+
+  it("records deactivation through an update as user.deactivated", async () => {
+    const { user } = await invite(`deactivated-${Date.now()}@example.com`)
+
+    const res = await ctx.request("PUT", `/api/users/${user.id}`, {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { isActive: false },
+    })
+    assert.equal(res.status, 200)
+
+    const logs = await auditLogs({ entityId: user.id, entityType: "User" })
+    const actions = logs.body.auditLogs.map((entry) => entry.action)
+    assert.ok(actions.includes("user.deactivated"))
+    assert.ok(!actions.includes("user.updated"))
+  })
+
+  it("filters by actor, action and time range", async () => {
+    const byActor = await auditLogs({ actorId: ctx.tenantA.users.ADMIN.id, limit: 100 })
+    assert.equal(byActor.status, 200)
+    assert.ok(byActor.body.auditLogs.length > 0)
+    assert.ok(byActor.body.auditLogs.every((entry) => entry.actorId === ctx.tenantA.users.ADMIN.id))
+
+    const byAction = await auditLogs({ action: "role.created" })
+    assert.ok(byAction.body.auditLogs.every((entry) => entry.action === "role.created"))
+
+    const future = await auditLogs({ from: new Date(Date.now() + 60 * 60 * 1000).toISOString() })
+    assert.equal(future.body.auditLogs.length, 0)
+
+    const past = await auditLogs({ to: "2000-01-01T00:00:00.000Z" })
+    assert.equal(past.body.auditLogs.length, 0)
+  })
+
+  it("pages through entries with a cursor", async () => {
+    const seen = []
+    let cursor
+
+    do {
+      const res = await auditLogs({ entityType: "Role", entityId: role.id, limit: 1, ...(cursor && { cursor }) })
+      assert.equal(res.status, 200)
+      assert.ok(res.body.auditLogs.length <= 1)
+      seen.push(...res.body.auditLogs.map((entry) => entry.id))
+      cursor = res.body.pagination.nextCursor
+    } while (cursor)
+
+    assert.equal(seen.length, 3)
+    assert.equal(new Set(seen).size, 3)
+  })
+
+  it("rejects unknown entity types", async () => {
+    const res = await auditLogs({ entityType: "Secret" })
+
+    assert.equal(res.status, 400)
+  })
+
+  it("does not show entries of another tenant", async () => {
+    const res = await auditLogs({ entityId: role.id }, ctx.tenantB.tokens.ADMIN)
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.auditLogs.length, 0)
+  })
+
+  it("requires audit:read", async () => {
+    for (const roleName of ["USER", "VIEWER"]) {
+      const res = await auditLogs({}, ctx.tenantA.tokens[roleName])
+      assert.equal(res.status, 403, roleName)
+    }
+  })
+})
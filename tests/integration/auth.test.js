@@ -0,0 +1,411 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { PASSWORD, sentMail, setupTwoTenants, skipReason, tenantHost, updateUser } from "./helpers.js"
+
+describe("auth routes across tenants", { skip: skipReason }, () => {
+  let ctx
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  describe("POST /api/auth/register", () => {
+    it("rejects another tenant's subdomain", async () => {
+      const res = await ctx.request("POST", "/api/auth/register", {
+        body: {
+          email: "intruder@example.com",
+          password: PASSWORD,
+          firstName: "Eve",
+          lastName: "Intruder",
+          tenantName: "Hijack",
+          subdomain: ctx.tenantB.tenant.subdomain,
+        },
+      })
+
+      assert.equal(res.status, 409)
+      assert.equal(res.body.code, "SUBDOMAIN_EXISTS")
+    })
+  })
+
+  describe("POST /api/auth/login", () => {
+    it("does not accept a user's credentials on another tenant", async () => {
+      const res = await ctx.request("POST", "/api/auth/login", {
+        body: { email: ctx.tenantA.users.ADMIN.email, password: PASSWORD, subdomain: ctx.tenantB.tenant.subdomain },
+      })
+
+      assert.equal(res.status, 401)
+      assert.equal(res.body.code, "INVALID_CREDENTIALS")
+      assert.equal(res.body.token, undefined)
+    })
+
+    it("rejects a subdomain that does not match the host", async () => {
+      const res = await ctx.request("POST", "/api/auth/login", {
+        host: tenantHost(ctx.tenantB, ctx.port),
+        body: { email: ctx.tenantA.users.ADMIN.email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+
+      assert.equal(res.status, 400)
+      assert.equal(res.body.code, "TENANT_MISMATCH")
+    })
+
+    it("resolves the tenant from the host only", async () => {
+      const res = await ctx.request("POST", "/api/auth/login", {
+        host: tenantHost(ctx.tenantB, ctx.port),
+        body: { email: ctx.tenantA.users.ADMIN.email, password: PASSWORD },
+      })
+
+      assert.equal(res.status, 401)
+    })
+  })
+
+  describe("login lockout", () => {
+    const unlocked = { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }
+    const login = (email, password = PASSWORD) =>
+      ctx.request("POST", "/api/auth/login", { body: { email, password, subdomain: ctx.tenantA.tenant.subdomain } })
+
+    after(async () => {
+      await updateUser(ctx.tenantA.users.USER, unlocked)
+    })
+
+    it("answers a locked account like an unknown email", async () => {
+      await updateUser(ctx.tenantA.users.USER, {
+        failedLoginAttempts: 10,
+        lastFailedLoginAt: new Date(),
+        lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+      })
+
+      const locked = await login(ctx.tenantA.users.USER.email)
+      const unknown = await login(`nobody@${ctx.tenantA.tenant.subdomain}.example.com`)
+
+      assert.equal(locked.status, 401)
+      assert.deepEqual(locked.body, unknown.body)
+      assert.equal(locked.headers["retry-after"], undefined)
+    })
+
+    it("answers a locked account at the second step like a wrong code", async () => {
+      await updateUser(ctx.tenantA.users.USER, { ...unlocked, twoFactorEnabled: true, twoFactorSecret: "unused" })
+      try {
+        const challenge = await login(ctx.tenantA.users.USER.email)
+        assert.ok(challenge.body.challengeToken)
+
+        await updateUser(ctx.tenantA.users.USER, {
+          failedLoginAttempts: 10,
+          lastFailedLoginAt: new Date(),
+          lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+        })
+        const res = await ctx.request("POST", "/api/auth/2fa/verify", {
+          body: { challengeToken: challenge.body.challengeToken, code: "000000" },
+        })
+
+        assert.equal(res.status, 401)
+        assert.equal(res.body.code, "INVALID_TWO_FACTOR_CODE")
+        assert.equal(res.headers["retry-after"], undefined)
+      } finally {
+        await updateUser(ctx.tenantA.users.USER, { ...unlocked, twoFactorEnabled: false, twoFactorSecret: null })
+      }
+    })
+
+    it("starts counting again once a lock has expired", async () => {
+      await updateUser(ctx.tenantA.users.USER, {
+        failedLoginAttempts: 10,
+        lastFailedLoginAt: new Date(Date.now() - 20 * 60 * 1000),
+        lockedUntil: new Date(Date.now() - 5 * 60 * 1000),
+      })
+
+      const failed = await login(ctx.tenantA.users.USER.email, "WrongPassword1!")
+      assert.equal(failed.status, 401)
+
+      const res = await login(ctx.tenantA.users.USER.email)
+      assert.equal(res.status, 200)
+      assert.ok(res.body.token)
+    })
+  })
+
+  describe("GET /api/auth/me", () => {
+    it("returns only the caller and their tenant", async () => {
+      const res = await ctx.request("GET", "/api/auth/me", { token: ctx.tenantA.tokens.USER })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.user.id, ctx.tenantA.users.USER.id)
+      assert.equal(res.body.tenant.id, ctx.tenantA.tenant.id)
+    })
+
+    it("rejects a token presented on another tenant's host", async () => {
+      const res = await ctx.request("GET", "/api/auth/me", {
+        token: ctx.tenantA.tokens.ADMIN,
+        host: tenantHost(ctx.tenantB, ctx.port),
+      })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "TENANT_MISMATCH")
+    })
+  })
+
+  describe("POST /api/auth/refresh", () => {
+    it("keeps the refreshed session in the original tenant", async () => {
+      const res = await ctx.request("POST", "/api/auth/refresh", {
+        body: { refreshToken: ctx.tenantA.refreshTokens.VIEWER },
+      })
+
+      assert.equal(res.status, 200)
+      ctx.tenantA.refreshTokens.VIEWER = res.body.refreshToken
+      ctx.tenantA.tokens.VIEWER = res.body.token
+
+      const me = await ctx.request("GET", "/api/auth/me", {
+        token: res.body.token,
+        host: tenantHost(ctx.tenantB, ctx.port),
+      })
+
+      assert.equal(me.status, 403)
+      assert.equal(me.body.code, "TENANT_MISMATCH")
+    })
+  })
+
+  describe("2FA routes", () => {
+    for (const [method, path] of [
+      ["POST", "/api/auth/2fa/setup"],
+      ["POST", "/api/auth/2fa/enable"],
+      ["POST", "/api/auth/2fa/disable"],
+      ["POST", "/api/auth/2fa/recovery-codes"],
+    ]) {
+      it(`${method} ${path} rejects a token on another tenant's host`, async () => {
+        const res = await ctx.request(method, path, {
+          token: ctx.tenantA.tokens.ADMIN,
+          host: tenantHost(ctx.tenantB, ctx.port),
+          body: { code: "000000" },
+        })
+
+        assert.equal(res.status, 403)
+        assert.equal(res.body.code, "TENANT_MISMATCH")
+      })
+    }
+
+    it("POST /api/auth/2fa/verify rejects an access token as challenge", async () => {
+      const res = await ctx.request("POST", "/api/auth/2fa/verify", {
+        body: { challengeToken: ctx.tenantB.tokens.ADMIN, code: "000000" },
+      })
+
+      assert.equal(res.status, 401)
+      assert.equal(res.body.token, undefined)
+    })
+  })
+
+  describe("password reset", () => {
+    it("does not email a user of another tenant", async () => {
+      const before = sentMail.length
+
+      const res = await ctx.request("POST", "/api/auth/forgot-password", {
+        body: { email: ctx.tenantA.users.USER.email, subdomain: ctx.tenantB.tenant.subdomain },
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(sentMail.length, before)
+    })
+
+    it("does not accept a reset token on another tenant", async () => {
+      await ctx.request("POST", "/api/auth/forgot-password", {
+        body: { email: ctx.tenantA.users.USER.email, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+
+      const mail = sentMail.findLast((message) => message.to === ctx.tenantA.users.USER.email)
+      assert.ok(mail, "reset email was sent")
+      const token = new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token")
+
+      const res = await ctx.request("POST", "/api/auth/reset-password", {
+        body: { token, password: "Changed123456!", subdomain: ctx.tenantB.tenant.subdomain },
+      })
+
+      assert.equal(res.status, 400)
+      assert.equal(res.body.code, "INVALID_RESET_TOKEN")
+
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email: ctx.tenantA.users.USER.email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+
+      assert.equal(login.status, 200)
+    })
+  })
+
+  describe("tenant switching", () => {
+    const locked = { failedLoginAttempts: 10, lastFailedLoginAt: new Date(), lockedUntil: new Date(Date.now() + 60000) }
+    const unlocked = { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }
+    let joined
+
+    const invite = async (email, role = "VIEWER") => {
+      const res = await ctx.request("POST", "/api/invitations", {
+        token: ctx.tenantB.tokens.ADMIN,
+        body: { email, role },
+      })
+      assert.equal(res.status, 201)
+
+      const mail = sentMail.findLast((message) => message.to === email)
+      return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token")
+    }
+
+    const join = (token) =>
+      ctx.request("POST", "/api/auth/tenants/join", { token: ctx.tenantA.tokens.USER, body: { token } })
+
+    const switchTo = (fixture) =>
+      ctx.request("POST", "/api/auth/switch-tenant", {
+        token: ctx.tenantA.tokens.USER,
+        body: { tenantId: fixture.tenant.id },
+      })
+
+    it("GET /api/auth/tenants lists only the current tenant before joining another", async () => {
+      const res = await ctx.request("GET", "/api/auth/tenants", { token: ctx.tenantA.tokens.USER })
+
+      assert.equal(res.status, 200)
+      assert.deepEqual(
+        res.body.tenants.map((tenant) => [tenant.id, tenant.current, tenant.signIn]),
+        [[ctx.tenantA.tenant.id, true, true]],
+      )
+    })
+
+    it("POST /api/auth/tenants/join needs an invitation for the user's email", async () => {
+      const res = await join(await invite("someone-else@example.com"))
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "INVITATION_EMAIL_MISMATCH")
+    })
+
+    it("POST /api/auth/tenants/join adds an account with the invited role and no new password", async () => {
+      const token = await invite(ctx.tenantA.users.USER.email)
+
+      const res = await join(token)
+
+      assert.equal(res.status, 201)
+      assert.deepEqual(
+        res.body.tenants.map((tenant) => [tenant.id, tenant.role, tenant.current, tenant.signIn]),
+        [
+          [ctx.tenantA.tenant.id, "USER", true, true],
+          [ctx.tenantB.tenant.id, "VIEWER", false, false],
+        ],
+      )
+      joined = { id: res.body.tenants[1].userId, tenantId: ctx.tenantB.tenant.id }
+
+      const again = await join(token)
+      assert.equal(again.status, 400)
+      assert.equal(again.body.code, "INVALID_INVITATION")
+    })
+
+    it("signs the identity in to every tenant with one password", async () => {
+      const res = await ctx.request("POST", "/api/auth/login", {
+        body: { email: ctx.tenantA.users.USER.email, password: PASSWORD, subdomain: ctx.tenantB.tenant.subdomain },
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.user.id, joined.id)
+      assert.equal(res.body.user.role, "VIEWER")
+
+      // A reset asked for in either tenant changes the identity's password
+      await ctx.request("POST", "/api/auth/forgot-password", {
+        body: { email: ctx.tenantA.users.USER.email, subdomain: ctx.tenantB.tenant.subdomain },
+      })
+      const mail = sentMail.findLast((message) => message.to === ctx.tenantA.users.USER.email)
+      const resetUrl = new URL(mail.text.match(/https?:\/\/\S+/)[0])
+      assert.equal(resetUrl.searchParams.get("subdomain"), ctx.tenantA.tenant.subdomain)
+    })
+
+    it("POST /api/auth/switch-tenant issues a token for the other account", async () => {
+      const res = await switchTo(ctx.tenantB)
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.tenant.id, ctx.tenantB.tenant.id)
+      assert.equal(res.body.user.id, joined.id)
+
+      const me = await ctx.request("GET", "/api/auth/me", { token: res.body.token })
+      assert.equal(me.body.tenant.id, ctx.tenantB.tenant.id)
+      assert.equal(me.body.user.role, "VIEWER")
+
+      const wrongHost = await ctx.request("GET", "/api/auth/me", {
+        token: res.body.token,
+        host: tenantHost(ctx.tenantA, ctx.port),
+      })
+      assert.equal(wrongHost.status, 403)
+      assert.equal(wrongHost.body.code, "TENANT_MISMATCH")
+    })
+
+    it("POST /api/auth/switch-tenant is refused while a login would be locked out, without saying so", async () => {
+      for (const account of [joined, ctx.tenantA.users.USER]) {
+        await updateUser(account, locked)
+        try {
+          const res = await switchTo(ctx.tenantB)
+
+          assert.equal(res.status, 404)
+          assert.equal(res.body.code, "MEMBERSHIP_NOT_FOUND")
+          assert.equal(res.headers["retry-after"], undefined)
+        } finally {
+          await updateUser(account, unlocked)
+        }
+      }
+
+      assert.equal((await switchTo(ctx.tenantB)).status, 200)
+    })
+
+    it("POST /api/auth/switch-tenant refuses a tenant without a linked account", async () => {
+      const res = await ctx.request("POST", "/api/auth/switch-tenant", {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { tenantId: ctx.tenantB.tenant.id },
+      })
+
+      assert.equal(res.status, 404)
+      assert.equal(res.body.code, "MEMBERSHIP_NOT_FOUND")
+    })
+
+    it("DELETE /api/auth/tenants/:tenantId keeps the sign-in account", async () => {
+      const res = await ctx.request("DELETE", `/api/auth/tenants/${ctx.tenantA.tenant.id}`, {
+        token: ctx.tenantA.tokens.USER,
+      })
+
+      assert.equal(res.status, 409)
+      assert.equal(res.body.code, "MEMBERSHIP_SIGN_IN_ACCOUNT")
+    })
+
+    it("DELETE /api/auth/tenants/:tenantId unlinks the account", async () => {
+      const res = await ctx.request("DELETE", `/api/auth/tenants/${ctx.tenantB.tenant.id}`, {
+        token: ctx.tenantA.tokens.USER,
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.tenants.length, 1)
+
+      assert.equal((await switchTo(ctx.tenantB)).status, 404)
+
+      // Without the identity the account has no password anybody knows
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email: ctx.tenantA.users.USER.email, password: PASSWORD, subdomain: ctx.tenantB.tenant.subdomain },
+      })
+      assert.equal(login.status, 401)
+    })
+  })
+
+  describe("logout", () => {
+    it("POST /api/auth/logout-all only revokes the caller's sessions", async () => {
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email: ctx.tenantA.users.VIEWER.email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+
+      const res = await ctx.request("POST", "/api/auth/logout-all", { token: login.body.token })
+      assert.equal(res.status, 200)
+
+      const other = await ctx.request("GET", "/api/auth/me", { token: ctx.tenantB.tokens.VIEWER })
+      assert.equal(other.status, 200)
+    })
+
+    it("POST /api/auth/logout rejects a token on another tenant's host", async () => {
+      const res = await ctx.request("POST", "/api/auth/logout", {
+        token: ctx.tenantB.tokens.USER,
+        host: tenantHost(ctx.tenantA, ctx.port),
+      })
+
+      assert.equal(res.status, 403)
+
+      const me = await ctx.request("GET", "/api/auth/me", { token: ctx.tenantB.tokens.USER })
+      assert.equal(me.status, 200)
+    })
+  })
+})
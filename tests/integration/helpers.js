@@ -0,0 +1,379 @@
+import http from "http"
+import os from "os"
+import path from "path"
+import crypto from "crypto"
+import bcrypt from "bcryptjs"
+
+/**
+ * Integration test harness
+ * Boots the Express app against the Postgres database in TEST_DATABASE_URL,
+ * seeds isolated tenants and sends real HTTP requests to it.
+ */
+
+export const skipReason = process.env.TEST_DATABASE_URL ? false : "TEST_DATABASE_URL is not set"
+
+process.env.NODE_ENV = "test"
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL
+process.env.JWT_SECRET = process.env.JWT_SECRET || "integration-test-secret"
+process.env.APP_BASE_DOMAIN = "localhost"
+process.env.RATE_LIMIT_MAX_REQUESTS = "100000"
+process.env.MAIL_DRIVER = "memory"
+process.env.DNS_RESOLVER = "stub"
+process.env.EXPORT_DIR = path.join(os.tmpdir(), "saas-multitenant-test-exports")
+process.env.LEDGER_SIGNING_SECRET = "integration-ledger-secret"
+process.env.LEDGER_CHECKPOINT_DIR = path.join(os.tmpdir(), "saas-multitenant-test-checkpoints")
+process.env.LEDGER_CHECKPOINT_INTERVAL_MINUTES = "0"
+// Test receivers and the mock identity provider listen on loopback, which endpoints and issuers may not use otherwise
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1"
+process.env.SSO_ALLOWED_HOSTS = "127.0.0.1"
+process.env.WEBHOOK_MAX_ATTEMPTS = "3"
+process.env.WEBHOOK_TIMEOUT_MS = "2000"
+
+const { default: app } = skipReason ? {} : await import("../../src/server.js")
+const { default: database } = skipReason ? {} : await import("../../src/config/database.js")
+const { default: roleService } = skipReason ? {} : await import("../../src/services/roleService.js")
+const { default: mailService } = skipReason ? {} : await import("../../src/services/mailService.js")
+const { default: platformService } = skipReason ? {} : await import("../../src/services/platformService.js")
+const { default: tenantDeletionService } = skipReason
+  ? {}
+  : await import("../../src/services/tenantDeletionService.js")
+const { default: securityLedgerService } = skipReason
+  ? {}
+  : await import("../../src/services/securityLedgerService.js")
+const { default: webhookService } = skipReason ? {} : await import("../../src/services/webhookService.js")
+const { default: domainService } = skipReason ? {} : await import("../../src/services/domainService.js")
+
+export const PASSWORD = "Password123!"
+export const ROLES = ["ADMIN", "USER", "VIEWER"]
+
+// Every message sent during the run, newest last
+export const sentMail = []
+
+mailService?.registerTransport("memory", {
+  async send(message) {
+    sentMail.push(message)
+    return { id: crypto.randomUUID() }
+  },
+})
+
+/**
+ * Start the app on a random port
+ * @returns {Object} ({ port, close })
+ */
+export const startServer = () =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    })
+  })
+
+/**
+ * Build a JSON HTTP client for a running server
+ * Buffer bodies are sent as is with contentType; raw responses come back as a Buffer
+ * A token is sent as a Bearer token, an apiKey with the ApiKey scheme
+ * @param {number} port - Server port
+ * @returns {Function} request(method, path, { token, apiKey, cookie, body, host, contentType, raw })
+ */
+export const createClient = (port) => (method, path, { token, apiKey, cookie, body, host, contentType, raw } = {}) =>
+  new Promise((resolve, reject) => {
+    const binary = Buffer.isBuffer(body)
+    const payload = body === undefined || binary ? body : JSON.stringify(body)
+
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port,
+        method,
+        path,
+        headers: {
+          Host: host || `127.0.0.1:${port}`,
+          ...(payload && {
+            "Content-Type": binary ? contentType || "application/octet-stream" : "application/json",
+            "Content-Length": Buffer.byteLength(payload),
+          }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(apiKey && { Authorization: `ApiKey ${apiKey}` }),
+          ...(cookie && { Cookie: cookie }),
+        },
+      },
+      (res) => {
+        const chunks = []
+        res.on("data", (chunk) => {
+          chunks.push(chunk)
+        })
+        res.on("end", () => {
+          const buffer = Buffer.concat(chunks)
+          if (raw) {
+            return resolve({ status: res.statusCode, headers: res.headers, body: buffer })
+          }
+
+          // Redirects and downloads come back as text; SCIM answers with application/scim+json
+          const text = buffer.toString("utf8")
+          const json = /^application\/([\w.-]+\+)?json/.test(res.headers["content-type"] || "")
+          const parsed = text && json ? JSON.parse(text) : text || null
+          resolve({ status: res.statusCode, headers: res.headers, body: parsed })
+        })
+      },
+    )
+
+    req.on("error", reject)
+    if (payload) {
+      req.write(payload)
+    }
+    req.end()
+  })
+
+/**
+ * Seed a tenant with one user per built-in role and one project per user
+ * Mirrors src/scripts/seed.js, with a unique subdomain per run
+ * @param {string} label - Human readable tenant label
+ * @returns {Object} ({ tenant, users, projects }) keyed by role
+ */
+export const createTenantFixture = async (label) => {
+  const suffix = crypto.randomBytes(4).toString("hex")
+  // Low cost factor keeps the suite fast; bcrypt.compare reads it from the hash
+  const password = await bcrypt.hash(PASSWORD, 4)
+
+  return database.withBypass(async (tx) => {
+    const tenant = await tx.tenant.create({
+      data: {
+        name: `${label} ${suffix}`,
+        subdomain: `${label.toLowerCase()}-${suffix}`,
+      },
+    })
+
+    await roleService.createDefaultRoles(tx, tenant.id)
+
+    const users = {}
+    const projects = {}
+
+    for (const role of ROLES) {
+      users[role] = await tx.user.create({
+        data: {
+          email: `${role.toLowerCase()}@${tenant.subdomain}.example.com`,
+          password,
+          firstName: label,
+          lastName: role,
+          role,
+          tenantId: tenant.id,
+        },
+      })
+
+      projects[role] = await tx.project.create({
+        data: {
+          name: `${label} ${role} project`,
+          description: `Owned by the ${role} of ${label}`,
+          tenantId: tenant.id,
+          userId: users[role].id,
+        },
+      })
+    }
+
+    return { tenant, users, projects }
+  })
+}
+
+/**
+ * Log every fixture user in and attach their tokens
+ * @param {Function} request - Client from createClient
+ * @param {Object} fixture - Tenant fixture
+ * @returns {Object} Fixture with tokens and refreshTokens keyed by role
+ */
+export const loginFixture = async (request, fixture) => {
+  fixture.tokens = {}
+  fixture.refreshTokens = {}
+
+  for (const role of ROLES) {
+    const res = await request("POST", "/api/auth/login", {
+      body: { email: fixture.users[role].email, password: PASSWORD, subdomain: fixture.tenant.subdomain },
+    })
+
+    if (res.status !== 200) {
+      throw new Error(`Login failed for ${role} of ${fixture.tenant.subdomain}: ${res.status}`)
+    }
+
+    fixture.tokens[role] = res.body.token
+    fixture.refreshTokens[role] = res.body.refreshToken
+  }
+
+  return fixture
+}
+
+/**
+ * Boot the app and seed two tenants, A and B, with logged in users
+ * @returns {Object} ({ request, port, tenantA, tenantB, close })
+ */
+export const setupTwoTenants = async () => {
+  const { port, close } = await startServer()
+  const request = createClient(port)
+
+  const tenantA = await loginFixture(request, await createTenantFixture("Alpha"))
+  const tenantB = await loginFixture(request, await createTenantFixture("Bravo"))
+
+  return {
+    port,
+    request,
+    tenantA,
+    tenantB,
+    async close() {
+      await removeTenants(tenantA, tenantB)
+      await close()
+      // Skip the disconnect log: stray stdout can corrupt the test runner's protocol stream
+      await database.prisma.$disconnect()
+    },
+  }
+}
+
+/**
+ * Create a platform operator and log it in
+ * @param {Function} request - Client from createClient
+ * @returns {Object} ({ admin, token, remove })
+ */
+export const createPlatformOperator = async (request) => {
+  const email = `operator-${crypto.randomBytes(4).toString("hex")}@platform.example.com`
+  const admin = await platformService.createAdmin({
+    email,
+    password: PASSWORD,
+    firstName: "Platform",
+    lastName: "Operator",
+  })
+
+  const res = await request("POST", "/api/platform/auth/login", { body: { email, password: PASSWORD } })
+  if (res.status !== 200) {
+    throw new Error(`Platform login failed: ${res.status}`)
+  }
+
+  return {
+    admin,
+    token: res.body.token,
+    remove: () => database.prisma.platformAdmin.delete({ where: { id: admin.id } }),
+  }
+}
+
+/**
+ * Poll until a check returns a truthy value
+ * @param {Function} check - Async check
+ * @param {Object} options - ({ timeout, interval }) in milliseconds
+ * @returns {*} First truthy result
+ */
+export const waitFor = async (check, { timeout = 5000, interval = 25 } = {}) => {
+  const deadline = Date.now() + timeout
+
+  while (true) {
+    const result = await check()
+    if (result) {
+      return result
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition")
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval))
+  }
+}
+
+/**
+ * Delete fixture tenants and everything they own
+ * @param {...Object} fixtures - Tenant fixtures
+ */
+export const removeTenants = async (...fixtures) => {
+  const ids = fixtures.map((fixture) => fixture.tenant.id)
+
+  await database.withBypass((tx) => tx.tenant.deleteMany({ where: { id: { in: ids } } }))
+}
+
+/**
+ * Overwrite columns of a fixture user, e.g. to put it into a lockout state
+ * @param {Object} user - Fixture user
+ * @param {Object} data - Columns to set
+ * @returns {Object} Updated user
+ */
+export const updateUser = (user, data) =>
+  database.forTenant(user.tenantId).user.update({ where: { id: user.id }, data })
+
+/**
+ * Overwrite columns of a fixture tenant, e.g. to move its deletion date
+ * @param {Object} fixture - Tenant fixture
+ * @param {Object} data - Columns to set
+ * @returns {Object} Updated tenant
+ */
+export const updateTenant = (fixture, data) =>
+  database.withBypass((tx) => tx.tenant.update({ where: { id: fixture.tenant.id }, data }))
+
+/**
+ * Run the purge job once, as the background timer would
+ * @returns {Object[]} Tombstones of the purged tenants
+ */
+export const purgeDueTenants = () => tenantDeletionService.purgeDue()
+
+/**
+ * Run the webhook worker once, as the background timer would
+ * @param {Date} now - Reference time, later than now to make queued retries due
+ * @returns {number} Deliveries attempted
+ */
+export const processWebhooks = (now = new Date()) => webhookService.processDue(now)
+
+/**
+ * Publish a DNS TXT record on the stub resolver domain verification uses
+ * @param {Object} record - Record as described by the domain routes ({ name, value })
+ */
+export const publishDnsRecord = (record) => domainService.getResolver().setRecords(record.name, record.value)
+
+/**
+ * Write a signed checkpoint of a fixture tenant's ledger head
+ * @param {Object} fixture - Tenant fixture
+ * @returns {Object|null} Checkpoint written
+ */
+export const checkpointLedger = (fixture) => securityLedgerService.checkpoint(fixture.tenant.id)
+
+/**
+ * Rewrite a ledger entry behind the application's back
+ * The append-only trigger blocks updates, so the row is deleted and inserted again
+ * @param {Object} fixture - Tenant fixture
+ * @param {number} sequence - Sequence of the entry
+ * @param {Object} data - Columns to change
+ */
+export const rewriteSecurityEvent = (fixture, sequence, data) =>
+  database.withBypass(async (tx) => {
+    const event = await tx.securityEvent.findFirst({ where: { tenantId: fixture.tenant.id, sequence } })
+    await tx.securityEvent.delete({ where: { id: event.id } })
+    await tx.securityEvent.create({ data: { ...event, ...data } })
+  })
+
+/**
+ * Delete ledger entries behind the application's back
+ * @param {Object} fixture - Tenant fixture
+ * @param {number[]} sequences - Sequences of the entries
+ */
+export const deleteSecurityEvents = (fixture, sequences) =>
+  database.withBypass((tx) =>
+    tx.securityEvent.deleteMany({ where: { tenantId: fixture.tenant.id, sequence: { in: sequences } } }),
+  )
+
+/**
+ * Run a raw query inside a tenant's row-level security context
+ * @param {string} tenantId - Tenant ID
+ * @param {string} table - Table name
+ * @returns {Object[]} Rows with id and tenantId
+ */
+export const selectAsTenant = (tenantId, table) =>
+  database.forTenant(tenantId).$queryRawUnsafe(`SELECT "id", "tenantId" FROM "${table}"`)
+
+/**
+ * Whether the connected role is exempt from row-level security
+ * @returns {boolean}
+ */
+export const bypassesRowLevelSecurity = async () => {
+  const [role] = await database.prisma.$queryRaw`SELECT rolsuper, rolbypassrls FROM pg_roles WHERE rolname = current_user`
+  return role.rolsuper || role.rolbypassrls
+}
+
+/**
+ * Host header that identifies a tenant by subdomain
+ * @param {Object} fixture - Tenant fixture
+ * @param {number} port - Server port
+ * @returns {string}
+ */
+export const tenantHost = (fixture, port) => `${fixture.tenant.subdomain}.localhost:${port}`
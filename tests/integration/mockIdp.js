@@ -0,0 +1,164 @@
+import http from "http"
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+
+/**
+ * Mock OpenID Connect identity provider
+ * Serves discovery, JWKS, authorization and token endpoints on a random port and
+ * issues RS256-signed ID tokens for whoever was passed to signIn().
+ */
+
+/**
+ * Generate an RSA signing key with its public JWK
+ * @param {string} kid - Key ID
+ * @returns {Object} ({ kid, privateKey, jwk })
+ */
+const createSigningKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" } }
+}
+
+/**
+ * Read a form-encoded request body
+ * @param {Object} req - Incoming request
+ * @returns {URLSearchParams}
+ */
+const readForm = (req) =>
+  new Promise((resolve) => {
+    let raw = ""
+    req.setEncoding("utf8")
+    req.on("data", (chunk) => {
+      raw += chunk
+    })
+    req.on("end", () => resolve(new URLSearchParams(raw)))
+  })
+
+/**
+ * Start a mock identity provider
+ * @param {Object} client - Registered client ({ clientId, clientSecret, redirectUri })
+ * @returns {Object} ({ issuer, signIn, tamperNextToken, close })
+ */
+export const startMockIdp = async ({ clientId, clientSecret, redirectUri }) => {
+  const signingKey = createSigningKey("mock-key-1")
+  // Published nowhere, used to forge tokens
+  const foreignKey = createSigningKey("mock-key-1")
+
+  const codes = new Map()
+  let identity = null
+  let tampering = null
+  let issuer
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" })
+    res.end(JSON.stringify(body))
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer)
+
+    if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+        id_token_signing_alg_values_supported: ["RS256"],
+      })
+    }
+
+    if (req.method === "GET" && url.pathname === "/jwks") {
+      return send(res, 200, { keys: [signingKey.jwk] })
+    }
+
+    if (req.method === "GET" && url.pathname === "/authorize") {
+      const params = url.searchParams
+      if (
+        params.get("client_id") !== clientId ||
+        params.get("redirect_uri") !== redirectUri ||
+        params.get("code_challenge_method") !== "S256" ||
+        !identity
+      ) {
+        return send(res, 400, { error: "invalid_request" })
+      }
+
+      const code = crypto.randomBytes(16).toString("hex")
+      codes.set(code, {
+        identity,
+        nonce: params.get("nonce"),
+        codeChallenge: params.get("code_challenge"),
+        redirectUri: params.get("redirect_uri"),
+      })
+
+      const location = new URL(redirectUri)
+      location.searchParams.set("code", code)
+      location.searchParams.set("state", params.get("state"))
+      res.writeHead(302, { Location: location.toString() })
+      return res.end()
+    }
+
+    if (req.method === "POST" && url.pathname === "/token") {
+      const form = await readForm(req)
+      const [id, secret] = Buffer.from((req.headers.authorization || "").replace(/^Basic /, ""), "base64")
+        .toString()
+        .split(":")
+        .map(decodeURIComponent)
+
+      if (id !== clientId || secret !== clientSecret) {
+        return send(res, 401, { error: "invalid_client" })
+      }
+
+      const grant = codes.get(form.get("code"))
+      codes.delete(form.get("code"))
+
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.get("code_verifier") || "")
+        .digest("base64url")
+
+      if (!grant || grant.redirectUri !== form.get("redirect_uri") || grant.codeChallenge !== challenge) {
+        return send(res, 400, { error: "invalid_grant" })
+      }
+
+      const key = tampering?.foreignKey ? foreignKey : signingKey
+      const claims = { iss: issuer, aud: clientId, email_verified: true, ...grant.identity, nonce: grant.nonce }
+      const idToken = jwt.sign(
+        { ...claims, ...tampering?.claims },
+        key.privateKey,
+        { algorithm: "RS256", keyid: key.kid, expiresIn: "5m" },
+      )
+      tampering = null
+
+      return send(res, 200, {
+        access_token: crypto.randomBytes(16).toString("hex"),
+        token_type: "Bearer",
+        id_token: idToken,
+      })
+    }
+
+    send(res, 404, { error: "not_found" })
+  })
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  issuer = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    issuer,
+    /**
+     * Set the identity the next authorization request is granted for
+     * @param {Object} claims - ID token claims ({ sub, email, given_name, ... })
+     */
+    signIn(claims) {
+      identity = claims
+    },
+    /**
+     * Corrupt the next ID token
+     * @param {Object} options - ({ foreignKey, claims }) sign with an unpublished key or override claims
+     */
+    tamperNextToken(options) {
+      tampering = options
+    },
+    close: () => new Promise((done) => server.close(done)),
+  }
+}
@@ -0,0 +1,45 @@
+import http from "http"
+
+/**
+ * Mock webhook receiver
+ * Records every request it gets on a random loopback port and answers with the
+ * status and body set through respondWith().
+ */
+
+/**
+ * Start a mock webhook receiver
+ * @returns {Object} ({ url, requests, respondWith, close })
+ */
+export const startReceiver = async () => {
+  const requests = []
+  let response = { status: 200, body: "ok" }
+
+  const server = http.createServer((req, res) => {
+    let body = ""
+    req.setEncoding("utf8")
+    req.on("data", (chunk) => {
+      body += chunk
+    })
+    req.on("end", () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body })
+      res.writeHead(response.status, { "Content-Type": "text/plain" })
+      res.end(response.body)
+    })
+  })
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+    /**
+     * Set the answer to every following request
+     * @param {number} status - HTTP status
+     * @param {string} body - Response body
+     */
+    respondWith(status, body = "") {
+      response = { status, body }
+    },
+    close: () => new Promise((done) => server.close(done)),
+  }
+}
@@ -0,0 +1,308 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import zlib from "zlib"
+import { tarHeader } from "../../src/utils/tar.js"
+import {
+  createPlatformOperator,
+  createTenantFixture,
+  loginFixture,
+  purgeDueTenants,
+  removeTenants,
+  setupTwoTenants,
+  skipReason,
+  updateTenant,
+  waitFor,
+} from "./helpers.js"
+
+/**
+ * Build a gzipped bundle archive from file contents
+ * @param {Object} files - File name to contents
+ * @returns {Buffer}
+ */
+const bundle = (files) => {
+  const blocks = []
+  for (const [name, contents] of Object.entries(files)) {
+    const data = Buffer.from(contents)
+    blocks.push(tarHeader(name, data.length), data, Buffer.alloc((512 - (data.length % 512)) % 512))
+  }
+  blocks.push(Buffer.alloc(1024))
+  return zlib.gzipSync(Buffer.concat(blocks))
+}
+
+const jsonLines = (rows) => rows.map((row) => `${JSON.stringify(row)}\n`).join("")
+
+const users = [
+  { id: "u1", email: "grace@example.com", firstName: "Grace", lastName: "Hopper", role: "ADMIN" },
+  { id: "u2", email: "alan@example.com", firstName: "Alan", lastName: "Turing", role: "USER" },
+]
+
+const projects = [
+  { id: "p1", name: "Compiler", userId: "u1" },
+  { id: "p2", name: "Enigma", userId: "u2" },
+]
+
+describe("platform tenant import and cloning", { skip: skipReason }, () => {
+  let ctx
+  let operator
+  const imported = []
+
+  const platform = (method, path, options = {}) => ctx.request(method, path, { token: operator.token, ...options })
+
+  const upload = (query, body) =>
+    platform("POST", `/api/platform/tenants/import?${new URLSearchParams(query)}`, {
+      body,
+      contentType: "application/gzip",
+    })
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+    operator = await createPlatformOperator(ctx.request)
+  })
+
+  after(async () => {
+    await removeTenants(...imported.map((id) => ({ tenant: { id } })))
+    await operator?.remove()
+    await ctx?.close()
+  })
+
+  it("reports counts without writing on a dry run", async () => {
+    const subdomain = `dry-run-${crypto.randomBytes(4).toString("hex")}`
+    const archive = bundle({
+      "tenant.jsonl": jsonLines([{ name: "Dry Run" }]),
+      "users.jsonl": jsonLines(users),
+      "projects.jsonl": jsonLines(projects),
+    })
+
+    const res = await upload({ subdomain, dryRun: true }, archive)
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.report.dryRun, true)
+    assert.equal(res.body.report.imported, false)
+    assert.deepEqual(res.body.report.counts, { roles: 0, users: 2, projects: 2 })
+    assert.deepEqual(res.body.report.conflicts, [])
+
+    const login = await ctx.request("POST", "/api/auth/login", {
+      body: { email: "grace@example.com", password: "Password123!", subdomain },
+    })
+    assert.equal(login.status, 404)
+  })
+
+  it("imports a bundle into a new tenant with new IDs", async () => {
+    const subdomain = `imported-${crypto.randomBytes(4).toString("hex")}`
+    const res = await upload(
+      { subdomain },
+      bundle({
+        "tenant.jsonl": jsonLines([{ name: "Imported" }]),
+        "users.jsonl": jsonLines(users),
+        "projects.jsonl": jsonLines(projects),
+      }),
+    )
+
+    assert.equal(res.status, 201)
+    assert.equal(res.body.report.imported, true)
+    imported.push(res.body.report.tenant.id)
+
+    const tenant = await platform("GET", `/api/platform/tenants/${res.body.report.tenant.id}`)
+    assert.equal(tenant.status, 200)
+    assert.equal(tenant.body.tenant.subdomain, subdomain)
+    assert.equal(tenant.body.tenant._count.users, 2)
+    assert.equal(tenant.body.tenant._count.projects, 2)
+  })
+
+  it("round-trips a tenant export archive", async () => {
+    const { tenant } = ctx.tenantB
+    const started = await ctx.request("POST", `/api/tenants/${tenant.id}/exports`, { token: ctx.tenantB.tokens.ADMIN })
+    const path = `/api/tenants/${tenant.id}/exports/${started.body.export.id}`
+
+    await waitFor(async () => {
+      const poll = await ctx.request("GET", path, { token: ctx.tenantB.tokens.ADMIN })
+      return poll.body.export.status === "COMPLETED"
+    })
+    const download = await ctx.request("GET", `${path}/download`, { token: ctx.tenantB.tokens.ADMIN, raw: true })
+
+    const subdomain = `restored-${crypto.randomBytes(4).toString("hex")}`
+    const dryRun = await upload({ subdomain, dryRun: true }, download.body)
+    assert.equal(dryRun.status, 200)
+    assert.deepEqual(dryRun.body.report.conflicts, [])
+
+    const res = await upload({ subdomain }, download.body)
+    assert.equal(res.status, 201)
+    imported.push(res.body.report.tenant.id)
+    assert.equal(res.body.report.tenant.name, tenant.name)
+    assert.deepEqual(res.body.report.counts, { roles: 3, users: 3, projects: 3 })
+
+    // Exports never carry password hashes, so imported users have to reset theirs
+    const login = await ctx.request("POST", "/api/auth/login", {
+      body: { email: ctx.tenantB.users.ADMIN.email, password: "Password123!", subdomain },
+    })
+    assert.equal(login.status, 401)
+  })
+
+  it("rejects an archive that no longer matches its manifest", async () => {
+    const manifest = {
+      schemaVersion: 1,
+      files: [{ name: "users.jsonl", records: 2, sha256: crypto.createHash("sha256").update("").digest("hex") }],
+    }
+    const res = await upload(
+      { subdomain: `tampered-${crypto.randomBytes(4).toString("hex")}`, dryRun: true },
+      bundle({
+        "manifest.json": JSON.stringify(manifest),
+        "tenant.jsonl": jsonLines([{ name: "Tampered" }]),
+        "users.jsonl": jsonLines(users),
+        "projects.jsonl": jsonLines(projects),
+      }),
+    )
+
+    assert.equal(res.status, 200)
+    assert.ok(res.body.report.conflicts.some((conflict) => conflict.code === "CHECKSUM_MISMATCH"))
+  })
+
+  it("lists every conflict and imports nothing", async () => {
+    const res = await upload(
+      { subdomain: ctx.tenantA.tenant.subdomain },
+      bundle({
+        "tenant.jsonl": jsonLines([{ name: "Conflicted" }]),
+        "users.jsonl": jsonLines([...users, { ...users[1], id: "u3" }]),
+        "projects.jsonl": jsonLines([...projects, { id: "p3", name: "Orphan", userId: "missing" }]),
+      }),
+    )
+
+    assert.equal(res.status, 409)
+    assert.equal(res.body.code, "IMPORT_CONFLICTS")
+    assert.deepEqual(res.body.report.conflicts.map((conflict) => conflict.code).sort(), [
+      "DUPLICATE_EMAIL",
+      "SUBDOMAIN_TAKEN",
+      "UNKNOWN_OWNER",
+    ])
+    assert.equal(res.body.report.conflicts.find((conflict) => conflict.code === "DUPLICATE_EMAIL").line, 3)
+  })
+
+  it("refuses to import into a tenant that has data", async () => {
+    const res = await upload(
+      { tenantId: ctx.tenantB.tenant.id, dryRun: true },
+      bundle({
+        "tenant.jsonl": jsonLines([{ name: "Overwrite" }]),
+        "users.jsonl": jsonLines(users),
+        "projects.jsonl": jsonLines(projects),
+      }),
+    )
+
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.report.conflicts.map((conflict) => conflict.code),
+      ["TENANT_NOT_EMPTY"],
+    )
+  })
+
+  it("rejects an archive that cannot be read", async () => {
+    const truncated = bundle({ "tenant.jsonl": jsonLines([{ name: "Truncated" }]) }).subarray(0, 20)
+    const res = await upload({ subdomain: "truncated-archive" }, truncated)
+
+    assert.equal(res.status, 400)
+    assert.equal(res.body.code, "INVALID_BUNDLE")
+  })
+
+  it("clones a tenant into a new subdomain", async () => {
+    const subdomain = `clone-${crypto.randomBytes(4).toString("hex")}`
+    const res = await platform("POST", `/api/platform/tenants/${ctx.tenantA.tenant.id}/clone`, {
+      body: { subdomain },
+    })
+
+    assert.equal(res.status, 201)
+    imported.push(res.body.report.tenant.id)
+    assert.notEqual(res.body.report.tenant.id, ctx.tenantA.tenant.id)
+    assert.equal(res.body.report.counts.users, 3)
+
+    // Password hashes are copied, so the clone's users sign in with their old password
+    const login = await ctx.request("POST", "/api/auth/login", {
+      body: { email: ctx.tenantA.users.USER.email, password: "Password123!", subdomain },
+    })
+    assert.equal(login.status, 200)
+    assert.equal(login.body.tenant.id, res.body.report.tenant.id)
+    assert.notEqual(login.body.user.id, ctx.tenantA.users.USER.id)
+  })
+
+  it("rejects tenant tokens", async () => {
+    const res = await ctx.request("POST", `/api/platform/tenants/${ctx.tenantA.tenant.id}/clone`, {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { subdomain: `clone-${crypto.randomBytes(4).toString("hex")}` },
+    })
+
+    assert.equal(res.status, 403)
+    assert.equal(res.body.code, "PLATFORM_ADMIN_REQUIRED")
+  })
+})
+
+describe("platform tenant deletion", { skip: skipReason }, () => {
+  let ctx
+  let operator
+  let doomed
+
+  const platform = (method, path, options = {}) => ctx.request(method, path, { token: operator.token, ...options })
+
+  const login = (fixture) =>
+    ctx.request("POST", "/api/auth/login", {
+      body: { email: fixture.users.ADMIN.email, password: "Password123!", subdomain: fixture.tenant.subdomain },
+    })
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+    operator = await createPlatformOperator(ctx.request)
+    doomed = await loginFixture(ctx.request, await createTenantFixture("Charlie"))
+  })
+
+  after(async () => {
+    await removeTenants(doomed)
+    await operator?.remove()
+    await ctx?.close()
+  })
+
+  it("suspends the tenant and schedules its purge after the grace period", async () => {
+    const res = await platform("DELETE", `/api/tenants/${doomed.tenant.id}`)
+
+    assert.equal(res.status, 202)
+    const { deletionRequestedAt, deletionScheduledAt } = res.body.tenant
+    assert.equal(new Date(deletionScheduledAt) - new Date(deletionRequestedAt), 30 * 24 * 60 * 60 * 1000)
+
+    assert.notEqual((await ctx.request("GET", "/api/auth/me", { token: doomed.tokens.ADMIN })).status, 200)
+    assert.equal((await login(doomed)).status, 403)
+
+    const again = await platform("DELETE", `/api/tenants/${doomed.tenant.id}`)
+    assert.equal(again.status, 409)
+    assert.equal(again.body.code, "DELETION_ALREADY_SCHEDULED")
+  })
+
+  it("cancels the deletion on restore during the grace period", async () => {
+    const res = await platform("POST", `/api/platform/tenants/${doomed.tenant.id}/restore`)
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.tenant.isActive, true)
+    assert.equal(res.body.tenant.deletionScheduledAt, null)
+    assert.equal((await login(doomed)).status, 200)
+
+    // Nothing is left to purge
+    const tombstones = await purgeDueTenants()
+    assert.ok(!tombstones.some((tombstone) => tombstone.tenantId === doomed.tenant.id))
+  })
+
+  it("purges the tenant once the grace period is over and leaves a tombstone", async () => {
+    await platform("DELETE", `/api/tenants/${doomed.tenant.id}`)
+    await updateTenant(doomed, { deletionScheduledAt: new Date(Date.now() - 1000) })
+
+    const late = await platform("POST", `/api/platform/tenants/${doomed.tenant.id}/restore`)
+    assert.equal(late.status, 409)
+    assert.equal(late.body.code, "DELETION_GRACE_EXPIRED")
+
+    await purgeDueTenants()
+
+    assert.equal((await platform("GET", `/api/platform/tenants/${doomed.tenant.id}`)).status, 404)
+
+    const res = await platform("GET", "/api/platform/tombstones?limit=100")
+    const tombstone = res.body.tombstones.find((entry) => entry.tenantId === doomed.tenant.id)
+    assert.equal(tombstone.subdomain, doomed.tenant.subdomain)
+    assert.equal(tombstone.deletionRequestedBy, operator.admin.email)
+    assert.equal(tombstone.removedCounts.users, 3)
+    assert.equal(tombstone.removedCounts.projects, 3)
+  })
+})
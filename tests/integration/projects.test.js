@@ -0,0 +1,352 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { PASSWORD, setupTwoTenants, skipReason } from "./helpers.js"
+
+describe("projects routes across tenants", { skip: skipReason }, () => {
+  let ctx
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  describe("GET /api/projects", () => {
+    it("lists only projects of the caller's tenant", async () => {
+      for (const role of ["ADMIN", "USER", "VIEWER"]) {
+        const res = await ctx.request("GET", "/api/projects?limit=100", { token: ctx.tenantA.tokens[role] })
+
+        assert.equal(res.status, 200, role)
+        assert.equal(res.body.pagination.total, 3, role)
+        for (const project of res.body.projects) {
+          assert.equal(project.tenantId, ctx.tenantA.tenant.id)
+        }
+      }
+    })
+
+    it("does not find another tenant's projects by search", async () => {
+      const res = await ctx.request("GET", "/api/projects?search=Bravo", { token: ctx.tenantA.tokens.ADMIN })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.projects.length, 0)
+    })
+  })
+
+  describe("POST /api/projects", () => {
+    it("creates projects in the caller's tenant only", async () => {
+      const res = await ctx.request("POST", "/api/projects", {
+        token: ctx.tenantA.tokens.USER,
+        body: { name: "Smuggled", tenantId: ctx.tenantB.tenant.id },
+      })
+
+      // Unknown fields such as tenantId are rejected outright
+      assert.equal(res.status, 400)
+
+      const created = await ctx.request("POST", "/api/projects", {
+        token: ctx.tenantA.tokens.USER,
+        body: { name: "Alpha USER second project" },
+      })
+
+      assert.equal(created.status, 201)
+      assert.equal(created.body.project.tenantId, ctx.tenantA.tenant.id)
+
+      const fromB = await ctx.request("GET", `/api/projects/${created.body.project.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(fromB.status, 404)
+    })
+
+    it("requires project:create", async () => {
+      const res = await ctx.request("POST", "/api/projects", {
+        token: ctx.tenantA.tokens.VIEWER,
+        body: { name: "Viewer project" },
+      })
+
+      assert.equal(res.status, 403)
+    })
+  })
+
+  describe("routes by ID", () => {
+    it("GET /api/projects/:id returns 404 for another tenant's project", async () => {
+      for (const role of ["ADMIN", "USER", "VIEWER"]) {
+        const res = await ctx.request("GET", `/api/projects/${ctx.tenantB.projects.ADMIN.id}`, {
+          token: ctx.tenantA.tokens[role],
+        })
+
+        assert.equal(res.status, 404, role)
+        assert.equal(res.body.project, undefined)
+      }
+    })
+
+    it("PUT /api/projects/:id cannot modify another tenant's project", async () => {
+      const res = await ctx.request("PUT", `/api/projects/${ctx.tenantB.projects.USER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { name: "Hijacked" },
+      })
+
+      assert.equal(res.status, 404)
+
+      const check = await ctx.request("GET", `/api/projects/${ctx.tenantB.projects.USER.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(check.body.project.name, ctx.tenantB.projects.USER.name)
+    })
+
+    it("DELETE /api/projects/:id cannot delete another tenant's project", async () => {
+      const res = await ctx.request("DELETE", `/api/projects/${ctx.tenantB.projects.VIEWER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 404)
+
+      const check = await ctx.request("GET", `/api/projects/${ctx.tenantB.projects.VIEWER.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(check.status, 200)
+    })
+  })
+
+  describe("role checks", () => {
+    it("lets USER update its own project but not others", async () => {
+      const own = await ctx.request("PUT", `/api/projects/${ctx.tenantA.projects.USER.id}`, {
+        token: ctx.tenantA.tokens.USER,
+        body: { description: "Updated by owner" },
+      })
+      assert.equal(own.status, 200)
+
+      const other = await ctx.request("PUT", `/api/projects/${ctx.tenantA.projects.ADMIN.id}`, {
+        token: ctx.tenantA.tokens.USER,
+        body: { description: "Updated by someone else" },
+      })
+      assert.equal(other.status, 403)
+    })
+
+    it("keeps VIEWER read-only, even on its own project", async () => {
+      const res = await ctx.request("PUT", `/api/projects/${ctx.tenantA.projects.VIEWER.id}`, {
+        token: ctx.tenantA.tokens.VIEWER,
+        body: { description: "Updated by viewer" },
+      })
+      assert.equal(res.status, 403)
+    })
+
+    it("lets ADMIN update any project in its tenant", async () => {
+      const res = await ctx.request("PUT", `/api/projects/${ctx.tenantA.projects.VIEWER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { description: "Updated by admin" },
+      })
+      assert.equal(res.status, 200)
+    })
+
+    it("only lets ADMIN delete projects", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("DELETE", `/api/projects/${ctx.tenantA.projects[role].id}`, {
+          token: ctx.tenantA.tokens[role],
+        })
+        assert.equal(res.status, 403, role)
+      }
+
+      const res = await ctx.request("DELETE", `/api/projects/${ctx.tenantA.projects.VIEWER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+      assert.equal(res.status, 200)
+    })
+  })
+
+  describe("project members", () => {
+    const members = (projectId, token = ctx.tenantA.tokens.ADMIN) =>
+      ctx.request("GET", `/api/projects/${projectId}/members`, { token })
+
+    it("lets an editor update a project until demoted to viewer", async () => {
+      const project = ctx.tenantA.projects.ADMIN
+      const added = await ctx.request("POST", `/api/projects/${project.id}/members`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { userId: ctx.tenantA.users.USER.id, role: "EDITOR" },
+      })
+      assert.equal(added.status, 201)
+      assert.equal(added.body.member.role, "EDITOR")
+
+      const edited = await ctx.request("PUT", `/api/projects/${project.id}`, {
+        token: ctx.tenantA.tokens.USER,
+        body: { description: "Updated by editor" },
+      })
+      assert.equal(edited.status, 200)
+
+      const demoted = await ctx.request("PUT", `/api/projects/${project.id}/members/${ctx.tenantA.users.USER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { role: "VIEWER" },
+      })
+      assert.equal(demoted.status, 200)
+
+      const refused = await ctx.request("PUT", `/api/projects/${project.id}`, {
+        token: ctx.tenantA.tokens.USER,
+        body: { description: "Updated by viewer" },
+      })
+      assert.equal(refused.status, 403)
+    })
+
+    it("keeps the tenant permission as the ceiling for editors", async () => {
+      const project = ctx.tenantA.projects.USER
+      const added = await ctx.request("POST", `/api/projects/${project.id}/members`, {
+        token: ctx.tenantA.tokens.USER,
+        body: { userId: ctx.tenantA.users.VIEWER.id, role: "EDITOR" },
+      })
+      assert.equal(added.status, 201)
+
+      const res = await ctx.request("PUT", `/api/projects/${project.id}`, {
+        token: ctx.tenantA.tokens.VIEWER,
+        body: { description: "Updated by viewer editor" },
+      })
+      assert.equal(res.status, 403)
+    })
+
+    it("only lets the owner or project:update manage members", async () => {
+      const res = await ctx.request("POST", `/api/projects/${ctx.tenantA.projects.ADMIN.id}/members`, {
+        token: ctx.tenantA.tokens.USER,
+        body: { userId: ctx.tenantA.users.VIEWER.id },
+      })
+      assert.equal(res.status, 403)
+    })
+
+    it("rejects duplicate members and users from another tenant", async () => {
+      const project = ctx.tenantA.projects.ADMIN
+      const duplicate = await ctx.request("POST", `/api/projects/${project.id}/members`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { userId: ctx.tenantA.users.ADMIN.id },
+      })
+      assert.equal(duplicate.status, 409)
+
+      const foreign = await ctx.request("POST", `/api/projects/${project.id}/members`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { userId: ctx.tenantB.users.USER.id },
+      })
+      assert.equal(foreign.status, 404)
+      assert.equal(foreign.body.code, "USER_NOT_FOUND")
+    })
+
+    it("filters to the caller's projects with member=me", async () => {
+      const res = await ctx.request("GET", "/api/projects?member=me&limit=100", { token: ctx.tenantA.tokens.USER })
+
+      assert.equal(res.status, 200)
+      const ids = res.body.projects.map((project) => project.id)
+      assert.ok(ids.includes(ctx.tenantA.projects.USER.id))
+      assert.ok(ids.includes(ctx.tenantA.projects.ADMIN.id))
+      for (const project of res.body.projects) {
+        assert.ok(project.userId === ctx.tenantA.users.USER.id || project.id === ctx.tenantA.projects.ADMIN.id)
+      }
+
+      const viewer = await ctx.request("GET", "/api/projects?member=me", { token: ctx.tenantA.tokens.VIEWER })
+      assert.deepEqual(
+        viewer.body.projects.map((project) => project.id),
+        [ctx.tenantA.projects.USER.id],
+      )
+    })
+
+    it("does not remove the owner but lets members leave", async () => {
+      const project = ctx.tenantA.projects.USER
+      const owner = await ctx.request("DELETE", `/api/projects/${project.id}/members/${ctx.tenantA.users.USER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+      assert.equal(owner.status, 400)
+      assert.equal(owner.body.code, "PROJECT_OWNER")
+
+      const left = await ctx.request("DELETE", `/api/projects/${project.id}/members/${ctx.tenantA.users.VIEWER.id}`, {
+        token: ctx.tenantA.tokens.VIEWER,
+      })
+      assert.equal(left.status, 200)
+
+      const list = await members(project.id)
+      assert.deepEqual(
+        list.body.members.map((member) => member.role),
+        ["OWNER"],
+      )
+    })
+
+    it("keeps the previous owner as editor after a transfer", async () => {
+      const project = ctx.tenantA.projects.ADMIN
+      const res = await ctx.request("POST", `/api/projects/${project.id}/transfer-ownership`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { userId: ctx.tenantA.users.USER.id },
+      })
+      assert.equal(res.status, 200)
+      assert.equal(res.body.project.userId, ctx.tenantA.users.USER.id)
+
+      const list = await members(project.id)
+      assert.deepEqual(
+        list.body.members.map((member) => [member.user.id, member.role]),
+        [
+          [ctx.tenantA.users.USER.id, "OWNER"],
+          [ctx.tenantA.users.ADMIN.id, "EDITOR"],
+        ],
+      )
+    })
+
+    it("answers 404 for projects hidden from a caller without project:read", async () => {
+      const role = await ctx.request("POST", "/api/roles", {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { name: "Project editors", permissions: ["project:update:own"] },
+      })
+      assert.equal(role.status, 201)
+
+      const email = `project-editor-${Date.now()}@example.com`
+      const created = await ctx.request("POST", "/api/users", {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { email, password: PASSWORD, firstName: "Project", lastName: "Editor", role: "USER" },
+      })
+      assert.equal(created.status, 201)
+      const editor = created.body.user
+
+      const assigned = await ctx.request("PUT", `/api/users/${editor.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { roleId: role.body.role.id },
+      })
+      assert.equal(assigned.status, 200)
+
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+      const { token } = login.body
+
+      const project = ctx.tenantA.projects.USER
+      for (const [method, path, body] of [
+        ["PUT", "", { description: "Updated by a stranger" }],
+        ["POST", "/members", { userId: editor.id }],
+        ["PUT", `/members/${ctx.tenantA.users.ADMIN.id}`, { role: "VIEWER" }],
+        ["DELETE", `/members/${ctx.tenantA.users.VIEWER.id}`],
+        ["POST", "/transfer-ownership", { userId: editor.id }],
+      ]) {
+        const res = await ctx.request(method, `/api/projects/${project.id}${path}`, { token, body })
+        assert.equal(res.status, 404, `${method} ${path}`)
+        assert.equal(res.body.code, "PROJECT_NOT_FOUND", `${method} ${path}`)
+      }
+
+      // Once a member, the project is found and the project role decides
+      const added = await ctx.request("POST", `/api/projects/${project.id}/members`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { userId: editor.id, role: "VIEWER" },
+      })
+      assert.equal(added.status, 201)
+
+      const update = (description) =>
+        ctx.request("PUT", `/api/projects/${project.id}`, { token, body: { description } })
+      assert.equal((await update("Updated by a viewer")).status, 403)
+
+      const promoted = await ctx.request("PUT", `/api/projects/${project.id}/members/${editor.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { role: "EDITOR" },
+      })
+      assert.equal(promoted.status, 200)
+      assert.equal((await update("Updated by an editor")).status, 200)
+    })
+
+    it("does not manage members of another tenant's project", async () => {
+      const res = await ctx.request("POST", `/api/projects/${ctx.tenantB.projects.ADMIN.id}/members`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { userId: ctx.tenantA.users.USER.id },
+      })
+      assert.equal(res.status, 404)
+      assert.equal((await members(ctx.tenantB.projects.ADMIN.id)).status, 404)
+    })
+  })
+})
@@ -0,0 +1,33 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { bypassesRowLevelSecurity, selectAsTenant, setupTwoTenants, skipReason } from "./helpers.js"
+
+describe("row-level security", { skip: skipReason }, () => {
+  let ctx
+  let exempt
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+    exempt = await bypassesRowLevelSecurity()
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  for (const table of ["users", "projects"]) {
+    it(`raw queries on ${table} only see the current tenant`, async (t) => {
+      if (exempt) {
+        t.skip("database role is a superuser or has BYPASSRLS")
+        return
+      }
+
+      const rows = await selectAsTenant(ctx.tenantA.tenant.id, table)
+
+      assert.ok(rows.length > 0)
+      for (const row of rows) {
+        assert.equal(row.tenantId, ctx.tenantA.tenant.id)
+      }
+    })
+  }
+})
@@ -0,0 +1,277 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { setupTwoTenants, skipReason, tenantHost } from "./helpers.js"
+
+const USER_SCHEMA = "urn:ietf:params:scim:schemas:core:2.0:User"
+const PATCH_OP = "urn:ietf:params:scim:api:messages:2.0:PatchOp"
+
+describe("SCIM provisioning", { skip: skipReason }, () => {
+  let ctx
+  let key
+  let groups
+
+  const scim = (method, path, options = {}) => ctx.request(method, `/scim/v2${path}`, { token: key, ...options })
+
+  const provision = (userName, extra = {}) =>
+    scim("POST", "/Users", {
+      body: {
+        schemas: [USER_SCHEMA],
+        userName,
+        name: { givenName: "Scim", familyName: "User" },
+        active: true,
+        ...extra,
+      },
+    })
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+
+    const res = await ctx.request("POST", "/api/api-keys", {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { name: "Identity provider", scopes: ["scim:provision"] },
+    })
+    assert.equal(res.status, 201)
+    key = res.body.key
+
+    const list = await scim("GET", "/Groups?excludedAttributes=members")
+    groups = Object.fromEntries(list.body.Resources.map((group) => [group.displayName, group]))
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  describe("authentication", () => {
+    it("requires an API key", async () => {
+      const res = await ctx.request("GET", "/scim/v2/Users")
+
+      assert.equal(res.status, 401)
+      assert.equal(res.headers["content-type"].split(";")[0], "application/scim+json")
+      assert.equal(res.body.status, "401")
+    })
+
+    it("refuses a key without the scim:provision scope", async () => {
+      const created = await ctx.request("POST", "/api/api-keys", {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { name: "Reporting", scopes: ["user:read"] },
+      })
+      const res = await ctx.request("GET", "/scim/v2/Users", { token: created.body.key })
+
+      assert.equal(res.status, 403)
+    })
+
+    it("refuses the key on another tenant's host", async () => {
+      const res = await scim("GET", "/Users", { host: tenantHost(ctx.tenantB, ctx.port) })
+
+      assert.equal(res.status, 403)
+    })
+  })
+
+  describe("Users", () => {
+    it("provisions a user with the USER role and no usable password", async () => {
+      const res = await provision("Linus@Example.com", { externalId: "idp-1" })
+
+      assert.equal(res.status, 201)
+      assert.equal(res.body.userName, "linus@example.com")
+      assert.equal(res.body.externalId, "idp-1")
+      assert.equal(res.body.active, true)
+      assert.deepEqual(
+        res.body.groups.map((group) => group.display),
+        ["USER"],
+      )
+      assert.equal(res.headers.location, res.body.meta.location)
+
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email: "linus@example.com", password: "Password123!", subdomain: ctx.tenantA.tenant.subdomain },
+      })
+      assert.equal(login.status, 401)
+    })
+
+    it("rejects a duplicate userName", async () => {
+      const res = await provision(ctx.tenantA.users.USER.email)
+
+      assert.equal(res.status, 409)
+      assert.equal(res.body.scimType, "uniqueness")
+    })
+
+    it("filters by userName case-insensitively", async () => {
+      const res = await scim("GET", `/Users?filter=${encodeURIComponent('userName eq "LINUS@example.com"')}`)
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.totalResults, 1)
+      assert.equal(res.body.Resources[0].externalId, "idp-1")
+    })
+
+    it("supports logical operators and grouping in filters", async () => {
+      await provision("margaret@example.com", { externalId: "idp-2" })
+      const filter = 'userName sw "margaret" or (externalId eq "idp-1" and not (active eq false))'
+      const res = await scim("GET", `/Users?filter=${encodeURIComponent(filter)}`)
+
+      assert.equal(res.status, 200)
+      assert.deepEqual(res.body.Resources.map((user) => user.externalId).sort(), ["idp-1", "idp-2"])
+    })
+
+    it("rejects an invalid filter", async () => {
+      const res = await scim("GET", `/Users?filter=${encodeURIComponent('title eq "CEO"')}`)
+
+      assert.equal(res.status, 400)
+      assert.equal(res.body.scimType, "invalidFilter")
+    })
+
+    it("rejects a filter string with an invalid escape", async () => {
+      const res = await scim("GET", `/Users?filter=${encodeURIComponent('userName eq "a\\qb"')}`)
+
+      assert.equal(res.status, 400)
+      assert.equal(res.body.scimType, "invalidFilter")
+    })
+
+    it("pages with startIndex and count", async () => {
+      const all = await scim("GET", "/Users")
+      const page = await scim("GET", "/Users?startIndex=2&count=2")
+
+      assert.equal(page.status, 200)
+      assert.equal(page.body.totalResults, all.body.totalResults)
+      assert.equal(page.body.startIndex, 2)
+      assert.equal(page.body.itemsPerPage, 2)
+      assert.deepEqual(
+        page.body.Resources.map((user) => user.id),
+        all.body.Resources.slice(1, 3).map((user) => user.id),
+      )
+    })
+
+    it("only lists users of the key's tenant", async () => {
+      const filter = `userName eq "${ctx.tenantB.users.ADMIN.email}"`
+      const res = await scim("GET", `/Users?filter=${encodeURIComponent(filter)}`)
+
+      assert.equal(res.body.totalResults, 0)
+      assert.equal((await scim("GET", `/Users/${ctx.tenantB.users.ADMIN.id}`)).status, 404)
+    })
+
+    it("deactivates a user with a PATCH operation", async () => {
+      const created = await provision("ada.patch@example.com")
+      const res = await scim("PATCH", `/Users/${created.body.id}`, {
+        body: {
+          schemas: [PATCH_OP],
+          Operations: [
+            { op: "Replace", path: "active", value: "False" },
+            { op: "replace", value: { "name.givenName": "Augusta" } },
+          ],
+        },
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.active, false)
+      assert.equal(res.body.name.givenName, "Augusta")
+    })
+
+    it("deactivates on DELETE instead of removing the user", async () => {
+      const created = await provision("removed@example.com")
+
+      const res = await scim("DELETE", `/Users/${created.body.id}`)
+      assert.equal(res.status, 204)
+
+      const fetched = await scim("GET", `/Users/${created.body.id}`)
+      assert.equal(fetched.status, 200)
+      assert.equal(fetched.body.active, false)
+    })
+  })
+
+  describe("Groups", () => {
+    it("exposes the built-in roles", () => {
+      assert.deepEqual(Object.keys(groups).sort(), ["ADMIN", "USER", "VIEWER"])
+    })
+
+    it("assigns the role of the group a user is added to", async () => {
+      const created = await provision("promoted@example.com")
+      const res = await scim("PATCH", `/Groups/${groups.ADMIN.id}`, {
+        body: {
+          schemas: [PATCH_OP],
+          Operations: [{ op: "add", path: "members", value: [{ value: created.body.id }] }],
+        },
+      })
+
+      assert.equal(res.status, 200)
+      assert.ok(res.body.members.some((member) => member.value === created.body.id))
+
+      const user = await scim("GET", `/Users/${created.body.id}`)
+      assert.deepEqual(
+        user.body.groups.map((group) => group.display),
+        ["ADMIN"],
+      )
+    })
+
+    it("drops removed members to VIEWER", async () => {
+      const created = await provision("demoted@example.com")
+      const res = await scim("PATCH", `/Groups/${groups.USER.id}`, {
+        body: {
+          schemas: [PATCH_OP],
+          Operations: [{ op: "remove", path: `members[value eq "${created.body.id}"]` }],
+        },
+      })
+
+      assert.equal(res.status, 200)
+      assert.ok(!res.body.members.some((member) => member.value === created.body.id))
+
+      const user = await scim("GET", `/Users/${created.body.id}`)
+      assert.deepEqual(
+        user.body.groups.map((group) => group.display),
+        ["VIEWER"],
+      )
+    })
+
+    it("refuses to leave the tenant without an administrator", async () => {
+      const before = await scim("GET", `/Groups/${groups.ADMIN.id}`)
+      assert.ok(before.body.members.length > 1)
+
+      const res = await scim("PUT", `/Groups/${groups.ADMIN.id}`, {
+        body: { schemas: [groups.ADMIN.schemas[0]], displayName: "ADMIN", members: [] },
+      })
+
+      assert.equal(res.status, 409)
+
+      // No admin was demoted, not even the ones handled before the check failed
+      const after = await scim("GET", `/Groups/${groups.ADMIN.id}`)
+      assert.deepEqual(
+        after.body.members.map((member) => member.value).sort(),
+        before.body.members.map((member) => member.value).sort(),
+      )
+    })
+
+    it("replaces the members of a group as long as an administrator is left", async () => {
+      const res = await scim("PUT", `/Groups/${groups.ADMIN.id}`, {
+        body: {
+          schemas: [groups.ADMIN.schemas[0]],
+          displayName: "ADMIN",
+          members: [{ value: ctx.tenantA.users.ADMIN.id }],
+        },
+      })
+
+      assert.equal(res.status, 200)
+      assert.deepEqual(
+        res.body.members.map((member) => member.value),
+        [ctx.tenantA.users.ADMIN.id],
+      )
+    })
+
+    it("cannot be renamed", async () => {
+      const res = await scim("PATCH", `/Groups/${groups.USER.id}`, {
+        body: { schemas: [PATCH_OP], Operations: [{ op: "replace", path: "displayName", value: "Staff" }] },
+      })
+
+      assert.equal(res.status, 400)
+      assert.equal(res.body.scimType, "mutability")
+    })
+
+    it("rejects members from another tenant", async () => {
+      const res = await scim("PATCH", `/Groups/${groups.ADMIN.id}`, {
+        body: {
+          schemas: [PATCH_OP],
+          Operations: [{ op: "add", path: "members", value: [{ value: ctx.tenantB.users.USER.id }] }],
+        },
+      })
+
+      assert.equal(res.status, 400)
+      assert.equal(res.body.scimType, "invalidValue")
+    })
+  })
+})
@@ -0,0 +1,150 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  PASSWORD,
+  checkpointLedger,
+  createTenantFixture,
+  deleteSecurityEvents,
+  loginFixture,
+  removeTenants,
+  rewriteSecurityEvent,
+  setupTwoTenants,
+  skipReason,
+} from "./helpers.js"
+
+describe("security event ledger", { skip: skipReason }, () => {
+  let ctx
+  let tenantC
+
+  const verify = (fixture) => ctx.request("GET", "/api/security-events/verify", { token: fixture.tokens.ADMIN })
+
+  const events = async (fixture) => {
+    const res = await ctx.request("GET", "/api/security-events?limit=100", { token: fixture.tokens.ADMIN })
+    assert.equal(res.status, 200)
+    return res.body.securityEvents
+  }
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+    tenantC = await loginFixture(ctx.request, await createTenantFixture("Charlie"))
+  })
+
+  after(async () => {
+    if (tenantC) {
+      await removeTenants(tenantC)
+    }
+    await ctx?.close()
+  })
+
+  it("chains the tenant's logins and verifies them", async () => {
+    const ledger = await events(ctx.tenantA)
+    assert.deepEqual(
+      ledger.map((event) => event.sequence),
+      ledger.map((_, index) => ledger.length - index),
+    )
+    assert.ok(ledger.every((event) => event.tenantId === ctx.tenantA.tenant.id))
+    assert.ok(ledger.some((event) => event.type === "auth.login_succeeded"))
+
+    const res = await verify(ctx.tenantA)
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.verification.valid, true)
+    assert.equal(res.body.verification.checked, ledger.length)
+    assert.deepEqual(res.body.verification.head, { sequence: ledger[0].sequence, hash: ledger[0].hash })
+    assert.equal(res.body.verification.brokenLink, null)
+  })
+
+  it("pages backwards by sequence", async () => {
+    const first = await ctx.request("GET", "/api/security-events?limit=1", { token: ctx.tenantA.tokens.ADMIN })
+    const { nextCursor } = first.body.pagination
+
+    const second = await ctx.request("GET", `/api/security-events?limit=1&before=${nextCursor}`, {
+      token: ctx.tenantA.tokens.ADMIN,
+    })
+
+    assert.equal(second.status, 200)
+    assert.equal(second.body.securityEvents[0].sequence, first.body.securityEvents[0].sequence - 1)
+  })
+
+  it("keeps personal data out of the ledger, so erasing a user leaves the chain intact", async () => {
+    const email = `ledger-erased@${ctx.tenantA.tenant.subdomain}.example.com`
+    const created = await ctx.request("POST", "/api/users", {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { email, password: PASSWORD, firstName: "Ledger", lastName: "Erased" },
+    })
+    const login = await ctx.request("POST", "/api/auth/login", {
+      body: { email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+    })
+    assert.equal(login.status, 200)
+
+    const ledger = await events(ctx.tenantA)
+    assert.ok(ledger.some((event) => event.entityId === created.body.user.id))
+    assert.ok(!JSON.stringify(ledger).includes(email))
+    for (const event of ledger) {
+      assert.deepEqual(Object.keys(event.payload).sort(), ["auditLogId", "digest"])
+    }
+
+    const erased = await ctx.request("POST", `/api/users/${created.body.user.id}/erase`, {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: { projects: "delete" },
+    })
+    assert.equal(erased.status, 200)
+
+    const res = await verify(ctx.tenantA)
+    assert.equal(res.body.verification.valid, true)
+  })
+
+  it("reports a rewritten entry", async () => {
+    await rewriteSecurityEvent(ctx.tenantA, 2, { actorId: ctx.tenantA.users.VIEWER.id })
+
+    const res = await verify(ctx.tenantA)
+
+    assert.equal(res.body.verification.valid, false)
+    assert.equal(res.body.verification.checked, 1)
+    assert.equal(res.body.verification.head.sequence, 1)
+    assert.equal(res.body.verification.brokenLink.sequence, 2)
+    assert.equal(res.body.verification.brokenLink.reason, "HASH_MISMATCH")
+  })
+
+  it("does not let one tenant's tampering affect another", async () => {
+    const res = await verify(ctx.tenantB)
+
+    assert.equal(res.body.verification.valid, true)
+  })
+
+  it("reports a deleted entry", async () => {
+    await deleteSecurityEvents(ctx.tenantB, [2])
+
+    const res = await verify(ctx.tenantB)
+
+    assert.equal(res.body.verification.valid, false)
+    assert.equal(res.body.verification.brokenLink.sequence, 3)
+    assert.equal(res.body.verification.brokenLink.reason, "SEQUENCE_GAP")
+    assert.equal(res.body.verification.brokenLink.expectedSequence, 2)
+  })
+
+  it("reports entries cut from the end of a checkpointed chain", async () => {
+    const checkpoint = await checkpointLedger(tenantC)
+    assert.ok(checkpoint)
+
+    const intact = await verify(tenantC)
+    assert.equal(intact.body.verification.valid, true)
+    assert.equal(intact.body.verification.checkpoints, 1)
+
+    await deleteSecurityEvents(tenantC, [checkpoint.sequence])
+
+    const res = await verify(tenantC)
+
+    assert.equal(res.body.verification.valid, false)
+    assert.equal(res.body.verification.checked, checkpoint.sequence - 1)
+    assert.equal(res.body.verification.brokenLink.sequence, checkpoint.sequence)
+    assert.equal(res.body.verification.brokenLink.reason, "CHAIN_TRUNCATED")
+  })
+
+  it("requires audit:read", async () => {
+    for (const role of ["USER", "VIEWER"]) {
+      const res = await ctx.request("GET", "/api/security-events/verify", { token: ctx.tenantA.tokens[role] })
+      assert.equal(res.status, 403, role)
+    }
+  })
+})
@@ -0,0 +1,279 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { setupTwoTenants, skipReason, tenantHost } from "./helpers.js"
+import { startMockIdp } from "./mockIdp.js"
+
+const client = {
+  clientId: "saas-test-client",
+  clientSecret: "saas-test-secret",
+  redirectUri: "http://app.localhost/sso/callback",
+}
+
+process.env.SSO_REDIRECT_URI = client.redirectUri
+
+describe("OIDC single sign-on", { skip: skipReason }, () => {
+  let ctx
+  let idp
+  let corporateDomain
+
+  /**
+   * Run the browser side of an SSO login up to the redirect back to the app
+   * @returns {Object} ({ body, cookie }) code and state from the redirect URI, and the state cookie
+   */
+  const authorize = async (fixture, claims) => {
+    idp.signIn(claims)
+
+    const start = await ctx.request("GET", `/api/auth/sso/authorize?subdomain=${fixture.tenant.subdomain}`)
+    assert.equal(start.status, 302)
+    const cookie = start.headers["set-cookie"][0].split(";")[0]
+
+    const grant = await fetch(start.headers.location, { redirect: "manual" })
+    assert.equal(grant.status, 302)
+
+    const callback = new URL(grant.headers.get("location"))
+    return {
+      body: { code: callback.searchParams.get("code"), state: callback.searchParams.get("state") },
+      cookie,
+    }
+  }
+
+  const login = async (fixture, claims, options = {}) =>
+    ctx.request("POST", "/api/auth/sso/callback", { ...(await authorize(fixture, claims)), ...options })
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+    idp = await startMockIdp(client)
+    corporateDomain = `${ctx.tenantA.tenant.subdomain}.example.com`
+
+    const res = await ctx.request("PUT", `/api/tenants/${ctx.tenantA.tenant.id}/sso`, {
+      token: ctx.tenantA.tokens.ADMIN,
+      body: {
+        issuer: idp.issuer,
+        clientId: client.clientId,
+        clientSecret: client.clientSecret,
+        allowedDomains: ["corp.example.com", corporateDomain],
+        defaultRole: "VIEWER",
+      },
+    })
+    assert.equal(res.status, 201)
+  })
+
+  after(async () => {
+    await idp?.close()
+    await ctx?.close()
+  })
+
+  describe("connection settings", () => {
+    it("never returns the client secret", async () => {
+      const res = await ctx.request("GET", `/api/tenants/${ctx.tenantA.tenant.id}/sso`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.sso.issuer, idp.issuer)
+      assert.equal(res.body.sso.clientSecret, undefined)
+      assert.equal(res.body.redirectUri, client.redirectUri)
+    })
+
+    it("cannot be read by another tenant", async () => {
+      const res = await ctx.request("GET", `/api/tenants/${ctx.tenantA.tenant.id}/sso`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 403)
+    })
+
+    it("rejects an issuer without a discovery document", async () => {
+      const res = await ctx.request("PUT", `/api/tenants/${ctx.tenantB.tenant.id}/sso`, {
+        token: ctx.tenantB.tokens.ADMIN,
+        body: {
+          issuer: "http://127.0.0.1:1",
+          clientId: client.clientId,
+          clientSecret: client.clientSecret,
+          allowedDomains: ["corp.example.com"],
+        },
+      })
+
+      assert.equal(res.status, 422)
+      assert.equal(res.body.code, "SSO_DISCOVERY_FAILED")
+    })
+
+    it("rejects issuers on plain http or internal addresses", async () => {
+      for (const issuer of ["http://localhost:1", "https://127.0.0.2", "https://10.0.0.1", "https://[::1]"]) {
+        const res = await ctx.request("PUT", `/api/tenants/${ctx.tenantB.tenant.id}/sso`, {
+          token: ctx.tenantB.tokens.ADMIN,
+          body: {
+            issuer,
+            clientId: client.clientId,
+            clientSecret: client.clientSecret,
+            allowedDomains: ["corp.example.com"],
+          },
+        })
+
+        assert.equal(res.status, 422, issuer)
+        assert.equal(res.body.code, "SSO_ISSUER_FORBIDDEN", issuer)
+      }
+    })
+  })
+
+  describe("GET /api/auth/sso/authorize", () => {
+    it("redirects to the identity provider with a PKCE challenge", async () => {
+      const res = await ctx.request("GET", `/api/auth/sso/authorize?subdomain=${ctx.tenantA.tenant.subdomain}`)
+      const location = new URL(res.headers.location)
+
+      assert.equal(res.status, 302)
+      assert.equal(location.origin, idp.issuer)
+      assert.equal(location.searchParams.get("client_id"), client.clientId)
+      assert.equal(location.searchParams.get("redirect_uri"), client.redirectUri)
+      assert.equal(location.searchParams.get("code_challenge_method"), "S256")
+      assert.ok(location.searchParams.get("code_challenge"))
+      assert.ok(location.searchParams.get("state"))
+      assert.ok(location.searchParams.get("nonce"))
+
+      const cookie = res.headers["set-cookie"][0]
+      assert.equal(cookie.split(";")[0], `sso_state=${location.searchParams.get("state")}`)
+      assert.match(cookie, /HttpOnly/)
+      assert.match(cookie, /SameSite=Lax/)
+      assert.match(cookie, /Path=\/api\/auth\/sso/)
+    })
+
+    it("does not start a login for a tenant without SSO", async () => {
+      const res = await ctx.request("GET", `/api/auth/sso/authorize?subdomain=${ctx.tenantB.tenant.subdomain}`)
+
+      assert.equal(res.status, 404)
+      assert.equal(res.body.code, "SSO_NOT_CONFIGURED")
+    })
+  })
+
+  describe("POST /api/auth/sso/callback", () => {
+    it("provisions a user with the default role on first login", async () => {
+      const res = await login(ctx.tenantA, {
+        sub: "idp-user-1",
+        email: "Ada@corp.example.com",
+        given_name: "Ada",
+        family_name: "Lovelace",
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.provisioned, true)
+      assert.equal(res.body.user.email, "ada@corp.example.com")
+      assert.equal(res.body.user.role, "VIEWER")
+      assert.equal(res.body.tenant.id, ctx.tenantA.tenant.id)
+
+      const me = await ctx.request("GET", "/api/auth/me", { token: res.body.token })
+      assert.equal(me.status, 200)
+      assert.equal(me.body.user.id, res.body.user.id)
+    })
+
+    it("signs the same user in on the next login", async () => {
+      const first = await login(ctx.tenantA, { sub: "idp-user-2", email: "grace@corp.example.com" })
+      const second = await login(ctx.tenantA, { sub: "idp-user-2", email: "grace@corp.example.com" })
+
+      assert.equal(second.status, 200)
+      assert.equal(second.body.provisioned, false)
+      assert.equal(second.body.user.id, first.body.user.id)
+    })
+
+    it("signs in an existing user with the same email", async () => {
+      const res = await login(ctx.tenantA, { sub: "idp-user-3", email: ctx.tenantA.users.USER.email })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.provisioned, false)
+      assert.equal(res.body.user.id, ctx.tenantA.users.USER.id)
+      assert.equal(res.body.user.role, "USER")
+    })
+
+    it("refuses an email outside the allowed domains", async () => {
+      const res = await login(ctx.tenantA, { sub: "idp-user-4", email: "mallory@elsewhere.example.com" })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "SSO_DOMAIN_NOT_ALLOWED")
+    })
+
+    it("refuses an unverified email", async () => {
+      const res = await login(ctx.tenantA, { sub: "idp-user-5", email: "eve@corp.example.com", email_verified: false })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "SSO_EMAIL_NOT_VERIFIED")
+    })
+
+    it("refuses a token that does not say the email is verified", async () => {
+      idp.tamperNextToken({ claims: { email_verified: undefined } })
+      const res = await login(ctx.tenantA, { sub: "idp-user-11", email: ctx.tenantA.users.ADMIN.email })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "SSO_EMAIL_NOT_VERIFIED")
+      assert.equal(res.body.token, undefined)
+    })
+
+    it("refuses a token that only claims a verified email as a string", async () => {
+      idp.tamperNextToken({ claims: { email_verified: "true" } })
+      const res = await login(ctx.tenantA, { sub: "idp-user-12", email: ctx.tenantA.users.ADMIN.email })
+
+      assert.equal(res.status, 403)
+      assert.equal(res.body.code, "SSO_EMAIL_NOT_VERIFIED")
+    })
+
+    it("refuses an ID token signed with an unknown key", async () => {
+      idp.tamperNextToken({ foreignKey: true })
+      const res = await login(ctx.tenantA, { sub: "idp-user-6", email: "forged@corp.example.com" })
+
+      assert.equal(res.status, 401)
+      assert.equal(res.body.code, "SSO_INVALID_ID_TOKEN")
+    })
+
+    it("refuses an ID token issued for another login", async () => {
+      idp.tamperNextToken({ claims: { nonce: "replayed-nonce" } })
+      const res = await login(ctx.tenantA, { sub: "idp-user-7", email: "replay@corp.example.com" })
+
+      assert.equal(res.status, 401)
+      assert.equal(res.body.code, "SSO_INVALID_ID_TOKEN")
+    })
+
+    it("refuses an ID token issued for another client", async () => {
+      idp.tamperNextToken({ claims: { aud: "another-client" } })
+      const res = await login(ctx.tenantA, { sub: "idp-user-8", email: "audience@corp.example.com" })
+
+      assert.equal(res.status, 401)
+      assert.equal(res.body.code, "SSO_INVALID_ID_TOKEN")
+    })
+
+    it("accepts a state only once", async () => {
+      const grant = await authorize(ctx.tenantA, { sub: "idp-user-9", email: "once@corp.example.com" })
+
+      const first = await ctx.request("POST", "/api/auth/sso/callback", grant)
+      const second = await ctx.request("POST", "/api/auth/sso/callback", grant)
+
+      assert.equal(first.status, 200)
+      assert.equal(second.status, 400)
+      assert.equal(second.body.code, "SSO_INVALID_STATE")
+    })
+
+    it("does not complete a login in a browser that did not start it", async () => {
+      const attacker = await authorize(ctx.tenantA, { sub: "idp-attacker", email: "attacker@corp.example.com" })
+      const victim = await authorize(ctx.tenantA, { sub: "idp-victim", email: "victim@corp.example.com" })
+
+      const withoutCookie = await ctx.request("POST", "/api/auth/sso/callback", { body: attacker.body })
+      assert.equal(withoutCookie.status, 400)
+      assert.equal(withoutCookie.body.code, "SSO_INVALID_STATE")
+
+      const otherLogin = await ctx.request("POST", "/api/auth/sso/callback", {
+        body: attacker.body,
+        cookie: victim.cookie,
+      })
+      assert.equal(otherLogin.status, 400)
+      assert.equal(otherLogin.body.code, "SSO_INVALID_STATE")
+    })
+
+    it("does not complete a login on another tenant's host", async () => {
+      const res = await login(
+        ctx.tenantA,
+        { sub: "idp-user-10", email: "host@corp.example.com" },
+        { host: tenantHost(ctx.tenantB, ctx.port) },
+      )
+
+      assert.equal(res.status, 400)
+      assert.equal(res.body.code, "TENANT_MISMATCH")
+    })
+  })
+})
@@ -0,0 +1,247 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import zlib from "zlib"
+import { extractTar } from "../../src/utils/tar.js"
+import { publishDnsRecord, setupTwoTenants, skipReason, waitFor } from "./helpers.js"
+
+describe("tenants routes across tenants", { skip: skipReason }, () => {
+  let ctx
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  describe("platform-only routes", () => {
+    it("GET /api/tenants rejects tenant tokens", async () => {
+      for (const role of ["ADMIN", "USER", "VIEWER"]) {
+        const res = await ctx.request("GET", "/api/tenants", { token: ctx.tenantA.tokens[role] })
+
+        assert.equal(res.status, 403, role)
+        assert.equal(res.body.code, "PLATFORM_ADMIN_REQUIRED")
+        assert.equal(res.body.tenants, undefined)
+      }
+    })
+
+    it("DELETE /api/tenants/:id rejects tenant tokens", async () => {
+      const res = await ctx.request("DELETE", `/api/tenants/${ctx.tenantB.tenant.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 403)
+
+      const me = await ctx.request("GET", "/api/auth/me", { token: ctx.tenantB.tokens.ADMIN })
+      assert.equal(me.status, 200)
+    })
+  })
+
+  describe("GET /api/tenants/:id", () => {
+    it("returns the caller's own tenant to every role", async () => {
+      for (const role of ["ADMIN", "USER", "VIEWER"]) {
+        const res = await ctx.request("GET", `/api/tenants/${ctx.tenantA.tenant.id}`, {
+          token: ctx.tenantA.tokens[role],
+        })
+
+        assert.equal(res.status, 200, role)
+        assert.equal(res.body.tenant.id, ctx.tenantA.tenant.id)
+        assert.equal(res.body.tenant._count.users, 3)
+      }
+    })
+
+    it("refuses another tenant", async () => {
+      for (const role of ["ADMIN", "USER", "VIEWER"]) {
+        const res = await ctx.request("GET", `/api/tenants/${ctx.tenantB.tenant.id}`, {
+          token: ctx.tenantA.tokens[role],
+        })
+
+        assert.equal(res.status, 403, role)
+        assert.equal(res.body.tenant, undefined)
+      }
+    })
+  })
+
+  describe("PUT /api/tenants/:id", () => {
+    it("refuses to update another tenant", async () => {
+      const res = await ctx.request("PUT", `/api/tenants/${ctx.tenantB.tenant.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { name: "Hijacked" },
+      })
+
+      assert.equal(res.status, 403)
+
+      const check = await ctx.request("GET", `/api/tenants/${ctx.tenantB.tenant.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(check.body.tenant.name, ctx.tenantB.tenant.name)
+    })
+
+    it("requires tenant:update", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("PUT", `/api/tenants/${ctx.tenantA.tenant.id}`, {
+          token: ctx.tenantA.tokens[role],
+          body: { name: "Renamed" },
+        })
+        assert.equal(res.status, 403, role)
+      }
+    })
+
+    it("does not let a tenant claim another tenant's verified domain", async () => {
+      const domain = `${ctx.tenantB.tenant.subdomain}.example.com`
+      const setDomain = (fixture, value) =>
+        ctx.request("PUT", `/api/tenants/${fixture.tenant.id}`, {
+          token: fixture.tokens.ADMIN,
+          body: { domain: value },
+        })
+      const verify = async (fixture) => {
+        const status = await ctx.request("GET", `/api/tenants/${fixture.tenant.id}/domain`, {
+          token: fixture.tokens.ADMIN,
+        })
+        publishDnsRecord(status.body.domain.record)
+        return ctx.request("POST", `/api/tenants/${fixture.tenant.id}/domain/verify`, { token: fixture.tokens.ADMIN })
+      }
+
+      // A pending claim does not keep the owner of the domain out
+      assert.equal((await setDomain(ctx.tenantA, domain)).status, 200)
+      assert.equal((await setDomain(ctx.tenantB, domain)).status, 200)
+
+      const verified = await verify(ctx.tenantB)
+      assert.equal(verified.status, 200)
+      assert.equal(verified.body.domain.status, "VERIFIED")
+
+      const squatted = await verify(ctx.tenantA)
+      assert.equal(squatted.status, 409)
+      assert.equal(squatted.body.code, "DOMAIN_EXISTS")
+
+      const cleared = await setDomain(ctx.tenantA, null)
+      assert.equal(cleared.status, 200)
+      assert.equal(cleared.body.tenant.domain, null)
+      assert.equal(cleared.body.tenant.domainStatus, null)
+
+      const claim = await setDomain(ctx.tenantA, domain)
+      assert.equal(claim.status, 409)
+      assert.equal(claim.body.code, "DOMAIN_EXISTS")
+
+      const create = await ctx.request("POST", "/api/tenants", {
+        body: { name: "Squatter", subdomain: `squatter-${Date.now()}`, domain },
+      })
+      assert.equal(create.status, 409)
+      assert.equal(create.body.code, "DOMAIN_EXISTS")
+
+      // Removing a verified domain stops routing it and frees it for others
+      const removed = await setDomain(ctx.tenantB, null)
+      assert.equal(removed.body.tenant.domainStatus, null)
+      assert.equal(removed.body.tenant.verifiedDomain, null)
+      assert.equal((await setDomain(ctx.tenantA, domain)).status, 200)
+      assert.equal((await setDomain(ctx.tenantA, null)).status, 200)
+    })
+  })
+
+  describe("custom domain routes", () => {
+    for (const [method, suffix] of [
+      ["GET", "/domain"],
+      ["POST", "/domain/verify"],
+    ]) {
+      it(`${method} /api/tenants/:id${suffix} refuses another tenant`, async () => {
+        const res = await ctx.request(method, `/api/tenants/${ctx.tenantB.tenant.id}${suffix}`, {
+          token: ctx.tenantA.tokens.ADMIN,
+        })
+
+        assert.equal(res.status, 403)
+        assert.equal(res.body.record, undefined)
+      })
+
+      it(`${method} /api/tenants/:id${suffix} requires tenant:update`, async () => {
+        for (const role of ["USER", "VIEWER"]) {
+          const res = await ctx.request(method, `/api/tenants/${ctx.tenantA.tenant.id}${suffix}`, {
+            token: ctx.tenantA.tokens[role],
+          })
+          assert.equal(res.status, 403, role)
+        }
+      })
+    }
+  })
+
+  describe("POST /api/tenants", () => {
+    it("rejects another tenant's subdomain", async () => {
+      const res = await ctx.request("POST", "/api/tenants", {
+        body: { name: "Duplicate", subdomain: ctx.tenantA.tenant.subdomain },
+      })
+
+      assert.equal(res.status, 409)
+      assert.equal(res.body.code, "SUBDOMAIN_EXISTS")
+    })
+  })
+
+  describe("tenant exports", () => {
+    let completed
+
+    it("builds a downloadable archive of the tenant", async () => {
+      const res = await ctx.request("POST", `/api/tenants/${ctx.tenantA.tenant.id}/exports`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+      assert.equal(res.status, 202)
+
+      completed = await waitFor(async () => {
+        const poll = await ctx.request("GET", `/api/tenants/${ctx.tenantA.tenant.id}/exports/${res.body.export.id}`, {
+          token: ctx.tenantA.tokens.ADMIN,
+        })
+        assert.notEqual(poll.body.export.status, "FAILED")
+        return poll.body.export.status === "COMPLETED" && poll.body.export
+      })
+
+      const download = await ctx.request(
+        "GET",
+        `/api/tenants/${ctx.tenantA.tenant.id}/exports/${completed.id}/download`,
+        { token: ctx.tenantA.tokens.ADMIN, raw: true },
+      )
+      assert.equal(download.status, 200)
+      assert.equal(download.headers["x-checksum-sha256"], completed.checksum)
+      assert.equal(crypto.createHash("sha256").update(download.body).digest("hex"), completed.checksum)
+
+      const files = extractTar(zlib.gunzipSync(download.body))
+      const manifest = JSON.parse(files.get("manifest.json"))
+      assert.equal(manifest.tenant.id, ctx.tenantA.tenant.id)
+
+      for (const entry of manifest.files) {
+        assert.equal(crypto.createHash("sha256").update(files.get(entry.name)).digest("hex"), entry.sha256, entry.name)
+      }
+
+      const users = files.get("users.jsonl").toString("utf8").trim().split("\n").map((line) => JSON.parse(line))
+      assert.deepEqual(
+        users.map((user) => user.email).sort(),
+        Object.values(ctx.tenantA.users)
+          .map((user) => user.email)
+          .sort(),
+      )
+      for (const user of users) {
+        assert.equal(user.password, undefined)
+        assert.equal(user.twoFactorSecret, undefined)
+      }
+    })
+
+    it("does not serve exports to another tenant", async () => {
+      const res = await ctx.request("GET", `/api/tenants/${ctx.tenantA.tenant.id}/exports/${completed.id}/download`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(res.status, 403)
+
+      const own = await ctx.request("GET", `/api/tenants/${ctx.tenantB.tenant.id}/exports/${completed.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(own.status, 404)
+    })
+
+    it("requires tenant:export", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("POST", `/api/tenants/${ctx.tenantA.tenant.id}/exports`, {
+          token: ctx.tenantA.tokens[role],
+        })
+        assert.equal(res.status, 403, role)
+      }
+    })
+  })
+})
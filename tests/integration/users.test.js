@@ -0,0 +1,398 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { PASSWORD, sentMail, setupTwoTenants, skipReason } from "./helpers.js"
+
+describe("users routes across tenants", { skip: skipReason }, () => {
+  let ctx
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+  })
+
+  after(async () => {
+    await ctx?.close()
+  })
+
+  describe("GET /api/users", () => {
+    it("lists only users of the caller's tenant", async () => {
+      const res = await ctx.request("GET", "/api/users?limit=100", { token: ctx.tenantA.tokens.ADMIN })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.pagination.total, 3)
+      const ids = res.body.users.map((user) => user.id)
+      for (const user of Object.values(ctx.tenantB.users)) {
+        assert.ok(!ids.includes(user.id))
+      }
+    })
+
+    it("does not find another tenant's users by search", async () => {
+      const res = await ctx.request("GET", `/api/users?search=${ctx.tenantB.tenant.subdomain}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.users.length, 0)
+    })
+
+    it("requires user:read", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("GET", "/api/users", { token: ctx.tenantA.tokens[role] })
+        assert.equal(res.status, 403, role)
+      }
+    })
+  })
+
+  describe("POST /api/users", () => {
+    it("creates the user in the caller's tenant even if the email exists elsewhere", async () => {
+      const res = await ctx.request("POST", "/api/users", {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: {
+          email: ctx.tenantB.users.USER.email,
+          password: PASSWORD,
+          firstName: "Same",
+          lastName: "Email",
+          tenantId: ctx.tenantB.tenant.id,
+        },
+      })
+
+      // Unknown fields such as tenantId are rejected outright
+      assert.equal(res.status, 400)
+
+      const created = await ctx.request("POST", "/api/users", {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { email: ctx.tenantB.users.USER.email, password: PASSWORD, firstName: "Same", lastName: "Email" },
+      })
+
+      assert.equal(created.status, 201)
+
+      const listB = await ctx.request("GET", "/api/users?limit=100", { token: ctx.tenantB.tokens.ADMIN })
+      assert.ok(!listB.body.users.some((user) => user.id === created.body.user.id))
+    })
+
+    it("requires user:create", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("POST", "/api/users", {
+          token: ctx.tenantA.tokens[role],
+          body: { email: `new-${role.toLowerCase()}@example.com`, password: PASSWORD, firstName: "New", lastName: "User" },
+        })
+        assert.equal(res.status, 403, role)
+      }
+    })
+  })
+
+  describe("routes by ID", () => {
+    it("GET /api/users/:id returns 404 for another tenant's user", async () => {
+      const res = await ctx.request("GET", `/api/users/${ctx.tenantB.users.USER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 404)
+      assert.equal(res.body.user, undefined)
+    })
+
+    it("PUT /api/users/:id cannot modify another tenant's user", async () => {
+      const res = await ctx.request("PUT", `/api/users/${ctx.tenantB.users.USER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { firstName: "Hijacked", role: "ADMIN" },
+      })
+
+      assert.equal(res.status, 404)
+
+      const check = await ctx.request("GET", `/api/users/${ctx.tenantB.users.USER.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(check.body.user.firstName, "Bravo")
+      assert.equal(check.body.user.role, "USER")
+    })
+
+    it("PUT /api/users/:id cannot assign another tenant's role", async () => {
+      const roles = await ctx.request("GET", "/api/roles", { token: ctx.tenantB.tokens.ADMIN })
+      const foreignRole = roles.body.roles.find((role) => role.name === "ADMIN")
+
+      const res = await ctx.request("PUT", `/api/users/${ctx.tenantA.users.USER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { roleId: foreignRole.id },
+      })
+
+      assert.equal(res.status, 404)
+      assert.equal(res.body.code, "ROLE_NOT_FOUND")
+    })
+
+    it("cannot change another tenant's roles or invitations", async () => {
+      const role = await ctx.request("POST", "/api/roles", {
+        token: ctx.tenantB.tokens.ADMIN,
+        body: { name: "Bravo auditors", permissions: ["audit:read"] },
+      })
+      const invitation = await ctx.request("POST", "/api/invitations", {
+        token: ctx.tenantB.tokens.ADMIN,
+        body: { email: `auditor@${ctx.tenantB.tenant.subdomain}.example.com`, role: "VIEWER" },
+      })
+      const options = { token: ctx.tenantA.tokens.ADMIN }
+
+      for (const [method, path, body] of [
+        ["PUT", `/api/roles/${role.body.role.id}`, { permissions: ["user:read"] }],
+        ["DELETE", `/api/roles/${role.body.role.id}`],
+        ["POST", `/api/invitations/${invitation.body.invitation.id}/resend`],
+        ["DELETE", `/api/invitations/${invitation.body.invitation.id}`],
+      ]) {
+        const res = await ctx.request(method, path, { ...options, body })
+        assert.equal(res.status, 404, `${method} ${path}`)
+      }
+
+      const roles = await ctx.request("GET", "/api/roles", { token: ctx.tenantB.tokens.ADMIN })
+      const unchanged = roles.body.roles.find((candidate) => candidate.id === role.body.role.id)
+      assert.deepEqual(unchanged.permissions, ["audit:read"])
+      const revoked = await ctx.request("DELETE", `/api/invitations/${invitation.body.invitation.id}`, {
+        token: ctx.tenantB.tokens.ADMIN,
+      })
+      assert.equal(revoked.status, 200)
+    })
+
+    it("DELETE /api/users/:id cannot deactivate another tenant's user", async () => {
+      const res = await ctx.request("DELETE", `/api/users/${ctx.tenantB.users.VIEWER.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 404)
+
+      const me = await ctx.request("GET", "/api/auth/me", { token: ctx.tenantB.tokens.VIEWER })
+      assert.equal(me.status, 200)
+    })
+
+    it("POST /api/users/:id/logout cannot revoke another tenant's sessions", async () => {
+      const res = await ctx.request("POST", `/api/users/${ctx.tenantB.users.ADMIN.id}/logout`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 404)
+
+      const me = await ctx.request("GET", "/api/auth/me", { token: ctx.tenantB.tokens.ADMIN })
+      assert.equal(me.status, 200)
+    })
+
+    it("POST /api/users/:id/unlock returns 404 for another tenant's user", async () => {
+      const res = await ctx.request("POST", `/api/users/${ctx.tenantB.users.USER.id}/unlock`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+
+      assert.equal(res.status, 404)
+    })
+  })
+
+  describe("role checks", () => {
+    it("lets any role read its own profile", async () => {
+      for (const role of ["ADMIN", "USER", "VIEWER"]) {
+        const res = await ctx.request("GET", `/api/users/${ctx.tenantA.users[role].id}`, {
+          token: ctx.tenantA.tokens[role],
+        })
+        assert.equal(res.status, 200, role)
+      }
+    })
+
+    it("keeps USER and VIEWER out of other profiles", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("GET", `/api/users/${ctx.tenantA.users.ADMIN.id}`, {
+          token: ctx.tenantA.tokens[role],
+        })
+        assert.equal(res.status, 403, role)
+      }
+    })
+
+    it("ignores role changes from users without user:update:role", async () => {
+      const res = await ctx.request("PUT", `/api/users/${ctx.tenantA.users.VIEWER.id}`, {
+        token: ctx.tenantA.tokens.VIEWER,
+        body: { role: "ADMIN" },
+      })
+
+      assert.equal(res.status, 200)
+      assert.equal(res.body.user.role, "VIEWER")
+    })
+
+    it("only lets ADMIN deactivate, sign out and unlock users", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        for (const [method, suffix] of [
+          ["DELETE", ""],
+          ["POST", "/logout"],
+          ["POST", "/unlock"],
+        ]) {
+          const res = await ctx.request(method, `/api/users/${ctx.tenantA.users.ADMIN.id}${suffix}`, {
+            token: ctx.tenantA.tokens[role],
+          })
+          assert.equal(res.status, 403, `${role} ${method} ${suffix}`)
+        }
+      }
+    })
+  })
+
+  describe("personal data", () => {
+    let count = 0
+
+    // A fresh user with one project, signed in
+    const createMember = async () => {
+      count += 1
+      const email = `member-${count}@${ctx.tenantA.tenant.subdomain}.example.com`
+      const created = await ctx.request("POST", "/api/users", {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { email, password: PASSWORD, firstName: "Member", lastName: `Number ${count}` },
+      })
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+      const project = await ctx.request("POST", "/api/projects", {
+        token: login.body.token,
+        body: { name: `Member ${count} project` },
+      })
+
+      return { user: created.body.user, token: login.body.token, project: project.body.project }
+    }
+
+    it("exports a user's own data without credentials", async () => {
+      const res = await ctx.request("GET", `/api/users/${ctx.tenantA.users.USER.id}/personal-data`, {
+        token: ctx.tenantA.tokens.USER,
+      })
+
+      assert.equal(res.status, 200)
+      assert.match(res.headers["content-disposition"], /^attachment/)
+      assert.equal(res.body.user.email, ctx.tenantA.users.USER.email)
+      assert.equal(res.body.tenant.id, ctx.tenantA.tenant.id)
+      assert.ok(res.body.user.projects.some((project) => project.id === ctx.tenantA.projects.USER.id))
+      assert.ok(res.body.user.sessions.length > 0)
+
+      const raw = JSON.stringify(res.body)
+      for (const secret of ["password", "twoFactorSecret", "tokenHash", "codeHash"]) {
+        assert.ok(!raw.includes(`"${secret}"`), secret)
+      }
+    })
+
+    it("keeps other users' data to user:privacy within the tenant", async () => {
+      const other = await ctx.request("GET", `/api/users/${ctx.tenantA.users.ADMIN.id}/personal-data`, {
+        token: ctx.tenantA.tokens.USER,
+      })
+      assert.equal(other.status, 403)
+
+      const admin = await ctx.request("GET", `/api/users/${ctx.tenantA.users.USER.id}/personal-data`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+      assert.equal(admin.status, 200)
+
+      const foreign = await ctx.request("GET", `/api/users/${ctx.tenantB.users.USER.id}/personal-data`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+      assert.equal(foreign.status, 404)
+    })
+
+    it("needs the current password to erase yourself", async () => {
+      const member = await createMember()
+      const path = `/api/users/${member.user.id}/erase`
+
+      const missing = await ctx.request("POST", path, { token: member.token, body: { projects: "delete" } })
+      assert.equal(missing.status, 401)
+      assert.equal(missing.body.code, "INVALID_PASSWORD")
+
+      const res = await ctx.request("POST", path, {
+        token: member.token,
+        body: { projects: "delete", password: PASSWORD },
+      })
+      assert.equal(res.status, 200)
+      assert.deepEqual(res.body.projects, { deleted: 1 })
+
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email: member.user.email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+      assert.equal(login.status, 401)
+
+      const user = await ctx.request("GET", `/api/users/${member.user.id}`, { token: ctx.tenantA.tokens.ADMIN })
+      assert.equal(user.body.user.email, `erased-${member.user.id}@erased.invalid`)
+      assert.equal(user.body.user.firstName, "Erased")
+      assert.equal(user.body.user.isActive, false)
+
+      const again = await ctx.request("POST", path, { token: ctx.tenantA.tokens.ADMIN, body: { projects: "delete" } })
+      assert.equal(again.status, 409)
+      assert.equal(again.body.code, "USER_ALREADY_ERASED")
+    })
+
+    it("checks the identity's password when a linked account erases itself", async () => {
+      const member = await createMember()
+      const invited = await ctx.request("POST", "/api/invitations", {
+        token: ctx.tenantB.tokens.ADMIN,
+        body: { email: member.user.email, role: "VIEWER" },
+      })
+      assert.equal(invited.status, 201)
+      const mail = sentMail.findLast((message) => message.to === member.user.email)
+      const token = new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token")
+      const joined = await ctx.request("POST", "/api/auth/tenants/join", { token: member.token, body: { token } })
+      assert.equal(joined.status, 201)
+
+      const login = await ctx.request("POST", "/api/auth/login", {
+        body: { email: member.user.email, password: PASSWORD, subdomain: ctx.tenantB.tenant.subdomain },
+      })
+      const path = `/api/users/${login.body.user.id}/erase`
+
+      const wrong = await ctx.request("POST", path, {
+        token: login.body.token,
+        body: { projects: "delete", password: "WrongPassword123!" },
+      })
+      assert.equal(wrong.status, 401)
+      assert.equal(wrong.body.code, "INVALID_PASSWORD")
+
+      const res = await ctx.request("POST", path, {
+        token: login.body.token,
+        body: { projects: "delete", password: PASSWORD },
+      })
+      assert.equal(res.status, 200)
+
+      // The sign-in account stays and keeps working on its own
+      const home = await ctx.request("POST", "/api/auth/login", {
+        body: { email: member.user.email, password: PASSWORD, subdomain: ctx.tenantA.tenant.subdomain },
+      })
+      assert.equal(home.status, 200)
+      assert.equal(home.body.user.id, member.user.id)
+    })
+
+    it("reassigns projects and revokes sessions when an admin erases a user", async () => {
+      const member = await createMember()
+
+      const foreign = await ctx.request("POST", `/api/users/${member.user.id}/erase`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { projects: "reassign", reassignTo: ctx.tenantB.users.ADMIN.id },
+      })
+      assert.equal(foreign.status, 404)
+      assert.equal(foreign.body.code, "REASSIGN_USER_NOT_FOUND")
+
+      const res = await ctx.request("POST", `/api/users/${member.user.id}/erase`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { projects: "reassign", reassignTo: ctx.tenantA.users.ADMIN.id },
+      })
+      assert.equal(res.status, 200)
+      assert.equal(res.body.projects.reassigned, 1)
+
+      const project = await ctx.request("GET", `/api/projects/${member.project.id}`, {
+        token: ctx.tenantA.tokens.ADMIN,
+      })
+      assert.equal(project.body.project.userId, ctx.tenantA.users.ADMIN.id)
+
+      const me = await ctx.request("GET", "/api/auth/me", { token: member.token })
+      assert.equal(me.status, 401)
+    })
+
+    it("does not erase the last admin", async () => {
+      const res = await ctx.request("POST", `/api/users/${ctx.tenantA.users.ADMIN.id}/erase`, {
+        token: ctx.tenantA.tokens.ADMIN,
+        body: { projects: "delete", password: PASSWORD },
+      })
+
+      assert.equal(res.status, 409)
+      assert.equal(res.body.code, "LAST_ADMIN")
+    })
+
+    it("keeps USER and VIEWER from erasing others", async () => {
+      for (const role of ["USER", "VIEWER"]) {
+        const res = await ctx.request("POST", `/api/users/${ctx.tenantA.users.ADMIN.id}/erase`, {
+          token: ctx.tenantA.tokens[role],
+          body: { projects: "delete" },
+        })
+        assert.equal(res.status, 403, role)
+      }
+    })
+  })
+})
@@ -0,0 +1,254 @@
+import { after, before, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import { processWebhooks, setupTwoTenants, skipReason, waitFor } from "./helpers.js"
+import { startReceiver } from "./mockReceiver.js"
+
+describe("outgoing webhooks", { skip: skipReason }, () => {
+  let ctx
+  let receiver
+
+  const admin = () => ctx.tenantA.tokens.ADMIN
+
+  const createEndpoint = async (body = {}) => {
+    const res = await ctx.request("POST", "/api/webhooks", {
+      token: admin(),
+      body: { url: receiver.url, events: ["project.created"], ...body },
+    })
+    assert.equal(res.status, 201)
+    return res.body.webhook
+  }
+
+  const removeEndpoint = (endpoint) => ctx.request("DELETE", `/api/webhooks/${endpoint.id}`, { token: admin() })
+
+  const createProject = async (name) => {
+    const res = await ctx.request("POST", "/api/projects", { token: admin(), body: { name } })
+    assert.equal(res.status, 201)
+    return res.body.project
+  }
+
+  const deliveries = async (endpoint) => {
+    const res = await ctx.request("GET", `/api/webhooks/${endpoint.id}/deliveries`, { token: admin() })
+    assert.equal(res.status, 200)
+    return res.body.deliveries
+  }
+
+  const getDelivery = async (endpoint, id) => {
+    const res = await ctx.request("GET", `/api/webhooks/${endpoint.id}/deliveries/${id}`, { token: admin() })
+    assert.equal(res.status, 200)
+    return res.body.delivery
+  }
+
+  // The first attempt is made right after the event is queued
+  const firstAttempt = (endpoint) =>
+    waitFor(async () => (await deliveries(endpoint)).find((delivery) => delivery.attempts > 0))
+
+  before(async () => {
+    ctx = await setupTwoTenants()
+    receiver = await startReceiver()
+  })
+
+  after(async () => {
+    await receiver?.close()
+    await ctx?.close()
+  })
+
+  it("rejects endpoints on loopback, private and link-local addresses", async () => {
+    for (const url of [
+      "http://localhost:8080/hooks",
+      "http://10.0.0.7/hooks",
+      "http://192.168.1.20/hooks",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hooks",
+      "http://[::ffff:127.0.0.1]/hooks",
+      "http://0.0.0.0/hooks",
+    ]) {
+      const res = await ctx.request("POST", "/api/webhooks", {
+        token: admin(),
+        body: { url, events: ["project.created"] },
+      })
+      assert.equal(res.status, 400, url)
+      assert.equal(res.body.code, "WEBHOOK_URL_FORBIDDEN", url)
+    }
+
+    const endpoint = await createEndpoint()
+    const res = await ctx.request("PUT", `/api/webhooks/${endpoint.id}`, {
+      token: admin(),
+      body: { url: "http://169.254.169.254/latest/meta-data" },
+    })
+    assert.equal(res.status, 400)
+    assert.equal(res.body.code, "WEBHOOK_URL_FORBIDDEN")
+
+    await removeEndpoint(endpoint)
+  })
+
+  it("checks the address again before every attempt", async () => {
+    const endpoint = await createEndpoint()
+    const received = receiver.requests.length
+    const allowedHosts = process.env.WEBHOOK_ALLOWED_HOSTS
+
+    process.env.WEBHOOK_ALLOWED_HOSTS = ""
+    try {
+      await createProject("Rebound project")
+      const delivery = await firstAttempt(endpoint)
+
+      const { history } = await getDelivery(endpoint, delivery.id)
+      assert.equal(history[0].error, "WEBHOOK_URL_FORBIDDEN")
+      assert.equal(history[0].responseStatus, null)
+      assert.equal(receiver.requests.length, received)
+    } finally {
+      process.env.WEBHOOK_ALLOWED_HOSTS = allowedHosts
+    }
+
+    await removeEndpoint(endpoint)
+  })
+
+  it("signs deliveries with the endpoint secret", async () => {
+    receiver.respondWith(200, "ok")
+    const endpoint = await createEndpoint()
+    const project = await createProject("Signed project")
+
+    const delivery = await firstAttempt(endpoint)
+    assert.equal(delivery.status, "DELIVERED")
+
+    const request = receiver.requests.findLast((req) => req.headers["x-webhook-id"] === delivery.id)
+    assert.ok(request, "receiver got the delivery")
+    assert.equal(request.method, "POST")
+    assert.equal(request.headers["x-webhook-event"], "project.created")
+
+    const [, timestamp, signature] = request.headers["x-webhook-signature"].match(/^t=(\d+),v1=([0-9a-f]+)$/)
+    const expected = crypto.createHmac("sha256", endpoint.secret).update(`${timestamp}.${request.body}`).digest("hex")
+    assert.equal(signature, expected)
+
+    const body = JSON.parse(request.body)
+    assert.equal(body.id, delivery.id)
+    assert.equal(body.event, "project.created")
+    assert.equal(body.tenantId, ctx.tenantA.tenant.id)
+    assert.equal(body.data.id, project.id)
+
+    // The audit entry of the endpoint never holds its secret
+    const audit = await ctx.request("GET", `/api/audit-logs?entityId=${endpoint.id}&action=webhook.created`, {
+      token: admin(),
+    })
+    assert.equal(audit.body.auditLogs.length, 1)
+    assert.equal(audit.body.auditLogs[0].after.secret, undefined)
+
+    await removeEndpoint(endpoint)
+  })
+
+  describe("failing endpoints", () => {
+    let endpoint
+    let delivery
+
+    before(async () => {
+      receiver.respondWith(500, "x".repeat(1000))
+      endpoint = await createEndpoint()
+      await createProject("Failing project")
+      delivery = await firstAttempt(endpoint)
+    })
+
+    after(async () => {
+      await removeEndpoint(endpoint)
+    })
+
+    it("retries with exponential backoff and gives up after the last attempt", async () => {
+      assert.equal(delivery.status, "PENDING")
+      let delay = Date.parse(delivery.nextAttemptAt) - Date.now()
+      assert.ok(delay > 25 * 1000 && delay <= 30 * 1000, `first retry in ${delay}ms`)
+
+      await processWebhooks(new Date(Date.now() + 31 * 1000))
+      delivery = await getDelivery(endpoint, delivery.id)
+      assert.equal(delivery.attempts, 2)
+      assert.equal(delivery.status, "PENDING")
+      delay = Date.parse(delivery.nextAttemptAt) - Date.now()
+      assert.ok(delay > 55 * 1000 && delay <= 60 * 1000, `second retry in ${delay}ms`)
+
+      await processWebhooks(new Date(Date.now() + 61 * 1000))
+      delivery = await getDelivery(endpoint, delivery.id)
+      assert.equal(delivery.attempts, 3)
+      assert.equal(delivery.status, "FAILED")
+      assert.equal(delivery.nextAttemptAt, null)
+
+      assert.equal(delivery.history.length, 3)
+      for (const attempt of delivery.history) {
+        assert.equal(attempt.responseStatus, 500)
+        assert.equal(attempt.error, "HTTP 500")
+        assert.equal(attempt.responseBody.length, 256)
+      }
+      assert.equal(receiver.requests.filter((req) => req.headers["x-webhook-id"] === delivery.id).length, 3)
+    })
+
+    it("replays a failed delivery with a fresh retry budget", async () => {
+      receiver.respondWith(204)
+
+      const res = await ctx.request("POST", `/api/webhooks/${endpoint.id}/deliveries/${delivery.id}/replay`, {
+        token: admin(),
+      })
+      assert.equal(res.status, 202)
+      assert.equal(res.body.delivery.status, "PENDING")
+      assert.equal(res.body.delivery.attempts, 0)
+
+      const replayed = await waitFor(async () => {
+        const current = await getDelivery(endpoint, delivery.id)
+        return current.status !== "PENDING" && current
+      })
+      assert.equal(replayed.status, "DELIVERED")
+      assert.equal(replayed.attempts, 1)
+      assert.equal(replayed.history.length, 4)
+      assert.equal(replayed.history.at(-1).responseStatus, 204)
+      assert.equal(receiver.requests.filter((req) => req.headers["x-webhook-id"] === delivery.id).length, 4)
+    })
+
+    it("does not replay unknown deliveries", async () => {
+      const res = await ctx.request(
+        "POST",
+        `/api/webhooks/${endpoint.id}/deliveries/${crypto.randomUUID()}/replay`,
+        { token: admin() },
+      )
+
+      assert.equal(res.status, 404)
+      assert.equal(res.body.code, "DELIVERY_NOT_FOUND")
+    })
+  })
+
+  it("stops delivering to disabled endpoints", async () => {
+    receiver.respondWith(503)
+    const endpoint = await createEndpoint()
+    await createProject("Queued project")
+    const queued = await firstAttempt(endpoint)
+    assert.equal(queued.status, "PENDING")
+
+    const disabled = await ctx.request("PUT", `/api/webhooks/${endpoint.id}`, {
+      token: admin(),
+      body: { isActive: false },
+    })
+    assert.equal(disabled.status, 200)
+    const received = receiver.requests.length
+
+    await processWebhooks(new Date(Date.now() + 31 * 1000))
+    const delivery = await getDelivery(endpoint, queued.id)
+    assert.equal(delivery.status, "FAILED")
+    assert.equal(delivery.history.at(-1).error, "Endpoint is disabled")
+    assert.equal(receiver.requests.length, received)
+
+    // New events are not queued for it at all
+    await createProject("Ignored project")
+    assert.equal((await deliveries(endpoint)).length, 1)
+
+    await removeEndpoint(endpoint)
+  })
+
+  it("keeps endpoints to their tenant", async () => {
+    const endpoint = await createEndpoint()
+
+    const foreign = await ctx.request("GET", `/api/webhooks/${endpoint.id}`, { token: ctx.tenantB.tokens.ADMIN })
+    assert.equal(foreign.status, 404)
+
+    for (const role of ["USER", "VIEWER"]) {
+      const res = await ctx.request("GET", `/api/webhooks/${endpoint.id}`, { token: ctx.tenantA.tokens[role] })
+      assert.equal(res.status, 403, role)
+    }
+
+    await removeEndpoint(endpoint)
+  })
+})